@@ -0,0 +1,192 @@
+// حساب OKX للقراءة فقط: الأرصدة والأوامر المفتوحة والصفقات المنفذة عبر الطلبات الخاصة الموقّعة
+// لا يرسل أي أمر، والهدف مقارنة المراكز الحقيقية بنقاط الكاشف على البطاقات ومستويات الرسم
+//   holding: { instId, ccy, size, available, usdValue, avgCost, costSource }
+//   order: { id, instId, side, type, price, size, filled, state, time }
+//   fill: { id, orderId, instId, side, price, size, fee, feeCcy, time } - الأحدث أولاً
+//
+// الاستخدام في Node (المفاتيح من OKX_API_KEY و OKX_SECRET_KEY و OKX_PASSPHRASE):
+//   node account.js
+//   node account.js --base-url http://localhost:8766/api/v5   (مع mock-account-server.js)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    // متوسط التكلفة المتحرك من الصفقات: البيع يخفض الكمية دون تغيير المتوسط، والنتيجة تقريبية
+    // لأن الرسوم والتحويلات خارج المنصة لا تظهر في الصفقات
+    const averageCostFromFills = (fills) => {
+        let size = 0;
+        let cost = 0;
+        fills.slice().sort((a, b) => a.time - b.time).forEach(fill => {
+            if (fill.side === 'buy') {
+                size += fill.size;
+                cost += fill.price * fill.size;
+            } else if (size > 0) {
+                const sold = Math.min(fill.size, size);
+                cost -= cost / size * sold;
+                size -= sold;
+            }
+        });
+        return size > 0 ? cost / size : null;
+    };
+
+    class OKXAccount {
+        constructor({ exchange, settings = CONFIG.ACCOUNT } = {}) {
+            if (!exchange || typeof exchange.privateRequest !== 'function') {
+                throw new Error('الحساب يتطلب محول OKX يدعم الطلبات الخاصة');
+            }
+            this.exchange = exchange;
+            this.settings = settings;
+            this.quote = exchange.quote;
+            this.snapshot = null;
+        }
+
+        async fetchBalances() {
+            const data = await this.exchange.privateRequest('/account/balance');
+            const details = (data[0] && data[0].details) || [];
+            return details.map(item => ({
+                ccy: item.ccy,
+                size: parseFloat(item.eq) || 0,
+                available: parseFloat(item.availBal) || 0,
+                usdValue: parseFloat(item.eqUsd) || 0,
+                // accAvgPx متوسط تكلفة الرصيد الفوري كما تحسبه OKX (قد يكون فارغاً)
+                avgCost: parseFloat(item.accAvgPx || item.openAvgPx) || null
+            }));
+        }
+
+        async fetchOpenOrders() {
+            const data = await this.exchange.privateRequest('/trade/orders-pending', { params: { instType: 'SPOT' } });
+            return data.map(order => ({
+                id: order.ordId,
+                instId: order.instId,
+                side: order.side,
+                type: order.ordType,
+                price: parseFloat(order.px) || null,
+                size: parseFloat(order.sz),
+                filled: parseFloat(order.accFillSz) || 0,
+                state: order.state,
+                time: parseInt(order.cTime)
+            }));
+        }
+
+        async fetchFills() {
+            const data = await this.exchange.privateRequest('/trade/fills', {
+                params: { instType: 'SPOT', limit: this.settings.FILLS_LIMIT }
+            });
+            return data.map(fill => ({
+                id: fill.tradeId,
+                orderId: fill.ordId,
+                instId: fill.instId,
+                side: fill.side,
+                price: parseFloat(fill.fillPx),
+                size: parseFloat(fill.fillSz),
+                fee: parseFloat(fill.fee) || 0,
+                feeCcy: fill.feeCcy,
+                time: parseInt(fill.ts || fill.fillTime)
+            }));
+        }
+
+        // تحديث كامل: الأرصدة الصغيرة جداً (أقل من MIN_HOLDING_VALUE دولار) لا تُعتبر مراكز
+        async refresh({ time = Date.now() } = {}) {
+            const [balances, openOrders, fills] = await Promise.all([
+                this.fetchBalances(),
+                this.fetchOpenOrders(),
+                this.fetchFills()
+            ]);
+
+            const holdings = balances
+                .filter(balance => balance.ccy !== this.quote && balance.usdValue >= this.settings.MIN_HOLDING_VALUE)
+                .map(balance => {
+                    const instId = `${balance.ccy}-${this.quote}`;
+                    const fromFills = balance.avgCost ? null : averageCostFromFills(fills.filter(fill => fill.instId === instId));
+                    return {
+                        instId,
+                        ccy: balance.ccy,
+                        size: balance.size,
+                        available: balance.available,
+                        usdValue: balance.usdValue,
+                        avgCost: balance.avgCost || fromFills,
+                        costSource: balance.avgCost ? 'okx' : fromFills ? 'fills' : null
+                    };
+                });
+
+            const cash = balances.find(balance => balance.ccy === this.quote);
+            this.snapshot = {
+                time,
+                cash: cash ? cash.available : 0,
+                holdings,
+                openOrders,
+                fills
+            };
+            return this.snapshot;
+        }
+
+        // المركز مقيّماً بالسعر الحالي، أو null إذا لم تكن العملة محتفظاً بها ولا عليها أوامر مفتوحة
+        positionFor(instId, price) {
+            if (!this.snapshot) return null;
+            const holding = this.snapshot.holdings.find(item => item.instId === instId);
+            const openOrders = this.snapshot.openOrders.filter(order => order.instId === instId);
+            if (!holding && openOrders.length === 0) return null;
+
+            const size = holding ? holding.size : 0;
+            const avgCost = holding ? holding.avgCost : null;
+            const unrealizedPnl = avgCost ? (price - avgCost) * size : null;
+            return {
+                instId,
+                size,
+                avgCost,
+                costSource: holding ? holding.costSource : null,
+                marketValue: size * price,
+                unrealizedPnl,
+                unrealizedPercent: avgCost ? (price - avgCost) / avgCost * 100 : null,
+                openOrders,
+                fills: this.snapshot.fills.filter(fill => fill.instId === instId)
+            };
+        }
+    }
+
+    const exported = { OKXAccount, averageCostFromFills };
+
+    if (isNode) {
+        module.exports = exported;
+
+        if (require.main === module) {
+            const { OKXAdapter } = require('./exchanges.js');
+            const { OKXSigner } = require('./okx-signer.js');
+            const { credentialsFromEnv } = require('./credentials.js');
+
+            const args = process.argv.slice(2);
+            const option = name => {
+                const index = args.indexOf(`--${name}`);
+                return index >= 0 ? args[index + 1] : undefined;
+            };
+
+            (async () => {
+                try {
+                    const credentials = credentialsFromEnv();
+                    if (!credentials) {
+                        throw new Error('يجب تعيين OKX_API_KEY و OKX_SECRET_KEY و OKX_PASSPHRASE');
+                    }
+
+                    const exchange = new OKXAdapter({
+                        baseUrl: option('base-url') || CONFIG.OKX_API.BASE_URL,
+                        signer: new OKXSigner(credentials)
+                    });
+                    const snapshot = await new OKXAccount({ exchange }).refresh();
+
+                    console.log(`الحساب: ${exchange.signer.sandbox ? 'تجريبي (OKX Demo)' : 'حقيقي'}`);
+                    console.log(`الرصيد المتاح: ${snapshot.cash.toFixed(2)} ${exchange.quote}`);
+                    snapshot.holdings.forEach(holding => {
+                        const cost = holding.avgCost ? holding.avgCost.toFixed(6) : '-';
+                        console.log(`${holding.instId}\tالكمية: ${holding.size}\tمتوسط التكلفة: ${cost}\tالقيمة: $${holding.usdValue.toFixed(2)}`);
+                    });
+                    console.log(`الأوامر المفتوحة: ${snapshot.openOrders.length} | الصفقات المنفذة: ${snapshot.fills.length}`);
+                } catch (error) {
+                    console.error('خطأ في قراءة الحساب:', error.message);
+                    process.exitCode = 1;
+                }
+            })();
+        }
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
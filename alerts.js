@@ -0,0 +1,360 @@
+// محرك التنبيهات: تقييم قواعد المستخدم بعد كل دورة تحليل، منع التكرار، تحديد المعدل،
+// والإرسال عبر Telegram و Webhook وإشعارات المتصفح مع حفظ سجل التنبيهات
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { MemoryStorage } = isNode ? require('./storage.js') : root;
+
+    const RULES_KEY = 'cryptoAlertRules';
+    const HISTORY_KEY = 'cryptoAlertHistory';
+    const RULES_VERSION = 2;
+
+    // القواعد الافتراضية في الصيغة الأولى (مصفوفة قواعد بدون رقم إصدار)، وكلها عُرضت على المستخدم من قبل
+    const LEGACY_DEFAULT_IDS = ['high-score', 'volume-spike', 'price-breakout', 'regime-change'];
+
+    const ALERT_TYPES = {
+        score: 'تجاوز النقاط',
+        volume: 'قفزة حجم التداول',
+        breakout: 'كسر المقاومة',
+        regime: 'تغير حالة السوق',
+        target: 'الوصول للسعر المستهدف'
+    };
+
+    // القواعد الافتراضية مأخوذة من CONFIG.ALERTS.ALERT_THRESHOLDS
+    const defaultAlertRules = () => {
+        const thresholds = CONFIG.ALERTS.ALERT_THRESHOLDS;
+        const channels = ['browser', 'telegram', 'webhook'];
+        return [
+            { id: 'high-score', type: 'score', threshold: thresholds.HIGH_SCORE, channels, enabled: true },
+            { id: 'volume-spike', type: 'volume', threshold: thresholds.VOLUME_SPIKE, channels, enabled: true },
+            { id: 'price-breakout', type: 'breakout', threshold: thresholds.PRICE_BREAKOUT, channels, enabled: true },
+            { id: 'regime-change', type: 'regime', threshold: null, channels, enabled: true },
+            { id: 'watchlist-target', type: 'target', threshold: null, channels, enabled: true, watchlistOnly: true }
+        ];
+    };
+
+    class TelegramChannel {
+        constructor(token = CONFIG.ALERTS.TELEGRAM_BOT_TOKEN, chatId = CONFIG.ALERTS.CHAT_ID) {
+            this.name = 'telegram';
+            this.token = token;
+            this.chatId = chatId;
+        }
+
+        isConfigured() {
+            return Boolean(this.token && this.chatId);
+        }
+
+        async send(alert) {
+            const response = await fetch(`https://api.telegram.org/bot${this.token}/sendMessage`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chat_id: this.chatId, text: `${alert.title}\n${alert.message}` })
+            });
+            const data = await response.json();
+            if (!data.ok) {
+                throw new Error(`فشل إرسال التنبيه عبر Telegram: ${data.description || response.status}`);
+            }
+        }
+    }
+
+    class WebhookChannel {
+        constructor(urls = CONFIG.ALERTS.WEBHOOK_URLS) {
+            this.name = 'webhook';
+            this.urls = urls || [];
+        }
+
+        isConfigured() {
+            return this.urls.length > 0;
+        }
+
+        async send(alert) {
+            await Promise.all(this.urls.map(async url => {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(alert)
+                });
+                if (!response.ok) {
+                    throw new Error(`فشل إرسال التنبيه إلى ${url}: ${response.status}`);
+                }
+            }));
+        }
+    }
+
+    class BrowserNotificationChannel {
+        constructor(icon = '/favicon.ico') {
+            this.name = 'browser';
+            this.icon = icon;
+        }
+
+        isConfigured() {
+            return CONFIG.ALERTS.ENABLE_NOTIFICATIONS && typeof Notification !== 'undefined';
+        }
+
+        requestPermission() {
+            if (this.isConfigured() && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+        }
+
+        async send(alert) {
+            if (Notification.permission !== 'granted') return;
+            new Notification(alert.title, {
+                body: alert.message,
+                icon: this.icon,
+                tag: `crypto-alert-${alert.key}`
+            });
+        }
+    }
+
+    class AlertEngine {
+        constructor(options = {}) {
+            this.storage = options.storage || root.localStorage || new MemoryStorage();
+            this.channels = options.channels || [
+                new BrowserNotificationChannel(),
+                new TelegramChannel(),
+                new WebhookChannel()
+            ];
+            this.onAlert = options.onAlert || (() => {});
+            this.cooldown = (options.cooldownMinutes || CONFIG.ALERTS.COOLDOWN_MINUTES) * 60000;
+            this.maxPerMinute = options.maxPerMinute || CONFIG.ALERTS.MAX_ALERTS_PER_MINUTE;
+
+            this.knownDefaults = [];
+            this.rules = this.loadRules();
+            this.lastFired = {};
+            this.recentSends = [];
+            this.previous = new Map();
+            this.previousRegime = null;
+        }
+
+        // القواعد المحفوظة مع أي قاعدة افتراضية أضيفت بعد آخر حفظ
+        // knownDefaults تمنع عودة قاعدة افتراضية حذفها المستخدم، والقواعد الجديدة تُضاف مرة واحدة فقط
+        loadRules() {
+            const saved = JSON.parse(this.storage.getItem(RULES_KEY) || 'null');
+            const defaults = defaultAlertRules();
+            if (!saved) {
+                this.knownDefaults = defaults.map(rule => rule.id);
+                return defaults;
+            }
+
+            const legacy = Array.isArray(saved);
+            const rules = legacy ? saved : saved.rules;
+            const known = legacy ? LEGACY_DEFAULT_IDS : saved.knownDefaults || [];
+            const added = defaults.filter(rule => !known.includes(rule.id) && !rules.some(item => item.id === rule.id));
+
+            this.rules = [...rules, ...added];
+            this.knownDefaults = [...new Set([...known, ...defaults.map(rule => rule.id)])];
+            if (legacy || added.length > 0) {
+                this.saveRules();
+            }
+            return this.rules;
+        }
+
+        saveRules() {
+            this.storage.setItem(RULES_KEY, JSON.stringify({
+                version: RULES_VERSION,
+                rules: this.rules,
+                knownDefaults: this.knownDefaults
+            }));
+        }
+
+        addRule(rule) {
+            const newRule = {
+                id: rule.id || `${rule.type}-${Date.now()}`,
+                channels: ['browser'],
+                enabled: true,
+                ...rule
+            };
+            this.rules.push(newRule);
+            this.saveRules();
+            return newRule;
+        }
+
+        removeRule(id) {
+            this.rules = this.rules.filter(rule => rule.id !== id);
+            this.saveRules();
+        }
+
+        toggleRule(id, enabled) {
+            const rule = this.rules.find(item => item.id === id);
+            if (rule) {
+                rule.enabled = enabled;
+                this.saveRules();
+            }
+        }
+
+        getHistory() {
+            return JSON.parse(this.storage.getItem(HISTORY_KEY) || '[]');
+        }
+
+        clearHistory() {
+            this.storage.setItem(HISTORY_KEY, '[]');
+        }
+
+        // تقييم جميع القواعد بعد دورة تحليل كاملة
+        // watchlist: عناصر قائمة المراقبة، للقواعد المقيدة بها (watchlistOnly) ولأسعارها المستهدفة
+        async evaluate(coins, { regime, watchlist = [] } = {}) {
+            const triggered = [];
+            const watched = new Map(watchlist.map(item => [item.instId, item]));
+
+            this.rules.filter(rule => rule.enabled).forEach(rule => {
+                if (rule.type === 'regime') {
+                    if (this.previousRegime && regime && regime !== this.previousRegime) {
+                        triggered.push(this.buildAlert(rule, null, {
+                            title: '🔄 تغير حالة السوق',
+                            message: `تحولت حالة السوق من ${this.previousRegime} إلى ${regime}`
+                        }));
+                    }
+                    return;
+                }
+
+                coins.forEach(coin => {
+                    if (rule.symbols && rule.symbols.length > 0 && !rule.symbols.includes(coin.symbol)) return;
+                    if ((rule.watchlistOnly || rule.type === 'target') && !watched.has(coin.fullSymbol)) return;
+
+                    const details = this.checkCoinRule(rule, coin, this.previous.get(coin.fullSymbol), watched.get(coin.fullSymbol));
+                    if (details) {
+                        triggered.push(this.buildAlert(rule, coin, details));
+                    }
+                });
+            });
+
+            coins.forEach(coin => {
+                this.previous.set(coin.fullSymbol, {
+                    score: coin.score,
+                    price: coin.price,
+                    resistance: coin.analysis.supportResistance.resistance1
+                });
+            });
+            if (regime) this.previousRegime = regime;
+
+            const delivered = [];
+            for (const alert of triggered) {
+                if (this.shouldSend(alert)) {
+                    await this.deliver(alert);
+                    delivered.push(alert);
+                }
+            }
+            return delivered;
+        }
+
+        checkCoinRule(rule, coin, previous, watchItem) {
+            switch (rule.type) {
+                case 'score':
+                    // الإشعار عند عبور الحد فقط، وليس في كل دورة يبقى فيها فوقه، ولا إشعار مع خطر تلاعب عالٍ
+                    if (coin.analysis.manipulation && coin.analysis.manipulation.suppress) return null;
+                    if (coin.score >= rule.threshold && (!previous || previous.score < rule.threshold)) {
+                        return {
+                            title: `🚀 ${coin.symbol}: نقاط ${coin.score}`,
+                            message: `تجاوزت نقاط ${coin.symbol} الحد ${rule.threshold} عند سعر $${coin.price}`
+                        };
+                    }
+                    return null;
+
+                case 'volume':
+                    if (coin.analysis.volumeRatio >= rule.threshold) {
+                        return {
+                            title: `📊 ${coin.symbol}: قفزة في الحجم`,
+                            message: `حجم التداول ${coin.analysis.volumeRatio.toFixed(1)} ضعف المتوسط (الحد ${rule.threshold}x)`
+                        };
+                    }
+                    return null;
+
+                case 'breakout':
+                    if (previous && coin.price >= previous.resistance * (1 + rule.threshold)) {
+                        return {
+                            title: `⚡ ${coin.symbol}: كسر المقاومة`,
+                            message: `السعر $${coin.price} كسر المقاومة $${previous.resistance} بنسبة ${(rule.threshold * 100).toFixed(0)}% أو أكثر`
+                        };
+                    }
+                    return null;
+
+                case 'target': {
+                    // عبور السعر المستهدف من أي اتجاه بين دورتين، والقاعدة لا تعمل في أول دورة بعد التحميل
+                    const target = watchItem && watchItem.targetPrice;
+                    if (!target || !previous) return null;
+                    const crossedUp = previous.price < target && coin.price >= target;
+                    const crossedDown = previous.price > target && coin.price <= target;
+                    if (crossedUp || crossedDown) {
+                        return {
+                            title: `🎯 ${coin.symbol}: وصل السعر المستهدف`,
+                            message: `السعر $${coin.price} ${crossedUp ? 'صعد إلى' : 'هبط إلى'} الهدف $${target}${watchItem.note ? ` - ${watchItem.note}` : ''}`
+                        };
+                    }
+                    return null;
+                }
+
+                default:
+                    return null;
+            }
+        }
+
+        buildAlert(rule, coin, details) {
+            return {
+                key: `${rule.id}:${coin ? coin.fullSymbol : 'market'}`,
+                ruleId: rule.id,
+                type: rule.type,
+                symbol: coin ? coin.symbol : null,
+                score: coin ? coin.score : null,
+                price: coin ? coin.price : null,
+                channels: rule.channels,
+                time: Date.now(),
+                ...details
+            };
+        }
+
+        // منع تكرار نفس التنبيه خلال فترة التهدئة، وتحديد عدد التنبيهات في الدقيقة
+        shouldSend(alert) {
+            const now = alert.time;
+            if (this.lastFired[alert.key] && now - this.lastFired[alert.key] < this.cooldown) {
+                return false;
+            }
+
+            this.recentSends = this.recentSends.filter(time => now - time < 60000);
+            if (this.recentSends.length >= this.maxPerMinute) {
+                return false;
+            }
+
+            this.lastFired[alert.key] = now;
+            this.recentSends.push(now);
+            return true;
+        }
+
+        async deliver(alert) {
+            const results = await Promise.all(this.channels
+                .filter(channel => alert.channels.includes(channel.name) && channel.isConfigured())
+                .map(async channel => {
+                    try {
+                        await channel.send(alert);
+                        return { channel: channel.name, ok: true };
+                    } catch (error) {
+                        console.error(`خطأ في قناة التنبيه ${channel.name}:`, error);
+                        return { channel: channel.name, ok: false, error: error.message };
+                    }
+                }));
+
+            alert.delivery = results;
+
+            const history = this.getHistory();
+            history.unshift(alert);
+            this.storage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, CONFIG.ALERTS.HISTORY_LIMIT)));
+
+            this.onAlert(alert);
+        }
+    }
+
+    const exported = {
+        AlertEngine,
+        TelegramChannel,
+        WebhookChannel,
+        BrowserNotificationChannel,
+        ALERT_TYPES,
+        defaultAlertRules
+    };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
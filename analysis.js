@@ -0,0 +1,466 @@
+// محرك التحليل الفني: حساب المؤشرات، تحديد نظام السوق، والنقاط المتكيفة
+// لا يعتمد على واجهة المستخدم، لذلك يعمل في المتصفح وفي Node (الاختبار الرجعي وسطر الأوامر)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { ScoringEngine } = isNode ? require('./scoring.js') : root;
+    const { MultiTimeframeAnalyzer } = isNode ? require('./timeframes.js') : root;
+    const { RiskManager } = isNode ? require('./risk.js') : root;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+    const { DivergenceDetector } = isNode ? require('./divergence.js') : root;
+    const { OrderBookAnalyzer } = isNode ? require('./orderbook.js') : root;
+    const { TradeFlowAnalyzer } = isNode ? require('./tradeflow.js') : root;
+    const { ManipulationRiskAnalyzer } = isNode ? require('./manipulation.js') : root;
+    const { VolumeAnomalyDetector } = isNode ? require('./volume-anomaly.js') : root;
+    const { RegimeClassifier } = isNode ? require('./regime.js') : root;
+
+    class AnalysisEngine {
+        constructor() {
+            this.marketRegime = 'neutral';
+            this.marketVolatility = 'normal';
+            this.regimeClassifier = new RegimeClassifier();
+            this.regimeState = null;
+            this.scoring = new ScoringEngine();
+            this.timeframeAnalyzer = new MultiTimeframeAnalyzer(this);
+            this.risk = new RiskManager();
+            this.divergence = new DivergenceDetector();
+            this.orderBookAnalyzer = new OrderBookAnalyzer();
+            this.tradeFlowAnalyzer = new TradeFlowAnalyzer();
+            this.manipulation = new ManipulationRiskAnalyzer();
+            this.volumeAnomaly = new VolumeAnomalyDetector();
+        }
+
+        // التصنيف في RegimeClassifier، والنتيجة الكاملة (المقاييس والمكونات) في this.regimeState
+        detectMarketRegime(tickers, candleData, options = {}) {
+            const state = this.regimeClassifier.classify(tickers, candleData, options);
+            this.marketRegime = state.regime;
+            this.marketVolatility = state.volatility;
+            this.regimeState = state;
+        
+            return { regime: this.marketRegime, volatility: this.marketVolatility, state };
+        }
+
+        calculateVolatility(prices) {
+            if (prices.length < 2) return 0;
+        
+            const returns = [];
+            for (let i = 1; i < prices.length; i++) {
+                returns.push((prices[i-1] - prices[i]) / prices[i] * 100);
+            }
+        
+            const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+            const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
+        
+            return Math.sqrt(variance);
+        }
+
+        async analyzeCoins(tickers, candleData) {
+            const analyzedCoins = [];
+        
+            for (const ticker of tickers) {
+                const coinData = candleData.find(c => c.symbol === ticker.instId);
+                const candles = coinData?.candles || [];
+            
+                if (candles.length < CONFIG.SCANNER.MIN_CANDLES) continue;
+            
+                const analysis = await this.performTechnicalAnalysis(ticker, candles, coinData);
+                if (coinData.timeframes) {
+                    analysis.timeframes = this.timeframeAnalyzer.analyze(ticker, coinData.timeframes);
+                }
+                const score = this.calculateAdaptiveScore(analysis, ticker);
+                this.calculateManipulationRisk(analysis, ticker, candles);
+            
+                analyzedCoins.push({
+                    symbol: ticker.symbol,
+                    fullSymbol: ticker.instId,
+                    exchange: ticker.exchange,
+                    price: ticker.last,
+                    change24h: ticker.change24h,
+                    volume24h: ticker.vol24h,
+                    analysis,
+                    score,
+                    rank: 0,
+                    marketRegime: this.marketRegime
+                });
+            }
+        
+            return analyzedCoins;
+        }
+
+        // دفتر الأوامر والصفقات والأطر الأخرى اختيارية (غير متوفرة في الاختبار الرجعي)
+        performTechnicalAnalysis(ticker, candles, { orderBook = null, trades = null, timeframes = null } = {}) {
+            const prices = candles.map(c => c.close);
+            const volumes = candles.map(c => c.volume);
+            const highs = candles.map(c => c.high);
+            const lows = candles.map(c => c.low);
+            const book = this.orderBookAnalyzer.analyze(orderBook, ticker);
+            const entryPoint = this.calculateAdaptiveEntryPoint(prices, volumes);
+        
+            return {
+                liquidityFlow: this.calculateLiquidityFlow(volumes.slice(0, 7)),
+                buyingPower: this.calculateBuyingPower(ticker, volumes, book),
+                orderBook: book,
+                tradeFlow: this.tradeFlowAnalyzer.analyze(trades),
+                accumulationDistribution: this.calculateAccumulationDistribution(prices.slice(0, 7), volumes.slice(0, 7)),
+                movingAverages: this.calculateMovingAverages(prices),
+                rsi: this.calculateRSI(prices),
+                macd: this.calculateMACD(prices),
+                moneyFlowIndex: this.calculateMFI(highs, lows, prices, volumes),
+                supportResistance: this.calculateSupportResistance(highs, lows),
+                entryPoint,
+                stopLoss: this.calculateAdaptiveStopLoss(prices, parseFloat(entryPoint.price)),
+                volatility: this.calculateVolatility(prices.slice(0, 7)),
+                trendStrength: this.calculateTrendStrength(prices),
+                volumeRatio: this.calculateVolumeRatio(volumes),
+                volumeAnomaly: this.volumeAnomaly.analyzeTimeframes(timeframes || { [CONFIG.TIMEFRAMES.PRIMARY]: candles }),
+                divergence: this.calculateDivergence(candles),
+                indicators: this.calculateExtendedIndicators(candles)
+            };
+        }
+
+        // آخر قيم المؤشرات الإضافية من مكتبة السلاسل، null حيث لا تكفي الشموع
+        calculateExtendedIndicators(candles) {
+            const settings = CONFIG.INDICATORS;
+            const closes = candles.map(c => c.close);
+            const { latest } = Indicators;
+        
+            const bollinger = Indicators.bollinger(closes, settings.BOLLINGER.period, settings.BOLLINGER.multiplier);
+            const atr = latest(Indicators.atr(candles, settings.ATR_PERIOD));
+            const stochRsi = Indicators.stochRsi(closes, settings.RSI_PERIOD, settings.STOCH_RSI.period,
+                settings.STOCH_RSI.k, settings.STOCH_RSI.d);
+            const obv = Indicators.obv(candles);
+            const adx = Indicators.adx(candles, settings.ADX_PERIOD);
+            const keltner = Indicators.keltner(candles, settings.KELTNER.period, settings.KELTNER.atrPeriod,
+                settings.KELTNER.multiplier);
+            const obvLookback = Math.min(obv.length - 1, settings.OBV_TREND_BARS);
+        
+            return {
+                bollinger: {
+                    upper: latest(bollinger.upper),
+                    middle: latest(bollinger.middle),
+                    lower: latest(bollinger.lower),
+                    bandwidth: latest(bollinger.bandwidth),
+                    percentB: latest(bollinger.percentB)
+                },
+                atr,
+                atrPercent: atr !== null && closes[0] > 0 ? atr / closes[0] * 100 : null,
+                stochRsi: { k: latest(stochRsi.k), d: latest(stochRsi.d) },
+                obv: {
+                    value: obv[0] ?? null,
+                    trend: obvLookback > 0 ? (obv[0] > obv[obvLookback] ? 'rising' : obv[0] < obv[obvLookback] ? 'falling' : 'flat') : 'flat'
+                },
+                vwap: latest(Indicators.vwap(candles, settings.VWAP_PERIOD)),
+                adx: { adx: latest(adx.adx), plusDI: latest(adx.plusDI), minusDI: latest(adx.minusDI) },
+                keltner: {
+                    upper: latest(keltner.upper),
+                    middle: latest(keltner.middle),
+                    lower: latest(keltner.lower)
+                }
+            };
+        }
+
+        // النقاط حسب جدول قواعد نظام السوق الحالي، مع حفظ تفصيل القواعد في analysis.scoreBreakdown
+        calculateAdaptiveScore(analysis, ticker) {
+            const breakdown = this.scoring.evaluate({
+                analysis,
+                ticker,
+                regime: this.marketRegime,
+                volatility: this.marketVolatility
+            });
+        
+            analysis.scoreBreakdown = breakdown;
+            return breakdown.score;
+        }
+
+        // خطر التلاعب بجانب نقاط الفرصة، ويُحفظ في analysis.manipulation
+        calculateManipulationRisk(analysis, ticker, candles) {
+            analysis.manipulation = this.manipulation.assess({ analysis, ticker, candles });
+            return analysis.manipulation;
+        }
+
+        // حجم آخر شمعة مقارنة بمتوسط الأيام السبعة السابقة
+        calculateVolumeRatio(volumes) {
+            const previous = volumes.slice(1, 8);
+            if (previous.length === 0) return 1;
+        
+            const avgVolume = previous.reduce((a, b) => a + b, 0) / previous.length;
+            return avgVolume > 0 ? volumes[0] / avgVolume : 1;
+        }
+
+        // الانحرافات بين قمم وقيعان السعر و RSI وهستوغرام MACD و OBV
+        calculateDivergence(candles) {
+            return this.divergence.detect(candles);
+        }
+
+        calculateTrendStrength(prices) {
+            if (prices.length < 10) return 0;
+        
+            let upDays = 0;
+            let downDays = 0;
+        
+            for (let i = 1; i < Math.min(prices.length, 10); i++) {
+                if (prices[i-1] > prices[i]) upDays++;
+                else if (prices[i-1] < prices[i]) downDays++;
+            }
+        
+            return upDays / (upDays + downDays);
+        }
+
+        calculateAdaptiveEntryPoint(prices, volumes) {
+            const currentPrice = prices[0];
+            const avgVolume = volumes.slice(0, 7).reduce((a, b) => a + b, 0) / 7;
+            const recentVolume = volumes[0];
+        
+            let entryMultiplier = 0.995; // افتراضي
+        
+            // تكييف نقطة الدخول حسب نظام السوق
+            switch (this.marketRegime) {
+                case 'bull':
+                    entryMultiplier = recentVolume > avgVolume * 1.2 ? 0.998 : 1.002; // دخول أسرع
+                    break;
+                case 'bear':
+                    entryMultiplier = 0.985; // انتظار هبوط أكبر
+                    break;
+                case 'sideways':
+                    entryMultiplier = recentVolume > avgVolume * 1.5 ? 0.992 : 0.988; // حذر متوسط
+                    break;
+                case 'volatile':
+                    entryMultiplier = 0.98; // انتظار ارتداد من الذيول الحادة
+                    break;
+            }
+        
+            // تعديل إضافي حسب التقلبات
+            if (this.marketVolatility === 'high') {
+                entryMultiplier *= 0.995; // حذر إضافي
+            }
+        
+            const entryPrice = currentPrice * entryMultiplier;
+        
+            return {
+                price: entryPrice.toFixed(6),
+                confidence: this.calculateEntryConfidence(recentVolume, avgVolume),
+                strategy: this.getEntryStrategy()
+            };
+        }
+
+        // الوقف محسوب من سعر الدخول الموصى به في نفس التحليل، والنسبة هي المخاطرة من الدخول
+        calculateAdaptiveStopLoss(prices, entryPrice) {
+            const recentLow = Math.min(...prices.slice(0, 7));
+        
+            // نسبة وقف الخسارة من إعدادات إدارة المخاطر لنظام السوق الحالي
+            const settings = this.risk.getSettings(this.marketRegime, this.marketVolatility);
+            const stopLoss = this.risk.calculateStopPrice(entryPrice, recentLow, settings);
+        
+            return {
+                price: stopLoss.toFixed(6),
+                percentage: (((entryPrice - stopLoss) / entryPrice) * 100).toFixed(2),
+                type: this.getStopLossType()
+            };
+        }
+
+        calculateEntryConfidence(recentVolume, avgVolume) {
+            const volumeRatio = recentVolume / avgVolume;
+        
+            if (this.marketRegime === 'bull' && volumeRatio > 1.5) return 'high';
+            if (this.marketRegime === 'bear' && volumeRatio > 2.0) return 'high';
+            if (this.marketRegime === 'sideways' && volumeRatio > 1.8) return 'high';
+            if (this.marketRegime === 'volatile' && volumeRatio > 2.5) return 'high';
+        
+            return volumeRatio > 1.2 ? 'medium' : 'low';
+        }
+
+        getEntryStrategy() {
+            const strategies = {
+                bull: 'دخول تدريجي مع الزخم',
+                bear: 'انتظار إشارات انعكاس قوية',
+                sideways: 'استغلال التذبذبات والدعوم',
+                volatile: 'دخول بأحجام صغيرة بعد هدوء الحركة'
+            };
+            return strategies[this.marketRegime];
+        }
+
+        getStopLossType() {
+            const types = {
+                bull: 'وقف خسارة متحرك',
+                bear: 'وقف خسارة ثابت ضيق',
+                sideways: 'وقف خسارة تحت الدعم',
+                volatile: 'وقف خسارة واسع حسب ATR'
+            };
+            return types[this.marketRegime];
+        }
+
+        // باقي الدوال الأساسية (بدون تغيير)
+        calculateLiquidityFlow(volumes) {
+            const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+            const recentVolume = volumes.slice(0, 3).reduce((a, b) => a + b, 0) / 3;
+        
+            return {
+                percentage: ((recentVolume / avgVolume - 1) * 100).toFixed(2),
+                trend: recentVolume > avgVolume ? 'increasing' : 'decreasing'
+            };
+        }
+
+        // من اختلال دفتر الأوامر إن توفر، وإلا تقدير من حجم التداول مقارنة بمتوسط الشموع
+        calculateBuyingPower(ticker, volumes, book = null) {
+            if (book) {
+                const threshold = CONFIG.ORDER_BOOK.IMBALANCE_THRESHOLD;
+                return {
+                    percentage: (book.imbalance * 100).toFixed(2),
+                    strength: book.imbalance >= threshold ? 'high' : book.imbalance > 0 ? 'medium' : 'low',
+                    source: 'orderbook'
+                };
+            }
+        
+            const totalVolume = ticker.vol24h;
+            const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+        
+            return {
+                percentage: ((totalVolume / avgVolume - 1) * 100).toFixed(2),
+                strength: totalVolume > avgVolume * 1.5 ? 'high' : totalVolume > avgVolume ? 'medium' : 'low',
+                source: 'volume'
+            };
+        }
+
+        calculateAccumulationDistribution(prices, volumes) {
+            let ad = 0;
+            for (let i = 1; i < prices.length; i++) {
+                const clv = ((prices[i] - prices[i-1]) / (prices[i] + prices[i-1])) * volumes[i];
+                ad += clv;
+            }
+        
+            return {
+                value: ad,
+                percentage: (ad / volumes.reduce((a, b) => a + b, 0) * 100).toFixed(2),
+                trend: ad > 0 ? 'accumulation' : 'distribution'
+            };
+        }
+
+        calculateMovingAverages(prices) {
+            const ma7 = this.simpleMovingAverage(prices, 7);
+            const ma25 = this.simpleMovingAverage(prices, 25);
+            const currentPrice = prices[0];
+        
+            return {
+                ma7: ma7.toFixed(6),
+                ma25: ma25.toFixed(6),
+                crossover: ma7 > ma25 ? 'bullish' : 'bearish',
+                priceAboveMA: currentPrice > ma7 && currentPrice > ma25,
+                signal: ma7 > ma25 && currentPrice > ma7 ? 'buy' : 'sell'
+            };
+        }
+
+        // RSI بتنعيم Wilder من مكتبة المؤشرات
+        calculateRSI(prices, period = CONFIG.INDICATORS.RSI_PERIOD) {
+            const rsi = Indicators.rsi(prices, period)[0];
+            if (rsi === null || rsi === undefined) return { value: 50, signal: 'neutral', trend: 'neutral' };
+        
+            return {
+                value: rsi.toFixed(2),
+                signal: rsi > 70 ? 'overbought' : rsi < 30 ? 'oversold' : 'neutral',
+                trend: rsi > 50 ? 'bullish' : 'bearish'
+            };
+        }
+
+        // MACD كامل: الخط وخط الإشارة والهستوغرام كسلاسل (الأحدث أولاً)
+        // مع آخر تقاطع بين الخط والإشارة وعمره بالشموع، وتحول زخم الهستوغرام
+        calculateMACD(prices, { fast, slow, signal: signalPeriod } = CONFIG.INDICATORS.MACD) {
+            const series = Indicators.macd(prices, fast, slow, signalPeriod);
+            // القيم الفارغة في نهاية السلاسل فقط (الأقدم)، لذلك تبقى الفهارس بعد حذفها
+            const macdSeries = series.macd.filter(value => value !== null);
+            const signalSeries = series.signal.filter(value => value !== null);
+            const histogram = series.histogram.filter(value => value !== null);
+        
+            if (macdSeries.length === 0) {
+                return {
+                    value: (0).toFixed(6),
+                    signalLine: null,
+                    histogram: null,
+                    series,
+                    signal: 'neutral',
+                    position: 'below_zero',
+                    trend: 'neutral',
+                    crossover: { type: null, barsAgo: null },
+                    momentum: 'neutral',
+                    momentumShift: null
+                };
+            }
+        
+            const macdLine = macdSeries[0];
+            const hasSignal = histogram.length > 0;
+        
+            return {
+                value: macdLine.toFixed(6),
+                signalLine: hasSignal ? signalSeries[0] : null,
+                histogram: hasSignal ? histogram[0] : null,
+                series,
+                // فوق خط الإشارة = صاعد، وقبل توفر خط الإشارة يُستخدم موضع الخط من الصفر
+                signal: (hasSignal ? histogram[0] > 0 : macdLine > 0) ? 'bullish' : 'bearish',
+                position: macdLine > 0 ? 'above_zero' : 'below_zero',
+                trend: macdLine > 0 ? 'uptrend' : 'downtrend',
+                crossover: this.findMACDCrossover(histogram),
+                momentum: histogram.length >= 2 ? (histogram[0] > histogram[1] ? 'rising' : 'falling') : 'neutral',
+                momentumShift: this.findMomentumShift(histogram)
+            };
+        }
+
+        // آخر تغير في إشارة الهستوغرام = تقاطع الخط مع خط الإشارة
+        findMACDCrossover(histogram) {
+            for (let i = 0; i < histogram.length - 1; i++) {
+                if ((histogram[i] > 0) !== (histogram[i + 1] > 0)) {
+                    return { type: histogram[i] > 0 ? 'bullish' : 'bearish', barsAgo: i };
+                }
+            }
+            return { type: null, barsAgo: null };
+        }
+
+        // انعكاس اتجاه الهستوغرام في آخر شمعة (قاع أو قمة محلية)
+        findMomentumShift(histogram) {
+            if (histogram.length < 3) return null;
+            const [current, previous, before] = histogram;
+            if (current > previous && previous <= before) return 'bullish';
+            if (current < previous && previous >= before) return 'bearish';
+            return null;
+        }
+
+        calculateMFI(highs, lows, closes, volumes, period = 14) {
+            const candles = closes.map((close, i) => ({ high: highs[i], low: lows[i], close, volume: volumes[i] }));
+            const mfi = Indicators.mfi(candles, period)[0];
+            if (mfi === null || mfi === undefined) return { value: 50, signal: 'neutral', flow: 'neutral' };
+        
+            return {
+                value: mfi.toFixed(2),
+                signal: mfi > 80 ? 'overbought' : mfi < 20 ? 'oversold' : 'neutral',
+                flow: mfi > 50 ? 'positive' : mfi < 50 ? 'negative' : 'neutral'
+            };
+        }
+
+        calculateSupportResistance(highs, lows) {
+            const sortedHighs = [...highs].sort((a, b) => b - a);
+            const sortedLows = [...lows].sort((a, b) => a - b);
+        
+            return {
+                resistance1: sortedHighs[0],
+                resistance2: sortedHighs[1],
+                support1: sortedLows[0],
+                support2: sortedLows[1]
+            };
+        }
+
+        // آخر قيمة من سلسلة المكتبة، وأحدث سعر عند نقص البيانات
+        simpleMovingAverage(prices, period) {
+            const value = Indicators.sma(prices, period)[0];
+            return value === null || value === undefined ? prices[0] : value;
+        }
+
+        exponentialMovingAverage(prices, period) {
+            const value = Indicators.ema(prices, period)[0];
+            return value === null || value === undefined ? prices[0] : value;
+        }
+    }
+
+    if (isNode) {
+        module.exports = { AnalysisEngine };
+    } else {
+        root.AnalysisEngine = AnalysisEngine;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
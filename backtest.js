@@ -0,0 +1,366 @@
+// الاختبار الرجعي: إعادة تشغيل تاريخ الشموع يوماً بيوم عبر محرك التحليل
+// وفتح صفقات افتراضية عند نقطة الدخول المقترحة مع وقف الخسارة وأهداف المقاومة
+//
+// الاستخدام في Node:
+//   node backtest.js --data history --min-score 80 --hold 14 --out report.json
+// حيث يحتوي مجلد history على ملف لكل عملة باسمها (BTC-USDT.json أو BTC-USDT.csv)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { AnalysisEngine } = isNode ? require('./analysis.js') : root;
+
+    class BacktestEngine {
+        constructor({ engine, ...options } = {}) {
+            this.options = {
+                lookback: CONFIG.BACKTEST.LOOKBACK,
+                minScore: CONFIG.BACKTEST.MIN_SCORE,
+                entryExpiryBars: CONFIG.BACKTEST.ENTRY_EXPIRY_BARS,
+                maxHoldingBars: CONFIG.BACKTEST.MAX_HOLDING_BARS,
+                positionFraction: CONFIG.BACKTEST.POSITION_FRACTION,
+                ...options
+            };
+            this.engine = engine || new AnalysisEngine();
+        }
+
+        // history: { 'BTC-USDT': [candle, ...] } بأي ترتيب زمني
+        run(history) {
+            const series = {};
+            Object.entries(history).forEach(([instId, candles]) => {
+                series[instId] = [...candles].sort((a, b) => a.time - b.time);
+            });
+
+            const times = [...new Set(Object.values(series).flat().map(c => c.time))].sort((a, b) => a - b);
+            const cursors = {};
+            const trades = [];
+            const active = {};
+            const regimeTimeline = [];
+
+            times.forEach(time => {
+                const bars = {};
+                Object.entries(series).forEach(([instId, candles]) => {
+                    let cursor = cursors[instId] === undefined ? -1 : cursors[instId];
+                    while (cursor + 1 < candles.length && candles[cursor + 1].time <= time) cursor++;
+                    cursors[instId] = cursor;
+                    if (cursor >= 0 && candles[cursor].time === time) {
+                        bars[instId] = candles[cursor];
+                    }
+                });
+
+                // تحديث الصفقات القائمة بشمعة اليوم قبل توليد إشارات جديدة
+                Object.entries(bars).forEach(([instId, bar]) => {
+                    const trade = active[instId];
+                    if (!trade) return;
+                    this.updateTrade(trade, bar);
+                    if (trade.status === 'closed' || trade.status === 'expired') {
+                        delete active[instId];
+                    }
+                });
+
+                // بناء نافذة التحليل لكل عملة (الأحدث أولاً كما في البيانات الحية)
+                const tickers = [];
+                const candleData = [];
+                Object.entries(bars).forEach(([instId, bar]) => {
+                    const cursor = cursors[instId];
+                    if (cursor + 1 < this.options.lookback) return;
+
+                    const window = series[instId].slice(cursor + 1 - this.options.lookback, cursor + 1).reverse();
+                    tickers.push(this.buildTicker(instId, bar));
+                    candleData.push({ symbol: instId, candles: window });
+                });
+
+                if (tickers.length === 0) return;
+
+                tickers.sort((a, b) => b.volCcy24h - a.volCcy24h);
+                const { regime, volatility } = this.engine.detectMarketRegime(tickers, candleData, { time });
+                regimeTimeline.push({ time, regime, volatility });
+
+                tickers.forEach(ticker => {
+                    if (active[ticker.instId]) return;
+
+                    const candles = candleData.find(c => c.symbol === ticker.instId).candles;
+                    if (candles.length < 20) return;
+
+                    const analysis = this.engine.performTechnicalAnalysis(ticker, candles);
+                    const score = this.engine.calculateAdaptiveScore(analysis, ticker);
+                    if (!(score >= this.options.minScore)) return;
+                    if (this.engine.calculateManipulationRisk(analysis, ticker, candles).suppress) return;
+
+                    const trade = this.createTrade(ticker, analysis, score, regime, time);
+                    trades.push(trade);
+                    active[ticker.instId] = trade;
+                });
+            });
+
+            // إغلاق ما تبقى مفتوحاً عند آخر سعر متاح
+            Object.entries(active).forEach(([instId, trade]) => {
+                const candles = series[instId];
+                const last = candles[candles.length - 1];
+                if (trade.status === 'open') {
+                    this.closeTrade(trade, last.close, last.time, 'end');
+                } else {
+                    trade.status = 'expired';
+                }
+            });
+
+            return {
+                options: { ...this.options },
+                period: { from: times[0], to: times[times.length - 1], bars: times.length },
+                trades,
+                regimeTimeline,
+                summary: this.summarize(trades),
+                byRegime: this.summarizeByRegime(trades)
+            };
+        }
+
+        buildTicker(instId, bar) {
+            return {
+                instId,
+                symbol: instId.split('-')[0],
+                last: bar.close,
+                open24h: bar.open,
+                high24h: bar.high,
+                low24h: bar.low,
+                change24h: bar.open > 0 ? ((bar.close - bar.open) / bar.open) * 100 : 0,
+                vol24h: bar.volume,
+                volCcy24h: bar.volume * bar.close,
+                exchange: 'backtest'
+            };
+        }
+
+        createTrade(ticker, analysis, score, regime, time) {
+            const entry = parseFloat(analysis.entryPoint.price);
+            const { resistance1, resistance2 } = analysis.supportResistance;
+
+            // أول مقاومة فوق سعر الدخول هي الهدف، وإلا يُغلق بالوقف أو بانتهاء المدة
+            const target = [resistance1, resistance2].find(level => level > entry) || null;
+
+            return {
+                instId: ticker.instId,
+                regime,
+                score,
+                signalTime: time,
+                entry,
+                stop: parseFloat(analysis.stopLoss.price),
+                target,
+                status: 'pending',
+                barsWaiting: 0,
+                barsHeld: 0,
+                openTime: null,
+                closeTime: null,
+                exitPrice: null,
+                exitReason: null,
+                returnPct: null
+            };
+        }
+
+        updateTrade(trade, bar) {
+            if (trade.status === 'pending') {
+                trade.barsWaiting++;
+                if (bar.low <= trade.entry) {
+                    trade.status = 'open';
+                    trade.entry = Math.min(trade.entry, bar.open);
+                    trade.openTime = bar.time;
+
+                    // في شمعة التنفيذ نفترض الأسوأ: فحص الوقف فقط
+                    if (bar.low <= trade.stop) {
+                        this.closeTrade(trade, trade.stop, bar.time, 'stop');
+                    }
+                } else if (trade.barsWaiting >= this.options.entryExpiryBars) {
+                    trade.status = 'expired';
+                }
+                return;
+            }
+
+            trade.barsHeld++;
+
+            if (bar.open <= trade.stop) {
+                this.closeTrade(trade, bar.open, bar.time, 'stop');
+            } else if (bar.low <= trade.stop) {
+                // إذا لمست الشمعة الوقف والهدف معاً نفترض الوقف أولاً
+                this.closeTrade(trade, trade.stop, bar.time, 'stop');
+            } else if (trade.target && bar.high >= trade.target) {
+                this.closeTrade(trade, Math.max(trade.target, bar.open), bar.time, 'target');
+            } else if (trade.barsHeld >= this.options.maxHoldingBars) {
+                this.closeTrade(trade, bar.close, bar.time, 'time');
+            }
+        }
+
+        closeTrade(trade, price, time, reason) {
+            trade.status = 'closed';
+            trade.exitPrice = price;
+            trade.closeTime = time;
+            trade.exitReason = reason;
+            trade.returnPct = ((price - trade.entry) / trade.entry) * 100;
+        }
+
+        summarize(trades) {
+            const closed = trades
+                .filter(trade => trade.status === 'closed')
+                .sort((a, b) => a.closeTime - b.closeTime);
+            const wins = closed.filter(trade => trade.returnPct > 0);
+
+            let equity = 1;
+            let peak = 1;
+            let maxDrawdown = 0;
+            closed.forEach(trade => {
+                equity *= 1 + this.options.positionFraction * trade.returnPct / 100;
+                peak = Math.max(peak, equity);
+                maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+            });
+
+            return {
+                signals: trades.length,
+                trades: closed.length,
+                expired: trades.filter(trade => trade.status === 'expired').length,
+                hitRate: closed.length ? wins.length / closed.length * 100 : 0,
+                avgReturn: closed.length ? closed.reduce((sum, trade) => sum + trade.returnPct, 0) / closed.length : 0,
+                targetHits: closed.filter(trade => trade.exitReason === 'target').length,
+                stopHits: closed.filter(trade => trade.exitReason === 'stop').length,
+                totalReturn: (equity - 1) * 100,
+                maxDrawdown
+            };
+        }
+
+        summarizeByRegime(trades) {
+            const groups = {};
+            trades.forEach(trade => {
+                (groups[trade.regime] = groups[trade.regime] || []).push(trade);
+            });
+
+            const result = {};
+            Object.entries(groups).forEach(([regime, regimeTrades]) => {
+                result[regime] = this.summarize(regimeTrades);
+            });
+            return result;
+        }
+    }
+
+    // تحميل ملفات الشموع من مجلد (Node فقط): JSON بالنموذج الموحد أو بصيغة مصفوفات OKX، أو CSV
+    const loadCandleHistory = (dir = CONFIG.BACKTEST.DATA_DIR) => {
+        const fs = require('fs');
+        const path = require('path');
+        const history = {};
+
+        fs.readdirSync(dir).forEach(file => {
+            const ext = path.extname(file).toLowerCase();
+            if (ext !== '.json' && ext !== '.csv') return;
+
+            const instId = path.basename(file, ext).toUpperCase();
+            const content = fs.readFileSync(path.join(dir, file), 'utf8');
+            const candles = ext === '.json' ? parseJsonCandles(content) : parseCsvCandles(content);
+            if (candles.length > 0) {
+                history[instId] = candles;
+            }
+        });
+
+        return history;
+    };
+
+    const toCandle = (time, open, high, low, close, volume) => ({
+        time: typeof time === 'number' ? time : (isNaN(time) ? Date.parse(time) : parseInt(time)),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: parseFloat(volume)
+    });
+
+    const parseJsonCandles = (content) => {
+        const data = JSON.parse(content);
+        const rows = Array.isArray(data) ? data : data.candles || data.data || [];
+
+        return rows.map(row => Array.isArray(row)
+            ? toCandle(row[0], row[1], row[2], row[3], row[4], row[5])
+            : toCandle(row.time ?? row.ts ?? row.timestamp, row.open, row.high, row.low, row.close, row.volume));
+    };
+
+    const parseCsvCandles = (content) => {
+        const [header, ...rows] = content.trim().split(/\r?\n/);
+        const columns = header.toLowerCase().split(',').map(col => col.trim());
+        const index = name => columns.findIndex(col => col === name);
+        const timeIndex = [index('time'), index('ts'), index('timestamp'), index('date')].find(i => i >= 0);
+
+        return rows
+            .filter(row => row.trim())
+            .map(row => {
+                const values = row.split(',').map(value => value.trim());
+                return toCandle(
+                    values[timeIndex ?? 0],
+                    values[index('open')],
+                    values[index('high')],
+                    values[index('low')],
+                    values[index('close')],
+                    values[index('volume')]
+                );
+            });
+    };
+
+    const formatBacktestReport = (report) => {
+        const pct = value => `${value.toFixed(2)}%`;
+        const lines = [];
+        const { summary } = report;
+        const date = time => new Date(time).toISOString().split('T')[0];
+
+        lines.push(`الفترة: ${date(report.period.from)} → ${date(report.period.to)} (${report.period.bars} شمعة)`);
+        lines.push(`الإشارات: ${summary.signals} | الصفقات المنفذة: ${summary.trades} | أوامر منتهية: ${summary.expired}`);
+        lines.push(`نسبة النجاح: ${pct(summary.hitRate)} | متوسط العائد: ${pct(summary.avgReturn)}`);
+        lines.push(`الأهداف المحققة: ${summary.targetHits} | وقف الخسارة: ${summary.stopHits}`);
+        lines.push(`العائد الإجمالي: ${pct(summary.totalReturn)} | أقصى تراجع: ${pct(summary.maxDrawdown)}`);
+        lines.push('');
+        lines.push('حسب نظام السوق:');
+        Object.entries(report.byRegime).forEach(([regime, stats]) => {
+            lines.push(`  ${regime}: ${stats.trades} صفقة | نجاح ${pct(stats.hitRate)} | متوسط ${pct(stats.avgReturn)} | تراجع ${pct(stats.maxDrawdown)}`);
+        });
+
+        return lines.join('\n');
+    };
+
+    const parseArgs = (argv) => {
+        const args = {};
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i].startsWith('--')) {
+                const key = argv[i].slice(2);
+                const next = argv[i + 1];
+                args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+            }
+        }
+        return args;
+    };
+
+    const exported = {
+        BacktestEngine,
+        loadCandleHistory,
+        parseJsonCandles,
+        parseCsvCandles,
+        formatBacktestReport
+    };
+
+    if (isNode) {
+        module.exports = exported;
+
+        if (require.main === module) {
+            const args = parseArgs(process.argv.slice(2));
+            const options = {};
+            if (args['min-score']) options.minScore = parseFloat(args['min-score']);
+            if (args.lookback) options.lookback = parseInt(args.lookback);
+            if (args.hold) options.maxHoldingBars = parseInt(args.hold);
+            if (args.expiry) options.entryExpiryBars = parseInt(args.expiry);
+
+            try {
+                const history = loadCandleHistory(args.data || CONFIG.BACKTEST.DATA_DIR);
+                const report = new BacktestEngine(options).run(history);
+                console.log(formatBacktestReport(report));
+
+                if (args.out) {
+                    require('fs').writeFileSync(args.out, JSON.stringify(report, null, 2));
+                    console.log(`\nتم حفظ التقرير في ${args.out}`);
+                }
+            } catch (error) {
+                console.error('خطأ في الاختبار الرجعي:', error.message);
+                process.exitCode = 1;
+            }
+        }
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
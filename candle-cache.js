@@ -0,0 +1,144 @@
+// مخزن الشموع التراكمي: سجل لكل منصة وعملة وإطار زمني (IndexedDB في المتصفح، ملف JSON في Node)
+// التحديث يجلب فقط الشموع الجديدة مع آخر شمعة مخزنة (قد تكون ما زالت مفتوحة)، وتعميق السجل يتم عند الطلب
+// عبر fetchHistoryCandles. آخر قائمة أسعار تُحفظ أيضاً حتى يعمل التحليل من المخزن فور فتح الصفحة
+// السجل: { key, exchange, instId, bar, candles (الأحدث أولاً), exhausted, updatedAt }
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { createStore } = isNode ? require('./storage.js') : root;
+
+    const BAR_MS = {
+        '15m': 900000,
+        '1H': 3600000,
+        '4H': 14400000,
+        '1D': 86400000
+    };
+
+    // دمج شموع جديدة فوق المخزنة: الأحدث يستبدل نفس الوقت، ومع وجود فجوة بينهما تُستبدل المخزنة كلياً
+    const mergeCandles = (cached, fetched) => {
+        if (fetched.length === 0) return cached;
+        if (cached.length === 0 || fetched[fetched.length - 1].time > cached[0].time) {
+            return fetched.slice();
+        }
+        const oldest = fetched[fetched.length - 1].time;
+        return fetched.concat(cached.filter(candle => candle.time < oldest));
+    };
+
+    class CandleCache {
+        constructor({ exchange, store, settings = CONFIG.CANDLE_CACHE } = {}) {
+            this.exchange = exchange;
+            this.settings = settings;
+            this.store = store || createStore('candles', { directory: settings.DIRECTORY });
+            this.entries = new Map();
+        }
+
+        keyOf(instId, bar) {
+            return `${this.exchange.name}:${instId}:${bar}`;
+        }
+
+        async load(instId, bar) {
+            const key = this.keyOf(instId, bar);
+            if (!this.entries.has(key)) {
+                const saved = await this.store.get(key);
+                this.entries.set(key, saved || { key, exchange: this.exchange.name, instId, bar, candles: [], exhausted: false, updatedAt: null });
+            }
+            return this.entries.get(key);
+        }
+
+        async save(entry, candles, exhausted) {
+            const trimmed = candles.slice(0, this.settings.MAX_CANDLES);
+            entry.candles = trimmed;
+            entry.exhausted = exhausted && trimmed.length === candles.length;
+            entry.updatedAt = Date.now();
+            await this.store.put(entry);
+        }
+
+        // الشموع المخزنة فقط بدون أي طلب
+        async getCached(instId, bar) {
+            return (await this.load(instId, bar)).candles;
+        }
+
+        // نفس واجهة محول المنصة: آخر limit شمعة، من المخزن مع جلب الناقص فقط
+        async fetchCandles(instId, { bar = '1D', limit = 30, now = Date.now() } = {}) {
+            const entry = await this.load(instId, bar);
+            const cached = entry.candles;
+            const barMs = BAR_MS[bar] || (cached.length > 1 ? cached[0].time - cached[1].time : null);
+
+            // الشموع الأحدث من آخر شمعة مخزنة، زائد آخر شمعة نفسها لتحديثها
+            const needed = cached.length > 0 && barMs ? Math.floor((now - cached[0].time) / barMs) + 1 : Infinity;
+            const requested = Math.min(needed, limit);
+            const fetched = await this.exchange.fetchCandles(instId, { bar, limit: requested });
+
+            // استجابة أقصر من المطلوب لطلب كامل أو بعد فجوة تعني أن المنصة لا تملك شموعاً أقدم
+            const replaced = cached.length === 0 || (fetched.length > 0 && fetched[fetched.length - 1].time > cached[0].time);
+            const exhausted = fetched.length < requested && (replaced || requested === limit)
+                ? true
+                : (replaced ? false : entry.exhausted);
+            await this.save(entry, mergeCandles(cached, fetched), exhausted);
+
+            if (entry.candles.length < limit && !entry.exhausted) {
+                await this.backfill(instId, bar, limit - entry.candles.length);
+            }
+            return entry.candles.slice(0, limit);
+        }
+
+        // تعميق السجل بعدد count من الشموع الأقدم من أقدم شمعة مخزنة
+        async backfill(instId, bar, count) {
+            const entry = await this.load(instId, bar);
+            let candles = entry.candles;
+            let exhausted = entry.exhausted;
+            let remaining = count;
+
+            while (remaining > 0 && !exhausted && candles.length > 0) {
+                const size = Math.min(remaining, this.settings.HISTORY_PAGE);
+                const older = await this.exchange.fetchHistoryCandles(instId, {
+                    bar,
+                    before: candles[candles.length - 1].time,
+                    limit: size
+                });
+                candles = candles.concat(older);
+                remaining -= older.length;
+                exhausted = older.length < size;
+            }
+
+            await this.save(entry, candles, exhausted);
+            return entry.candles;
+        }
+
+        async saveTickers(tickers) {
+            await this.store.put({ key: `${this.exchange.name}:tickers`, tickers, updatedAt: Date.now() });
+        }
+
+        // آخر قائمة أسعار محفوظة: { tickers, updatedAt } أو null
+        async loadTickers() {
+            const saved = await this.store.get(`${this.exchange.name}:tickers`);
+            return saved ? { tickers: saved.tickers, updatedAt: saved.updatedAt } : null;
+        }
+
+        // بيانات الشموع بنفس شكل fetchCandleData في الماسح، من المخزن فقط
+        async cachedCandleData(tickers, bars, primary) {
+            return Promise.all(tickers.map(async (ticker) => {
+                const timeframes = {};
+                await Promise.all(bars.map(async (bar) => {
+                    timeframes[bar] = await this.getCached(ticker.instId, bar);
+                }));
+                return {
+                    symbol: ticker.instId,
+                    candles: timeframes[primary] || [],
+                    timeframes,
+                    orderBook: null,
+                    trades: null,
+                    errors: []
+                };
+            }));
+        }
+    }
+
+    const exported = { CandleCache, mergeCandles, BAR_MS };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,387 @@
+// رسم الشموع اليابانية على canvas: الحجم، المتوسطات MA7/MA25، مستويات الدعم والمقاومة،
+// خطوط الدخول ووقف الخسارة، ولوحتا RSI و MACD، مع التكبير بعجلة الفأرة والسحب والمؤشر المتقاطع
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+
+    const COLORS = {
+        up: '#00ff88',
+        down: '#ff4757',
+        grid: 'rgba(255, 255, 255, 0.08)',
+        text: 'rgba(255, 255, 255, 0.75)',
+        crosshair: 'rgba(255, 255, 255, 0.4)',
+        ma7: '#ffa502',
+        ma25: '#a55eea',
+        bollinger: 'rgba(0, 212, 255, 0.35)',
+        vwap: '#eccc68',
+        rsi: '#00d4ff',
+        macd: '#00d4ff',
+        macdSignal: '#ffa502'
+    };
+
+    // نسب ارتفاع اللوحات من ارتفاع الرسم
+    const PANES = [
+        { key: 'price', ratio: 0.6 },
+        { key: 'rsi', ratio: 0.2 },
+        { key: 'macd', ratio: 0.2 }
+    ];
+
+    const PRICE_AXIS_WIDTH = 70;
+    const MIN_VISIBLE_BARS = 10;
+
+    // سلاسل المؤشرات من مكتبة المؤشرات بنفس إعدادات محرك التحليل
+    // تُقلب إلى الترتيب الزمني (الأقدم أولاً) لتطابق ترتيب الرسم
+    const buildIndicatorSeries = (candles) => {
+        const settings = CONFIG.INDICATORS;
+        const prices = candles.map(candle => candle.close);
+        const macd = Indicators.macd(prices, settings.MACD.fast, settings.MACD.slow, settings.MACD.signal);
+        const bollinger = Indicators.bollinger(prices, settings.BOLLINGER.period, settings.BOLLINGER.multiplier);
+        const chronological = values => values.slice().reverse();
+
+        return {
+            ma7: chronological(Indicators.sma(prices, 7)),
+            ma25: chronological(Indicators.sma(prices, 25)),
+            bollingerUpper: chronological(bollinger.upper),
+            bollingerLower: chronological(bollinger.lower),
+            vwap: chronological(Indicators.vwap(candles, settings.VWAP_PERIOD)),
+            rsi: chronological(Indicators.rsi(prices, settings.RSI_PERIOD)),
+            macd: chronological(macd.macd),
+            macdSignal: chronological(macd.signal),
+            macdHistogram: chronological(macd.histogram)
+        };
+    };
+
+    class CandlestickChart {
+        // candles بالنموذج الموحد (الأحدث أولاً)، levels: [{ price, label, color, dashed, fit }]
+        constructor(canvas, { candles = [], levels = [] } = {}) {
+            this.canvas = canvas;
+            this.ctx = canvas.getContext('2d');
+            this.levels = levels;
+            this.hover = null;
+            this.drag = null;
+
+            this.handlers = {
+                wheel: event => this.handleWheel(event),
+                mousedown: event => this.handleMouseDown(event),
+                mousemove: event => this.handleMouseMove(event),
+                mouseup: () => { this.drag = null; },
+                mouseleave: () => { this.hover = null; this.drag = null; this.draw(); },
+                resize: () => this.draw()
+            };
+            canvas.addEventListener('wheel', this.handlers.wheel, { passive: false });
+            canvas.addEventListener('mousedown', this.handlers.mousedown);
+            canvas.addEventListener('mousemove', this.handlers.mousemove);
+            canvas.addEventListener('mouseleave', this.handlers.mouseleave);
+            root.addEventListener('mouseup', this.handlers.mouseup);
+            root.addEventListener('resize', this.handlers.resize);
+
+            this.setCandles(candles);
+        }
+
+        setCandles(candles) {
+            this.candles = candles.slice().reverse();
+            this.series = buildIndicatorSeries(candles);
+            this.visibleBars = Math.min(this.candles.length, 60);
+            this.offset = 0;
+            this.draw();
+        }
+
+        destroy() {
+            this.canvas.removeEventListener('wheel', this.handlers.wheel);
+            this.canvas.removeEventListener('mousedown', this.handlers.mousedown);
+            this.canvas.removeEventListener('mousemove', this.handlers.mousemove);
+            this.canvas.removeEventListener('mouseleave', this.handlers.mouseleave);
+            root.removeEventListener('mouseup', this.handlers.mouseup);
+            root.removeEventListener('resize', this.handlers.resize);
+        }
+
+        // نطاق الشموع الظاهرة [start, end)، offset عدد الشموع المخفية من اليمين
+        getRange() {
+            const end = this.candles.length - this.offset;
+            return { start: Math.max(0, end - this.visibleBars), end };
+        }
+
+        handleWheel(event) {
+            event.preventDefault();
+            const step = Math.max(1, Math.round(this.visibleBars * 0.1));
+            this.visibleBars = Math.min(
+                this.candles.length,
+                Math.max(MIN_VISIBLE_BARS, this.visibleBars + (event.deltaY > 0 ? step : -step))
+            );
+            this.offset = Math.min(this.offset, this.candles.length - this.visibleBars);
+            this.draw();
+        }
+
+        handleMouseDown(event) {
+            this.drag = { x: event.offsetX, offset: this.offset };
+        }
+
+        handleMouseMove(event) {
+            this.hover = { x: event.offsetX, y: event.offsetY };
+
+            if (this.drag) {
+                const barWidth = (this.width - PRICE_AXIS_WIDTH) / this.visibleBars;
+                const shift = Math.round((event.offsetX - this.drag.x) / barWidth);
+                this.offset = Math.min(
+                    this.candles.length - this.visibleBars,
+                    Math.max(0, this.drag.offset + shift)
+                );
+            }
+            this.draw();
+        }
+
+        // ضبط أبعاد canvas حسب حجم العرض وكثافة البكسل
+        resize() {
+            const ratio = root.devicePixelRatio || 1;
+            this.width = this.canvas.clientWidth;
+            this.height = this.canvas.clientHeight;
+            this.canvas.width = this.width * ratio;
+            this.canvas.height = this.height * ratio;
+            this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        }
+
+        layoutPanes() {
+            let top = 0;
+            return PANES.reduce((panes, pane) => {
+                const height = this.height * pane.ratio;
+                panes[pane.key] = { top: top + 6, height: height - 12 };
+                top += height;
+                return panes;
+            }, {});
+        }
+
+        draw() {
+            if (!this.candles || this.candles.length === 0) return;
+
+            this.resize();
+            const ctx = this.ctx;
+            ctx.clearRect(0, 0, this.width, this.height);
+            ctx.font = '11px sans-serif';
+
+            const { start, end } = this.getRange();
+            const panes = this.layoutPanes();
+            const plotWidth = this.width - PRICE_AXIS_WIDTH;
+            const barWidth = plotWidth / (end - start);
+            const xOf = index => (index - start + 0.5) * barWidth;
+
+            this.drawPricePane(panes.price, start, end, xOf, barWidth);
+            this.drawLinePane(panes.rsi, this.series.rsi, start, end, xOf, {
+                label: 'RSI',
+                color: COLORS.rsi,
+                min: 0,
+                max: 100,
+                guides: [30, 70]
+            });
+            this.drawLinePane(panes.macd, this.series.macd, start, end, xOf, {
+                label: 'MACD',
+                color: COLORS.macd,
+                guides: [0],
+                extra: [...this.series.macdSignal, ...this.series.macdHistogram].slice(start, end),
+                before: (pane, y) => this.drawHistogram(this.series.macdHistogram, start, end, xOf, y, barWidth),
+                after: (pane, y) => this.drawSeries(this.series.macdSignal, start, end, xOf, y, COLORS.macdSignal)
+            });
+            this.drawCrosshair(panes, start, end, barWidth);
+        }
+
+        // تحويل السعر إلى إحداثي رأسي داخل اللوحة
+        scale(pane, min, max) {
+            const range = max - min || 1;
+            return value => pane.top + pane.height - ((value - min) / range) * pane.height;
+        }
+
+        drawPricePane(pane, start, end, xOf, barWidth) {
+            const ctx = this.ctx;
+            const visible = this.candles.slice(start, end);
+
+            let min = Math.min(...visible.map(candle => candle.low));
+            let max = Math.max(...visible.map(candle => candle.high));
+            this.levels.filter(level => level.fit).forEach(level => {
+                min = Math.min(min, level.price);
+                max = Math.max(max, level.price);
+            });
+            const padding = (max - min) * 0.05;
+            min -= padding;
+            max += padding;
+            const y = this.scale(pane, min, max);
+            pane.scale = y;
+            pane.min = min;
+            pane.max = max;
+
+            this.drawGrid(pane, min, max, y, value => value.toPrecision(6));
+
+            // الحجم في الخمس السفلي من لوحة السعر
+            const maxVolume = Math.max(...visible.map(candle => candle.volume)) || 1;
+            const volumeHeight = pane.height * 0.2;
+            visible.forEach((candle, i) => {
+                const height = (candle.volume / maxVolume) * volumeHeight;
+                ctx.fillStyle = candle.close >= candle.open ? 'rgba(0, 255, 136, 0.2)' : 'rgba(255, 71, 87, 0.2)';
+                ctx.fillRect(xOf(start + i) - barWidth * 0.35, pane.top + pane.height - height, barWidth * 0.7, height);
+            });
+
+            visible.forEach((candle, i) => {
+                const x = xOf(start + i);
+                const color = candle.close >= candle.open ? COLORS.up : COLORS.down;
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(x, y(candle.high));
+                ctx.lineTo(x, y(candle.low));
+                ctx.stroke();
+
+                const bodyTop = y(Math.max(candle.open, candle.close));
+                const bodyHeight = Math.max(1, Math.abs(y(candle.open) - y(candle.close)));
+                ctx.fillRect(x - barWidth * 0.35, bodyTop, barWidth * 0.7, bodyHeight);
+            });
+
+            this.drawSeries(this.series.bollingerUpper, start, end, xOf, y, COLORS.bollinger);
+            this.drawSeries(this.series.bollingerLower, start, end, xOf, y, COLORS.bollinger);
+            this.drawSeries(this.series.vwap, start, end, xOf, y, COLORS.vwap);
+            this.drawSeries(this.series.ma7, start, end, xOf, y, COLORS.ma7);
+            this.drawSeries(this.series.ma25, start, end, xOf, y, COLORS.ma25);
+
+            this.levels.forEach(level => {
+                if (level.price < min || level.price > max) return;
+                ctx.strokeStyle = level.color;
+                ctx.setLineDash(level.dashed ? [6, 4] : []);
+                ctx.beginPath();
+                ctx.moveTo(0, y(level.price));
+                ctx.lineTo(this.width - PRICE_AXIS_WIDTH, y(level.price));
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = level.color;
+                ctx.fillText(level.label, 4, y(level.price) - 3);
+            });
+
+            ctx.fillStyle = COLORS.ma7;
+            ctx.fillText('MA7', 4, pane.top + 10);
+            ctx.fillStyle = COLORS.ma25;
+            ctx.fillText('MA25', 36, pane.top + 10);
+            ctx.fillStyle = COLORS.bollinger;
+            ctx.fillText('BB', 76, pane.top + 10);
+            ctx.fillStyle = COLORS.vwap;
+            ctx.fillText('VWAP', 96, pane.top + 10);
+        }
+
+        drawLinePane(pane, values, start, end, xOf, { label, color, min, max, guides = [], extra = [], before, after }) {
+            const visible = values.slice(start, end).concat(extra).filter(value => value !== null);
+            const low = min !== undefined ? min : Math.min(...visible, ...guides);
+            const high = max !== undefined ? max : Math.max(...visible, ...guides);
+            const y = this.scale(pane, low, high);
+            pane.scale = y;
+            pane.min = low;
+            pane.max = high;
+
+            this.drawGrid(pane, low, high, y, value => value.toFixed(high - low < 1 ? 6 : 2));
+
+            const ctx = this.ctx;
+            ctx.strokeStyle = COLORS.crosshair;
+            ctx.setLineDash([3, 3]);
+            guides.forEach(guide => {
+                ctx.beginPath();
+                ctx.moveTo(0, y(guide));
+                ctx.lineTo(this.width - PRICE_AXIS_WIDTH, y(guide));
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+
+            if (before) before(pane, y);
+            this.drawSeries(values, start, end, xOf, y, color);
+            if (after) after(pane, y);
+            ctx.fillStyle = color;
+            ctx.fillText(label, 4, pane.top + 10);
+        }
+
+        drawHistogram(values, start, end, xOf, y, barWidth) {
+            const ctx = this.ctx;
+            for (let i = start; i < end; i++) {
+                if (values[i] === null) continue;
+                ctx.fillStyle = values[i] >= 0 ? 'rgba(0, 255, 136, 0.5)' : 'rgba(255, 71, 87, 0.5)';
+                const top = Math.min(y(0), y(values[i]));
+                ctx.fillRect(xOf(i) - barWidth * 0.3, top, barWidth * 0.6, Math.abs(y(0) - y(values[i])));
+            }
+        }
+
+        drawSeries(values, start, end, xOf, y, color) {
+            const ctx = this.ctx;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let drawing = false;
+            for (let i = start; i < end; i++) {
+                if (values[i] === null) {
+                    drawing = false;
+                    continue;
+                }
+                if (drawing) ctx.lineTo(xOf(i), y(values[i]));
+                else ctx.moveTo(xOf(i), y(values[i]));
+                drawing = true;
+            }
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        // خطوط أفقية وقيم المحور على اليمين
+        drawGrid(pane, min, max, y, format) {
+            const ctx = this.ctx;
+            ctx.strokeStyle = COLORS.grid;
+            ctx.fillStyle = COLORS.text;
+            for (let i = 0; i <= 4; i++) {
+                const value = min + ((max - min) * i) / 4;
+                ctx.beginPath();
+                ctx.moveTo(0, y(value));
+                ctx.lineTo(this.width - PRICE_AXIS_WIDTH, y(value));
+                ctx.stroke();
+                ctx.fillText(format(value), this.width - PRICE_AXIS_WIDTH + 4, y(value) + 4);
+            }
+        }
+
+        drawCrosshair(panes, start, end, barWidth) {
+            if (!this.hover || this.hover.x > this.width - PRICE_AXIS_WIDTH) return;
+
+            const ctx = this.ctx;
+            const index = Math.min(end - 1, start + Math.floor(this.hover.x / barWidth));
+            const candle = this.candles[index];
+            const x = (index - start + 0.5) * barWidth;
+
+            ctx.strokeStyle = COLORS.crosshair;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.height);
+            ctx.moveTo(0, this.hover.y);
+            ctx.lineTo(this.width - PRICE_AXIS_WIDTH, this.hover.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // قيمة المحور عند موضع المؤشر في اللوحة الحالية
+            const pane = Object.values(panes).find(item => this.hover.y >= item.top && this.hover.y <= item.top + item.height);
+            if (pane) {
+                const value = pane.max - ((this.hover.y - pane.top) / pane.height) * (pane.max - pane.min);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                ctx.fillRect(this.width - PRICE_AXIS_WIDTH, this.hover.y - 8, PRICE_AXIS_WIDTH, 16);
+                ctx.fillStyle = '#fff';
+                ctx.fillText(value.toPrecision(6), this.width - PRICE_AXIS_WIDTH + 4, this.hover.y + 4);
+            }
+
+            const format = value => value === null ? '-' : value.toPrecision(6);
+            const info = [
+                new Date(candle.time).toLocaleString('ar-SA'),
+                `O ${format(candle.open)}  H ${format(candle.high)}  L ${format(candle.low)}  C ${format(candle.close)}`,
+                `V ${candle.volume.toFixed(2)}  MA7 ${format(this.series.ma7[index])}  MA25 ${format(this.series.ma25[index])}`,
+                `RSI ${format(this.series.rsi[index])}  MACD ${format(this.series.macd[index])}`,
+                `Signal ${format(this.series.macdSignal[index])}  Hist ${format(this.series.macdHistogram[index])}`
+            ];
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(70, panes.price.top, 330, info.length * 15 + 6);
+            ctx.fillStyle = '#fff';
+            info.forEach((line, i) => ctx.fillText(line, 76, panes.price.top + 15 + i * 15));
+        }
+    }
+
+    if (isNode) {
+        module.exports = { CandlestickChart, buildIndicatorSeries };
+    } else {
+        Object.assign(root, { CandlestickChart, buildIndicatorSeries });
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,13 +1,58 @@
 const CONFIG = {
     OKX_API: {
         BASE_URL: 'https://www.okx.com/api/v5',
-        API_KEY: 'b20c667d-ae40-48a6-93f4-a11a64185068',
-        SECRET_KEY: 'BD7C76F71D1A4E01B4C7E1A23B620365',
-        PASSPHRASE: '212160Nm$#',
-        SANDBOX: false, // تغيير إلى true للاختبار
+        // مفاتيح API لا توضع هنا: يدخلها المستخدم في لوحة "مفاتيح API" وتُحفظ مشفرة محلياً (credentials.js)
+        // true: جميع الطلبات الخاصة (قراءة الحساب وإرسال الأوامر) تذهب إلى التداول التجريبي (x-simulated-trading)
+        // وتتطلب مفاتيح الحساب التجريبي، و false للحساب الحقيقي بمفاتيحه
+        SANDBOX: true,
         RATE_LIMIT: 20 // طلبات في الثانية
     },
 
+    // جدولة طلبات REST لجميع المنصات
+    REQUESTS: {
+        CONCURRENCY: 8, // أقصى عدد من الطلبات المتزامنة لكل محول
+        MAX_RETRIES: 3, // إعادة المحاولة عند 429 و 5xx وأخطاء الشبكة
+        BACKOFF_BASE: 500, // تأخير أول إعادة بالملي ثانية، يتضاعف مع كل محاولة
+        BACKOFF_MAX: 8000,
+        // requests طلب كل interval ملي ثانية لكل مسار، و default لباقي المسارات
+        // حد OKX الافتراضي من OKX_API.RATE_LIMIT
+        RATE_LIMITS: {
+            okx: {
+                '/market/tickers': { requests: 20, interval: 2000 },
+                '/market/candles': { requests: 40, interval: 2000 },
+                '/market/history-candles': { requests: 20, interval: 2000 },
+                '/market/books': { requests: 40, interval: 2000 },
+                '/market/trades': { requests: 100, interval: 2000 },
+                '/account/balance': { requests: 10, interval: 2000 },
+                '/trade/orders-pending': { requests: 60, interval: 2000 },
+                '/trade/fills': { requests: 60, interval: 2000 },
+                '/trade/order': { requests: 60, interval: 2000 },
+                '/public/instruments': { requests: 20, interval: 2000 }
+            },
+            binance: {
+                default: { requests: 20, interval: 1000 }
+            },
+            bybit: {
+                default: { requests: 10, interval: 1000 }
+            }
+        }
+    },
+
+    // مصدر البيانات (المنصة) المستخدم في التحليل
+    EXCHANGE: {
+        ACTIVE: 'okx', // okx | binance | bybit | fixture
+        QUOTE_CURRENCY: 'USDT',
+        BINANCE: {
+            BASE_URL: 'https://api.binance.com/api/v3'
+        },
+        BYBIT: {
+            BASE_URL: 'https://api.bybit.com/v5'
+        },
+        FIXTURE: {
+            SOURCE: 'fixtures/market.json' // ملف بيانات محلي للعمل بدون اتصال
+        }
+    },
+
     FILTERS: {
         MIN_VOLUME: 1000000,
         EXCLUDED_SYMBOLS: ['USDT', 'USDC', 'BUSD', 'DAI', 'TUSD', 'FDUSD'],
@@ -27,13 +72,111 @@ const CONFIG = {
         BULL_THRESHOLD: 0.65, // 65% من العملات في اتجاه صاعد
         BEAR_THRESHOLD: 0.35, // 35% من العملات في اتجاه هابط
         
-        // مؤشرات التقلبات
+        // مؤشرات التقلبات (وسيط التقلب المحقق للعملات لكل شمعة من الإطار الأساسي)
         HIGH_VOLATILITY_THRESHOLD: 0.05, // 5% تقلب يومي
         LOW_VOLATILITY_THRESHOLD: 0.02,  // 2% تقلب يومي
         
         // مؤشرات الحجم
         VOLUME_SURGE_MULTIPLIER: 2.0, // ضعف الحجم العادي
-        VOLUME_DRY_MULTIPLIER: 0.5    // نصف الحجم العادي
+        VOLUME_DRY_MULTIPLIER: 0.5,   // نصف الحجم العادي
+        
+        // أوزان مكونات مؤشر الاتجاه المركب
+        WEIGHTS: {
+            advancers: 1, // نسبة العملات المرتفعة خلال 24 ساعة
+            breadthMedium: 2, // نسبة العملات فوق متوسط MEDIUM_PERIOD
+            breadthLong: 1.5, // نسبة العملات فوق متوسط LONG_PERIOD
+            btcTrend: 1.5,
+            ethTrend: 1,
+            altSeason: 1 // عكس تفوق BTC على وسيط العملات البديلة
+        },
+        DOMINANCE_RANGE: 0.1, // تفوق BTC بـ 10% خلال الفترة القصيرة = مكون العملات البديلة صفر
+        
+        // منع التذبذب بين الحالات
+        HYSTERESIS_MARGIN: 0.05, // هامش إضافي للخروج من الحالة الحالية
+        CONFIRMATIONS: 2, // عدد الدورات المتتالية المطلوبة لتأكيد حالة جديدة
+        TIMELINE_LIMIT: 100 // عدد نقاط الخط الزمني المعروضة
+    },
+
+    // إعدادات المؤشرات الفنية
+    INDICATORS: {
+        RSI_PERIOD: 14,
+        MACD: { fast: 12, slow: 26, signal: 9 },
+        MACD_CROSSOVER_MAX_AGE: 3, // أقصى عمر بالشموع لتقاطع MACD حتى يُحتسب في النقاط
+        BOLLINGER: { period: 20, multiplier: 2 },
+        ATR_PERIOD: 14,
+        STOCH_RSI: { period: 14, k: 3, d: 3 },
+        VWAP_PERIOD: 20,
+        ADX_PERIOD: 14,
+        KELTNER: { period: 20, atrPeriod: 10, multiplier: 2 },
+        OBV_TREND_BARS: 5, // مقارنة OBV الحالي بقيمته قبل هذا العدد من الشموع
+        ADX_TREND_THRESHOLD: 25, // ADX فوق هذه القيمة = اتجاه قوي
+        SQUEEZE_BANDWIDTH: 0.1 // عرض نطاق بولينجر أقل من 10% = انضغاط
+    },
+
+    // كشف الانحرافات بين السعر والمؤشرات
+    DIVERGENCE: {
+        PIVOT_LEFT: 3, // عدد الشموع الأقدم التي يجب أن تتجاوزها القمة أو القاع
+        PIVOT_RIGHT: 2, // عدد الشموع الأحدث اللازمة لتأكيد القمة أو القاع
+        LOOKBACK: 40, // نافذة البحث بالشموع
+        MAX_AGE: 10 // تجاهل الانحرافات التي مضى على قاعها أو قمتها الأحدث أكثر من ذلك
+    },
+
+    // تحليل دفتر الأوامر (OKX /market/books)
+    ORDER_BOOK: {
+        ENABLED: true,
+        DEPTH: 100, // عدد المستويات المطلوبة لكل جانب (أقصى حد في OKX هو 400)
+        BANDS: [1, 2], // نطاقات حساب الاختلال بالنسبة المئوية حول السعر الأوسط، الأوسع أساس نسب العمق
+        IMBALANCE_THRESHOLD: 0.2, // اختلال لصالح المشترين يعتبر قوة شرائية عالية
+        WALL_MULTIPLIER: 5, // الجدار: كمية تتجاوز الوسيط بهذا المضاعف
+        WALL_MAX_DISTANCE: 2, // تجاهل الجدران الأبعد من هذه النسبة عن السعر
+        MAX_SPREAD: 0.5, // فارق أعلى من هذه النسبة يعتبر سوقاً ضحلاً
+        MIN_DEPTH: 20000, // أدنى عمق مقبول بعملة التسعير داخل أوسع نطاق
+        MIN_DEPTH_TO_VOLUME: 0.002 // أدنى نسبة للعمق إلى حجم التداول اليومي
+    },
+
+    // تحليل تدفق الصفقات (OKX /market/trades وقناة trades في البث)
+    TRADE_FLOW: {
+        ENABLED: true,
+        LIMIT: 200, // عدد الصفقات المطلوبة عند كل مسح (Bybit يسمح بـ 60 فقط)
+        MAX_TRADES: 500, // أقصى عدد من الصفقات المحفوظة لكل عملة مع البث
+        MIN_TRADES: 20, // أقل عدد صفقات لاعتماد عامل الشراء العدواني
+        AGGRESSIVE_BUY_RATIO: 0.6, // نسبة شراء المنفذين التي يبدأ عندها العامل
+        WHALE_MULTIPLIER: 10, // صفقة الحوت: تتجاوز الوسيط بهذا المضاعف
+        WHALE_MIN_VALUE: 10000 // وبحد أدنى بعملة التسعير
+    },
+
+    // كشف شذوذ الحجم إحصائياً (z-score متين من الوسيط و MAD)
+    VOLUME_ANOMALY: {
+        BASELINE_BARS: 96, // عدد الشموع السابقة في خط الأساس
+        MIN_BASELINE: 20, // أقل عدد شموع لحساب خط الأساس
+        Z_THRESHOLD: 3, // الشذوذ: z-score عند هذا الحد أو أعلى
+        MIN_SEASONAL_SAMPLES: 3, // أقل عدد من نفس الساعة في الأيام السابقة لاستخدام الموسمية
+        QUIET_MOVE_MULTIPLE: 1.5, // حركة السعر ضمن هذا المضاعف من الحركة المعتادة = شذوذ مبكر
+        MIN_PROJECTION: 0.25, // لا يُسقط حجم الشمعة الحالية قبل مرور ربع مدتها
+        LIST_LIMIT: 30 // عدد العملات في قائمة شذوذ الحجم
+    },
+
+    // خطر التلاعب (الضخ والتصريف): نقاط منفصلة من 0 إلى 100
+    MANIPULATION: {
+        WEIGHTS: {
+            VOLUME_VS_DEPTH: 25,
+            UPPER_WICKS: 20,
+            PRICE_EXTENSION: 20,
+            THIN_LOW_CAP: 20,
+            REPEAT_SPIKES: 15
+        },
+        MEDIUM_LEVEL: 35, // من هذه النقاط يظهر تحذير على البطاقة
+        HIGH_LEVEL: 60, // من هذه النقاط يعتبر الخطر عالياً
+        SUPPRESS_BUY: true, // حجب توصيات وتنبيهات الشراء عند الخطر العالي
+        VOLUME_SPIKE_RATIO: 5, // حجم آخر شمعة بهذا المضاعف من المتوسط = قفزة كاملة
+        WICK_BARS: 3, // عدد الشموع الأخيرة المفحوصة للذيول
+        WICK_RATIO: 0.4, // ذيل علوي أقل من هذه النسبة من مدى الشمعة لا يُحتسب
+        EXTENSION_ATR_MIN: 2, // بُعد السعر عن متوسط بولينجر بوحدات ATR حيث يبدأ الخطر
+        EXTENSION_ATR_MAX: 5, // وحيث يكتمل
+        LOW_CAP_VOLUME: 1000000, // عملة صغيرة: حجم تداول يومي أقل من ذلك بعملة التسعير
+        SPIKE_LOOKBACK: 30, // عدد الشموع السابقة المفحوصة للقفزات
+        SPIKE_PERCENT: 15, // صعود من الافتتاح إلى القمة يعتبر قفزة
+        REPEAT_SPIKES: 3 // عدد القفزات السابقة الذي يكتمل عنده العامل
     },
 
     // نظام النقاط المتكيف حسب حالة السوق
@@ -41,20 +184,37 @@ const CONFIG = {
         BULL_MARKET: {
             RSI_POSITIVE: 20,
             MACD_POSITIVE: 20,
+            MACD_BULLISH_CROSS: 15,
+            ADX_UPTREND: 10,
+            OBV_RISING: 10,
+            ABOVE_VWAP: 5,
             HIGH_LIQUIDITY: 25,
             BUYING_POWER: 25,
             MA_CROSSOVER: 25,
             MOMENTUM: 15,
             VOLUME_BREAKOUT: 20,
-            OVERALL_POSITIVE: 15
+            OVERALL_POSITIVE: 15,
+            TIMEFRAME_CONFLUENCE: 20,
+            AGGRESSIVE_BUYING: 15,
+            EARLY_VOLUME_ANOMALY: 10,
+            THIN_ORDER_BOOK: -20 // دفتر أوامر ضحل: خطر ضخ وتصريف
         },
         BEAR_MARKET: {
             RSI_OVERSOLD: 25,
             SUPPORT_BOUNCE: 30,
             VOLUME_SPIKE: 20,
             DIVERGENCE: 25,
+            BEARISH_DIVERGENCE: -10,
+            MACD_BULLISH_CROSS: 15,
+            MACD_MOMENTUM_SHIFT: 10,
+            STOCH_RSI_OVERSOLD: 15,
             DEFENSIVE_SIGNALS: 20,
-            OVERALL_POSITIVE: 10
+            OVERALL_POSITIVE: 10,
+            TIMEFRAME_CONFLUENCE: 10,
+            AGGRESSIVE_BUYING: 10,
+            EARLY_VOLUME_ANOMALY: 10,
+            THIN_ORDER_BOOK: -20,
+            OVEREXTENDED: -15 // خصم للعملات شديدة الارتفاع عكس السوق
         },
         SIDEWAYS_MARKET: {
             RANGE_TRADING: 25,
@@ -62,17 +222,57 @@ const CONFIG = {
             SUPPORT_RESISTANCE: 25,
             MEAN_REVERSION: 20,
             BREAKOUT_POTENTIAL: 15,
-            OVERALL_POSITIVE: 10
+            MACD_MOMENTUM_SHIFT: 10,
+            BOLLINGER_LOWER_BAND: 15,
+            DIVERGENCE: 20,
+            HIDDEN_DIVERGENCE: 10,
+            BEARISH_DIVERGENCE: -10,
+            STOCH_RSI_OVERSOLD: 10,
+            OVERALL_POSITIVE: 10,
+            TIMEFRAME_CONFLUENCE: 10,
+            AGGRESSIVE_BUYING: 10,
+            EARLY_VOLUME_ANOMALY: 15,
+            THIN_ORDER_BOOK: -20
         },
         VOLATILE_MARKET: {
             VOLATILITY_BREAKOUT: 30,
             MOMENTUM_SURGE: 25,
+            MACD_BULLISH_CROSS: 10,
+            SQUEEZE_BREAKOUT: 15,
+            ADX_UPTREND: 10,
             VOLUME_CONFIRMATION: 20,
             TREND_STRENGTH: 20,
+            TIMEFRAME_CONFLUENCE: 15,
+            AGGRESSIVE_BUYING: 15,
+            EARLY_VOLUME_ANOMALY: 10,
+            THIN_ORDER_BOOK: -20,
             RISK_ADJUSTED: -10 // خصم للمخاطر العالية
         }
     },
 
+    // البث المباشر عبر WebSocket (OKX فقط)
+    STREAMING: {
+        ENABLED: true,
+        PUBLIC_URL: 'wss://ws.okx.com:8443/ws/v5/public', // قناة الأسعار
+        BUSINESS_URL: 'wss://ws.okx.com:8443/ws/v5/business', // قنوات الشموع
+        HEARTBEAT_INTERVAL: 25000, // إرسال ping كل 25 ثانية
+        RECONNECT_BASE_DELAY: 1000,
+        RECONNECT_MAX_DELAY: 30000,
+        SUBSCRIBE_BATCH: 50, // عدد الاشتراكات في كل رسالة
+        RECOMPUTE_THROTTLE: 2000 // أقل مدة بين إعادة تحليل نفس العملة
+    },
+
+    // الأطر الزمنية المستخدمة في التحليل (PRIMARY هو أساس النقاط والأهداف)
+    TIMEFRAMES: {
+        PRIMARY: '1D',
+        BARS: {
+            '15m': { LIMIT: 60, WEIGHT: 1 },
+            '1H': { LIMIT: 100, WEIGHT: 1.5 }, // أربعة أيام تكفي لموسمية الحجم حسب الساعة
+            '4H': { LIMIT: 60, WEIGHT: 2 },
+            '1D': { LIMIT: 60, WEIGHT: 2.5 } // اتساع السوق يحتاج متوسط 50 شمعة (LONG_PERIOD)
+        }
+    },
+
     // إعدادات إدارة المخاطر المتكيفة
     RISK_MANAGEMENT: {
         BULL_MARKET: {
@@ -101,11 +301,68 @@ const CONFIG = {
         }
     },
 
+    // إعدادات الماسح (المتصفح وسطر الأوامر)
+    SCANNER: {
+        UNIVERSE_SIZE: 100, // عدد العملات الأعلى حجماً التي يتم تحليلها
+        MIN_CANDLES: 20, // العملة ذات الشموع الأقل في الإطار الأساسي تُتخطى
+        DEFAULT_LIMIT: 60 // عدد الشموع لإطار زمني غير معرف في TIMEFRAMES.BARS
+    },
+
+    // مخزن الشموع التراكمي: التحديث يجلب الشموع الجديدة فقط
+    CANDLE_CACHE: {
+        ENABLED: true,
+        MAX_CANDLES: 500, // أقصى عدد شموع مخزنة لكل عملة وإطار زمني
+        HISTORY_PAGE: 100, // عدد الشموع في كل طلب لتعميق السجل (حد OKX history-candles)
+        DIRECTORY: null // مجلد ملفات المخزن في Node (null = في الذاكرة فقط)، ويمكن تحديده بـ --cache-dir
+    },
+
+    // سجل المسح (IndexedDB)
+    HISTORY: {
+        MAX_SNAPSHOTS: 500, // أقصى عدد من لقطات المسح المحفوظة
+        MAX_AGE_HOURS: 48, // حذف اللقطات الأقدم من هذه المدة
+        SPARKLINE_POINTS: 30, // عدد النقاط في الخط البياني المصغر على البطاقة
+        RISER_WINDOW_MINUTES: 60,
+        RISERS_LIMIT: 20
+    },
+
+    // إعدادات التداول التجريبي
+    PAPER_TRADING: {
+        INITIAL_BALANCE: 10000, // الرصيد الافتراضي بالدولار
+        EQUITY_SNAPSHOT_INTERVAL: 300000, // حفظ نقطة على منحنى رأس المال كل 5 دقائق على الأقل
+        MAX_EQUITY_POINTS: 2000
+    },
+
+    // حساب OKX للقراءة فقط (يتطلب فتح مفاتيح API)
+    ACCOUNT: {
+        ENABLED: true,
+        REFRESH_INTERVAL: 60000, // أقل مدة بين قراءتين للحساب
+        FILLS_LIMIT: 100, // عدد الصفقات المنفذة المستخدمة لحساب متوسط التكلفة
+        MIN_HOLDING_VALUE: 1 // الأرصدة الأقل من هذه القيمة بالدولار لا تظهر كمراكز
+    },
+
+    // تذكرة الأوامر من التوصية: دخول محدد السعر مع وقف وأهداف مرفقة
+    ORDERS: {
+        RISK_PERCENT: 1, // نسبة المحفظة المعرضة للخسارة عند الوقف
+        MAX_POSITION_PERCENT: 20, // أقصى قيمة للمركز كنسبة من المحفظة
+        TARGET_SPLIT: [0.5, 0.5] // توزيع الكمية على الهدفين
+    },
+
+    // مخزن مفاتيح API المشفر في المتصفح
+    CREDENTIALS: {
+        STORAGE_KEY: 'cryptoApiCredentials',
+        PBKDF2_ITERATIONS: 310000, // اشتقاق مفتاح التشفير من كلمة المرور
+        MIN_PASSWORD_LENGTH: 8
+    },
+
     // إعدادات التنبيهات
     ALERTS: {
         TELEGRAM_BOT_TOKEN: '', // ضع توكن البوت
         CHAT_ID: '', // معرف المحادثة
         ENABLE_NOTIFICATIONS: true,
+        WEBHOOK_URLS: [], // روابط تستقبل التنبيهات بصيغة JSON عبر POST
+        COOLDOWN_MINUTES: 60, // عدم تكرار نفس التنبيه لنفس العملة خلال هذه المدة
+        MAX_ALERTS_PER_MINUTE: 10,
+        HISTORY_LIMIT: 200,
         ALERT_THRESHOLDS: {
             HIGH_SCORE: 85,
             VOLUME_SPIKE: 5.0, // 5 أضعاف الحجم العادي
@@ -113,6 +370,16 @@ const CONFIG = {
         }
     },
 
+    // إعدادات الاختبار الرجعي
+    BACKTEST: {
+        DATA_DIR: 'history', // مجلد ملفات الشموع (JSON/CSV) لكل عملة
+        LOOKBACK: 60, // عدد الشموع المستخدمة في كل تحليل (يكفي لمتوسط اتساع السوق LONG_PERIOD)
+        MIN_SCORE: 80, // الحد الأدنى للنقاط لفتح صفقة
+        ENTRY_EXPIRY_BARS: 3, // إلغاء أمر الدخول إذا لم يُنفذ خلال هذه المدة
+        MAX_HOLDING_BARS: 14, // إغلاق الصفقة بعد هذه المدة
+        POSITION_FRACTION: 0.1 // نسبة المحفظة لكل صفقة عند حساب منحنى رأس المال
+    },
+
     // إعدادات التحديث
     UPDATE_INTERVALS: {
         FAST_UPDATE: 60000,    // دقيقة واحدة للبيانات السريعة
@@ -120,3 +387,9 @@ const CONFIG = {
         SLOW_UPDATE: 900000    // 15 دقيقة للتحليل العميق
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONFIG;
+} else {
+    window.CONFIG = CONFIG;
+}
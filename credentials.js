@@ -0,0 +1,131 @@
+// مخزن مفاتيح API المشفر محلياً: المفاتيح لا تُكتب في الشيفرة ولا تُرسل لأي خادم
+// التشفير بـ WebCrypto: مفتاح AES-GCM مشتق من كلمة مرور المستخدم عبر PBKDF2-SHA256 بملح عشوائي
+// المحفوظ في localStorage هو النص المشفر فقط، والمفاتيح المفكوكة تبقى في الذاكرة حتى القفل
+// المسح العام لا يحتاج أي مفاتيح، وهي مطلوبة فقط لطلبات الحساب الخاصة (okx-signer.js)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { MemoryStorage } = isNode ? require('./storage.js') : root;
+
+    const FORMAT_VERSION = 1;
+    const REQUIRED_FIELDS = ['apiKey', 'secretKey', 'passphrase'];
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+    class CredentialStore {
+        constructor(options = {}) {
+            this.settings = CONFIG.CREDENTIALS;
+            this.storage = options.storage || root.localStorage || new MemoryStorage();
+            this.subtle = options.subtle || root.crypto.subtle;
+            this.credentials = null;
+        }
+
+        get unlocked() {
+            return this.credentials !== null;
+        }
+
+        hasSaved() {
+            return Boolean(this.storage.getItem(this.settings.STORAGE_KEY));
+        }
+
+        async deriveKey(password, salt, iterations) {
+            const material = await this.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+            return this.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        // تشفير المفاتيح وحفظها، وتبقى مفكوكة في الذاكرة بعد الحفظ
+        async save(credentials, password) {
+            const missing = REQUIRED_FIELDS.filter(field => !credentials[field]);
+            if (missing.length > 0) {
+                throw new Error(`بيانات ناقصة: ${missing.join('، ')}`);
+            }
+            if (!password || password.length < this.settings.MIN_PASSWORD_LENGTH) {
+                throw new Error(`كلمة المرور يجب ألا تقل عن ${this.settings.MIN_PASSWORD_LENGTH} أحرف`);
+            }
+
+            const values = Object.fromEntries(REQUIRED_FIELDS.map(field => [field, credentials[field].trim()]));
+            const salt = root.crypto.getRandomValues(new Uint8Array(16));
+            const iv = root.crypto.getRandomValues(new Uint8Array(12));
+            const iterations = this.settings.PBKDF2_ITERATIONS;
+            const key = await this.deriveKey(password, salt, iterations);
+            const data = await this.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(values)));
+
+            this.storage.setItem(this.settings.STORAGE_KEY, JSON.stringify({
+                version: FORMAT_VERSION,
+                iterations,
+                salt: toBase64(salt),
+                iv: toBase64(iv),
+                data: toBase64(data),
+                savedAt: Date.now()
+            }));
+            this.credentials = values;
+            return this.summary();
+        }
+
+        async unlock(password) {
+            const saved = JSON.parse(this.storage.getItem(this.settings.STORAGE_KEY) || 'null');
+            if (!saved) {
+                throw new Error('لا توجد مفاتيح محفوظة');
+            }
+            if (saved.version !== FORMAT_VERSION) {
+                throw new Error(`صيغة تخزين غير مدعومة: ${saved.version}`);
+            }
+
+            const key = await this.deriveKey(password, fromBase64(saved.salt), saved.iterations);
+            let plain;
+            try {
+                plain = await this.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(saved.iv) }, key, fromBase64(saved.data));
+            } catch (error) {
+                // AES-GCM يرفض فك التشفير بمفتاح خاطئ أو بيانات معدلة
+                throw new Error('كلمة المرور غير صحيحة');
+            }
+
+            this.credentials = JSON.parse(decoder.decode(plain));
+            return this.summary();
+        }
+
+        lock() {
+            this.credentials = null;
+        }
+
+        // حذف المفاتيح المحفوظة نهائياً
+        clear() {
+            this.storage.removeItem(this.settings.STORAGE_KEY);
+            this.lock();
+        }
+
+        // وصف آمن للعرض: المفتاح مقنّع ولا تظهر الأسرار
+        summary() {
+            if (!this.credentials) return null;
+            const { apiKey } = this.credentials;
+            return { apiKey: `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}` };
+        }
+    }
+
+    // في Node: المفاتيح من متغيرات البيئة OKX_API_KEY و OKX_SECRET_KEY و OKX_PASSPHRASE، أو null
+    const credentialsFromEnv = (env = isNode ? process.env : {}) => {
+        const credentials = {
+            apiKey: env.OKX_API_KEY,
+            secretKey: env.OKX_SECRET_KEY,
+            passphrase: env.OKX_PASSPHRASE
+        };
+        return REQUIRED_FIELDS.every(field => credentials[field]) ? credentials : null;
+    };
+
+    const exported = { CredentialStore, credentialsFromEnv };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
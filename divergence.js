@@ -0,0 +1,137 @@
+// كاشف الانحرافات: مقارنة قمم وقيعان السعر مع RSI وهستوغرام MACD و OBV
+//   انحراف عادي صاعد: قاع سعري أدنى مع قاع أعلى في المؤشر (احتمال انعكاس للصعود)
+//   انحراف مخفي صاعد: قاع سعري أعلى مع قاع أدنى في المؤشر (استمرار الاتجاه الصاعد)
+//   والعكس للقمم في الانحرافات الهابطة
+// الشموع والفهارس الأحدث أولاً، والعمر = عدد الشموع منذ القمة أو القاع الأحدث
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+
+    const DIVERGENCE_INDICATORS = {
+        rsi: 'RSI',
+        macd: 'هستوغرام MACD',
+        obv: 'OBV'
+    };
+
+    // القمم أو القيعان: قيمة أعلى (أو أدنى) من left شمعة أقدم و right شمعة أحدث
+    // النتيجة فهارس الأحدث أولاً مرتبة من الأحدث للأقدم
+    const findPivots = (values, type, left = CONFIG.DIVERGENCE.PIVOT_LEFT, right = CONFIG.DIVERGENCE.PIVOT_RIGHT) => {
+        const pivots = [];
+        const better = type === 'high' ? (a, b) => a > b : (a, b) => a < b;
+
+        for (let i = right; i < values.length - left; i++) {
+            let isPivot = true;
+            for (let j = i - right; j <= i + left && isPivot; j++) {
+                if (j === i) continue;
+                // المساواة مسموحة مع الأقدم فقط حتى لا تتكرر القمة المسطحة
+                if (j > i ? !better(values[i], values[j]) && values[i] !== values[j] : !better(values[i], values[j])) {
+                    isPivot = false;
+                }
+            }
+            if (isPivot) pivots.push(i);
+        }
+
+        return pivots;
+    };
+
+    const range = values => {
+        const valid = values.filter(value => value !== null);
+        return valid.length ? Math.max(...valid) - Math.min(...valid) : 0;
+    };
+
+    class DivergenceDetector {
+        constructor(settings = CONFIG.DIVERGENCE) {
+            this.settings = settings;
+        }
+
+        // سلاسل المؤشرات المقارنة (الأحدث أولاً)
+        buildOscillators(candles) {
+            const closes = candles.map(candle => candle.close);
+            const { MACD, RSI_PERIOD } = CONFIG.INDICATORS;
+
+            return {
+                rsi: Indicators.rsi(closes, RSI_PERIOD),
+                macd: Indicators.macd(closes, MACD.fast, MACD.slow, MACD.signal).histogram,
+                obv: Indicators.obv(candles)
+            };
+        }
+
+        detect(candles) {
+            const { LOOKBACK, MAX_AGE, PIVOT_LEFT, PIVOT_RIGHT } = this.settings;
+            const window = candles.slice(0, LOOKBACK);
+            const lows = window.map(candle => candle.low);
+            const highs = window.map(candle => candle.high);
+            const priceRange = Math.max(...highs) - Math.min(...lows);
+            const oscillators = this.buildOscillators(candles);
+            const signals = [];
+
+            const pivotLows = findPivots(lows, 'low', PIVOT_LEFT, PIVOT_RIGHT);
+            const pivotHighs = findPivots(highs, 'high', PIVOT_LEFT, PIVOT_RIGHT);
+
+            Object.entries(oscillators).forEach(([indicator, series]) => {
+                const values = series.slice(0, LOOKBACK);
+                const oscillatorRange = range(values);
+
+                [['low', pivotLows, lows, 'bullish'], ['high', pivotHighs, highs, 'bearish']].forEach(([pivotType, pivots, prices, type]) => {
+                    const usable = pivots.filter(index => values[index] !== null);
+                    if (usable.length < 2) return;
+
+                    const [recent, previous] = usable;
+                    if (recent > MAX_AGE) return;
+
+                    const priceChange = prices[recent] - prices[previous];
+                    const oscillatorChange = values[recent] - values[previous];
+                    if (priceChange === 0 || oscillatorChange === 0) return;
+
+                    // القيعان: سعر أدنى ومؤشر أعلى = عادي، سعر أعلى ومؤشر أدنى = مخفي (والعكس للقمم)
+                    const sign = pivotType === 'low' ? 1 : -1;
+                    let kind = null;
+                    if (priceChange * sign < 0 && oscillatorChange * sign > 0) kind = 'regular';
+                    if (priceChange * sign > 0 && oscillatorChange * sign < 0) kind = 'hidden';
+                    if (!kind) return;
+
+                    // القوة: مجموع حجم الفرق في السعر والمؤشر نسبة لمداهما خلال النافذة
+                    const strength = Math.min(1,
+                        (priceRange > 0 ? Math.abs(priceChange) / priceRange : 0) +
+                        (oscillatorRange > 0 ? Math.abs(oscillatorChange) / oscillatorRange : 0));
+
+                    signals.push({
+                        type,
+                        kind,
+                        indicator,
+                        strength,
+                        age: recent,
+                        pivots: [
+                            { index: previous, price: prices[previous], value: values[previous] },
+                            { index: recent, price: prices[recent], value: values[recent] }
+                        ]
+                    });
+                });
+            });
+
+            signals.sort((a, b) => a.age - b.age || b.strength - a.strength);
+
+            return {
+                bullish: signals.some(signal => signal.type === 'bullish' && signal.kind === 'regular'),
+                bearish: signals.some(signal => signal.type === 'bearish' && signal.kind === 'regular'),
+                signals
+            };
+        }
+    }
+
+    // أقوى إشارة من النوع المطلوب بعد خصم العمر: قوة × (1 - العمر / (الحد الأقصى + 1))
+    const scoreDivergence = (divergence, type, kinds = ['regular'], maxAge = CONFIG.DIVERGENCE.MAX_AGE) => {
+        return ((divergence && divergence.signals) || [])
+            .filter(signal => signal.type === type && kinds.includes(signal.kind))
+            .reduce((best, signal) => Math.max(best, signal.strength * (1 - signal.age / (maxAge + 1))), 0);
+    };
+
+    const exported = { DivergenceDetector, findPivots, scoreDivergence, DIVERGENCE_INDICATORS };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,446 @@
+// طبقة مصادر البيانات: محولات موحدة للمنصات (أسعار، شموع، دفتر أوامر، صفقات)
+// كل محول يعيد البيانات بنموذج واحد حتى يعمل التحليل بنفس الطريقة على جميع المنصات:
+//   ticker: { instId, symbol, last, open24h, high24h, low24h, change24h, vol24h, volCcy24h, exchange }
+//   candle: { time, open, high, low, close, volume } - الأحدث أولاً
+//   orderBook: { instId, bids: [[price, size]], asks: [[price, size]], time }
+//   trade: { id, instId, price, size, side, time } - side جهة المنفذ (taker): buy أو sell، الأحدث أولاً
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { RequestScheduler, rateLimitsFor } = isNode ? require('./scheduler.js') : root;
+
+    class ExchangeAdapter {
+        constructor(options = {}) {
+            this.name = options.name || 'base';
+            this.baseUrl = options.baseUrl || '';
+            this.quote = options.quote || CONFIG.EXCHANGE.QUOTE_CURRENCY;
+            this.scheduler = options.scheduler || new RequestScheduler({ limits: rateLimitsFor(this.name) });
+        }
+
+        async fetchTickers() {
+            throw new Error(`المنصة ${this.name} لا تدعم جلب الأسعار`);
+        }
+
+        async fetchCandles(instId, { bar = '1D', limit = 30 } = {}) {
+            throw new Error(`المنصة ${this.name} لا تدعم جلب الشموع`);
+        }
+
+        // شموع أقدم من before (ملي ثانية) لتعميق السجل المخزن، الأحدث أولاً
+        async fetchHistoryCandles(instId, { bar = '1D', before, limit = 100 } = {}) {
+            throw new Error(`المنصة ${this.name} لا تدعم جلب الشموع التاريخية`);
+        }
+
+        async fetchOrderBook(instId, depth = 50) {
+            throw new Error(`المنصة ${this.name} لا تدعم جلب دفتر الأوامر`);
+        }
+
+        async fetchTrades(instId, limit = 100) {
+            throw new Error(`المنصة ${this.name} لا تدعم جلب الصفقات`);
+        }
+
+        // طلب REST عام عبر الجدولة (حد المعدل وإعادة المحاولة) مع فحص استجابة المنصة
+        async request(path, params = {}) {
+            const query = new URLSearchParams(params).toString();
+            const data = await this.scheduler.fetchJson(`${this.baseUrl}${path}${query ? `?${query}` : ''}`, { key: path });
+            return this.unwrap(data, path);
+        }
+
+        unwrap(data) {
+            return data;
+        }
+
+        // تحويل المعرف الموحد (BTC-USDT) إلى رمز المنصة (BTCUSDT)
+        toVenueSymbol(instId) {
+            return instId.replace('-', '');
+        }
+
+        // تحويل رمز المنصة إلى المعرف الموحد، أو null إذا لم يكن مقابل عملة التسعير
+        fromVenueSymbol(symbol) {
+            if (!symbol.endsWith(this.quote) || symbol.length === this.quote.length) return null;
+            return `${symbol.slice(0, -this.quote.length)}-${this.quote}`;
+        }
+
+        // حساب نسبة التغيير 24 ساعة من سعر الافتتاح
+        percentChange(last, open) {
+            return open > 0 ? ((last - open) / open) * 100 : 0;
+        }
+
+        buildTicker(fields) {
+            return {
+                instId: fields.instId,
+                symbol: fields.instId.split('-')[0],
+                last: parseFloat(fields.last),
+                open24h: parseFloat(fields.open24h),
+                high24h: parseFloat(fields.high24h),
+                low24h: parseFloat(fields.low24h),
+                change24h: fields.change24h,
+                vol24h: parseFloat(fields.vol24h),
+                volCcy24h: parseFloat(fields.volCcy24h),
+                exchange: this.name
+            };
+        }
+
+        buildCandle(time, open, high, low, close, volume) {
+            return {
+                time: parseInt(time),
+                open: parseFloat(open),
+                high: parseFloat(high),
+                low: parseFloat(low),
+                close: parseFloat(close),
+                volume: parseFloat(volume)
+            };
+        }
+
+        buildOrderBook(instId, bids, asks, time) {
+            const toLevels = levels => levels.map(level => [parseFloat(level[0]), parseFloat(level[1])]);
+            return {
+                instId,
+                bids: toLevels(bids),
+                asks: toLevels(asks),
+                time: parseInt(time) || Date.now()
+            };
+        }
+
+        buildTrade(instId, id, price, size, side, time) {
+            return {
+                id: String(id),
+                instId,
+                price: parseFloat(price),
+                size: parseFloat(size),
+                side: side.toLowerCase(),
+                time: parseInt(time)
+            };
+        }
+    }
+
+    class OKXAdapter extends ExchangeAdapter {
+        constructor(options = {}) {
+            super({ baseUrl: CONFIG.OKX_API.BASE_URL, ...options, name: 'okx' });
+            this.signer = options.signer || null;
+        }
+
+        // الموقّع (okx-signer.js) مطلوب فقط للطلبات الخاصة، والمسح العام يعمل بدونه
+        setSigner(signer) {
+            this.signer = signer;
+        }
+
+        // طلب خاص موقّع: params نص الاستعلام و body جسم JSON، والحساب (تجريبي أو حقيقي) من إعداد الموقّع
+        async privateRequest(path, { method = 'GET', params = {}, body = null } = {}) {
+            if (!this.signer) {
+                throw new Error('مفاتيح API غير مفعلة: يجب فتح المفاتيح المحفوظة أولاً');
+            }
+
+            const query = new URLSearchParams(params).toString();
+            const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+            const { pathname, search } = new URL(url, root.location ? root.location.href : undefined);
+            const bodyText = body ? JSON.stringify(body) : '';
+            const headers = await this.signer.headers(method, `${pathname}${search}`, bodyText);
+
+            const data = await this.scheduler.fetchJson(url, {
+                key: path,
+                init: { method, headers, body: bodyText || undefined }
+            });
+            return this.unwrap(data, path);
+        }
+
+        unwrap(data) {
+            if (data.code !== '0') {
+                // أخطاء الأوامر تحمل السبب في sMsg لكل عنصر
+                const detail = Array.isArray(data.data) && data.data[0] && data.data[0].sMsg;
+                throw new Error(`فشل في جلب البيانات من OKX: ${detail || data.msg || data.code}`);
+            }
+            return data.data;
+        }
+
+        async fetchTickers() {
+            const data = await this.request('/market/tickers', { instType: 'SPOT' });
+
+            return data
+                .filter(ticker => ticker.instId.endsWith(`-${this.quote}`))
+                .map(ticker => this.buildTicker({
+                    instId: ticker.instId,
+                    last: ticker.last,
+                    open24h: ticker.open24h,
+                    high24h: ticker.high24h,
+                    low24h: ticker.low24h,
+                    change24h: this.percentChange(parseFloat(ticker.last), parseFloat(ticker.open24h)),
+                    vol24h: ticker.vol24h,
+                    volCcy24h: ticker.volCcy24h
+                }));
+        }
+
+        async fetchCandles(instId, { bar = '1D', limit = 30 } = {}) {
+            const data = await this.request('/market/candles', { instId, bar, limit });
+
+            // OKX: [ts, o, h, l, c, vol, ...] والأحدث أولاً
+            return data.map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]));
+        }
+
+        async fetchHistoryCandles(instId, { bar = '1D', before, limit = 100 } = {}) {
+            // OKX: after تعني السجلات الأقدم من الطابع الزمني، والحد الأقصى 100 لكل طلب
+            const data = await this.request('/market/history-candles', { instId, bar, after: before, limit: Math.min(limit, 100) });
+            return data.map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]));
+        }
+
+        async fetchOrderBook(instId, depth = 50) {
+            const data = await this.request('/market/books', { instId, sz: depth });
+            const book = data[0] || { bids: [], asks: [] };
+            return this.buildOrderBook(instId, book.bids, book.asks, book.ts);
+        }
+
+        // قواعد العملة للأوامر: tickSz خطوة السعر، lotSz خطوة الكمية، minSz أقل كمية
+        async fetchInstrument(instId) {
+            const data = await this.request('/public/instruments', { instType: 'SPOT', instId });
+            if (!data[0]) {
+                throw new Error(`عملة غير معروفة في OKX: ${instId}`);
+            }
+            const { tickSz, lotSz, minSz } = data[0];
+            return { instId, tickSz, lotSz, minSz };
+        }
+
+        async fetchTrades(instId, limit = 100) {
+            const data = await this.request('/market/trades', { instId, limit: Math.min(limit, 500) });
+
+            // OKX: side هي جهة المنفذ والأحدث أولاً
+            return data.map(t => this.buildTrade(instId, t.tradeId, t.px, t.sz, t.side, t.ts));
+        }
+    }
+
+    class BinanceAdapter extends ExchangeAdapter {
+        constructor(options = {}) {
+            super({ baseUrl: CONFIG.EXCHANGE.BINANCE.BASE_URL, ...options, name: 'binance' });
+            this.intervals = { '15m': '15m', '1H': '1h', '4H': '4h', '1D': '1d' };
+        }
+
+        unwrap(data) {
+            if (data && !Array.isArray(data) && data.code !== undefined && data.msg) {
+                throw new Error(`فشل في جلب البيانات من Binance: ${data.msg}`);
+            }
+            return data;
+        }
+
+        async fetchTickers() {
+            const data = await this.request('/ticker/24hr');
+
+            return data
+                .map(ticker => ({ ticker, instId: this.fromVenueSymbol(ticker.symbol) }))
+                .filter(({ instId }) => instId)
+                .map(({ ticker, instId }) => this.buildTicker({
+                    instId,
+                    last: ticker.lastPrice,
+                    open24h: ticker.openPrice,
+                    high24h: ticker.highPrice,
+                    low24h: ticker.lowPrice,
+                    change24h: parseFloat(ticker.priceChangePercent),
+                    vol24h: ticker.volume,
+                    volCcy24h: ticker.quoteVolume
+                }));
+        }
+
+        async fetchCandles(instId, { bar = '1D', limit = 30 } = {}) {
+            const data = await this.request('/klines', {
+                symbol: this.toVenueSymbol(instId),
+                interval: this.intervals[bar] || bar,
+                limit
+            });
+
+            // Binance: [openTime, o, h, l, c, volume, ...] والأقدم أولاً
+            return data
+                .map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]))
+                .reverse();
+        }
+
+        async fetchHistoryCandles(instId, { bar = '1D', before, limit = 100 } = {}) {
+            const data = await this.request('/klines', {
+                symbol: this.toVenueSymbol(instId),
+                interval: this.intervals[bar] || bar,
+                endTime: before - 1,
+                limit: Math.min(limit, 1000)
+            });
+            return data
+                .map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]))
+                .reverse();
+        }
+
+        async fetchOrderBook(instId, depth = 50) {
+            const data = await this.request('/depth', { symbol: this.toVenueSymbol(instId), limit: depth });
+            return this.buildOrderBook(instId, data.bids, data.asks);
+        }
+
+        async fetchTrades(instId, limit = 100) {
+            const data = await this.request('/trades', { symbol: this.toVenueSymbol(instId), limit: Math.min(limit, 1000) });
+
+            // Binance: isBuyerMaker يعني أن المنفذ بائع، والأقدم أولاً
+            return data
+                .map(t => this.buildTrade(instId, t.id, t.price, t.qty, t.isBuyerMaker ? 'sell' : 'buy', t.time))
+                .reverse();
+        }
+    }
+
+    class BybitAdapter extends ExchangeAdapter {
+        constructor(options = {}) {
+            super({ baseUrl: CONFIG.EXCHANGE.BYBIT.BASE_URL, ...options, name: 'bybit' });
+            this.intervals = { '15m': '15', '1H': '60', '4H': '240', '1D': 'D' };
+        }
+
+        unwrap(data) {
+            if (data.retCode !== 0) {
+                throw new Error(`فشل في جلب البيانات من Bybit: ${data.retMsg || data.retCode}`);
+            }
+            return data.result;
+        }
+
+        async fetchTickers() {
+            const result = await this.request('/market/tickers', { category: 'spot' });
+
+            return result.list
+                .map(ticker => ({ ticker, instId: this.fromVenueSymbol(ticker.symbol) }))
+                .filter(({ instId }) => instId)
+                .map(({ ticker, instId }) => this.buildTicker({
+                    instId,
+                    last: ticker.lastPrice,
+                    open24h: ticker.prevPrice24h,
+                    high24h: ticker.highPrice24h,
+                    low24h: ticker.lowPrice24h,
+                    change24h: parseFloat(ticker.price24hPcnt) * 100,
+                    vol24h: ticker.volume24h,
+                    volCcy24h: ticker.turnover24h
+                }));
+        }
+
+        async fetchCandles(instId, { bar = '1D', limit = 30 } = {}) {
+            const result = await this.request('/market/kline', {
+                category: 'spot',
+                symbol: this.toVenueSymbol(instId),
+                interval: this.intervals[bar] || bar,
+                limit
+            });
+
+            // Bybit: [start, o, h, l, c, volume, turnover] والأحدث أولاً
+            return result.list.map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]));
+        }
+
+        async fetchHistoryCandles(instId, { bar = '1D', before, limit = 100 } = {}) {
+            const result = await this.request('/market/kline', {
+                category: 'spot',
+                symbol: this.toVenueSymbol(instId),
+                interval: this.intervals[bar] || bar,
+                end: before - 1,
+                limit: Math.min(limit, 1000)
+            });
+            return result.list.map(c => this.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]));
+        }
+
+        async fetchOrderBook(instId, depth = 50) {
+            const result = await this.request('/market/orderbook', {
+                category: 'spot',
+                symbol: this.toVenueSymbol(instId),
+                limit: depth
+            });
+            return this.buildOrderBook(instId, result.b, result.a, result.ts);
+        }
+
+        async fetchTrades(instId, limit = 100) {
+            const result = await this.request('/market/recent-trade', {
+                category: 'spot',
+                symbol: this.toVenueSymbol(instId),
+                limit: Math.min(limit, 60)
+            });
+
+            // Bybit: الحد الأقصى للسوق الفوري 60 صفقة، side هي جهة المنفذ والأحدث أولاً
+            return result.list.map(t => this.buildTrade(instId, t.execId, t.price, t.size, t.side, t.time));
+        }
+    }
+
+    // محول يقرأ بيانات محفوظة مسبقاً بالنموذج الموحد - للاختبار والعمل بدون اتصال
+    // الشكل: { tickers: [...], candles: { 'BTC-USDT': { '1D': [...] } }, orderBooks: { 'BTC-USDT': {...} }, trades: { 'BTC-USDT': [...] } }
+    class FixtureAdapter extends ExchangeAdapter {
+        constructor(fixtures = {}, options = {}) {
+            super({ ...options, name: 'fixture' });
+            this.fixtures = {
+                tickers: fixtures.tickers || [],
+                candles: fixtures.candles || {},
+                orderBooks: fixtures.orderBooks || {},
+                trades: fixtures.trades || {}
+            };
+        }
+
+        // تحميل البيانات من ملف (Node) أو من رابط (المتصفح)
+        static async load(source = CONFIG.EXCHANGE.FIXTURE.SOURCE, options = {}) {
+            let fixtures;
+            if (isNode) {
+                const fs = require('fs');
+                fixtures = JSON.parse(fs.readFileSync(source, 'utf8'));
+            } else {
+                const response = await fetch(source);
+                fixtures = await response.json();
+            }
+            return new FixtureAdapter(fixtures, options);
+        }
+
+        async fetchTickers() {
+            return this.fixtures.tickers.map(ticker => ({ ...ticker, exchange: this.name }));
+        }
+
+        async fetchCandles(instId, { bar = '1D', limit = 30 } = {}) {
+            const candles = (this.fixtures.candles[instId] || {})[bar] || [];
+            return candles.slice(0, limit);
+        }
+
+        async fetchHistoryCandles(instId, { bar = '1D', before, limit = 100 } = {}) {
+            const candles = (this.fixtures.candles[instId] || {})[bar] || [];
+            return candles.filter(candle => candle.time < before).slice(0, limit);
+        }
+
+        async fetchOrderBook(instId, depth = 50) {
+            const book = this.fixtures.orderBooks[instId] || { bids: [], asks: [] };
+            return {
+                instId,
+                bids: book.bids.slice(0, depth),
+                asks: book.asks.slice(0, depth),
+                time: book.time || Date.now()
+            };
+        }
+
+        async fetchTrades(instId, limit = 100) {
+            return (this.fixtures.trades[instId] || []).slice(0, limit);
+        }
+    }
+
+    const EXCHANGE_ADAPTERS = {
+        okx: OKXAdapter,
+        binance: BinanceAdapter,
+        bybit: BybitAdapter,
+        fixture: FixtureAdapter
+    };
+
+    // إنشاء المحول المحدد في الإعدادات (محول البيانات المحلية يُحمّل من مصدره إذا لم تُمرر البيانات)
+    const createExchangeAdapter = async (name = CONFIG.EXCHANGE.ACTIVE, options = {}) => {
+        const Adapter = EXCHANGE_ADAPTERS[name];
+        if (!Adapter) {
+            throw new Error(`منصة غير مدعومة: ${name}`);
+        }
+        if (name === 'fixture') {
+            return options.fixtures
+                ? new FixtureAdapter(options.fixtures, options)
+                : FixtureAdapter.load(options.source, options);
+        }
+        return new Adapter(options);
+    };
+
+    const exported = {
+        ExchangeAdapter,
+        OKXAdapter,
+        BinanceAdapter,
+        BybitAdapter,
+        FixtureAdapter,
+        EXCHANGE_ADAPTERS,
+        createExchangeAdapter
+    };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
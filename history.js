@@ -0,0 +1,151 @@
+// سجل المسح: حفظ لقطة من كل دورة تحليل في IndexedDB لمتابعة تطور النقاط والسعر لكل عملة
+// اللقطة: { time, regime, volatility, regimeScore, regimeMetrics, coins: [{ instId, symbol, score, price, volume24h, rsi, mfi, macd, volumeRatio }] }
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { createStore } = isNode ? require('./storage.js') : root;
+
+    class ScanHistory {
+        constructor(options = {}) {
+            this.store = options.store || createStore('scanSnapshots');
+            this.maxSnapshots = options.maxSnapshots || CONFIG.HISTORY.MAX_SNAPSHOTS;
+            this.maxAge = (options.maxAgeHours || CONFIG.HISTORY.MAX_AGE_HOURS) * 3600000;
+            this.snapshots = [];
+        }
+
+        // دمج المحفوظ مع ما سُجل قبل اكتمال التحميل
+        async load() {
+            const saved = await this.store.getAll();
+            const times = new Set(this.snapshots.map(snapshot => snapshot.time));
+            this.snapshots = saved
+                .filter(snapshot => !times.has(snapshot.time))
+                .concat(this.snapshots)
+                .sort((a, b) => a.time - b.time);
+            await this.prune(Date.now());
+            return this;
+        }
+
+        async record(coins, { regime, volatility, regimeState = null, time = Date.now() } = {}) {
+            const snapshot = {
+                time,
+                regime,
+                volatility,
+                regimeScore: regimeState ? regimeState.score : null,
+                regimeMetrics: regimeState ? regimeState.metrics : null,
+                coins: coins.map(coin => ({
+                    instId: coin.fullSymbol,
+                    symbol: coin.symbol,
+                    score: coin.score,
+                    price: coin.price,
+                    change24h: coin.change24h,
+                    volume24h: coin.volume24h,
+                    rsi: parseFloat(coin.analysis.rsi.value),
+                    mfi: parseFloat(coin.analysis.moneyFlowIndex.value),
+                    macd: coin.analysis.macd.signal,
+                    volumeRatio: coin.analysis.volumeRatio
+                }))
+            };
+
+            this.snapshots.push(snapshot);
+            await this.store.put(snapshot);
+            await this.prune(time);
+            return snapshot;
+        }
+
+        // حذف اللقطات الأقدم من المدة المحددة أو الزائدة عن الحد الأقصى
+        async prune(now) {
+            const expired = this.snapshots.filter((snapshot, index) => {
+                return now - snapshot.time > this.maxAge || index < this.snapshots.length - this.maxSnapshots;
+            });
+            if (expired.length === 0) return;
+
+            this.snapshots = this.snapshots.filter(snapshot => !expired.includes(snapshot));
+            await Promise.all(expired.map(snapshot => this.store.delete(snapshot.time)));
+        }
+
+        // السلسلة الزمنية لعملة واحدة: [{ time, score, price }]، الأقدم أولاً
+        getCoinSeries(instId, limit = CONFIG.HISTORY.SPARKLINE_POINTS) {
+            const series = [];
+            this.snapshots.forEach(snapshot => {
+                const coin = snapshot.coins.find(item => item.instId === instId);
+                if (coin) {
+                    series.push({ time: snapshot.time, score: coin.score, price: coin.price, regime: snapshot.regime });
+                }
+            });
+            return series.slice(-limit);
+        }
+
+        // أكبر ارتفاع في النقاط: آخر نقاط لكل عملة مقارنة بأول لقطة لها داخل النافذة الزمنية
+        getRisers({ windowMinutes = CONFIG.HISTORY.RISER_WINDOW_MINUTES, limit = CONFIG.HISTORY.RISERS_LIMIT, now = Date.now() } = {}) {
+            const since = now - windowMinutes * 60000;
+            const first = new Map();
+            const last = new Map();
+
+            this.snapshots
+                .filter(snapshot => snapshot.time >= since)
+                .forEach(snapshot => {
+                    snapshot.coins.forEach(coin => {
+                        const point = { ...coin, time: snapshot.time };
+                        if (!first.has(coin.instId)) first.set(coin.instId, point);
+                        last.set(coin.instId, point);
+                    });
+                });
+
+            return [...last.values()]
+                .map(current => {
+                    const start = first.get(current.instId);
+                    return {
+                        instId: current.instId,
+                        symbol: current.symbol,
+                        fromScore: start.score,
+                        toScore: current.score,
+                        scoreChange: current.score - start.score,
+                        fromPrice: start.price,
+                        toPrice: current.price,
+                        priceChange: start.price > 0 ? (current.price - start.price) / start.price * 100 : 0,
+                        fromTime: start.time,
+                        toTime: current.time
+                    };
+                })
+                .filter(riser => riser.scoreChange > 0)
+                .sort((a, b) => b.scoreChange - a.scoreChange)
+                .slice(0, limit);
+        }
+
+        // الخط الزمني لحالة السوق، الأقدم أولاً
+        getRegimeTimeline(limit = CONFIG.MARKET_REGIME.TIMELINE_LIMIT) {
+            return this.snapshots.slice(-limit).map(snapshot => ({
+                time: snapshot.time,
+                regime: snapshot.regime,
+                volatility: snapshot.volatility,
+                score: snapshot.regimeScore === undefined ? null : snapshot.regimeScore,
+                metrics: snapshot.regimeMetrics || null
+            }));
+        }
+
+        // دمج النقاط المتتالية بنفس الحالة في فترات: [{ regime, from, to, count }]
+        getRegimeSegments(limit) {
+            return this.getRegimeTimeline(limit).reduce((segments, point) => {
+                const last = segments[segments.length - 1];
+                if (last && last.regime === point.regime) {
+                    last.to = point.time;
+                    last.count++;
+                } else {
+                    segments.push({ regime: point.regime, from: point.time, to: point.time, count: 1 });
+                }
+                return segments;
+            }, []);
+        }
+
+        async clear() {
+            this.snapshots = [];
+            await this.store.clear();
+        }
+    }
+
+    if (isNode) {
+        module.exports = { ScanHistory };
+    } else {
+        root.ScanHistory = ScanHistory;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,294 @@
+// مكتبة المؤشرات الفنية: كل دالة تعيد سلسلة كاملة بنفس طول المدخلات
+// جميع المصفوفات الأحدث أولاً (مثل الشموع)، والقيمة null حيث لا تكفي البيانات
+// RSI و ATR و ADX تستخدم تنعيم Wilder، والحالات الحدية (بدون خسائر، نطاق صفري...) لها قيم ثابتة
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    // الحسابات تتم بالترتيب الزمني ثم تُقلب النتيجة
+    const chronological = values => values.slice().reverse();
+    const newestFirst = values => values.slice().reverse();
+    const emptySeries = length => Array(length).fill(null);
+
+    const sum = values => values.reduce((a, b) => a + b, 0);
+
+    // أول قيمة متوفرة في السلسلة (الأحدث)
+    const latest = series => {
+        const value = series.find(item => item !== null && item !== undefined);
+        return value === undefined ? null : value;
+    };
+
+    // إحصاءات متينة لقيمة واحدة (ليست سلاسل)، و null لمصفوفة فارغة
+    const median = values => {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    // الانحراف المطلق الوسيط حول center (الوسيط افتراضياً)
+    const mad = (values, center = median(values)) => median(values.map(value => Math.abs(value - center)));
+
+    const sma = (values, period) => {
+        const data = chronological(values);
+        const result = emptySeries(data.length);
+        let windowSum = 0;
+
+        data.forEach((value, i) => {
+            windowSum += value;
+            if (i >= period) windowSum -= data[i - period];
+            if (i >= period - 1) result[i] = windowSum / period;
+        });
+
+        return newestFirst(result);
+    };
+
+    // تنعيم أسي يبدأ بمتوسط بسيط لأول period قيمة غير فارغة
+    // alpha = 2 / (period + 1) للـ EMA، و 1 / period لتنعيم Wilder
+    const smooth = (values, period, alpha) => {
+        const data = chronological(values);
+        const result = emptySeries(data.length);
+        const first = data.findIndex(value => value !== null);
+        if (first === -1 || data.length - first < period) return newestFirst(result);
+
+        let average = sum(data.slice(first, first + period)) / period;
+        result[first + period - 1] = average;
+        for (let i = first + period; i < data.length; i++) {
+            average = (data[i] - average) * alpha + average;
+            result[i] = average;
+        }
+
+        return newestFirst(result);
+    };
+
+    const ema = (values, period) => smooth(values, period, 2 / (period + 1));
+
+    const wilder = (values, period) => smooth(values, period, 1 / period);
+
+    const standardDeviation = (values, period) => {
+        const data = chronological(values);
+        const averages = chronological(sma(values, period));
+
+        return newestFirst(data.map((value, i) => {
+            if (averages[i] === null) return null;
+            const window = data.slice(i - period + 1, i + 1);
+            return Math.sqrt(sum(window.map(item => Math.pow(item - averages[i], 2))) / period);
+        }));
+    };
+
+    // RSI بتنعيم Wilder: بدون خسائر = 100، بدون حركة = 50
+    const rsi = (closes, period = 14) => {
+        const data = chronological(closes);
+        const gains = [null];
+        const losses = [null];
+        for (let i = 1; i < data.length; i++) {
+            const change = data[i] - data[i - 1];
+            gains.push(Math.max(change, 0));
+            losses.push(Math.max(-change, 0));
+        }
+
+        const averageGains = chronological(wilder(newestFirst(gains), period));
+        const averageLosses = chronological(wilder(newestFirst(losses), period));
+
+        return newestFirst(data.map((_, i) => {
+            const gain = averageGains[i];
+            const loss = averageLosses[i];
+            if (gain === null || loss === null) return null;
+            if (loss === 0) return gain === 0 ? 50 : 100;
+            return 100 - 100 / (1 + gain / loss);
+        }));
+    };
+
+    const macd = (closes, fast = 12, slow = 26, signalPeriod = 9) => {
+        const fastSeries = ema(closes, fast);
+        const slowSeries = ema(closes, slow);
+        const line = closes.map((_, i) => {
+            return fastSeries[i] === null || slowSeries[i] === null ? null : fastSeries[i] - slowSeries[i];
+        });
+        const signal = ema(line, signalPeriod);
+        const histogram = line.map((value, i) => signal[i] === null ? null : value - signal[i]);
+
+        return { macd: line, signal, histogram };
+    };
+
+    // نطاقات بولينجر: percentB موضع السعر داخل النطاق (0 = الحد السفلي، 1 = العلوي)
+    const bollinger = (closes, period = 20, multiplier = 2) => {
+        const middle = sma(closes, period);
+        const deviation = standardDeviation(closes, period);
+        const upper = middle.map((value, i) => value === null ? null : value + multiplier * deviation[i]);
+        const lower = middle.map((value, i) => value === null ? null : value - multiplier * deviation[i]);
+
+        return {
+            middle,
+            upper,
+            lower,
+            bandwidth: middle.map((value, i) => value === null || value === 0 ? null : (upper[i] - lower[i]) / value),
+            percentB: closes.map((close, i) => {
+                if (middle[i] === null) return null;
+                const width = upper[i] - lower[i];
+                return width === 0 ? 0.5 : (close - lower[i]) / width;
+            })
+        };
+    };
+
+    // المدى الحقيقي: أول شمعة (الأقدم) تستخدم المدى بين القمة والقاع فقط
+    const trueRange = (candles) => {
+        return candles.map((candle, i) => {
+            const previous = candles[i + 1];
+            if (!previous) return candle.high - candle.low;
+            return Math.max(
+                candle.high - candle.low,
+                Math.abs(candle.high - previous.close),
+                Math.abs(candle.low - previous.close)
+            );
+        });
+    };
+
+    const atr = (candles, period = 14) => wilder(trueRange(candles), period);
+
+    // متوسط بسيط لسلسلة تبدأ بقيم فارغة
+    const smaOfNullable = (values, period) => {
+        const data = chronological(values);
+        return newestFirst(data.map((_, i) => {
+            const window = data.slice(Math.max(0, i - period + 1), i + 1);
+            return window.length < period || window.includes(null) ? null : sum(window) / period;
+        }));
+    };
+
+    // Stochastic RSI: نطاق RSI صفري = 50
+    const stochRsi = (closes, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) => {
+        const rsiSeries = chronological(rsi(closes, rsiPeriod));
+        const raw = rsiSeries.map((value, i) => {
+            if (value === null) return null;
+            const window = rsiSeries.slice(Math.max(0, i - stochPeriod + 1), i + 1);
+            if (window.length < stochPeriod || window.includes(null)) return null;
+            const low = Math.min(...window);
+            const high = Math.max(...window);
+            return high === low ? 50 : (value - low) / (high - low) * 100;
+        });
+
+        const k = smaOfNullable(newestFirst(raw), kPeriod);
+        const d = smaOfNullable(k, dPeriod);
+        return { k, d };
+    };
+
+    // On-Balance Volume يبدأ من الصفر عند أقدم شمعة
+    const obv = (candles) => {
+        const data = chronological(candles);
+        let total = 0;
+        return newestFirst(data.map((candle, i) => {
+            if (i > 0) {
+                if (candle.close > data[i - 1].close) total += candle.volume;
+                else if (candle.close < data[i - 1].close) total -= candle.volume;
+            }
+            return total;
+        }));
+    };
+
+    // VWAP متحرك على آخر period شمعة بالسعر النموذجي، وبدون حجم يساوي متوسط السعر النموذجي
+    const vwap = (candles, period = 20) => {
+        const data = chronological(candles);
+        return newestFirst(data.map((_, i) => {
+            if (i < period - 1) return null;
+            const window = data.slice(i - period + 1, i + 1);
+            const typical = window.map(candle => (candle.high + candle.low + candle.close) / 3);
+            const volume = sum(window.map(candle => candle.volume));
+            if (volume === 0) return sum(typical) / period;
+            return sum(window.map((candle, j) => typical[j] * candle.volume)) / volume;
+        }));
+    };
+
+    // ADX مع +DI و -DI بتنعيم Wilder
+    const adx = (candles, period = 14) => {
+        const data = chronological(candles);
+        const plusDM = [null];
+        const minusDM = [null];
+        const ranges = [null];
+        for (let i = 1; i < data.length; i++) {
+            const up = data[i].high - data[i - 1].high;
+            const down = data[i - 1].low - data[i].low;
+            plusDM.push(up > down && up > 0 ? up : 0);
+            minusDM.push(down > up && down > 0 ? down : 0);
+            ranges.push(Math.max(
+                data[i].high - data[i].low,
+                Math.abs(data[i].high - data[i - 1].close),
+                Math.abs(data[i].low - data[i - 1].close)
+            ));
+        }
+
+        const smoothedRange = chronological(wilder(newestFirst(ranges), period));
+        const smoothedPlus = chronological(wilder(newestFirst(plusDM), period));
+        const smoothedMinus = chronological(wilder(newestFirst(minusDM), period));
+
+        const plusDI = smoothedRange.map((range, i) => range === null ? null : range === 0 ? 0 : smoothedPlus[i] / range * 100);
+        const minusDI = smoothedRange.map((range, i) => range === null ? null : range === 0 ? 0 : smoothedMinus[i] / range * 100);
+        const dx = plusDI.map((plus, i) => {
+            if (plus === null) return null;
+            const total = plus + minusDI[i];
+            return total === 0 ? 0 : Math.abs(plus - minusDI[i]) / total * 100;
+        });
+
+        return {
+            adx: wilder(newestFirst(dx), period),
+            plusDI: newestFirst(plusDI),
+            minusDI: newestFirst(minusDI)
+        };
+    };
+
+    // قنوات Keltner: EMA للسعر النموذجي ± مضاعف ATR
+    const keltner = (candles, period = 20, atrPeriod = 10, multiplier = 2) => {
+        const middle = ema(candles.map(candle => (candle.high + candle.low + candle.close) / 3), period);
+        const range = atr(candles, atrPeriod);
+
+        return {
+            middle,
+            upper: middle.map((value, i) => value === null || range[i] === null ? null : value + multiplier * range[i]),
+            lower: middle.map((value, i) => value === null || range[i] === null ? null : value - multiplier * range[i])
+        };
+    };
+
+    // Money Flow Index: بدون تدفق سلبي = 100، بدون تدفق = 50
+    const mfi = (candles, period = 14) => {
+        const data = chronological(candles);
+        const typical = data.map(candle => (candle.high + candle.low + candle.close) / 3);
+
+        return newestFirst(data.map((_, i) => {
+            if (i < period) return null;
+            let positive = 0;
+            let negative = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                const flow = typical[j] * data[j].volume;
+                if (typical[j] > typical[j - 1]) positive += flow;
+                else if (typical[j] < typical[j - 1]) negative += flow;
+            }
+            if (negative === 0) return positive === 0 ? 50 : 100;
+            return 100 - 100 / (1 + positive / negative);
+        }));
+    };
+
+    const Indicators = {
+        latest,
+        median,
+        mad,
+        sma,
+        ema,
+        wilder,
+        standardDeviation,
+        rsi,
+        macd,
+        bollinger,
+        trueRange,
+        atr,
+        stochRsi,
+        obv,
+        vwap,
+        adx,
+        keltner,
+        mfi
+    };
+
+    if (isNode) {
+        module.exports = { Indicators };
+    } else {
+        root.Indicators = Indicators;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
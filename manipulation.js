@@ -0,0 +1,99 @@
+// تقييم خطر التلاعب (الضخ والتصريف): نقاط منفصلة عن نقاط الفرصة من 0 إلى 100
+// كل عامل يعيد قوة من 0 إلى 1 ويُرجَّح بأوزان CONFIG.MANIPULATION.WEIGHTS:
+//   قفزة حجم مقارنة بعمق الدفتر، ذيول علوية طويلة، امتداد السعر عن المتوسط بوحدات ATR،
+//   دفتر ضحل لعملة صغيرة، وقفزات سابقة تراجعت بعدها (الشموع الأحدث أولاً)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    const clamp = value => Math.max(0, Math.min(1, value));
+
+    const MANIPULATION_FACTORS = {
+        VOLUME_VS_DEPTH: {
+            label: 'قفزة حجم لا يدعمها عمق الدفتر',
+            // الدفتر الضحل يضاعف أثر القفزة، وبدون دفتر تُحسب بنصف الأثر
+            test: ({ analysis }, settings) => {
+                const spike = clamp((analysis.volumeRatio - 1) / (settings.VOLUME_SPIKE_RATIO - 1));
+                const book = analysis.orderBook;
+                return spike * (book ? (book.thin ? 1 : 0.25) : 0.5);
+            }
+        },
+        UPPER_WICKS: {
+            label: 'ذيول علوية طويلة (تصريف عند القمم)',
+            test: ({ candles }, settings) => {
+                return candles.slice(0, settings.WICK_BARS).reduce((strongest, candle) => {
+                    const range = candle.high - candle.low;
+                    if (range <= 0) return strongest;
+                    const wick = (candle.high - Math.max(candle.open, candle.close)) / range;
+                    return Math.max(strongest, clamp((wick - settings.WICK_RATIO) / (1 - settings.WICK_RATIO)));
+                }, 0);
+            }
+        },
+        PRICE_EXTENSION: {
+            label: 'امتداد السعر بعيداً عن المتوسط',
+            test: ({ analysis, candles }, settings) => {
+                const { bollinger, atr } = analysis.indicators;
+                if (bollinger.middle === null || !atr) return 0;
+                const extension = (candles[0].close - bollinger.middle) / atr;
+                return clamp((extension - settings.EXTENSION_ATR_MIN) / (settings.EXTENSION_ATR_MAX - settings.EXTENSION_ATR_MIN));
+            }
+        },
+        THIN_LOW_CAP: {
+            label: 'دفتر ضحل لعملة صغيرة',
+            // حجم التداول اليومي بديل لحجم العملة (مصادر البيانات لا توفر القيمة السوقية)
+            test: ({ analysis, ticker }, settings) => {
+                const book = analysis.orderBook;
+                if (!book || !book.thin) return 0;
+                return ticker.volCcy24h < settings.LOW_CAP_VOLUME ? 1 : 0.5;
+            }
+        },
+        REPEAT_SPIKES: {
+            label: 'قفزات سابقة تبعها تراجع',
+            // قفزة: قمة الشمعة أعلى من افتتاحها بنسبة SPIKE_PERCENT وأغلقت بعد التخلي عن نصف الصعود على الأقل
+            test: ({ candles }, settings) => {
+                const spikes = candles.slice(1, settings.SPIKE_LOOKBACK + 1).filter(candle => {
+                    const rise = (candle.high - candle.open) / candle.open * 100;
+                    return rise >= settings.SPIKE_PERCENT && candle.close - candle.open <= (candle.high - candle.open) / 2;
+                });
+                return clamp(spikes.length / settings.REPEAT_SPIKES);
+            }
+        }
+    };
+
+    class ManipulationRiskAnalyzer {
+        constructor(settings = CONFIG.MANIPULATION) {
+            this.settings = settings;
+        }
+
+        // النتيجة: { score, level, suppress, factors: [{ key, label, strength, weight, points }] }
+        assess({ analysis, ticker, candles }) {
+            const { WEIGHTS, MEDIUM_LEVEL, HIGH_LEVEL, SUPPRESS_BUY } = this.settings;
+            const totalWeight = Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+
+            const factors = Object.entries(WEIGHTS).map(([key, weight]) => {
+                const factor = MANIPULATION_FACTORS[key];
+                const strength = factor ? factor.test({ analysis, ticker, candles }, this.settings) : 0;
+                return { key, label: factor ? factor.label : key, strength, weight, points: strength * weight };
+            });
+
+            const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+            const score = totalWeight > 0 ? Math.round(points / totalWeight * 100) : 0;
+            const level = score >= HIGH_LEVEL ? 'high' : score >= MEDIUM_LEVEL ? 'medium' : 'low';
+
+            return {
+                score,
+                level,
+                suppress: SUPPRESS_BUY && level === 'high',
+                factors
+            };
+        }
+    }
+
+    const exported = { ManipulationRiskAnalyzer, MANIPULATION_FACTORS };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
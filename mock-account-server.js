@@ -0,0 +1,109 @@
+// خادم HTTP محلي يعيد استجابات مسجلة لطلبات OKX الخاصة (الأرصدة والأوامر والصفقات وإرسال الأوامر) للاختبار بدون حساب حقيقي
+// يرفض الطلبات الخاصة بدون ترويسات التوقيع، ومع --secret يتحقق من التوقيع نفسه بنفس خوارزمية OKX
+// التسجيلات: { "/api/v5/account/balance": { code, msg, data }, ... } من ملف --recording، أو fixtures/account.json افتراضياً
+// المفتاح قد يكون المسار مع نص الاستعلام لاستجابة محددة، وإلا يُستخدم المسار وحده
+//
+// الاستخدام:
+//   node mock-account-server.js --port 8766 --secret MY_SECRET --recording fixtures/account.json
+// ثم: OKX_API_KEY=k OKX_SECRET_KEY=MY_SECRET OKX_PASSPHRASE=p node account.js --base-url http://localhost:8766/api/v5
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// التسجيل الافتراضي: حساب صغير فيه رصيد USDT و BTC بمتوسط تكلفة من OKX و ETH بمتوسط من الصفقات وأمران مفتوحان
+const DEFAULT_RECORDING = require('./fixtures/account.json');
+
+const SIGNATURE_HEADERS = ['ok-access-key', 'ok-access-sign', 'ok-access-timestamp', 'ok-access-passphrase'];
+const PRIVATE_PATHS = ['/api/v5/account/', '/api/v5/trade/'];
+
+class MockAccountServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 8766;
+        this.secret = options.secret || null;
+        this.recording = options.recording || DEFAULT_RECORDING;
+        this.requests = [];
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            // السماح للمتصفح بالاتصال عند ضبط CONFIG.OKX_API.BASE_URL على الخادم المحلي
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': [...SIGNATURE_HEADERS, 'content-type', 'x-simulated-trading'].join(', '),
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+        });
+        res.end(body === null ? '' : JSON.stringify(body));
+    }
+
+    handleRequest(req, res) {
+        if (req.method === 'OPTIONS') {
+            this.send(res, 204, null);
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            this.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            const isPrivate = PRIVATE_PATHS.some(prefix => pathname.startsWith(prefix));
+            const missing = isPrivate ? SIGNATURE_HEADERS.filter(header => !req.headers[header]) : [];
+            if (missing.length > 0) {
+                this.send(res, 401, { code: '50103', msg: `Request header ${missing[0].toUpperCase()} can not be empty`, data: [] });
+                return;
+            }
+
+            if (isPrivate && this.secret) {
+                const prehash = `${req.headers['ok-access-timestamp']}${req.method}${req.url}${body}`;
+                const expected = crypto.createHmac('sha256', this.secret).update(prehash).digest('base64');
+                if (expected !== req.headers['ok-access-sign']) {
+                    this.send(res, 401, { code: '50113', msg: 'Invalid Sign', data: [] });
+                    return;
+                }
+            }
+
+            const recorded = this.recording[req.url] || this.recording[pathname];
+            if (!recorded) {
+                this.send(res, 404, { code: '50000', msg: `No recording for ${pathname}`, data: [] });
+                return;
+            }
+            this.send(res, 200, recorded);
+        });
+    }
+}
+
+const createMockAccountServer = (options) => new MockAccountServer(options).start();
+
+module.exports = { MockAccountServer, createMockAccountServer, DEFAULT_RECORDING };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const recordingFile = option('recording');
+    createMockAccountServer({
+        port: option('port') ? parseInt(option('port')) : undefined,
+        secret: option('secret'),
+        recording: recordingFile ? JSON.parse(fs.readFileSync(recordingFile, 'utf8')) : undefined
+    }).then(server => {
+        console.log(`خادم الحساب التجريبي يعمل على http://localhost:${server.port}/api/v5`);
+    });
+}
@@ -0,0 +1,377 @@
+// خادم WebSocket محلي يحاكي قنوات OKX العامة (tickers و trades و candle*) للاختبار بدون اتصال
+// بدون أي مكتبات خارجية: المصافحة وتأطير الرسائل منفذة يدوياً
+// كل شمعة تبدأ عند بداية إطارها الزمني وتتراكم حتى نهايته، ويمكن إيقاف البث مؤقتاً لمحاكاة اتصال معلق
+// NodeWebSocket عميل بسيط بواجهة WebSocket في المتصفح لتشغيل streaming.js في Node (الاختبارات)
+//
+// الاستخدام:
+//   node mock-stream-server.js --port 8765 --interval 1000
+// ثم ضبط CONFIG.STREAMING.PUBLIC_URL و BUSINESS_URL على ws://localhost:8765
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { BAR_MS } = require('./candle-cache.js');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// إنشاء إطار نصي: إطارات الخادم بدون قناع، وإطارات العميل مقنّعة كما يشترط البروتوكول
+const encodeFrame = (payload, opcode = 0x1, masked = false) => {
+    const data = Buffer.from(payload);
+    const maskBit = masked ? 0x80 : 0;
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, maskBit | data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = maskBit | 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = maskBit | 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    if (!masked) {
+        return Buffer.concat([header, data]);
+    }
+    const mask = crypto.randomBytes(4);
+    const body = Buffer.from(data);
+    for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+    return Buffer.concat([header, mask, body]);
+};
+
+// قراءة الإطارات المكتملة من المخزن المؤقت، وإرجاع ما تبقى
+const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const mask = masked ? buffer.slice(cursor, cursor + 4) : null;
+        cursor += maskLength;
+        const payload = Buffer.from(buffer.slice(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode, payload });
+        offset = cursor + length;
+    }
+
+    return { frames, rest: buffer.slice(offset) };
+};
+
+class MockStreamServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 8765;
+        this.interval = options.interval || 1000;
+        this.clients = new Set();
+        this.prices = {};
+        this.candles = {};
+        this.tradeId = 0;
+        this.pings = 0;
+        this.paused = false;
+        this.server = http.createServer((req, res) => {
+            res.writeHead(426);
+            res.end('WebSocket only');
+        });
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+        this.timer = null;
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                this.timer = setInterval(() => this.broadcastUpdates(), this.interval);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // قطع جميع الاتصالات لاختبار إعادة الاتصال وإعادة الاشتراك
+    dropConnections() {
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+    }
+
+    // اتصال معلق: المقابس تبقى مفتوحة لكن بدون تحديثات ولا pong، لاختبار كشف النبض
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const client = { socket, subscriptions: new Map(), buffer: Buffer.alloc(0) };
+        this.clients.add(client);
+
+        socket.on('data', chunk => {
+            client.buffer = Buffer.concat([client.buffer, chunk]);
+            const { frames, rest } = decodeFrames(client.buffer);
+            client.buffer = rest;
+            frames.forEach(frame => this.handleFrame(client, frame));
+        });
+        socket.on('close', () => this.clients.delete(client));
+        socket.on('error', () => this.clients.delete(client));
+    }
+
+    handleFrame(client, { opcode, payload }) {
+        if (opcode === 0x8) {
+            client.socket.end(encodeFrame('', 0x8));
+            this.clients.delete(client);
+            return;
+        }
+        if (opcode === 0x9) {
+            client.socket.write(encodeFrame(payload, 0xa));
+            return;
+        }
+        if (opcode !== 0x1) return;
+
+        const text = payload.toString();
+        if (text === 'ping') {
+            this.pings++;
+            if (!this.paused) this.send(client, 'pong');
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.send(client, JSON.stringify({ event: 'error', code: '60012', msg: 'Invalid request' }));
+            return;
+        }
+
+        (message.args || []).forEach(arg => {
+            const key = `${arg.channel}:${arg.instId}`;
+            if (message.op === 'subscribe') client.subscriptions.set(key, arg);
+            if (message.op === 'unsubscribe') client.subscriptions.delete(key);
+            this.send(client, JSON.stringify({ event: message.op, arg }));
+        });
+    }
+
+    send(client, text) {
+        if (!client.socket.destroyed) {
+            client.socket.write(encodeFrame(text));
+        }
+    }
+
+    // حركة سعر عشوائية صغيرة لكل عملة مشترك بها
+    nextPrice(instId) {
+        const previous = this.prices[instId] || 1 + Math.random() * 100;
+        const price = previous * (1 + (Math.random() - 0.5) * 0.01);
+        this.prices[instId] = price;
+        return price;
+    }
+
+    // الشمعة الحالية للإطار: تبدأ عند بداية الإطار (1H عند رأس الساعة مثلاً) وتتراكم حتى نهايته
+    nextCandle(instId, bar, price, now) {
+        const barMs = BAR_MS[bar] || 60000;
+        const start = now - (now % barMs);
+        const key = `${instId}:${bar}`;
+
+        let candle = this.candles[key];
+        if (!candle || candle.start !== start) {
+            candle = { start, open: price, high: price, low: price, close: price, volume: 0 };
+            this.candles[key] = candle;
+        }
+        candle.high = Math.max(candle.high, price);
+        candle.low = Math.min(candle.low, price);
+        candle.close = price;
+        candle.volume += 10 + Math.random() * 50;
+        return candle;
+    }
+
+    broadcastUpdates() {
+        if (this.paused) return;
+        const now = Date.now();
+
+        // سعر واحد لكل عملة في كل دورة حتى تتطابق الأسعار والشموع والصفقات
+        const prices = {};
+        const candles = {};
+        this.clients.forEach(client => {
+            client.subscriptions.forEach(arg => {
+                if (!(arg.instId in prices)) {
+                    prices[arg.instId] = this.nextPrice(arg.instId);
+                    candles[arg.instId] = {};
+                }
+                if (arg.channel.startsWith('candle') && !candles[arg.instId][arg.channel]) {
+                    candles[arg.instId][arg.channel] = this.nextCandle(arg.instId, arg.channel.slice('candle'.length), prices[arg.instId], now);
+                }
+            });
+        });
+
+        this.clients.forEach(client => {
+            client.subscriptions.forEach(arg => {
+                const price = prices[arg.instId];
+
+                if (arg.channel === 'tickers') {
+                    this.send(client, JSON.stringify({
+                        arg,
+                        data: [{
+                            instId: arg.instId,
+                            last: String(price),
+                            open24h: String(price * 0.97),
+                            high24h: String(price * 1.02),
+                            low24h: String(price * 0.95),
+                            vol24h: String(2000000 + Math.random() * 1000000),
+                            volCcy24h: String((2000000 + Math.random() * 1000000) * price),
+                            ts: String(now)
+                        }]
+                    }));
+                } else if (arg.channel === 'trades') {
+                    this.send(client, JSON.stringify({
+                        arg,
+                        data: [{
+                            instId: arg.instId,
+                            tradeId: String(++this.tradeId),
+                            px: String(price),
+                            sz: String(Math.random() * 10),
+                            side: Math.random() < 0.5 ? 'buy' : 'sell',
+                            ts: String(now)
+                        }]
+                    }));
+                } else if (arg.channel.startsWith('candle')) {
+                    const candle = candles[arg.instId][arg.channel];
+                    this.send(client, JSON.stringify({
+                        arg,
+                        data: [[
+                            String(candle.start),
+                            String(candle.open),
+                            String(candle.high),
+                            String(candle.low),
+                            String(candle.close),
+                            String(candle.volume),
+                            '0', '0', '0'
+                        ]]
+                    }));
+                }
+            });
+        });
+    }
+}
+
+// عميل WebSocket بالحد الأدنى من واجهة المتصفح (onopen و onmessage و onclose و send و close و readyState)
+// يكفي للاتصال بهذا الخادم، ويُمرر إلى StreamConnection عبر الخيار WebSocket
+class NodeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+
+        const { hostname, port, pathname } = new URL(url);
+        const key = crypto.randomBytes(16).toString('base64');
+        let buffer = Buffer.alloc(0);
+
+        this.socket = net.connect(port, hostname, () => {
+            this.socket.write([
+                `GET ${pathname} HTTP/1.1`,
+                `Host: ${hostname}:${port}`,
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${key}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                ''
+            ].join('\r\n'));
+        });
+
+        this.socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (this.readyState === 0) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                buffer = buffer.slice(end + 4);
+                this.readyState = 1;
+                if (this.onopen) this.onopen({});
+            }
+
+            const { frames, rest } = decodeFrames(buffer);
+            buffer = rest;
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x1 && this.onmessage) this.onmessage({ data: payload.toString() });
+                if (opcode === 0x8) this.socket.end();
+            });
+        });
+        // بعد close() من العميل لا يُبلغ عن أخطاء إغلاق المقبس، كما في المتصفح
+        this.socket.on('error', error => {
+            if (this.readyState < 2 && this.onerror) this.onerror(error);
+        });
+        this.socket.on('close', () => {
+            this.readyState = 3;
+            if (this.onclose) this.onclose({});
+        });
+    }
+
+    send(text) {
+        if (this.readyState === 1) {
+            this.socket.write(encodeFrame(text, 0x1, true));
+        }
+    }
+
+    close() {
+        if (this.readyState > 1) return;
+        this.readyState = 2;
+        this.socket.end(encodeFrame('', 0x8, true));
+    }
+}
+
+const createMockStreamServer = (options) => new MockStreamServer(options).start();
+
+module.exports = { MockStreamServer, createMockStreamServer, NodeWebSocket, encodeFrame, decodeFrames };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? parseInt(args[index + 1]) : undefined;
+    };
+
+    createMockStreamServer({ port: option('port'), interval: option('interval') }).then(server => {
+        console.log(`خادم البث التجريبي يعمل على ws://localhost:${server.port}`);
+    });
+}
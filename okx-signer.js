@@ -0,0 +1,51 @@
+// توقيع طلبات OKX الخاصة: OK-ACCESS-SIGN = Base64(HMAC-SHA256(timestamp + method + requestPath + body, secretKey))
+// requestPath يشمل /api/v5 ونص الاستعلام، والطابع الزمني بصيغة ISO بالملي ثانية
+// في وضع SANDBOX يُضاف x-simulated-trading: 1 لتوجيه الطلب إلى حساب التداول التجريبي في OKX
+// الوضع ثابت للموقّع حتى تذهب قراءة الحساب والأوامر إلى نفس الحساب الذي تتبعه المفاتيح
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    const encoder = new TextEncoder();
+
+    class OKXSigner {
+        constructor({ apiKey, secretKey, passphrase }, { sandbox = CONFIG.OKX_API.SANDBOX, subtle } = {}) {
+            if (!apiKey || !secretKey || !passphrase) {
+                throw new Error('مفاتيح OKX غير مكتملة');
+            }
+            this.apiKey = apiKey;
+            this.passphrase = passphrase;
+            this.sandbox = sandbox;
+            this.subtle = subtle || root.crypto.subtle;
+            this.keyPromise = this.subtle.importKey('raw', encoder.encode(secretKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        }
+
+        async sign(timestamp, method, requestPath, body = '') {
+            const key = await this.keyPromise;
+            const signature = await this.subtle.sign('HMAC', key, encoder.encode(`${timestamp}${method.toUpperCase()}${requestPath}${body}`));
+            return btoa(String.fromCharCode(...new Uint8Array(signature)));
+        }
+
+        async headers(method, requestPath, body = '', { timestamp = new Date().toISOString() } = {}) {
+            const headers = {
+                'OK-ACCESS-KEY': this.apiKey,
+                'OK-ACCESS-SIGN': await this.sign(timestamp, method, requestPath, body),
+                'OK-ACCESS-TIMESTAMP': timestamp,
+                'OK-ACCESS-PASSPHRASE': this.passphrase,
+                'Content-Type': 'application/json'
+            };
+            if (this.sandbox) {
+                headers['x-simulated-trading'] = '1';
+            }
+            return headers;
+        }
+    }
+
+    const exported = { OKXSigner };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,97 @@
+// تحليل دفتر الأوامر: اختلال العرض والطلب قرب السعر، الجدران الكبيرة، الفارق، وعمق السوق
+// الاختلال = (عمق الشراء - عمق البيع) / مجموعهما داخل نطاق ±N% من السعر الأوسط (من -1 إلى 1)
+// العمق بعملة التسعير (السعر × الكمية)، والدفتر الضحل مقارنة بحجم التداول يُعلَّم كخطر ضخ وتصريف
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+    const { median } = Indicators;
+
+    class OrderBookAnalyzer {
+        constructor(settings = CONFIG.ORDER_BOOK) {
+            this.settings = settings;
+        }
+
+        // النتيجة null إذا كان الدفتر فارغاً (لا توجد بيانات وليس دفتراً ضحلاً)
+        analyze(orderBook, ticker = {}) {
+            if (!orderBook || orderBook.bids.length === 0 || orderBook.asks.length === 0) return null;
+
+            const { BANDS, WALL_MULTIPLIER, WALL_MAX_DISTANCE, MAX_SPREAD, MIN_DEPTH, MIN_DEPTH_TO_VOLUME } = this.settings;
+            const bestBid = orderBook.bids[0][0];
+            const bestAsk = orderBook.asks[0][0];
+            const mid = (bestBid + bestAsk) / 2;
+            const spread = (bestAsk - bestBid) / mid * 100;
+
+            const levels = side => orderBook[side].map(([price, size]) => ({
+                price,
+                size,
+                value: price * size,
+                distance: Math.abs(price - mid) / mid * 100
+            }));
+            const bids = levels('bids');
+            const asks = levels('asks');
+            const depthWithin = (side, percent) => side
+                .filter(level => level.distance <= percent)
+                .reduce((sum, level) => sum + level.value, 0);
+
+            const bands = BANDS.map(percent => {
+                const bidDepth = depthWithin(bids, percent);
+                const askDepth = depthWithin(asks, percent);
+                const total = bidDepth + askDepth;
+                return {
+                    percent,
+                    bidDepth,
+                    askDepth,
+                    imbalance: total > 0 ? (bidDepth - askDepth) / total : 0
+                };
+            });
+
+            const walls = [...this.findWalls(bids, 'bid'), ...this.findWalls(asks, 'ask')]
+                .filter(wall => wall.distance <= WALL_MAX_DISTANCE)
+                .sort((a, b) => b.value - a.value);
+
+            // العمق في أوسع نطاق هو أساس نسب العمق
+            const widest = bands[bands.length - 1];
+            const depth = widest.bidDepth + widest.askDepth;
+            const depthToVolume = ticker.volCcy24h > 0 ? depth / ticker.volCcy24h : null;
+
+            const reasons = [];
+            if (depth < MIN_DEPTH) reasons.push('depth');
+            if (spread > MAX_SPREAD) reasons.push('spread');
+            if (depthToVolume !== null && depthToVolume < MIN_DEPTH_TO_VOLUME) reasons.push('volume');
+
+            return {
+                bestBid,
+                bestAsk,
+                mid,
+                spread,
+                bands,
+                imbalance: widest.imbalance,
+                depth,
+                depthToVolume,
+                walls,
+                thin: reasons.length > 0,
+                thinReasons: reasons,
+                time: orderBook.time
+            };
+        }
+
+        // الجدار: مستوى تتجاوز كميته WALL_MULTIPLIER ضعف الوسيط لنفس الجانب
+        findWalls(levels, side) {
+            const typical = median(levels.map(level => level.size));
+            if (!typical) return [];
+
+            return levels
+                .filter(level => level.size >= typical * this.settings.WALL_MULTIPLIER)
+                .map(level => ({ side, ...level, multiple: level.size / typical }));
+        }
+    }
+
+    const exported = { OrderBookAnalyzer };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,153 @@
+// تذكرة أمر من توصية الكاشف: دخول بأمر محدد السعر مع وقف خسارة وأهداف مرفقة (OKX attachAlgoOrds)
+// الحجم من نسبة المخاطرة: الكمية = (المحفظة × نسبة المخاطرة) ÷ (الدخول - الوقف)، بحد أقصى MAX_POSITION_PERCENT
+// الأسعار والكميات تُقرّب لخطوة السعر والكمية الخاصة بالعملة قبل الإرسال، والحساب (تجريبي أو حقيقي) من موقّع المحول
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    // عدد المنازل العشرية في خطوة مثل '0.001'
+    const decimalsOf = step => {
+        const text = String(step);
+        return text.includes('.') ? text.split('.')[1].length : 0;
+    };
+
+    const roundToStep = (value, step, mode = Math.round) => {
+        const stepValue = parseFloat(step);
+        return (mode(value / stepValue + 1e-9) * stepValue).toFixed(decimalsOf(step));
+    };
+
+    // levels اختيارية لتعديل الدخول والوقف والأهداف يدوياً قبل الإرسال
+    const buildBracketTicket = (coin, { portfolioSize, riskPercent = CONFIG.ORDERS.RISK_PERCENT, levels = {} } = {}) => {
+        const { entryPoint, stopLoss, supportResistance, manipulation } = coin.analysis;
+        const entry = levels.entry !== undefined ? levels.entry : parseFloat(entryPoint.price);
+        const stop = levels.stop !== undefined ? levels.stop : parseFloat(stopLoss.price);
+        const targets = (levels.targets || [supportResistance.resistance2, supportResistance.resistance1])
+            .filter(price => Number.isFinite(price) && price > entry)
+            .sort((a, b) => a - b);
+
+        const errors = [];
+        const warnings = [];
+        if (!(entry > 0)) errors.push('سعر الدخول غير صالح');
+        if (!(stop < entry)) errors.push('وقف الخسارة يجب أن يكون أقل من سعر الدخول');
+        if (targets.length === 0) errors.push('لا يوجد هدف أعلى من سعر الدخول');
+        if (!(portfolioSize > 0)) errors.push('حجم المحفظة غير محدد');
+        if (!(riskPercent > 0)) errors.push('نسبة المخاطرة غير صالحة');
+        if (manipulation && manipulation.suppress) {
+            errors.push('خطر تلاعب مرتفع: الشراء معطل لهذه العملة');
+        }
+
+        const riskAmount = portfolioSize * riskPercent / 100;
+        const riskPerUnit = entry - stop;
+        let size = errors.length === 0 ? riskAmount / riskPerUnit : 0;
+        const maxValue = portfolioSize * CONFIG.ORDERS.MAX_POSITION_PERCENT / 100;
+        if (size * entry > maxValue) {
+            size = maxValue / entry;
+            warnings.push(`الحجم مقيد بـ ${CONFIG.ORDERS.MAX_POSITION_PERCENT}% من المحفظة، والمخاطرة الفعلية أقل من المحددة`);
+        }
+
+        // توزيع الكمية على الأهداف حسب TARGET_SPLIT
+        const split = CONFIG.ORDERS.TARGET_SPLIT.slice(0, targets.length);
+        const splitTotal = split.reduce((sum, part) => sum + part, 0);
+        const takeProfits = targets.map((price, index) => ({
+            price,
+            size: size * split[index] / splitTotal,
+            rewardMultiple: riskPerUnit > 0 ? (price - entry) / riskPerUnit : 0
+        }));
+
+        return {
+            instId: coin.fullSymbol,
+            side: 'buy',
+            entry,
+            stop,
+            size,
+            value: size * entry,
+            riskPercent,
+            riskAmount: size * Math.max(riskPerUnit, 0),
+            takeProfits,
+            errors,
+            warnings
+        };
+    };
+
+    class OKXOrderPlacer {
+        constructor({ exchange } = {}) {
+            if (!exchange || typeof exchange.privateRequest !== 'function') {
+                throw new Error('إرسال الأوامر يتطلب محول OKX يدعم الطلبات الخاصة');
+            }
+            this.exchange = exchange;
+        }
+
+        // نفس وضع الموقّع المستخدم لقراءة الحساب، فلا تُرسل أوامر إلى حساب غير المعروض
+        get sandbox() {
+            return this.exchange.signer ? this.exchange.signer.sandbox : CONFIG.OKX_API.SANDBOX;
+        }
+
+        // جسم طلب /trade/order بعد التقريب لقواعد العملة (tickSz و lotSz و minSz)
+        async prepare(ticket) {
+            if (ticket.errors.length > 0) {
+                throw new Error(ticket.errors.join('، '));
+            }
+
+            const instrument = await this.exchange.fetchInstrument(ticket.instId);
+            const price = value => roundToStep(value, instrument.tickSz);
+            const size = value => roundToStep(value, instrument.lotSz, Math.floor);
+            const minSize = parseFloat(instrument.minSz);
+
+            const total = size(ticket.size);
+            if (parseFloat(total) < minSize) {
+                throw new Error(`الكمية ${total} أقل من الحد الأدنى للعملة (${instrument.minSz})`);
+            }
+
+            // الأهداف الجزئية الأصغر من الحد الأدنى تُدمج في هدف واحد بكامل الكمية، وإلا يأخذ الهدف الأخير باقي التقريب
+            let targets = ticket.takeProfits.map(target => ({ price: price(target.price), size: size(target.size) }));
+            if (targets.length > 1 && targets.some(target => parseFloat(target.size) < minSize)) {
+                targets = [{ price: targets[0].price, size: total }];
+            }
+            if (targets.length > 1) {
+                const assigned = targets.slice(0, -1).reduce((sum, target) => sum + parseFloat(target.size), 0);
+                targets[targets.length - 1].size = size(parseFloat(total) - assigned);
+            }
+
+            const clOrdId = `cpd${Date.now()}`;
+            const stopPrice = price(ticket.stop);
+            return {
+                instId: ticket.instId,
+                tdMode: 'cash',
+                side: ticket.side,
+                ordType: 'limit',
+                px: price(ticket.entry),
+                sz: total,
+                clOrdId,
+                // tpOrdPx و slOrdPx = -1 تعني التنفيذ بسعر السوق عند الوصول لسعر التفعيل
+                attachAlgoOrds: targets.map((target, index) => ({
+                    attachAlgoClOrdId: `${clOrdId}t${index + 1}`,
+                    tpTriggerPx: target.price,
+                    tpOrdPx: '-1',
+                    slTriggerPx: stopPrice,
+                    slOrdPx: '-1',
+                    ...(targets.length > 1 ? { sz: target.size } : {})
+                }))
+            };
+        }
+
+        async place(order) {
+            const data = await this.exchange.privateRequest('/trade/order', {
+                method: 'POST',
+                body: order
+            });
+            const result = data[0] || {};
+            if (result.sCode && result.sCode !== '0') {
+                throw new Error(`رفضت OKX الأمر: ${result.sMsg || result.sCode}`);
+            }
+            return { orderId: result.ordId, clientOrderId: result.clOrdId || order.clOrdId, sandbox: this.sandbox };
+        }
+    }
+
+    const exported = { buildBracketTicket, OKXOrderPlacer, roundToStep };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,270 @@
+// التداول التجريبي: متابعة توصيات الكاشف بصفقات افتراضية محفوظة في IndexedDB
+// أمر الدخول ينفذ عند لمس سعر الدخول، ثم يُغلق تدريجياً عند الأهداف أو كاملاً عند وقف الخسارة
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { createStore } = isNode ? require('./storage.js') : root;
+    const { RiskManager } = isNode ? require('./risk.js') : root;
+
+    class PaperPortfolio {
+        constructor(options = {}) {
+            this.initialBalance = options.initialBalance || CONFIG.PAPER_TRADING.INITIAL_BALANCE;
+            this.positionStore = options.positionStore || createStore('paperPositions');
+            this.equityStore = options.equityStore || createStore('paperEquity');
+            this.risk = options.risk || new RiskManager();
+            this.onChange = options.onChange || (() => {});
+
+            this.positions = [];
+            this.equityCurve = [];
+            this.lastPrices = {};
+            this.lastEquityAt = 0;
+        }
+
+        async load() {
+            this.positions = (await this.positionStore.getAll()).sort((a, b) => a.createdAt - b.createdAt);
+            this.equityCurve = (await this.equityStore.getAll()).sort((a, b) => a.time - b.time);
+            this.positions.forEach(position => {
+                this.lastPrices[position.instId] = position.lastPrice;
+            });
+            return this;
+        }
+
+        // النقد المتاح: الرصيد الأولي ناقص تكلفة الصفقات المنفذة زائد عوائد ما تم إغلاقه
+        getCash() {
+            return this.positions.reduce((cash, position) => {
+                if (!position.filledAt) return cash;
+                return cash - position.entry * position.quantity + position.proceeds;
+            }, this.initialBalance);
+        }
+
+        // النقد المحجوز لأوامر الدخول المعلقة حتى تنفيذها أو إلغائها
+        getReservedCash() {
+            return this.positions
+                .filter(position => position.status === 'pending')
+                .reduce((reserved, position) => reserved + position.entry * position.quantity, 0);
+        }
+
+        // النقد المتاح لصفقة جديدة بعد حجز قيمة الأوامر المعلقة، حتى لا تتجاوز الأوامر المنفذة الرصيد
+        getAvailableCash() {
+            return this.getCash() - this.getReservedCash();
+        }
+
+        getEquity() {
+            return this.positions
+                .filter(position => position.status === 'open')
+                .reduce((equity, position) => {
+                    const price = this.lastPrices[position.instId] || position.entry;
+                    return equity + position.remainingQuantity * price;
+                }, this.getCash());
+        }
+
+        // فتح صفقة من توصية العملة، بحجم من مدير المخاطر حسب قيمة المحفظة الحالية
+        async openPosition(coin, { regime, volatility } = {}) {
+            const openCount = this.positions.filter(position => position.status !== 'closed' && position.status !== 'cancelled').length;
+            const plan = this.risk.planPosition(coin, this.getEquity(), {
+                regime: regime || coin.marketRegime,
+                volatility,
+                openPositions: openCount
+            });
+
+            if (plan.quantity <= 0 || plan.positionValue > this.getAvailableCash()) {
+                throw new Error('الرصيد التجريبي غير كافٍ لفتح هذه الصفقة');
+            }
+
+            const now = Date.now();
+            const position = {
+                id: `${coin.fullSymbol}-${now}`,
+                instId: coin.fullSymbol,
+                symbol: coin.symbol,
+                status: 'pending',
+                regime: regime || coin.marketRegime,
+                score: coin.score,
+                entry: plan.entry,
+                stop: plan.stop,
+                quantity: plan.quantity,
+                remainingQuantity: plan.quantity,
+                targets: plan.takeProfits.map(step => ({ price: step.price, quantity: step.quantity, hit: false })),
+                proceeds: 0,
+                realizedPnl: 0,
+                lastPrice: coin.price,
+                warnings: plan.warnings,
+                createdAt: now,
+                filledAt: null,
+                closedAt: null,
+                exitReason: null
+            };
+
+            this.positions.push(position);
+            this.applyPrice(position, coin.price, now);
+            await this.save(position);
+            return position;
+        }
+
+        async cancelPosition(id) {
+            const position = this.positions.find(item => item.id === id);
+            if (!position || position.status !== 'pending') return;
+
+            position.status = 'cancelled';
+            position.closedAt = Date.now();
+            await this.save(position);
+        }
+
+        // إغلاق يدوي بسعر السوق الأخير
+        async closePosition(id) {
+            const position = this.positions.find(item => item.id === id);
+            if (!position || position.status !== 'open') return;
+
+            this.exit(position, position.remainingQuantity, this.lastPrices[position.instId] || position.entry);
+            this.finalize(position, Date.now(), 'manual');
+            await this.save(position);
+        }
+
+        // تحديث الأسعار: prices = { 'BTC-USDT': 65000, ... }
+        async updatePrices(prices, time = Date.now()) {
+            const changed = [];
+            Object.entries(prices).forEach(([instId, price]) => {
+                this.lastPrices[instId] = price;
+            });
+
+            for (const position of this.positions) {
+                const price = prices[position.instId];
+                if (price === undefined || (position.status !== 'pending' && position.status !== 'open')) continue;
+
+                position.lastPrice = price;
+                if (this.applyPrice(position, price, time)) {
+                    changed.push(position);
+                }
+            }
+
+            await Promise.all(changed.map(position => this.positionStore.put(position)));
+            await this.recordEquity(time, changed.length > 0);
+            if (changed.length > 0) this.onChange();
+            return changed;
+        }
+
+        // تطبيق سعر على صفقة، وإرجاع true إذا تغيرت حالتها
+        applyPrice(position, price, time) {
+            if (position.status === 'pending') {
+                if (price > position.entry) return false;
+                position.status = 'open';
+                position.filledAt = time;
+            }
+
+            if (position.status !== 'open') return false;
+
+            if (price <= position.stop) {
+                this.exit(position, position.remainingQuantity, position.stop);
+                this.finalize(position, time, 'stop');
+                return true;
+            }
+
+            let changed = position.filledAt === time;
+            position.targets.forEach(target => {
+                if (!target.hit && price >= target.price) {
+                    target.hit = true;
+                    this.exit(position, target.quantity, target.price);
+                    changed = true;
+                }
+            });
+
+            if (position.targets.every(target => target.hit)) {
+                this.finalize(position, time, 'target');
+            }
+            return changed;
+        }
+
+        exit(position, quantity, price) {
+            const exitQuantity = Math.min(quantity, position.remainingQuantity);
+            position.remainingQuantity -= exitQuantity;
+            position.proceeds += exitQuantity * price;
+            position.realizedPnl += exitQuantity * (price - position.entry);
+        }
+
+        finalize(position, time, reason) {
+            position.status = 'closed';
+            position.closedAt = time;
+            position.exitReason = reason;
+            position.remainingQuantity = 0;
+        }
+
+        async save(position) {
+            await this.positionStore.put(position);
+            await this.recordEquity(Date.now(), true);
+            this.onChange();
+        }
+
+        // نقطة على منحنى رأس المال: عند كل تغير، أو دورياً حسب الإعدادات
+        async recordEquity(time, force = false) {
+            if (!force && time - this.lastEquityAt < CONFIG.PAPER_TRADING.EQUITY_SNAPSHOT_INTERVAL) return;
+
+            const point = { time, equity: this.getEquity() };
+            this.lastEquityAt = time;
+            this.equityCurve.push(point);
+            await this.equityStore.put(point);
+
+            if (this.equityCurve.length > CONFIG.PAPER_TRADING.MAX_EQUITY_POINTS) {
+                const removed = this.equityCurve.shift();
+                await this.equityStore.delete(removed.time);
+            }
+        }
+
+        getOpenPositions() {
+            return this.positions.filter(position => position.status === 'pending' || position.status === 'open');
+        }
+
+        getClosedPositions() {
+            return this.positions.filter(position => position.status === 'closed');
+        }
+
+        // الربح المحقق حسب حالة السوق عند الدخول
+        getPnlByRegime() {
+            const result = {};
+            this.positions
+                .filter(position => position.filledAt)
+                .forEach(position => {
+                    const stats = result[position.regime] = result[position.regime] ||
+                        { trades: 0, closed: 0, wins: 0, realizedPnl: 0 };
+                    stats.trades++;
+                    stats.realizedPnl += position.realizedPnl;
+                    if (position.status === 'closed') {
+                        stats.closed++;
+                        if (position.realizedPnl > 0) stats.wins++;
+                    }
+                });
+            return result;
+        }
+
+        getSummary() {
+            const closed = this.getClosedPositions();
+            const realizedPnl = this.positions.reduce((sum, position) => sum + position.realizedPnl, 0);
+            const equity = this.getEquity();
+
+            return {
+                initialBalance: this.initialBalance,
+                cash: this.getCash(),
+                reserved: this.getReservedCash(),
+                available: this.getAvailableCash(),
+                equity,
+                realizedPnl,
+                unrealizedPnl: equity - this.initialBalance - realizedPnl,
+                returnPct: (equity / this.initialBalance - 1) * 100,
+                closedTrades: closed.length,
+                winRate: closed.length ? closed.filter(position => position.realizedPnl > 0).length / closed.length * 100 : 0
+            };
+        }
+
+        async reset() {
+            this.positions = [];
+            this.equityCurve = [];
+            await this.positionStore.clear();
+            await this.equityStore.clear();
+            this.onChange();
+        }
+    }
+
+    if (isNode) {
+        module.exports = { PaperPortfolio };
+    } else {
+        root.PaperPortfolio = PaperPortfolio;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,210 @@
+// مصنف حالة السوق: اتساع السوق، اتجاه BTC و ETH، هيمنة BTC، نظام الحجم، والتقلب المحقق
+// النتيجة مؤشر اتجاه مركب بين 0 (هبوط كامل) و 1 (صعود كامل) يُقارن بـ BULL_THRESHOLD و BEAR_THRESHOLD،
+// والتقلب المحقق العالي يعطي حالة volatile. التبديل (للحالة ومستوى التقلب معاً) يحتاج تجاوز الحد بهامش وتأكيداً في عدة دورات متتالية
+// الشموع الأحدث أولاً
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+    const { median } = Indicators;
+
+    const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+    // نسبة العملات التي يغلق سعرها فوق متوسط period، أو null إذا لم تكفِ الشموع لأي عملة
+    const breadthAbove = (series, period) => {
+        const eligible = series.filter(closes => closes.length >= period);
+        if (eligible.length === 0) return null;
+        return eligible.filter(closes => closes[0] > Indicators.latest(Indicators.sma(closes, period))).length / eligible.length;
+    };
+
+    // الانحراف المعياري للعوائد اللوغاريتمية كنسبة (0.05 = 5% لكل شمعة)
+    const realizedVolatility = (closes, period) => {
+        const window = closes.slice(0, period + 1);
+        if (window.length < 3) return null;
+        const returns = window.slice(0, -1).map((close, i) => Math.log(close / window[i + 1]));
+        const mean = average(returns);
+        return Math.sqrt(average(returns.map(value => Math.pow(value - mean, 2))));
+    };
+
+    class RegimeClassifier {
+        constructor(settings = CONFIG.MARKET_REGIME) {
+            this.settings = settings;
+            this.regime = null;
+            this.volatility = 'normal';
+            this.pending = null;
+            this.pendingCount = 0;
+        }
+
+        // استعادة الحالة السابقة (مثلاً من سجل المسح) حتى لا يبدأ التصنيف من الصفر
+        restore(regime, volatility = 'normal') {
+            if (this.regime) return;
+            this.regime = regime;
+            this.volatility = volatility;
+        }
+
+        // اتجاه عملة مرجعية: السعر فوق متوسط MEDIUM_PERIOD والمتوسط نفسه صاعد خلال SHORT_PERIOD = up
+        referenceTrend(closes) {
+            const { MEDIUM_PERIOD, SHORT_PERIOD } = this.settings;
+            if (!closes || closes.length < MEDIUM_PERIOD + SHORT_PERIOD) return null;
+
+            const sma = Indicators.sma(closes, MEDIUM_PERIOD);
+            const slope = (sma[0] - sma[SHORT_PERIOD]) / sma[SHORT_PERIOD];
+            if (closes[0] > sma[0] && slope > 0) return 'up';
+            if (closes[0] < sma[0] && slope < 0) return 'down';
+            return 'flat';
+        }
+
+        computeMetrics(tickers, candleData) {
+            const { SHORT_PERIOD, MEDIUM_PERIOD, LONG_PERIOD, VOLUME_SURGE_MULTIPLIER, VOLUME_DRY_MULTIPLIER } = this.settings;
+            const quote = CONFIG.EXCHANGE.QUOTE_CURRENCY;
+            const candlesOf = instId => (candleData.find(data => data.symbol === instId) || {}).candles || [];
+            const series = tickers.map(ticker => candlesOf(ticker.instId).map(candle => candle.close));
+
+            const btcId = `BTC-${quote}`;
+            const btcCloses = candlesOf(btcId).map(candle => candle.close);
+            const ethCloses = candlesOf(`ETH-${quote}`).map(candle => candle.close);
+
+            // هيمنة BTC تقريبية من حصته في حجم التداول، وتفوقه على العملات البديلة خلال الفترة القصيرة
+            const btcTicker = tickers.find(ticker => ticker.instId === btcId);
+            const totalTurnover = tickers.reduce((sum, ticker) => sum + (ticker.volCcy24h || 0), 0);
+            const periodReturn = closes => closes.length > SHORT_PERIOD ? closes[0] / closes[SHORT_PERIOD] - 1 : null;
+            const altReturns = tickers
+                .filter(ticker => ticker.instId !== btcId)
+                .map(ticker => periodReturn(candlesOf(ticker.instId).map(candle => candle.close)))
+                .filter(value => value !== null);
+            const btcReturn = periodReturn(btcCloses);
+            const altMedian = median(altReturns);
+
+            // نظام الحجم: وسيط نسبة متوسط حجم SHORT_PERIOD إلى متوسط حجم MEDIUM_PERIOD
+            const volumeRatios = tickers
+                .map(ticker => candlesOf(ticker.instId).map(candle => candle.volume))
+                .filter(volumes => volumes.length >= MEDIUM_PERIOD)
+                .map(volumes => {
+                    const base = average(volumes.slice(0, MEDIUM_PERIOD));
+                    return base > 0 ? average(volumes.slice(0, SHORT_PERIOD)) / base : 1;
+                });
+            const volumeRatio = median(volumeRatios);
+
+            const volatilities = series
+                .map(closes => realizedVolatility(closes, SHORT_PERIOD))
+                .filter(value => value !== null);
+
+            return {
+                coins: tickers.length,
+                advancers: tickers.length ? tickers.filter(ticker => ticker.change24h > 0).length / tickers.length : null,
+                breadthMedium: breadthAbove(series, MEDIUM_PERIOD),
+                breadthLong: breadthAbove(series, LONG_PERIOD),
+                btcTrend: this.referenceTrend(btcCloses),
+                ethTrend: this.referenceTrend(ethCloses),
+                btcDominance: btcTicker && totalTurnover > 0 ? btcTicker.volCcy24h / totalTurnover : null,
+                btcOutperformance: btcReturn !== null && altMedian !== null ? btcReturn - altMedian : null,
+                volumeRatio,
+                volumeRegime: volumeRatio === null ? 'normal'
+                    : volumeRatio >= VOLUME_SURGE_MULTIPLIER ? 'surge'
+                    : volumeRatio <= VOLUME_DRY_MULTIPLIER ? 'dry' : 'normal',
+                realizedVolatility: median(volatilities)
+            };
+        }
+
+        // مؤشر الاتجاه المركب: متوسط مرجح للمكونات المتوفرة فقط، كل مكون بين 0 و 1
+        trendScore(metrics) {
+            const trendValue = { up: 1, flat: 0.5, down: 0 };
+            const { WEIGHTS, DOMINANCE_RANGE } = this.settings;
+            const components = {
+                advancers: metrics.advancers,
+                breadthMedium: metrics.breadthMedium,
+                breadthLong: metrics.breadthLong,
+                btcTrend: metrics.btcTrend ? trendValue[metrics.btcTrend] : null,
+                ethTrend: metrics.ethTrend ? trendValue[metrics.ethTrend] : null,
+                // تفوق BTC يعني خروج السيولة من العملات البديلة
+                altSeason: metrics.btcOutperformance === null ? null
+                    : Math.max(0, Math.min(1, 0.5 - metrics.btcOutperformance / (2 * DOMINANCE_RANGE)))
+            };
+
+            let weighted = 0;
+            let totalWeight = 0;
+            Object.entries(components).forEach(([key, value]) => {
+                if (value === null || value === undefined) return;
+                weighted += value * WEIGHTS[key];
+                totalWeight += WEIGHTS[key];
+            });
+
+            return { score: totalWeight > 0 ? weighted / totalWeight : 0.5, components };
+        }
+
+        // التصنيف الخام مع هامش لصالح الحالة الحالية
+        rawRegime(score, volatility) {
+            const { BULL_THRESHOLD, BEAR_THRESHOLD, HYSTERESIS_MARGIN } = this.settings;
+            const margin = regime => this.regime === regime ? -HYSTERESIS_MARGIN : 0;
+
+            if (volatility === 'high') return 'volatile';
+            if (score >= BULL_THRESHOLD + margin('bull')) return 'bull';
+            if (score <= BEAR_THRESHOLD - margin('bear')) return 'bear';
+            return 'sideways';
+        }
+
+        volatilityLevel(realized) {
+            const { HIGH_VOLATILITY_THRESHOLD, LOW_VOLATILITY_THRESHOLD, HYSTERESIS_MARGIN } = this.settings;
+            if (realized === null) return this.volatility;
+
+            // الخروج من التقلب العالي يحتاج انخفاضاً أوضح من حد الدخول
+            const high = this.volatility === 'high' ? HIGH_VOLATILITY_THRESHOLD * (1 - HYSTERESIS_MARGIN) : HIGH_VOLATILITY_THRESHOLD;
+            if (realized >= high) return 'high';
+            return realized <= LOW_VOLATILITY_THRESHOLD ? 'low' : 'normal';
+        }
+
+        // commit: false يعيد التصنيف دون تغيير الحالة أو عداد التأكيد (مثلاً للتحليل من البيانات المخزنة)
+        classify(tickers, candleData, { time = Date.now(), commit = true } = {}) {
+            const metrics = this.computeMetrics(tickers, candleData);
+            const { score, components } = this.trendScore(metrics);
+            const candidateVolatility = this.volatilityLevel(metrics.realizedVolatility);
+            const candidate = this.rawRegime(score, candidateVolatility);
+            const state = (switched) => ({
+                time,
+                regime: this.regime || candidate,
+                candidate,
+                switched,
+                pending: this.pending ? { ...this.pending, count: this.pendingCount } : null,
+                volatility: this.regime ? this.volatility : candidateVolatility,
+                candidateVolatility,
+                score,
+                components,
+                metrics
+            });
+
+            if (!commit) return state(false);
+
+            // التبديل بعد CONFIRMATIONS دورات متتالية لنفس الحالة الجديدة، والحالة تشمل مستوى التقلب
+            // حتى لا تتغير جداول النقاط وحدود المخاطرة بمجرد ارتفاع عابر في التقلب
+            let switched = false;
+            if (!this.regime) {
+                this.regime = candidate;
+                this.volatility = candidateVolatility;
+            } else if (candidate === this.regime && candidateVolatility === this.volatility) {
+                this.pending = null;
+                this.pendingCount = 0;
+            } else {
+                const same = this.pending && this.pending.regime === candidate && this.pending.volatility === candidateVolatility;
+                this.pendingCount = same ? this.pendingCount + 1 : 1;
+                this.pending = { regime: candidate, volatility: candidateVolatility };
+                if (this.pendingCount >= this.settings.CONFIRMATIONS) {
+                    switched = candidate !== this.regime;
+                    this.regime = candidate;
+                    this.volatility = candidateVolatility;
+                    this.pending = null;
+                    this.pendingCount = 0;
+                }
+            }
+
+            return state(switched);
+        }
+    }
+
+    const exported = { RegimeClassifier };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,109 @@
+// إدارة المخاطر: حجم المركز، وقف الخسارة، وسلم جني الأرباح حسب إعدادات CONFIG.RISK_MANAGEMENT
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    // ربط نظام السوق بجدول المخاطر (نفس منطق جداول النقاط)
+    const RISK_TABLES = {
+        bull: 'BULL_MARKET',
+        bear: 'BEAR_MARKET',
+        sideways: 'SIDEWAYS_MARKET',
+        neutral: 'SIDEWAYS_MARKET',
+        volatile: 'VOLATILE_MARKET'
+    };
+
+    // عدد درجات سلم جني الأرباح، كل درجة تغلق جزءاً متساوياً من المركز
+    const TAKE_PROFIT_STEPS = 3;
+
+    class RiskManager {
+        constructor(tables = CONFIG.RISK_MANAGEMENT) {
+            this.tables = tables;
+        }
+
+        getTableKey(regime, volatility) {
+            if (volatility === 'high') return 'VOLATILE_MARKET';
+            return RISK_TABLES[regime] || 'SIDEWAYS_MARKET';
+        }
+
+        getSettings(regime, volatility) {
+            return this.tables[this.getTableKey(regime, volatility)];
+        }
+
+        // وقف الخسارة تحت أدنى سعر حديث، بشرط ألا تتجاوز المخاطرة من سعر الدخول النسبة المحددة للنظام
+        // إذا كان أدنى سعر حديث عند الدخول أو فوقه (دخول تحت السعر الحالي) يُستخدم حد النسبة، فالوقف دائماً تحت الدخول
+        calculateStopPrice(entryPrice, recentLow, settings) {
+            const maxRiskStop = entryPrice * (1 - settings.STOP_LOSS_PERCENTAGE);
+            const structureStop = recentLow * 0.98;
+            return structureStop < entryPrice ? Math.max(maxRiskStop, structureStop) : maxRiskStop;
+        }
+
+        // سلم الأهداف: درجات متساوية حتى نسبة العائد/المخاطرة المحددة
+        buildTakeProfitLadder(entry, stop, quantity, ratio) {
+            const riskPerUnit = entry - stop;
+
+            return Array.from({ length: TAKE_PROFIT_STEPS }, (_, index) => {
+                const multiple = ratio * (index + 1) / TAKE_PROFIT_STEPS;
+                const price = entry + riskPerUnit * multiple;
+                const stepQuantity = quantity / TAKE_PROFIT_STEPS;
+
+                return {
+                    price,
+                    rewardMultiple: multiple,
+                    quantity: stepQuantity,
+                    profit: (price - entry) * stepQuantity
+                };
+            });
+        }
+
+        // خطة مركز لعملة واحدة
+        planPosition(coin, portfolioSize, { regime, volatility, openPositions = 0 } = {}) {
+            const settings = this.getSettings(regime || coin.marketRegime, volatility);
+            const entry = parseFloat(coin.analysis.entryPoint.price);
+            const stop = parseFloat(coin.analysis.stopLoss.price);
+            const warnings = [];
+
+            const positionValue = portfolioSize * settings.MAX_POSITION_SIZE;
+            const quantity = entry > 0 ? positionValue / entry : 0;
+            const riskAmount = quantity * Math.max(entry - stop, 0);
+
+            if (stop >= entry) {
+                warnings.push('وقف الخسارة أعلى من سعر الدخول - راجع المستويات');
+            }
+            if (openPositions + 1 > settings.MAX_CONCURRENT_POSITIONS) {
+                warnings.push(`تجاوز الحد الأقصى للمراكز المتزامنة (${settings.MAX_CONCURRENT_POSITIONS}) في حالة السوق الحالية`);
+            }
+
+            return {
+                symbol: coin.symbol,
+                entry,
+                stop,
+                quantity,
+                positionValue,
+                positionPercent: settings.MAX_POSITION_SIZE * 100,
+                riskAmount,
+                riskPercent: portfolioSize > 0 ? riskAmount / portfolioSize * 100 : 0,
+                rewardRatio: settings.TAKE_PROFIT_RATIO,
+                takeProfits: this.buildTakeProfitLadder(entry, stop, quantity, settings.TAKE_PROFIT_RATIO),
+                maxConcurrent: settings.MAX_CONCURRENT_POSITIONS,
+                warnings
+            };
+        }
+
+        // خطة للمحفظة: المراكز للعملات المؤهلة بالترتيب، مع تحذير لما يتجاوز الحد
+        planPortfolio(coins, portfolioSize, { regime, volatility, openPositions = 0, minScore = 70 } = {}) {
+            const candidates = coins.filter(coin => coin.score >= minScore);
+
+            return candidates.map((coin, index) => this.planPosition(coin, portfolioSize, {
+                regime,
+                volatility,
+                openPositions: openPositions + index
+            }));
+        }
+    }
+
+    if (isNode) {
+        module.exports = { RiskManager, RISK_TABLES };
+    } else {
+        Object.assign(root, { RiskManager, RISK_TABLES });
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
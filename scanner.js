@@ -0,0 +1,336 @@
+// الماسح: جلب الأسعار والشموع من المنصة، تحديد نظام السوق، وتحليل وترتيب العملات
+// يستخدمه الكاشف في المتصفح، ويعمل كأداة سطر أوامر على الخادم أو في cron
+//
+// الاستخدام في Node:
+//   node scanner.js --min-score 70 --limit 50 --timeframe 4H --json scan.json --csv scan.csv
+//   node scanner.js --regime bull --exchange binance
+//   node scanner.js --exchange fixture --source fixtures/market.json
+//   node scanner.js --cache-dir .cache   (الشموع المخزنة من المسح السابق، يُجلب الجديد فقط)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { AnalysisEngine } = isNode ? require('./analysis.js') : root;
+    const { createExchangeAdapter } = isNode ? require('./exchanges.js') : root;
+    const { CandleCache } = isNode ? require('./candle-cache.js') : root;
+    const { createStore } = isNode ? require('./storage.js') : root;
+
+    const REGIMES = ['bull', 'bear', 'sideways', 'volatile'];
+
+    class MarketScanner {
+        constructor({ engine, exchange, cache, ...options } = {}) {
+            this.engine = engine || new AnalysisEngine();
+            this.exchange = exchange || null;
+            this.cache = cache || null;
+            this.options = {
+                limit: CONFIG.SCANNER.UNIVERSE_SIZE,
+                timeframe: CONFIG.TIMEFRAMES.PRIMARY,
+                minScore: 0,
+                regime: null,
+                ...options
+            };
+        }
+
+        async getExchange() {
+            if (!this.exchange) {
+                this.exchange = await createExchangeAdapter();
+            }
+            if (!this.cache && CONFIG.CANDLE_CACHE.ENABLED) {
+                this.cache = new CandleCache({ exchange: this.exchange });
+            }
+            return this.exchange;
+        }
+
+        // الأطر الزمنية المطلوبة: [bar, { LIMIT }]، مع إطار الخيارات إن لم يكن معرفاً
+        timeframeBars() {
+            const { timeframe } = this.options;
+            const bars = Object.entries(CONFIG.TIMEFRAMES.BARS);
+            if (!CONFIG.TIMEFRAMES.BARS[timeframe]) {
+                bars.push([timeframe, { LIMIT: CONFIG.SCANNER.DEFAULT_LIMIT }]);
+            }
+            return bars;
+        }
+
+        // الأسعار بعد الفلاتر، مرتبة حسب حجم التداول بعملة التسعير ومقصورة على حجم العينة
+        async fetchTickers() {
+            const exchange = await this.getExchange();
+            const tickers = await exchange.fetchTickers();
+
+            return tickers
+                .filter(ticker => {
+                    return !CONFIG.FILTERS.EXCLUDED_SYMBOLS.includes(ticker.symbol) &&
+                           ticker.last >= CONFIG.FILTERS.MIN_PRICE &&
+                           ticker.vol24h >= CONFIG.FILTERS.MIN_VOLUME;
+                })
+                .sort((a, b) => b.volCcy24h - a.volCcy24h)
+                .slice(0, this.options.limit);
+        }
+
+        // شموع جميع الأطر الزمنية، والإطار المحدد في الخيارات هو أساس التحليل، مع دفتر الأوامر والصفقات إن كانت مفعلة
+        async fetchCandleData(tickers) {
+            const exchange = await this.getExchange();
+            const { timeframe } = this.options;
+            const bars = this.timeframeBars();
+            // الشموع عبر المخزن إن كان مفعلاً حتى يُجلب الناقص فقط
+            const candleSource = this.cache || exchange;
+
+            // فشل أي طلب لا يوقف المسح: تُستخدم القيمة البديلة ويُسجل الخطأ في تقرير المسح
+            const candlePromises = tickers.map(async (ticker) => {
+                const errors = [];
+                const attempt = async (source, request, fallback) => {
+                    try {
+                        return await request();
+                    } catch (error) {
+                        errors.push({ source, message: error.message });
+                        return fallback;
+                    }
+                };
+
+                const timeframes = {};
+                await Promise.all(bars.map(async ([bar, settings]) => {
+                    timeframes[bar] = await attempt(`candles:${bar}`,
+                        () => candleSource.fetchCandles(ticker.instId, { bar, limit: settings.LIMIT }), []);
+                }));
+
+                const orderBook = CONFIG.ORDER_BOOK.ENABLED
+                    ? await attempt('orderBook', () => exchange.fetchOrderBook(ticker.instId, CONFIG.ORDER_BOOK.DEPTH), null)
+                    : null;
+                const trades = CONFIG.TRADE_FLOW.ENABLED
+                    ? await attempt('trades', () => exchange.fetchTrades(ticker.instId, CONFIG.TRADE_FLOW.LIMIT), null)
+                    : null;
+
+                return {
+                    symbol: ticker.instId,
+                    candles: timeframes[timeframe] || [],
+                    timeframes,
+                    orderBook,
+                    trades,
+                    errors
+                };
+            });
+
+            return await Promise.all(candlePromises);
+        }
+
+        // تقرير صحة المسح: إحصاءات الطلبات والعملات المتخطاة لنقص الشموع
+        buildHealthReport(tickers, candleData, startedAt) {
+            const requests = this.exchange.scheduler.report();
+            const skipped = candleData
+                .filter(data => data.candles.length < CONFIG.SCANNER.MIN_CANDLES)
+                .map(data => ({ instId: data.symbol, candles: data.candles.length, errors: data.errors }));
+
+            return {
+                duration: Date.now() - startedAt,
+                coins: tickers.length,
+                analyzed: tickers.length - skipped.length,
+                skipped,
+                partial: candleData.filter(data => data.errors.length > 0).length,
+                requests
+            };
+        }
+
+        // دورة مسح كاملة: النتيجة مرتبة تنازلياً حسب النقاط
+        async scan() {
+            const startedAt = Date.now();
+            const exchange = await this.getExchange();
+            exchange.scheduler.resetStats();
+
+            const tickers = await this.fetchTickers();
+            const candleData = await this.fetchCandleData(tickers);
+            const health = this.buildHealthReport(tickers, candleData, startedAt);
+            if (this.cache) {
+                await this.cache.saveTickers(tickers);
+            }
+
+            return { ...(await this.analyze(tickers, candleData)), health };
+        }
+
+        // تحليل فوري من المخزن بدون أي طلب شبكة، أو null إذا لم يُحفظ مسح سابق
+        // حالة السوق تُحسب دون تثبيت حتى لا يُحتسب المسح المخزن تأكيداً لتبديل الحالة
+        async scanFromCache() {
+            await this.getExchange();
+            if (!this.cache) return null;
+
+            const saved = await this.cache.loadTickers();
+            if (!saved) return null;
+
+            const tickers = saved.tickers.slice(0, this.options.limit);
+            const bars = this.timeframeBars().map(([bar]) => bar);
+            const candleData = await this.cache.cachedCandleData(tickers, bars, this.options.timeframe);
+            return { ...(await this.analyze(tickers, candleData, { commit: false })), cachedAt: saved.updatedAt };
+        }
+
+        async analyze(tickers, candleData, regimeOptions = {}) {
+            const detected = this.engine.detectMarketRegime(tickers, candleData, regimeOptions);
+            if (this.options.regime) {
+                this.engine.marketRegime = this.options.regime;
+            }
+
+            const coins = (await this.engine.analyzeCoins(tickers, candleData))
+                .sort((a, b) => b.score - a.score);
+            coins.forEach((coin, index) => {
+                coin.rank = index + 1;
+            });
+
+            return {
+                time: Date.now(),
+                exchange: this.exchange.name,
+                timeframe: this.options.timeframe,
+                regime: this.engine.marketRegime,
+                detectedRegime: detected.regime,
+                volatility: this.engine.marketVolatility,
+                tickers,
+                candleData,
+                coins: coins.filter(coin => coin.score >= this.options.minScore)
+            };
+        }
+    }
+
+    // صف مختصر لكل عملة، مشترك بين الجدول و CSV و JSON
+    const summarizeCoin = (coin) => ({
+        rank: coin.rank,
+        symbol: coin.symbol,
+        instId: coin.fullSymbol,
+        price: coin.price,
+        change24h: parseFloat(coin.change24h.toFixed(2)),
+        volume24h: coin.volume24h,
+        score: coin.score,
+        rsi: parseFloat(coin.analysis.rsi.value),
+        macd: coin.analysis.macd.signal,
+        mfi: parseFloat(coin.analysis.moneyFlowIndex.value),
+        volumeRatio: parseFloat(coin.analysis.volumeRatio.toFixed(2)),
+        confluence: coin.analysis.timeframes ? coin.analysis.timeframes.confluence.score : null,
+        bookImbalance: coin.analysis.orderBook ? parseFloat(coin.analysis.orderBook.imbalance.toFixed(3)) : null,
+        thinBook: coin.analysis.orderBook ? coin.analysis.orderBook.thin : null,
+        buyRatio: coin.analysis.tradeFlow ? parseFloat(coin.analysis.tradeFlow.buyRatio.toFixed(3)) : null,
+        manipulationRisk: coin.analysis.manipulation.score,
+        volumeZ: coin.analysis.volumeAnomaly.strongest ? parseFloat(coin.analysis.volumeAnomaly.strongest.zScore.toFixed(2)) : null,
+        entry: parseFloat(coin.analysis.entryPoint.price),
+        stopLoss: parseFloat(coin.analysis.stopLoss.price),
+        regime: coin.marketRegime
+    });
+
+    const formatHealth = (health) => {
+        const { requests } = health;
+        return `الطلبات: ${requests.requests} | الفاشلة: ${requests.failed} | المعادة: ${requests.retried} | ` +
+            `المدموجة: ${requests.deduplicated} | العملات المتخطاة: ${health.skipped.length}/${health.coins} | ` +
+            `المدة: ${(health.duration / 1000).toFixed(1)}ث`;
+    };
+
+    const formatScanTable = (result) => {
+        const columns = [
+            ['rank', '#'],
+            ['symbol', 'العملة'],
+            ['price', 'السعر'],
+            ['change24h', '24س%'],
+            ['score', 'النقاط'],
+            ['rsi', 'RSI'],
+            ['mfi', 'MFI'],
+            ['volumeRatio', 'الحجم'],
+            ['confluence', 'التوافق'],
+            ['manipulationRisk', 'التلاعب'],
+            ['entry', 'الدخول'],
+            ['stopLoss', 'الوقف']
+        ];
+        const rows = result.coins.map(summarizeCoin).map(row => columns.map(([key]) => String(row[key] ?? '-')));
+        const widths = columns.map(([, label], index) => Math.max(label.length, ...rows.map(row => row[index].length)));
+        const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ');
+
+        const regimeNote = result.regime !== result.detectedRegime ? ` (المكتشف: ${result.detectedRegime})` : '';
+        return [
+            `المنصة: ${result.exchange} | الإطار: ${result.timeframe} | حالة السوق: ${result.regime}${regimeNote} | التقلبات: ${result.volatility}`,
+            `العملات المطابقة: ${result.coins.length}`,
+            formatHealth(result.health),
+            '',
+            line(columns.map(([, label]) => label)),
+            line(widths.map(width => '-'.repeat(width))),
+            ...rows.map(line)
+        ].join('\n');
+    };
+
+    const toCsv = (result) => {
+        const rows = result.coins.map(summarizeCoin);
+        const headers = rows.length ? Object.keys(rows[0]) : [];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers.join(','), ...rows.map(row => headers.map(key => escape(row[key])).join(','))].join('\n');
+    };
+
+    const toJson = (result) => JSON.stringify({
+        time: new Date(result.time).toISOString(),
+        exchange: result.exchange,
+        timeframe: result.timeframe,
+        regime: result.regime,
+        detectedRegime: result.detectedRegime,
+        volatility: result.volatility,
+        health: result.health,
+        coins: result.coins.map(summarizeCoin)
+    }, null, 2);
+
+    const parseArgs = (argv) => {
+        const args = {};
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i].startsWith('--')) {
+                const key = argv[i].slice(2);
+                const next = argv[i + 1];
+                args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+            }
+        }
+        return args;
+    };
+
+    const exported = {
+        MarketScanner,
+        summarizeCoin,
+        formatScanTable,
+        formatHealth,
+        toCsv,
+        toJson
+    };
+
+    if (isNode) {
+        module.exports = exported;
+
+        if (require.main === module) {
+            const args = parseArgs(process.argv.slice(2));
+            const options = {};
+            if (args['min-score']) options.minScore = parseFloat(args['min-score']);
+            if (args.limit) options.limit = parseInt(args.limit);
+            if (args.timeframe) options.timeframe = args.timeframe;
+            if (args.regime) options.regime = args.regime;
+
+            (async () => {
+                try {
+                    if (options.regime && !REGIMES.includes(options.regime)) {
+                        throw new Error(`حالة سوق غير معروفة: ${options.regime} (المتاح: ${REGIMES.join(', ')})`);
+                    }
+
+                    const exchange = await createExchangeAdapter(args.exchange || CONFIG.EXCHANGE.ACTIVE, {
+                        source: args.source
+                    });
+                    const cache = args['cache-dir']
+                        ? new CandleCache({ exchange, store: createStore('candles', { directory: args['cache-dir'] }) })
+                        : null;
+                    const result = await new MarketScanner({ exchange, cache, ...options }).scan();
+                    console.log(formatScanTable(result));
+
+                    const fs = require('fs');
+                    if (args.json) {
+                        fs.writeFileSync(args.json, toJson(result));
+                        console.log(`\nتم حفظ النتائج في ${args.json}`);
+                    }
+                    if (args.csv) {
+                        fs.writeFileSync(args.csv, toCsv(result));
+                        console.log(`تم حفظ النتائج في ${args.csv}`);
+                    }
+                } catch (error) {
+                    console.error('خطأ في المسح:', error.message);
+                    process.exitCode = 1;
+                }
+            })();
+        }
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
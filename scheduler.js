@@ -0,0 +1,197 @@
+// جدولة طلبات REST: حد معدل بدلو رموز لكل مسار، حد أقصى للطلبات المتزامنة،
+// إعادة المحاولة بتأخير أسي عند 429 و 5xx وأخطاء الشبكة، ودمج الطلبات المتطابقة الجارية
+// مع إحصاءات لكل مسح (الطلبات، الفاشلة، المعادة، المدموجة، زمن الانتظار)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    class RequestError extends Error {
+        constructor(message, { status = null, retryAfter = null } = {}) {
+            super(message);
+            this.name = 'RequestError';
+            this.status = status;
+            this.retryAfter = retryAfter;
+        }
+
+        get retryable() {
+            return this.status === null || this.status === 429 || this.status >= 500;
+        }
+    }
+
+    // دلو رموز: requests طلب كل interval ملي ثانية، يمتلئ تدريجياً
+    class TokenBucket {
+        constructor({ requests, interval }) {
+            this.capacity = requests;
+            this.tokens = requests;
+            this.refillRate = requests / interval;
+            this.updatedAt = Date.now();
+            this.queue = Promise.resolve();
+        }
+
+        refill() {
+            const now = Date.now();
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+            this.updatedAt = now;
+        }
+
+        // الطلبات تنتظر بالترتيب، والنتيجة مدة الانتظار
+        acquire() {
+            const waited = this.queue.then(async () => {
+                const start = Date.now();
+                this.refill();
+                if (this.tokens < 1) {
+                    await sleep(Math.ceil((1 - this.tokens) / this.refillRate));
+                    this.refill();
+                }
+                this.tokens -= 1;
+                return Date.now() - start;
+            });
+            this.queue = waited;
+            return waited;
+        }
+    }
+
+    class RequestScheduler {
+        constructor(options = {}) {
+            const settings = CONFIG.REQUESTS;
+            this.limits = options.limits || {};
+            this.concurrency = options.concurrency || settings.CONCURRENCY;
+            this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : settings.MAX_RETRIES;
+            this.backoffBase = options.backoffBase || settings.BACKOFF_BASE;
+            this.backoffMax = options.backoffMax || settings.BACKOFF_MAX;
+            this.fetch = options.fetch || ((...args) => root.fetch(...args));
+
+            this.buckets = new Map();
+            this.inFlight = new Map();
+            this.active = 0;
+            this.waiting = [];
+            this.resetStats();
+        }
+
+        resetStats() {
+            this.stats = { requests: 0, succeeded: 0, failed: 0, retried: 0, deduplicated: 0, throttledMs: 0, errors: [] };
+        }
+
+        // إحصاءات منذ آخر resetStats
+        report() {
+            return { ...this.stats, errors: this.stats.errors.slice() };
+        }
+
+        bucketFor(key) {
+            const limit = this.limits[key] || this.limits.default;
+            if (!limit) return null;
+
+            const bucketKey = this.limits[key] ? key : 'default';
+            if (!this.buckets.has(bucketKey)) {
+                this.buckets.set(bucketKey, new TokenBucket(limit));
+            }
+            return this.buckets.get(bucketKey);
+        }
+
+        // انتظار مكان ضمن الحد الأقصى للطلبات المتزامنة
+        async acquireSlot() {
+            if (this.active < this.concurrency) {
+                this.active++;
+                return;
+            }
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        releaseSlot() {
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.active--;
+            }
+        }
+
+        // key يحدد دلو المعدل (عادة مسار الطلب)، والطلب المطابق الجاري يُعاد وعده نفسه
+        // init يُمرر إلى fetch (الطريقة والترويسات والجسم): طلبات غير GET لا تُدمج ولا يُعاد إرسالها
+        // حتى لا يتكرر تنفيذ أمر مثلاً
+        fetchJson(url, { key = 'default', init = null } = {}) {
+            if (init && init.method && init.method !== 'GET') {
+                return this.execute(url, key, init, 0);
+            }
+            if (this.inFlight.has(url)) {
+                this.stats.deduplicated++;
+                return this.inFlight.get(url);
+            }
+
+            const promise = this.execute(url, key, init, this.maxRetries).finally(() => this.inFlight.delete(url));
+            this.inFlight.set(url, promise);
+            return promise;
+        }
+
+        async execute(url, key, init, maxRetries) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.attempt(url, key, init);
+                } catch (error) {
+                    const retryable = !(error instanceof RequestError) || error.retryable;
+                    if (!retryable || attempt >= maxRetries) {
+                        this.stats.failed++;
+                        this.stats.errors.push({ key, url, status: error.status || null, message: error.message });
+                        throw error;
+                    }
+
+                    // Retry-After بالثواني إن أرسلته المنصة، وإلا تأخير أسي مع عشوائية
+                    const backoff = Math.min(this.backoffBase * Math.pow(2, attempt), this.backoffMax);
+                    const delay = error.retryAfter ? error.retryAfter * 1000 : backoff / 2 + Math.random() * backoff / 2;
+                    this.stats.retried++;
+                    await sleep(delay);
+                }
+            }
+        }
+
+        async attempt(url, key, init) {
+            const bucket = this.bucketFor(key);
+            if (bucket) {
+                this.stats.throttledMs += await bucket.acquire();
+            }
+
+            await this.acquireSlot();
+            this.stats.requests++;
+            try {
+                const response = await (init ? this.fetch(url, init) : this.fetch(url));
+                if (response.status === 429 || response.status >= 500) {
+                    const retryAfter = parseFloat(response.headers && response.headers.get && response.headers.get('Retry-After'));
+                    throw new RequestError(`استجابة ${response.status} من ${key}`, {
+                        status: response.status,
+                        retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+                    });
+                }
+
+                // أخطاء 4xx الأخرى تحمل غالباً رسالة المنصة في الجسم، فتُترك لـ unwrap في المحول
+                const data = await response.json();
+                this.stats.succeeded++;
+                return data;
+            } catch (error) {
+                if (error instanceof RequestError) throw error;
+                // خطأ شبكة أو جسم غير صالح: قابل لإعادة المحاولة
+                throw new RequestError(error.message);
+            } finally {
+                this.releaseSlot();
+            }
+        }
+    }
+
+    // حدود المعدل لمنصة من CONFIG.REQUESTS.RATE_LIMITS، وحد OKX الافتراضي من CONFIG.OKX_API.RATE_LIMIT
+    const rateLimitsFor = (exchange) => {
+        const limits = { ...(CONFIG.REQUESTS.RATE_LIMITS[exchange] || {}) };
+        if (exchange === 'okx' && !limits.default) {
+            limits.default = { requests: CONFIG.OKX_API.RATE_LIMIT, interval: 1000 };
+        }
+        return limits;
+    };
+
+    const exported = { RequestScheduler, TokenBucket, RequestError, rateLimitsFor };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
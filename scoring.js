@@ -0,0 +1,288 @@
+// محرك النقاط المعتمد على القواعد: كل نظام سوق له جدول أوزان في CONFIG.SCORING
+// والجدول يحدد القواعد التي تُقيَّم فعلياً وعدد النقاط التي تضيفها كل قاعدة
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { scoreDivergence } = isNode ? require('./divergence.js') : root;
+
+    // ربط نظام السوق بجدول الأوزان
+    const REGIME_TABLES = {
+        bull: 'BULL_MARKET',
+        bear: 'BEAR_MARKET',
+        sideways: 'SIDEWAYS_MARKET',
+        neutral: 'SIDEWAYS_MARKET',
+        volatile: 'VOLATILE_MARKET'
+    };
+
+    // تعريف القواعد: test تعيد true/false أو قوة بين 0 و 1
+    // السياق: { analysis, ticker, regime, volatility }
+    const SCORING_RULES = {
+        RSI_POSITIVE: {
+            label: 'RSI إيجابي دون تشبع شرائي',
+            test: ({ analysis }) => analysis.rsi.trend === 'bullish' && analysis.rsi.signal !== 'overbought'
+        },
+        MACD_POSITIVE: {
+            label: 'MACD إيجابي',
+            test: ({ analysis }) => analysis.macd.signal === 'bullish'
+        },
+        MACD_BULLISH_CROSS: {
+            label: 'تقاطع MACD صاعد حديث',
+            // القوة تتناقص مع عمر التقاطع
+            test: ({ analysis }) => {
+                const { type, barsAgo } = analysis.macd.crossover;
+                const maxAge = CONFIG.INDICATORS.MACD_CROSSOVER_MAX_AGE;
+                if (type !== 'bullish' || barsAgo > maxAge) return 0;
+                return 1 - barsAgo / (maxAge + 1);
+            }
+        },
+        MACD_MOMENTUM_SHIFT: {
+            label: 'تحول زخم MACD للصعود',
+            test: ({ analysis }) => analysis.macd.momentumShift === 'bullish'
+        },
+        ADX_UPTREND: {
+            label: 'اتجاه صاعد قوي (ADX)',
+            test: ({ analysis }) => {
+                const { adx, plusDI, minusDI } = analysis.indicators.adx;
+                return adx !== null && adx >= CONFIG.INDICATORS.ADX_TREND_THRESHOLD && plusDI > minusDI;
+            }
+        },
+        OBV_RISING: {
+            label: 'OBV صاعد (تجميع بالحجم)',
+            test: ({ analysis }) => analysis.indicators.obv.trend === 'rising'
+        },
+        ABOVE_VWAP: {
+            label: 'السعر فوق VWAP',
+            test: ({ analysis, ticker }) => analysis.indicators.vwap !== null && ticker.last > analysis.indicators.vwap
+        },
+        STOCH_RSI_OVERSOLD: {
+            label: 'Stochastic RSI يرتد من التشبع البيعي',
+            test: ({ analysis }) => {
+                const { k, d } = analysis.indicators.stochRsi;
+                return k !== null && d !== null && k < 20 && k > d;
+            }
+        },
+        BOLLINGER_LOWER_BAND: {
+            label: 'قرب الحد السفلي لنطاق بولينجر',
+            test: ({ analysis }) => {
+                const { percentB } = analysis.indicators.bollinger;
+                return percentB !== null && percentB <= 0.2;
+            }
+        },
+        SQUEEZE_BREAKOUT: {
+            label: 'اختراق بعد انضغاط بولينجر',
+            test: ({ analysis, ticker }) => {
+                const { bollinger, keltner } = analysis.indicators;
+                if (bollinger.upper === null || keltner.upper === null) return false;
+                // الانضغاط: نطاق بولينجر داخل قناة Keltner أو ضيق جداً
+                const squeezed = bollinger.upper <= keltner.upper || bollinger.bandwidth <= CONFIG.INDICATORS.SQUEEZE_BANDWIDTH;
+                return squeezed && ticker.last > bollinger.upper;
+            }
+        },
+        HIGH_LIQUIDITY: {
+            label: 'تدفق سيولة متزايد',
+            test: ({ analysis }) => analysis.liquidityFlow.trend === 'increasing' &&
+                parseFloat(analysis.liquidityFlow.percentage) > 20
+        },
+        BUYING_POWER: {
+            label: 'قوة شرائية عالية',
+            test: ({ analysis }) => analysis.buyingPower.strength === 'high'
+        },
+        MA_CROSSOVER: {
+            label: 'تقاطع إيجابي للمتوسطات',
+            test: ({ analysis }) => analysis.movingAverages.signal === 'buy' && analysis.movingAverages.priceAboveMA
+        },
+        MOMENTUM: {
+            label: 'زخم صاعد',
+            test: ({ analysis, ticker }) => analysis.trendStrength > 0.6 && ticker.change24h > 5
+        },
+        VOLUME_BREAKOUT: {
+            label: 'اختراق بحجم تداول مرتفع',
+            test: ({ analysis, ticker }) => analysis.volumeRatio >= CONFIG.MARKET_REGIME.VOLUME_SURGE_MULTIPLIER &&
+                ticker.change24h > 0
+        },
+        OVERALL_POSITIVE: {
+            label: 'أداء يومي إيجابي',
+            test: ({ ticker }) => ticker.change24h > 0
+        },
+        RSI_OVERSOLD: {
+            label: 'RSI منخفض (فرصة ارتداد)',
+            test: ({ analysis }) => parseFloat(analysis.rsi.value) < 40
+        },
+        SUPPORT_BOUNCE: {
+            label: 'ارتداد من الدعم',
+            test: ({ analysis, ticker }) => ticker.last <= analysis.supportResistance.support1 * 1.03 &&
+                ticker.change24h > 0
+        },
+        VOLUME_SPIKE: {
+            label: 'قفزة في حجم التداول',
+            test: ({ analysis }) => analysis.volumeRatio >= CONFIG.MARKET_REGIME.VOLUME_SURGE_MULTIPLIER
+        },
+        DIVERGENCE: {
+            label: 'انحراف صاعد بين السعر والمؤشرات',
+            test: ({ analysis }) => scoreDivergence(analysis.divergence, 'bullish')
+        },
+        HIDDEN_DIVERGENCE: {
+            label: 'انحراف صاعد مخفي (استمرار الاتجاه)',
+            test: ({ analysis }) => scoreDivergence(analysis.divergence, 'bullish', ['hidden'])
+        },
+        BEARISH_DIVERGENCE: {
+            label: 'انحراف هابط بين السعر والمؤشرات',
+            test: ({ analysis }) => scoreDivergence(analysis.divergence, 'bearish')
+        },
+        DEFENSIVE_SIGNALS: {
+            label: 'مقاومة للهبوط مع تجميع',
+            test: ({ analysis, ticker }) => ticker.change24h > -2 &&
+                analysis.accumulationDistribution.trend === 'accumulation'
+        },
+        OVEREXTENDED: {
+            label: 'ارتفاع مفرط عكس اتجاه السوق',
+            test: ({ ticker }) => ticker.change24h > 10
+        },
+        RANGE_TRADING: {
+            label: 'في النصف السفلي من النطاق',
+            test: ({ analysis, ticker }) => {
+                const { support1, resistance1 } = analysis.supportResistance;
+                const width = (resistance1 - support1) / support1;
+                const position = (ticker.last - support1) / (resistance1 - support1);
+                return width >= 0.05 && position < 0.5;
+            }
+        },
+        OSCILLATOR_SIGNALS: {
+            label: 'إشارات المذبذبات',
+            test: ({ analysis }) => analysis.rsi.signal === 'oversold' ||
+                analysis.moneyFlowIndex.signal === 'oversold' ||
+                (parseFloat(analysis.rsi.value) < 45 && analysis.moneyFlowIndex.flow === 'positive')
+        },
+        SUPPORT_RESISTANCE: {
+            label: 'قريب من دعم قوي',
+            test: ({ analysis, ticker }) => (analysis.supportResistance.support1 / ticker.last) * 100 > 95
+        },
+        MEAN_REVERSION: {
+            label: 'عودة إلى المتوسط',
+            test: ({ analysis, ticker }) => ticker.last < parseFloat(analysis.movingAverages.ma25) * 0.97
+        },
+        BREAKOUT_POTENTIAL: {
+            label: 'احتمال اختراق',
+            test: ({ analysis }) => analysis.volatility > 8 && analysis.liquidityFlow.trend === 'increasing'
+        },
+        VOLATILITY_BREAKOUT: {
+            label: 'اختراق في سوق متقلب',
+            test: ({ analysis, ticker }) => ticker.change24h > 0 &&
+                ticker.last >= analysis.supportResistance.resistance1 * 0.98
+        },
+        MOMENTUM_SURGE: {
+            label: 'اندفاع في الزخم',
+            test: ({ analysis }) => analysis.trendStrength > 0.6 && analysis.macd.signal === 'bullish'
+        },
+        VOLUME_CONFIRMATION: {
+            label: 'تأكيد بالحجم',
+            test: ({ analysis }) => analysis.volumeRatio >= CONFIG.MARKET_REGIME.VOLUME_SURGE_MULTIPLIER ||
+                (analysis.liquidityFlow.trend === 'increasing' && parseFloat(analysis.liquidityFlow.percentage) > 20)
+        },
+        TREND_STRENGTH: {
+            label: 'اتجاه صاعد فوق المتوسطات',
+            test: ({ analysis }) => analysis.movingAverages.signal === 'buy' && analysis.movingAverages.priceAboveMA
+        },
+        TIMEFRAME_CONFLUENCE: {
+            label: 'توافق الأطر الزمنية',
+            test: ({ analysis }) => {
+                const confluence = analysis.timeframes && analysis.timeframes.confluence;
+                if (!confluence || confluence.direction !== 'bullish') return 0;
+                return confluence.score / 100;
+            }
+        },
+        RISK_ADJUSTED: {
+            label: 'تقلبات العملة مرتفعة',
+            test: ({ analysis }) => analysis.volatility >= 10
+        },
+        // القوة تكتمل عند 80% شراء من المنفذين
+        AGGRESSIVE_BUYING: {
+            label: 'شراء عدواني من المنفذين',
+            test: ({ analysis }) => {
+                const flow = analysis.tradeFlow;
+                const { MIN_TRADES, AGGRESSIVE_BUY_RATIO } = CONFIG.TRADE_FLOW;
+                if (!flow || flow.tradeCount < MIN_TRADES || flow.buyRatio < AGGRESSIVE_BUY_RATIO) return 0;
+                return Math.min(1, (flow.buyRatio - 0.5) / 0.3);
+            }
+        },
+        // شذوذ حجم قبل تحرك السعر، والقوة تكتمل عند ضعف حد z-score
+        EARLY_VOLUME_ANOMALY: {
+            label: 'شذوذ حجم مبكر قبل تحرك السعر',
+            test: ({ analysis }) => {
+                const strongest = analysis.volumeAnomaly && analysis.volumeAnomaly.strongest;
+                if (!strongest || !strongest.earlyStage) return 0;
+                return Math.min(1, strongest.zScore / (CONFIG.VOLUME_ANOMALY.Z_THRESHOLD * 2));
+            }
+        },
+        THIN_ORDER_BOOK: {
+            label: 'دفتر أوامر ضحل (خطر ضخ وتصريف)',
+            test: ({ analysis }) => Boolean(analysis.orderBook && analysis.orderBook.thin)
+        }
+    };
+
+    class ScoringEngine {
+        constructor(tables = CONFIG.SCORING, rules = SCORING_RULES) {
+            this.tables = tables;
+            this.rules = { ...rules };
+        }
+
+        // إضافة أو استبدال قاعدة
+        register(key, rule) {
+            this.rules[key] = rule;
+        }
+
+        // اختيار الجدول: التقلبات العالية تستخدم جدول السوق المتقلب
+        getTableKey(regime, volatility) {
+            if (volatility === 'high') return 'VOLATILE_MARKET';
+            return REGIME_TABLES[regime] || 'SIDEWAYS_MARKET';
+        }
+
+        evaluate(context) {
+            const table = this.getTableKey(context.regime, context.volatility);
+            const weights = this.tables[table] || {};
+
+            const rules = Object.entries(weights).map(([key, weight]) => {
+                const rule = this.rules[key];
+                if (!rule) {
+                    return { key, label: key, weight, fired: false, points: 0, evaluated: false };
+                }
+
+                // القاعدة المعطلة لا تُحتسب ضعفاً في الإشارة: تُسجل وتظهر في التفصيل كخطأ
+                let strength;
+                try {
+                    strength = Number(rule.test(context)) || 0;
+                } catch (error) {
+                    console.error(`خطأ في قاعدة النقاط ${key}:`, error);
+                    return { key, label: rule.label, weight, fired: false, points: 0, evaluated: false, error: error.message };
+                }
+                strength = Math.min(Math.max(strength, 0), 1);
+
+                return {
+                    key,
+                    label: rule.label,
+                    weight,
+                    fired: strength > 0,
+                    points: weight * strength,
+                    evaluated: true
+                };
+            });
+
+            const total = rules.reduce((sum, rule) => sum + rule.points, 0);
+
+            return {
+                table,
+                score: Math.round(Math.min(Math.max(total, 0), 100)),
+                rawScore: total,
+                rules
+            };
+        }
+    }
+
+    const exported = { ScoringEngine, SCORING_RULES, REGIME_TABLES };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,12 +1,33 @@
 
-class CryptoPumpDetector {
+// واجهة المستخدم فوق محرك التحليل (analysis.js)
+class CryptoPumpDetector extends AnalysisEngine {
     constructor() {
+        super();
         this.coins = [];
         this.filteredCoins = [];
         this.currentFilter = 'all';
         this.isLoading = false;
-        this.marketRegime = 'neutral';
-        this.marketVolatility = 'normal';
+        this.exchange = null;
+        this.scanner = null;
+        this.chart = null;
+        this.stream = null;
+        this.marketData = { tickers: new Map(), candles: new Map() };
+        this.pendingRefresh = new Map();
+        this.alerts = new AlertEngine({ onAlert: alert => this.handleAlert(alert) });
+        this.watchlist = new Watchlist({ onChange: () => this.renderWatchlistPanel() });
+        this.paper = new PaperPortfolio({ onChange: () => this.renderPaperPanel() });
+        this.paper.load().catch(error => console.error('خطأ في تحميل المحفظة التجريبية:', error));
+        this.credentials = new CredentialStore();
+        this.signer = null;
+        this.account = null;
+        this.pendingOrder = null;
+        this.history = new ScanHistory();
+        this.history.load()
+            .then(() => {
+                const last = this.history.snapshots[this.history.snapshots.length - 1];
+                if (last) this.regimeClassifier.restore(last.regime, last.volatility);
+            })
+            .catch(error => console.error('خطأ في تحميل سجل المسح:', error));
         
         this.init();
     }
@@ -57,21 +78,39 @@ class CryptoPumpDetector {
         this.showLoading(true);
         
         try {
-            const tickers = await this.fetchOKXTickers();
-            const candleData = await this.fetchCandleData(tickers);
-            
-            // تحديد نظام السوق أولاً
-            this.detectMarketRegime(tickers, candleData);
+            if (!this.scanner) {
+                this.scanner = new MarketScanner({ engine: this });
+                await this.showCachedScan();
+            }
             
-            // تحليل العملات بناءً على نظام السوق
-            this.coins = await this.analyzeCoins(tickers, candleData);
+            // الماسح يحدد نظام السوق أولاً ثم يحلل العملات ويرتبها بناءً عليه
+            const { tickers, candleData, coins, health } = await this.scanner.scan();
+            this.exchange = this.scanner.exchange;
+            this.applySigner();
+            this.coins = coins;
+            this.refreshAccount();
             
-            this.coins.sort((a, b) => b.score - a.score);
-            this.assignRanks();
+            this.history.record(this.coins, { regime: this.marketRegime, volatility: this.marketVolatility, regimeState: this.regimeState })
+                .catch(error => console.error('خطأ في حفظ سجل المسح:', error));
             this.filterCoins();
+            this.renderScanHealth(health);
+            this.renderAnomaliesPanel();
+            this.renderRegimePanel();
+            this.renderWatchlistPanel();
+            
+            this.storeMarketData(tickers, candleData);
+            this.startStreaming();
+            
+            this.alerts.evaluate(this.coins, { regime: this.marketRegime, watchlist: this.watchlist.items })
+                .catch(error => console.error('خطأ في تقييم التنبيهات:', error));
             
-            document.getElementById('lastUpdate').textContent = 
-                `آخر تحديث: ${new Date().toLocaleTimeString('ar-SA')}`;
+            this.paper.updatePrices(Object.fromEntries(this.coins.map(coin => [coin.fullSymbol, coin.price])))
+                .catch(error => console.error('خطأ في تحديث المحفظة التجريبية:', error));
+            
+            const lastUpdate = document.getElementById('lastUpdate');
+            if (lastUpdate) {
+                lastUpdate.textContent = `آخر تحديث: ${new Date().toLocaleTimeString('ar-SA')}`;
+            }
                 
         } catch (error) {
             console.error('خطأ في جلب البيانات:', error);
@@ -81,509 +120,450 @@ class CryptoPumpDetector {
         this.showLoading(false);
     }
 
-    async fetchOKXTickers() {
-        const response = await fetch(`${CONFIG.OKX_API.BASE_URL}/market/tickers?instType=SPOT`);
-        const data = await response.json();
-        
-        if (data.code !== '0') {
-            throw new Error('فشل في جلب بيانات الأسعار');
-        }
-        
-        return data.data.filter(ticker => {
-            const symbol = ticker.instId;
-            const baseSymbol = symbol.replace('-USDT', '');
-            
-            return symbol.endsWith('-USDT') &&
-                   !CONFIG.FILTERS.EXCLUDED_SYMBOLS.includes(baseSymbol) &&
-                   parseFloat(ticker.last) >= CONFIG.FILTERS.MIN_PRICE &&
-                   parseFloat(ticker.vol24h) >= CONFIG.FILTERS.MIN_VOLUME;
-        });
-    }
-
-    async fetchCandleData(tickers) {
-        const candlePromises = tickers.slice(0, 100).map(async (ticker) => {
-            try {
-                const response = await fetch(
-                    `${CONFIG.OKX_API.BASE_URL}/market/candles?instId=${ticker.instId}&bar=1D&limit=30`
-                );
-                const data = await response.json();
-                return {
-                    symbol: ticker.instId,
-                    candles: data.code === '0' ? data.data : []
-                };
-            } catch (error) {
-                return { symbol: ticker.instId, candles: [] };
-            }
-        });
-        
-        return await Promise.all(candlePromises);
-    }
-
-    detectMarketRegime(tickers, candleData) {
-        const topTickers = tickers.slice(0, 50);
-        let bullishCount = 0;
-        let bearishCount = 0;
-        let volatilitySum = 0;
-        
-        topTickers.forEach(ticker => {
-            const change24h = parseFloat(ticker.sodUtc8);
-            const candles = candleData.find(c => c.symbol === ticker.instId)?.candles || [];
+    // عند فتح الصفحة: عرض التحليل من مخزن الشموع فوراً ريثما يكتمل المسح من المنصة
+    async showCachedScan() {
+        try {
+            const cached = await this.scanner.scanFromCache();
+            if (!cached || cached.coins.length === 0) return;
             
-            if (change24h > 2) bullishCount++;
-            else if (change24h < -2) bearishCount++;
+            this.exchange = this.scanner.exchange;
+            this.coins = cached.coins;
+            this.filterCoins();
             
-            if (candles.length >= 7) {
-                const prices = candles.slice(0, 7).map(c => parseFloat(c[4]));
-                const volatility = this.calculateVolatility(prices);
-                volatilitySum += volatility;
+            const indicator = document.getElementById('scanHealth');
+            if (indicator) {
+                indicator.textContent = `📦 بيانات مخزنة من ${new Date(cached.cachedAt).toLocaleTimeString('ar-SA')} - جاري التحديث...`;
             }
-        });
-        
-        const avgVolatility = volatilitySum / topTickers.length;
-        
-        // تحديد نظام السوق
-        if (bullishCount > bearishCount * 1.5) {
-            this.marketRegime = 'bull';
-        } else if (bearishCount > bullishCount * 1.5) {
-            this.marketRegime = 'bear';
-        } else {
-            this.marketRegime = 'sideways';
+        } catch (error) {
+            console.error('خطأ في تحميل البيانات المخزنة:', error);
         }
-        
-        // تحديد التقلبات
-        this.marketVolatility = avgVolatility > 15 ? 'high' : avgVolatility > 8 ? 'normal' : 'low';
-        
-        this.updateMarketStatus();
     }
 
-    calculateVolatility(prices) {
-        if (prices.length < 2) return 0;
+    // الاحتفاظ بآخر بيانات لكل عملة حتى يحدثها البث المباشر تدريجياً
+    storeMarketData(tickers, candleData) {
+        this.marketData.tickers = new Map(tickers.map(ticker => [ticker.instId, ticker]));
+        this.marketData.candles = new Map(candleData.map(data => [data.symbol, data]));
+    }
+
+    startStreaming() {
+        if (!CONFIG.STREAMING.ENABLED || this.exchange.name !== 'okx' || !window.WebSocket) return;
         
-        const returns = [];
-        for (let i = 1; i < prices.length; i++) {
-            returns.push((prices[i-1] - prices[i]) / prices[i] * 100);
+        if (!this.stream) {
+            this.stream = new OKXMarketStream();
+            this.stream
+                .on('ticker', ticker => this.handleStreamTicker(ticker))
+                .on('candle', update => this.handleStreamCandle(update))
+                .on('trade', trade => this.handleStreamTrade(trade))
+                .on('status', status => this.updateStreamStatus(status));
+            this.stream.start();
         }
         
-        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-        const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
-        
-        return Math.sqrt(variance);
+        this.stream.setInstruments(this.coins.map(coin => coin.fullSymbol));
     }
 
-    updateMarketStatus() {
-        const marketStatus = document.getElementById('marketStatus');
+    handleStreamTicker(ticker) {
+        if (!this.marketData.tickers.has(ticker.instId)) return;
         
-        const statusConfig = {
-            bull: { text: 'سوق صاعد 🚀', class: 'bullish' },
-            bear: { text: 'سوق هابط 📉', class: 'bearish' },
-            sideways: { text: 'سوق متقلب ⚡', class: 'neutral' }
-        };
+        this.marketData.tickers.set(ticker.instId, ticker);
+        this.scheduleCoinRefresh(ticker.instId);
         
-        const config = statusConfig[this.marketRegime];
-        marketStatus.className = `market-indicator ${config.class}`;
-        marketStatus.textContent = `${config.text} | تقلبات: ${this.getVolatilityText()}`;
-    }
-
-    getVolatilityText() {
-        const volatilityMap = {
-            high: 'عالية',
-            normal: 'متوسطة', 
-            low: 'منخفضة'
-        };
-        return volatilityMap[this.marketVolatility];
+        this.paper.updatePrices({ [ticker.instId]: ticker.last })
+            .catch(error => console.error('خطأ في تحديث المحفظة التجريبية:', error));
     }
 
-    async analyzeCoins(tickers, candleData) {
-        const analyzedCoins = [];
+    handleStreamCandle({ instId, bar, candle }) {
+        const data = this.marketData.candles.get(instId);
+        if (!data || !data.timeframes) return;
         
-        for (let i = 0; i < Math.min(tickers.length, 100); i++) {
-            const ticker = tickers[i];
-            const candles = candleData.find(c => c.symbol === ticker.instId)?.candles || [];
-            
-            if (candles.length < 20) continue;
-            
-            const analysis = await this.performTechnicalAnalysis(ticker, candles);
-            const score = this.calculateAdaptiveScore(analysis, ticker);
-            
-            analyzedCoins.push({
-                symbol: ticker.instId.replace('-USDT', ''),
-                fullSymbol: ticker.instId,
-                price: parseFloat(ticker.last),
-                change24h: parseFloat(ticker.sodUtc8),
-                volume24h: parseFloat(ticker.vol24h),
-                analysis,
-                score,
-                rank: 0,
-                marketRegime: this.marketRegime
-            });
+        const settings = CONFIG.TIMEFRAMES.BARS[bar];
+        data.timeframes[bar] = mergeCandle(data.timeframes[bar] || [], candle, settings && settings.LIMIT);
+        if (bar === CONFIG.TIMEFRAMES.PRIMARY) {
+            data.candles = data.timeframes[bar];
         }
         
-        return analyzedCoins;
+        this.scheduleCoinRefresh(instId);
     }
 
-    async performTechnicalAnalysis(ticker, candles) {
-        const prices = candles.map(c => parseFloat(c[4]));
-        const volumes = candles.map(c => parseFloat(c[5]));
-        const highs = candles.map(c => parseFloat(c[2]));
-        const lows = candles.map(c => parseFloat(c[3]));
+    handleStreamTrade(trade) {
+        const data = this.marketData.candles.get(trade.instId);
+        if (!data) return;
         
-        return {
-            liquidityFlow: this.calculateLiquidityFlow(volumes.slice(0, 7)),
-            buyingPower: this.calculateBuyingPower(ticker, volumes),
-            accumulationDistribution: this.calculateAccumulationDistribution(prices.slice(0, 7), volumes.slice(0, 7)),
-            movingAverages: this.calculateMovingAverages(prices),
-            rsi: this.calculateRSI(prices),
-            macd: this.calculateMACD(prices),
-            moneyFlowIndex: this.calculateMFI(highs, lows, prices, volumes),
-            supportResistance: this.calculateSupportResistance(highs, lows),
-            entryPoint: this.calculateAdaptiveEntryPoint(prices, volumes),
-            stopLoss: this.calculateAdaptiveStopLoss(prices),
-            volatility: this.calculateVolatility(prices.slice(0, 7)),
-            trendStrength: this.calculateTrendStrength(prices)
-        };
+        data.trades = mergeTrades(data.trades || [], [trade]);
+        this.scheduleCoinRefresh(trade.instId);
     }
 
-    calculateAdaptiveScore(analysis, ticker) {
-        let score = 0;
-        const change24h = parseFloat(ticker.sodUtc8);
-        
-        // تكييف النقاط حسب نظام السوق
-        const regimeMultipliers = {
-            bull: { positive: 1.2, negative: 0.8 },
-            bear: { positive: 0.8, negative: 1.2 },
-            sideways: { positive: 1.0, negative: 1.0 }
-        };
-        
-        const multiplier = regimeMultipliers[this.marketRegime];
-        
-        // نقاط RSI مع التكييف
-        if (analysis.rsi.trend === 'bullish' && analysis.rsi.signal !== 'overbought') {
-            score += CONFIG.SCORING.RSI_POSITIVE * multiplier.positive;
-        }
-        
-        // نقاط MACD مع التكييف
-        if (analysis.macd.signal === 'bullish') {
-            score += CONFIG.SCORING.MACD_POSITIVE * multiplier.positive;
-        }
-        
-        // تقييم خاص للسوق الهابط
-        if (this.marketRegime === 'bear') {
-            // في السوق الهابط، نركز على العملات المقاومة للهبوط
-            if (change24h > -2 && analysis.rsi.value < 40) {
-                score += 15; // مكافأة للمقاومة
-            }
-            
-            // تقليل نقاط العملات شديدة الارتفاع في السوق الهابط
-            if (change24h > 10) {
-                score *= 0.7;
-            }
-        }
-        
-        // تقييم خاص للسوق المتقلب
-        if (this.marketRegime === 'sideways') {
-            // في السوق المتقلب، نركز على التقلبات والأحجام
-            if (analysis.volatility > 8 && analysis.liquidityFlow.trend === 'increasing') {
-                score += 12;
-            }
-            
-            // مكافأة للعملات ذات الدعوم القوية
-            const supportStrength = (analysis.supportResistance.support1 / parseFloat(ticker.last)) * 100;
-            if (supportStrength > 95) {
-                score += 8;
-            }
-        }
+    // تجميع التحديثات المتتالية لنفس العملة في إعادة تحليل واحدة
+    scheduleCoinRefresh(instId) {
+        if (this.pendingRefresh.has(instId)) return;
         
-        // تقييم خاص للسوق الصاعد
-        if (this.marketRegime === 'bull') {
-            // في السوق الصاعد، نركز على الزخم
-            if (analysis.trendStrength > 0.6 && change24h > 5) {
-                score += 15;
-            }
-        }
+        this.pendingRefresh.set(instId, setTimeout(() => {
+            this.pendingRefresh.delete(instId);
+            this.refreshCoin(instId);
+        }, CONFIG.STREAMING.RECOMPUTE_THROTTLE));
+    }
+
+    // إعادة تحليل عملة واحدة وتحديث بطاقتها دون إعادة رسم الشبكة
+    async refreshCoin(instId) {
+        const ticker = this.marketData.tickers.get(instId);
+        const data = this.marketData.candles.get(instId);
+        const index = this.coins.findIndex(coin => coin.fullSymbol === instId);
+        if (!ticker || !data || index === -1) return;
         
-        // تعديل النقاط حسب التقلبات
-        if (this.marketVolatility === 'high') {
-            // في التقلبات العالية، نقلل المخاطرة
-            score *= 0.9;
-            
-            // مكافأة للعملات المستقرة نسبياً
-            if (analysis.volatility < 10) {
-                score += 8;
-            }
-        }
+        const [coin] = await this.analyzeCoins([ticker], [data]);
+        if (!coin) return;
         
-        // باقي المؤشرات مع التكييف
-        if (analysis.liquidityFlow.trend === 'increasing' && parseFloat(analysis.liquidityFlow.percentage) > 20) {
-            score += CONFIG.SCORING.HIGH_LIQUIDITY * multiplier.positive;
-        }
+        coin.rank = this.coins[index].rank;
+        this.coins[index] = coin;
         
-        if (analysis.buyingPower.strength === 'high') {
-            score += CONFIG.SCORING.BUYING_POWER * multiplier.positive;
+        const filteredIndex = this.filteredCoins.findIndex(item => item.fullSymbol === instId);
+        if (filteredIndex !== -1) {
+            this.filteredCoins[filteredIndex] = coin;
         }
         
-        if (analysis.movingAverages.signal === 'buy' && analysis.movingAverages.priceAboveMA) {
-            score += CONFIG.SCORING.MA_CROSSOVER * multiplier.positive;
-        }
-        
-        return Math.min(Math.max(score, 0), 100);
+        this.patchCoinCard(coin);
+        this.patchWatchlistItem(coin);
     }
 
-    calculateTrendStrength(prices) {
-        if (prices.length < 10) return 0;
-        
-        let upDays = 0;
-        let downDays = 0;
-        
-        for (let i = 1; i < Math.min(prices.length, 10); i++) {
-            if (prices[i-1] > prices[i]) upDays++;
-            else if (prices[i-1] < prices[i]) downDays++;
-        }
+    patchCoinCard(coin) {
+        const existing = document.querySelector(`.coin-card[data-inst-id="${coin.fullSymbol}"]`);
+        if (!existing) return;
         
-        return upDays / (upDays + downDays);
+        const card = this.createCoinCard(coin, 0);
+        card.style.animation = 'none';
+        existing.replaceWith(card);
     }
 
-       calculateAdaptiveEntryPoint(prices, volumes) {
-        const currentPrice = prices[0];
-        const avgVolume = volumes.slice(0, 7).reduce((a, b) => a + b, 0) / 7;
-        const recentVolume = volumes[0];
+    // ملخص صحة آخر مسح، وتفاصيل العملات المتخطاة والأخطاء في التلميح
+    renderScanHealth(health) {
+        const indicator = document.getElementById('scanHealth');
+        if (!indicator || !health) return;
         
-        let entryMultiplier = 0.995; // افتراضي
+        const { requests, skipped } = health;
+        const icon = requests.failed > 0 || skipped.length > 0 ? '🟡' : '🟢';
+        indicator.textContent = `${icon} طلبات ${requests.requests} | فشل ${requests.failed} | إعادة ${requests.retried} | متخطاة ${skipped.length}/${health.coins}`;
         
-        // تكييف نقطة الدخول حسب نظام السوق
-        switch (this.marketRegime) {
-            case 'bull':
-                entryMultiplier = recentVolume > avgVolume * 1.2 ? 0.998 : 1.002; // دخول أسرع
-                break;
-            case 'bear':
-                entryMultiplier = 0.985; // انتظار هبوط أكبر
-                break;
-            case 'sideways':
-                entryMultiplier = recentVolume > avgVolume * 1.5 ? 0.992 : 0.988; // حذر متوسط
-                break;
+        const details = [
+            `مدة الجلب: ${(health.duration / 1000).toFixed(1)} ثانية`,
+            `طلبات مدموجة: ${requests.deduplicated}`,
+            `انتظار حد المعدل: ${(requests.throttledMs / 1000).toFixed(1)} ثانية`,
+            `عملات ببيانات ناقصة: ${health.partial}`
+        ];
+        if (skipped.length > 0) {
+            details.push('العملات المتخطاة لنقص الشموع:');
+            skipped.forEach(coin => details.push(`  ${coin.instId} (${coin.candles} شمعة)`));
         }
+        requests.errors.slice(0, 10).forEach(error => {
+            details.push(`خطأ ${error.status || 'شبكة'}: ${error.key} - ${error.message}`);
+        });
+        indicator.title = details.join('\n');
+    }
+
+    updateStreamStatus({ connection, status }) {
+        const indicator = document.getElementById('streamStatus');
+        if (!indicator) return;
         
-        // تعديل إضافي حسب التقلبات
-        if (this.marketVolatility === 'high') {
-            entryMultiplier *= 0.995; // حذر إضافي
-        }
-        
-        const entryPrice = currentPrice * entryMultiplier;
-        
-        return {
-            price: entryPrice.toFixed(6),
-            confidence: this.calculateEntryConfidence(recentVolume, avgVolume),
-            strategy: this.getEntryStrategy()
+        const statusText = {
+            connecting: 'جاري الاتصال بالبث...',
+            connected: 'بث مباشر 🟢',
+            disconnected: 'البث منقطع 🔴',
+            reconnecting: 'إعادة الاتصال بالبث 🟡'
         };
+        
+        indicator.dataset[connection] = status;
+        const states = [indicator.dataset.public, indicator.dataset.business];
+        const overall = states.every(state => state === 'connected') ? 'connected' :
+            states.find(state => state && state !== 'connected') || status;
+        indicator.textContent = statusText[overall] || overall;
     }
 
-    calculateAdaptiveStopLoss(prices) {
-        const currentPrice = prices[0];
-        const recentLow = Math.min(...prices.slice(0, 7));
-        
-        let stopLossPercentage = 0.95; // افتراضي 5%
+    handleAlert(alert) {
+        showNotification(`${alert.title} - ${alert.message}`, 'info');
         
-        // تكييف وقف الخسارة حسب نظام السوق
-        switch (this.marketRegime) {
-            case 'bull':
-                stopLossPercentage = 0.92; // وقف خسارة أوسع في السوق الصاعد
-                break;
-            case 'bear':
-                stopLossPercentage = 0.97; // وقف خسارة ضيق في السوق الهابط
-                break;
-            case 'sideways':
-                stopLossPercentage = 0.94; // وقف خسارة متوسط
-                break;
+        const container = document.getElementById('alerts-container');
+        if (container && container.style.display !== 'none') {
+            this.renderAlertsPanel();
         }
+    }
+
+    renderAlertsPanel() {
+        const rulesContainer = document.getElementById('alert-rules');
+        const historyContainer = document.getElementById('alert-history');
+        if (!rulesContainer || !historyContainer) return;
         
-        // تعديل حسب التقلبات
-        if (this.marketVolatility === 'high') {
-            stopLossPercentage *= 0.98; // وقف خسارة أضيق للتقلبات العالية
-        }
+        const channelNames = { browser: 'المتصفح', telegram: 'Telegram', webhook: 'Webhook' };
         
-        const stopLoss = Math.min(currentPrice * stopLossPercentage, recentLow * 0.98);
+        rulesContainer.innerHTML = this.alerts.rules.map(rule => `
+            <div class="list-item">
+                <label class="list-item-content">
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''}
+                        onchange="detector.alerts.toggleRule('${rule.id}', this.checked)">
+                    <span class="list-item-title">${ALERT_TYPES[rule.type]}</span>
+                    <span class="list-item-subtitle">
+                        ${rule.threshold !== null ? `الحد: ${rule.threshold}` : ''}
+                        | ${rule.channels.map(channel => channelNames[channel]).join('، ')}
+                        ${rule.watchlistOnly ? '| ⭐ قائمة المراقبة فقط' : ''}
+                    </span>
+                </label>
+                <button class="remove-btn" onclick="detector.removeAlertRule('${rule.id}')">حذف</button>
+            </div>
+        `).join('');
         
-        return {
-            price: stopLoss.toFixed(6),
-            percentage: (((currentPrice - stopLoss) / currentPrice) * 100).toFixed(2),
-            type: this.getStopLossType()
-        };
+        const history = this.alerts.getHistory();
+        historyContainer.innerHTML = history.length === 0
+            ? '<div class="empty-watchlist"><p>لا توجد تنبيهات بعد</p></div>'
+            : history.map(alert => `
+                <div class="list-item">
+                    <div class="list-item-content">
+                        <span class="list-item-title">${alert.title}</span>
+                        <span class="list-item-subtitle">${alert.message}</span>
+                    </div>
+                    <span class="list-item-subtitle">${new Date(alert.time).toLocaleString('ar-SA')}</span>
+                </div>
+            `).join('');
     }
 
-    calculateEntryConfidence(recentVolume, avgVolume) {
-        const volumeRatio = recentVolume / avgVolume;
+    addAlertRule() {
+        const type = document.getElementById('alert-rule-type').value;
+        const thresholdValue = document.getElementById('alert-rule-threshold').value;
+        const channels = [...document.querySelectorAll('.alert-rule-channel:checked')].map(input => input.value);
+        // قاعدة السعر المستهدف تأخذ الأسعار من قائمة المراقبة ولا تحتاج حداً
+        const withoutThreshold = type === 'regime' || type === 'target';
         
-        if (this.marketRegime === 'bull' && volumeRatio > 1.5) return 'high';
-        if (this.marketRegime === 'bear' && volumeRatio > 2.0) return 'high';
-        if (this.marketRegime === 'sideways' && volumeRatio > 1.8) return 'high';
+        if (!withoutThreshold && thresholdValue === '') {
+            showNotification('يرجى إدخال قيمة الحد', 'error');
+            return;
+        }
         
-        return volumeRatio > 1.2 ? 'medium' : 'low';
-    }
-
-    getEntryStrategy() {
-        const strategies = {
-            bull: 'دخول تدريجي مع الزخم',
-            bear: 'انتظار إشارات انعكاس قوية',
-            sideways: 'استغلال التذبذبات والدعوم'
-        };
-        return strategies[this.marketRegime];
+        this.alerts.addRule({
+            type,
+            threshold: withoutThreshold ? null : parseFloat(thresholdValue),
+            channels: channels.length > 0 ? channels : ['browser'],
+            watchlistOnly: type === 'target' || (type !== 'regime' && document.getElementById('alert-rule-watchlist').checked)
+        });
+        this.renderAlertsPanel();
     }
 
-    getStopLossType() {
-        const types = {
-            bull: 'وقف خسارة متحرك',
-            bear: 'وقف خسارة ثابت ضيق',
-            sideways: 'وقف خسارة تحت الدعم'
-        };
-        return types[this.marketRegime];
+    removeAlertRule(id) {
+        this.alerts.removeRule(id);
+        this.renderAlertsPanel();
     }
 
-    // باقي الدوال الأساسية (بدون تغيير)
-    calculateLiquidityFlow(volumes) {
-        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-        const recentVolume = volumes.slice(0, 3).reduce((a, b) => a + b, 0) / 3;
+    // الموقّع يُنشأ عند فتح المفاتيح ويُمرر لمحول OKX للطلبات الخاصة فقط
+    applySigner() {
+        if (!this.exchange || this.exchange.name !== 'okx') return;
         
-        return {
-            percentage: ((recentVolume / avgVolume - 1) * 100).toFixed(2),
-            trend: recentVolume > avgVolume ? 'increasing' : 'decreasing'
-        };
+        this.exchange.setSigner(this.signer);
+        if (!this.signer || !CONFIG.ACCOUNT.ENABLED) {
+            if (this.account) {
+                this.account = null;
+                this.filterCoins();
+            }
+            return;
+        }
+        if (!this.account || this.account.exchange !== this.exchange) {
+            this.account = new OKXAccount({ exchange: this.exchange });
+            this.refreshAccount({ force: true });
+        }
     }
 
-    calculateBuyingPower(ticker, volumes) {
-        const totalVolume = parseFloat(ticker.vol24h);
-        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+    // قراءة الحساب بحد أدنى REFRESH_INTERVAL بين قراءتين، ثم إعادة رسم البطاقات بالمراكز
+    async refreshAccount({ force = false } = {}) {
+        const account = this.account;
+        if (!account) return;
+        if (!force && account.snapshot && Date.now() - account.snapshot.time < CONFIG.ACCOUNT.REFRESH_INTERVAL) return;
         
-        return {
-            percentage: ((totalVolume / avgVolume - 1) * 100).toFixed(2),
-            strength: totalVolume > avgVolume * 1.5 ? 'high' : totalVolume > avgVolume ? 'medium' : 'low'
-        };
-    }
-
-    calculateAccumulationDistribution(prices, volumes) {
-        let ad = 0;
-        for (let i = 1; i < prices.length; i++) {
-            const clv = ((prices[i] - prices[i-1]) / (prices[i] + prices[i-1])) * volumes[i];
-            ad += clv;
+        try {
+            await account.refresh();
+            if (account === this.account) this.filterCoins();
+        } catch (error) {
+            console.error('خطأ في قراءة الحساب:', error);
+            showNotification(`تعذرت قراءة الحساب: ${error.message}`, 'error');
         }
-        
-        return {
-            value: ad,
-            percentage: (ad / volumes.reduce((a, b) => a + b, 0) * 100).toFixed(2),
-            trend: ad > 0 ? 'accumulation' : 'distribution'
-        };
     }
 
-    calculateMovingAverages(prices) {
-        const ma7 = this.simpleMovingAverage(prices, 7);
-        const ma25 = this.simpleMovingAverage(prices, 25);
-        const currentPrice = prices[0];
-        
-        return {
-            ma7: ma7.toFixed(6),
-            ma25: ma25.toFixed(6),
-            crossover: ma7 > ma25 ? 'bullish' : 'bearish',
-            priceAboveMA: currentPrice > ma7 && currentPrice > ma25,
-            signal: ma7 > ma25 && currentPrice > ma7 ? 'buy' : 'sell'
-        };
+    accountPosition(coin) {
+        return this.account ? this.account.positionFor(coin.fullSymbol, coin.price) : null;
     }
 
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return { value: 50, signal: 'neutral', trend: 'neutral' };
+    // شارة المركز الحقيقي على البطاقة: الربح غير المحقق مقابل متوسط التكلفة، أو الأوامر المفتوحة فقط
+    generateHoldingBadge(coin) {
+        const position = this.accountPosition(coin);
+        if (!position) return '';
         
-        let gains = 0;
-        let losses = 0;
+        if (position.size <= 0) {
+            return `<span class="badge badge-info" title="أوامر مفتوحة على هذه العملة">📋 ${position.openOrders.length} أمر</span>`;
+        }
         
-        for (let i = 1; i <= period; i++) {
-            const change = prices[i-1] - prices[i];
-            if (change > 0) gains += change;
-            else losses -= change;
+        const title = `الكمية: ${position.size} | متوسط التكلفة: ${position.avgCost ? position.avgCost.toFixed(6) : 'غير معروف'}`;
+        if (position.unrealizedPercent === null) {
+            return `<span class="badge badge-info" title="${title}">💼 محتفظ بها</span>`;
         }
         
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        const rs = avgGain / avgLoss;
-        const rsi = 100 - (100 / (1 + rs));
+        const badge = position.unrealizedPnl >= 0 ? 'badge-success' : 'badge-danger';
+        const sign = position.unrealizedPercent >= 0 ? '+' : '';
+        return `<span class="badge ${badge}" title="${title}">💼 ${sign}${position.unrealizedPercent.toFixed(2)}%</span>`;
+    }
+
+    generateAccountDetails(position) {
+        const costSource = { okx: 'من OKX', fills: 'من الصفقات المنفذة (تقريبي)' };
+        const pnlClass = position.unrealizedPnl === null ? 'indicator-neutral'
+            : position.unrealizedPnl >= 0 ? 'indicator-positive' : 'indicator-negative';
+        const sideNames = { buy: 'شراء', sell: 'بيع' };
+        
+        const orders = position.openOrders.length === 0 ? '' : `
+            <table class="data-table">
+                <thead>
+                    <tr><th>الأمر</th><th>النوع</th><th>السعر</th><th>الكمية</th><th>المنفذ</th></tr>
+                </thead>
+                <tbody>
+                    ${position.openOrders.map(order => `
+                        <tr>
+                            <td class="${order.side === 'buy' ? 'indicator-positive' : 'indicator-negative'}">${sideNames[order.side] || order.side}</td>
+                            <td>${order.type}</td>
+                            <td>${order.price !== null ? `$${order.price}` : 'سعر السوق'}</td>
+                            <td>${order.size}</td>
+                            <td>${order.filled}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
         
-        return {
-            value: rsi.toFixed(2),
-            signal: rsi > 70 ? 'overbought' : rsi < 30 ? 'oversold' : 'neutral',
-            trend: rsi > 50 ? 'bullish' : 'bearish'
-        };
+        return `
+            <div>${this.generateTradingModeBadge()}</div>
+            <div class="indicator-grid">
+                <div class="indicator-item">
+                    <div class="indicator-label">الكمية المحتفظ بها</div>
+                    <div class="indicator-value">${position.size}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">متوسط التكلفة</div>
+                    <div class="indicator-value">${position.avgCost ? `$${position.avgCost.toFixed(6)}` : '-'}</div>
+                    <div class="indicator-label">${costSource[position.costSource] || ''}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">القيمة الحالية</div>
+                    <div class="indicator-value">$${position.marketValue.toFixed(2)}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">الربح غير المحقق</div>
+                    <div class="indicator-value ${pnlClass}">
+                        ${position.unrealizedPnl === null ? '-' : `$${position.unrealizedPnl.toFixed(2)} (${position.unrealizedPercent.toFixed(2)}%)`}
+                    </div>
+                </div>
+            </div>
+            ${orders}
+        `;
     }
 
-    calculateMACD(prices) {
-        const ema12 = this.exponentialMovingAverage(prices, 12);
-        const ema26 = this.exponentialMovingAverage(prices, 26);
-        const macdLine = ema12 - ema26;
-        
-        return {
-            value: macdLine.toFixed(6),
-            signal: macdLine > 0 ? 'bullish' : 'bearish',
-            crossover: macdLine > 0 ? 'above_zero' : 'below_zero',
-            trend: macdLine > 0 ? 'uptrend' : 'downtrend'
-        };
+    // وضع الحساب من الموقّع الفعلي (أو الإعداد قبل فتح المفاتيح)، وهو نفسه لقراءة الحساب وإرسال الأوامر
+    isSandboxAccount() {
+        return this.signer ? this.signer.sandbox : CONFIG.OKX_API.SANDBOX;
+    }
+
+    generateTradingModeBadge() {
+        return this.isSandboxAccount()
+            ? '<span class="badge badge-info">تداول تجريبي (OKX Demo)</span>'
+            : '<span class="badge badge-danger">حساب حقيقي</span>';
     }
 
-    calculateMFI(highs, lows, closes, volumes, period = 14) {
-        if (closes.length < period + 1) return { value: 50, signal: 'neutral', flow: 'neutral' };
+    renderCredentialsPanel() {
+        const container = document.getElementById('credentials-status');
+        if (!container) return;
         
-        let positiveFlow = 0;
-        let negativeFlow = 0;
+        const summary = this.credentials.summary();
+        const state = this.credentials.unlocked ? 'مفتوحة 🔓' : this.credentials.hasSaved() ? 'مقفلة 🔒' : 'غير محفوظة';
+        container.innerHTML = `
+            <div class="stat-item">
+                <div class="stat-value">${state}</div>
+                <div class="stat-label">حالة المفاتيح</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${summary ? summary.apiKey : '-'}</div>
+                <div class="stat-label">API Key</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${this.generateTradingModeBadge()}</div>
+                <div class="stat-label">حساب OKX${this.isSandboxAccount() ? ' (يتطلب مفاتيح الحساب التجريبي)' : ''}</div>
+            </div>
+        `;
+    }
+
+    async saveCredentials() {
+        const fields = ['credentials-api-key', 'credentials-secret-key', 'credentials-passphrase', 'credentials-password']
+            .map(id => document.getElementById(id));
+        const [apiKey, secretKey, passphrase, password] = fields.map(input => input.value);
         
-        for (let i = 1; i <= period; i++) {
-            const typicalPrice = (highs[i-1] + lows[i-1] + closes[i-1]) / 3;
-            const prevTypicalPrice = (highs[i] + lows[i] + closes[i]) / 3;
-            const rawMoneyFlow = typicalPrice * volumes[i-1];
-            
-            if (typicalPrice > prevTypicalPrice) {
-                positiveFlow += rawMoneyFlow;
-            } else {
-                negativeFlow += rawMoneyFlow;
-            }
+        try {
+            await this.credentials.save({ apiKey, secretKey, passphrase }, password);
+            fields.forEach(input => { input.value = ''; });
+            this.signer = new OKXSigner(this.credentials.credentials);
+            this.applySigner();
+            showNotification('تم تشفير المفاتيح وحفظها', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
         }
-        
-        const mfi = 100 - (100 / (1 + (positiveFlow / negativeFlow)));
-        
-        return {
-            value: mfi.toFixed(2),
-            signal: mfi > 80 ? 'overbought' : mfi < 20 ? 'oversold' : 'neutral',
-            flow: positiveFlow > negativeFlow ? 'positive' : 'negative'
-        };
+        this.renderCredentialsPanel();
     }
 
-    calculateSupportResistance(highs, lows) {
-        const sortedHighs = [...highs].sort((a, b) => b - a);
-        const sortedLows = [...lows].sort((a, b) => a - b);
+    async unlockCredentials() {
+        const input = document.getElementById('credentials-unlock-password');
         
-        return {
-            resistance1: sortedHighs[0],
-            resistance2: sortedHighs[1],
-            support1: sortedLows[0],
-            support2: sortedLows[1]
-        };
+        try {
+            await this.credentials.unlock(input.value);
+            input.value = '';
+            this.signer = new OKXSigner(this.credentials.credentials);
+            this.applySigner();
+            showNotification('تم فتح المفاتيح', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+        this.renderCredentialsPanel();
     }
 
-    simpleMovingAverage(prices, period) {
-        if (prices.length < period) return prices[0];
-        return prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    lockCredentials() {
+        this.credentials.lock();
+        this.signer = null;
+        this.applySigner();
+        this.renderCredentialsPanel();
     }
 
-    exponentialMovingAverage(prices, period) {
-        if (prices.length < period) return prices[0];
-        
-        const multiplier = 2 / (period + 1);
-        let ema = prices[period - 1];
+    clearCredentials() {
+        if (!confirm('هل تريد حذف مفاتيح API المحفوظة من هذا المتصفح؟')) return;
+        this.credentials.clear();
+        this.lockCredentials();
+    }
+
+    detectMarketRegime(tickers, candleData, options) {
+        const result = super.detectMarketRegime(tickers, candleData, options);
+        this.updateMarketStatus();
+        return result;
+    }
+
+    updateMarketStatus() {
+        const marketStatus = document.getElementById('marketStatus');
         
-        for (let i = period - 2; i >= 0; i--) {
-            ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-        }
+        const statusConfig = {
+            bull: { text: 'سوق صاعد 🚀', class: 'bullish' },
+            bear: { text: 'سوق هابط 📉', class: 'bearish' },
+            sideways: { text: 'سوق عرضي ⚡', class: 'neutral' },
+            volatile: { text: 'سوق متقلب 🌪️', class: 'neutral' }
+        };
         
-        return ema;
+        const config = statusConfig[this.marketRegime];
+        const pending = this.regimeState && this.regimeState.pending;
+        marketStatus.className = `market-indicator ${config.class}`;
+        marketStatus.textContent = `${config.text} | تقلبات: ${this.getVolatilityText()}` +
+            (pending ? ` | تحول محتمل إلى ${statusConfig[pending.regime].text}، تقلبات ${this.getVolatilityText(pending.volatility)} (${pending.count}/${CONFIG.MARKET_REGIME.CONFIRMATIONS})` : '');
     }
 
-    assignRanks() {
-        this.coins.forEach((coin, index) => {
-            coin.rank = index + 1;
-        });
+    getVolatilityText(volatility = this.marketVolatility) {
+        const volatilityMap = {
+            high: 'عالية',
+            normal: 'متوسطة', 
+            low: 'منخفضة'
+        };
+        return volatilityMap[volatility] || 'غير محددة';
     }
 
     filterCoins() {
@@ -620,6 +600,7 @@ class CryptoPumpDetector {
     createCoinCard(coin, index) {
         const card = document.createElement('div');
         card.className = 'coin-card';
+        card.dataset.instId = coin.fullSymbol;
         card.style.animationDelay = `${index * 0.1}s`;
         
         const changeClass = coin.change24h >= 0 ? 'price-positive' : 'price-negative';
@@ -634,8 +615,13 @@ class CryptoPumpDetector {
                     </div>
                     <div class="coin-name">${coin.symbol}</div>
                     <div class="market-regime">${regimeIcon}</div>
+                    ${this.generateManipulationBadge(coin.analysis.manipulation)}
+                    ${this.generateHoldingBadge(coin)}
+                </div>
+                <div class="coin-rank">
+                    ${this.generateWatchlistStar(coin.fullSymbol)}
+                    المركز ${coin.rank}
                 </div>
-                <div class="coin-rank">المركز ${coin.rank}</div>
             </div>
             
             <div class="coin-metrics">
@@ -665,6 +651,8 @@ class CryptoPumpDetector {
                 </div>
                 <div class="score-text">${coin.score}/100 نقطة</div>
             </div>
+            
+            ${this.generateCoinSparkline(coin)}
         `;
         
         card.addEventListener('click', () => {
@@ -674,11 +662,55 @@ class CryptoPumpDetector {
         return card;
     }
 
+    // تطور النقاط والسعر عبر دورات المسح السابقة
+    generateCoinSparkline(coin) {
+        const series = this.history.getCoinSeries(coin.fullSymbol);
+        if (series.length < 2) return '';
+        
+        const first = series[0];
+        const last = series[series.length - 1];
+        const priceColor = last.price >= first.price ? '#00ff88' : '#ff4757';
+        
+        return `
+            <div class="sparkline">
+                <div class="sparkline-row">
+                    <span class="sparkline-label">النقاط ${first.score} ← ${last.score}</span>
+                    ${this.renderSparkline(series.map(point => point.score), '#00d4ff')}
+                </div>
+                <div class="sparkline-row">
+                    <span class="sparkline-label">السعر</span>
+                    ${this.renderSparkline(series.map(point => point.price), priceColor)}
+                </div>
+            </div>
+        `;
+    }
+
+    // خط بياني مصغر كـ SVG، القيم بالترتيب الزمني
+    renderSparkline(values, color, width = 120, height = 24) {
+        return `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" width="${width}" height="${height}">
+                <polyline points="${this.buildPolylinePoints(values, width, height)}" fill="none" stroke="${color}" stroke-width="1.5"></polyline>
+            </svg>
+        `;
+    }
+
+    buildPolylinePoints(values, width, height) {
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        
+        return values.map((value, index) => {
+            const x = (index / (values.length - 1)) * width;
+            const y = height - ((value - min) / range) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+    }
+
     getRegimeIcon(regime) {
         const icons = {
             bull: '🚀',
             bear: '🐻',
-            sideways: '⚡'
+            sideways: '⚡',
+            volatile: '🌪️'
         };
         return icons[regime] || '📊';
     }
@@ -687,7 +719,8 @@ class CryptoPumpDetector {
         const strategies = {
             bull: 'تتبع الزخم',
             bear: 'انتظار الانعكاس',
-            sideways: 'استغلال التذبذب'
+            sideways: 'استغلال التذبذب',
+            volatile: 'مراكز صغيرة ووقف واسع'
         };
         return strategies[this.marketRegime] || 'تحليل عام';
     }
@@ -715,14 +748,290 @@ class CryptoPumpDetector {
         
         content.innerHTML = this.generateDetailedAnalysis(coin);
         modal.style.display = 'flex';
+        this.mountCoinChart(coin);
         
         setTimeout(() => {
             modal.style.opacity = '1';
         }, 10);
     }
 
+    showCoinDetailsById(instId) {
+        const coin = this.coins.find(item => item.fullSymbol === instId);
+        if (coin) this.showCoinDetails(coin);
+    }
+
+    generateMACDDetails(macd) {
+        const format = value => value === null ? '-' : value.toFixed(6);
+        const crossover = macd.crossover.type
+            ? `${this.getArabicSignal(macd.crossover.type)} - ${macd.crossover.barsAgo === 0 ? 'في آخر شمعة' : `منذ ${macd.crossover.barsAgo} شمعة`}`
+            : 'لا يوجد';
+        const momentum = { rising: 'متزايد', falling: 'متناقص', neutral: 'محايد' };
+        const shift = macd.momentumShift ? `تحول ${this.getArabicSignal(macd.momentumShift)}` : 'بدون تحول';
+        
+        return `
+            <div class="indicator-grid">
+                <div class="indicator-item">
+                    <div class="indicator-label">خط MACD</div>
+                    <div class="indicator-value ${this.getIndicatorClass(macd.position === 'above_zero' ? 'bullish' : 'bearish')}">
+                        ${macd.value} - ${this.getArabicSignal(macd.position)}
+                    </div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">خط الإشارة</div>
+                    <div class="indicator-value">${format(macd.signalLine)}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">الهستوغرام</div>
+                    <div class="indicator-value ${macd.histogram === null ? 'indicator-neutral' : macd.histogram >= 0 ? 'indicator-positive' : 'indicator-negative'}">
+                        ${format(macd.histogram)}
+                    </div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">آخر تقاطع</div>
+                    <div class="indicator-value ${this.getIndicatorClass(macd.crossover.type)}">${crossover}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">زخم الهستوغرام</div>
+                    <div class="indicator-value ${this.getIndicatorClass(macd.momentumShift || 'neutral')}">
+                        ${momentum[macd.momentum]} - ${shift}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    generateDivergenceList(divergence) {
+        if (divergence.signals.length === 0) {
+            return '<p style="opacity: 0.7;">لا توجد انحرافات حديثة بين السعر والمؤشرات</p>';
+        }
+        
+        const kinds = { regular: 'عادي', hidden: 'مخفي' };
+        
+        return `
+            <table class="data-table">
+                <thead><tr><th>المؤشر</th><th>الاتجاه</th><th>النوع</th><th>القوة</th><th>العمر</th></tr></thead>
+                <tbody>${divergence.signals.map(signal => `<tr>
+                    <td>${DIVERGENCE_INDICATORS[signal.indicator]}</td>
+                    <td class="${this.getIndicatorClass(signal.type)}">${this.getArabicSignal(signal.type)}</td>
+                    <td>${kinds[signal.kind]}</td>
+                    <td>${(signal.strength * 100).toFixed(0)}%</td>
+                    <td>${signal.age} شمعة</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    generateOrderBookDetails(book) {
+        if (!book) {
+            return '<p style="opacity: 0.7;">لا تتوفر بيانات دفتر الأوامر لهذه العملة</p>';
+        }
+        
+        const imbalanceClass = value => value > 0 ? 'indicator-positive' : value < 0 ? 'indicator-negative' : 'indicator-neutral';
+        const ratio = value => value === null ? '-' : `${(value * 100).toFixed(3)}%`;
+        const reasons = {
+            depth: 'عمق منخفض',
+            spread: 'فارق واسع',
+            volume: 'عمق صغير مقارنة بحجم التداول'
+        };
+        const sides = { bid: 'شراء', ask: 'بيع' };
+        
+        return `
+            <div class="indicator-grid">
+                ${book.bands.map(band => `
+                    <div class="indicator-item">
+                        <div class="indicator-label">الاختلال ±${band.percent}%</div>
+                        <div class="indicator-value ${imbalanceClass(band.imbalance)}">
+                            ${(band.imbalance * 100).toFixed(1)}% (${this.formatVolume(band.bidDepth)} / ${this.formatVolume(band.askDepth)})
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="indicator-item">
+                    <div class="indicator-label">الفارق</div>
+                    <div class="indicator-value">${book.spread.toFixed(3)}%</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">العمق إلى حجم التداول</div>
+                    <div class="indicator-value">${ratio(book.depthToVolume)}</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">حالة الدفتر</div>
+                    <div class="indicator-value ${book.thin ? 'indicator-negative' : 'indicator-positive'}">
+                        ${book.thin ? `ضحل - ${book.thinReasons.map(reason => reasons[reason]).join('، ')}` : 'عمق كافٍ'}
+                    </div>
+                </div>
+            </div>
+            ${book.walls.length === 0 ? '' : `
+                <table class="data-table">
+                    <thead><tr><th>الجدار</th><th>السعر</th><th>القيمة</th><th>المسافة</th><th>المضاعف</th></tr></thead>
+                    <tbody>${book.walls.slice(0, 6).map(wall => `<tr>
+                        <td class="${wall.side === 'bid' ? 'indicator-positive' : 'indicator-negative'}">${sides[wall.side]}</td>
+                        <td>$${wall.price}</td>
+                        <td>${this.formatVolume(wall.value)}</td>
+                        <td>${wall.distance.toFixed(2)}%</td>
+                        <td>×${wall.multiple.toFixed(1)}</td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            `}
+        `;
+    }
+
+    generateTradeFlowDetails(flow) {
+        if (!flow) {
+            return '<p style="opacity: 0.7;">لا تتوفر صفقات حديثة لهذه العملة</p>';
+        }
+        
+        const minutes = Math.max(1, Math.round((flow.to - flow.from) / 60000));
+        const deltaClass = flow.delta >= 0 ? 'indicator-positive' : 'indicator-negative';
+        const sides = { buy: 'شراء', sell: 'بيع' };
+        
+        return `
+            <div class="indicator-grid">
+                <div class="indicator-item">
+                    <div class="indicator-label">شراء المنفذين</div>
+                    <div class="indicator-value indicator-positive">${this.formatVolume(flow.buyVolume)} (${(flow.buyRatio * 100).toFixed(1)}%)</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">بيع المنفذين</div>
+                    <div class="indicator-value indicator-negative">${this.formatVolume(flow.sellVolume)} (${((1 - flow.buyRatio) * 100).toFixed(1)}%)</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">دلتا الحجم التراكمية</div>
+                    <div class="indicator-value ${deltaClass}">
+                        ${flow.delta >= 0 ? '+' : '-'}${this.formatVolume(Math.abs(flow.delta))}
+                        ${flow.cvd.length > 1 ? this.renderSparkline(flow.cvd.slice().reverse(), flow.delta >= 0 ? '#00ff88' : '#ff4757') : ''}
+                    </div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">عدد الصفقات</div>
+                    <div class="indicator-value">${flow.tradeCount} خلال ${minutes} دقيقة</div>
+                </div>
+                <div class="indicator-item">
+                    <div class="indicator-label">حيتان الشراء / البيع</div>
+                    <div class="indicator-value ${flow.whaleBuyVolume >= flow.whaleSellVolume ? 'indicator-positive' : 'indicator-negative'}">
+                        ${this.formatVolume(flow.whaleBuyVolume)} / ${this.formatVolume(flow.whaleSellVolume)}
+                    </div>
+                </div>
+            </div>
+            ${flow.whales.length === 0 ? '' : `
+                <table class="data-table">
+                    <thead><tr><th>الجهة</th><th>السعر</th><th>القيمة</th><th>الوقت</th></tr></thead>
+                    <tbody>${flow.whales.slice(0, 8).map(trade => `<tr>
+                        <td class="${trade.side === 'buy' ? 'indicator-positive' : 'indicator-negative'}">${sides[trade.side]}</td>
+                        <td>$${trade.price}</td>
+                        <td>${this.formatVolume(trade.value)}</td>
+                        <td>${new Date(trade.time).toLocaleTimeString('ar-SA')}</td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            `}
+        `;
+    }
+
+    generateExtendedIndicators(indicators) {
+        const format = (value, digits = 2) => value === null ? '-' : value.toFixed(digits);
+        const { bollinger, stochRsi, adx, keltner } = indicators;
+        const item = (label, value, className = 'indicator-neutral') => `
+            <div class="indicator-item">
+                <div class="indicator-label">${label}</div>
+                <div class="indicator-value ${className}">${value}</div>
+            </div>
+        `;
+        const obvTrend = { rising: 'صاعد', falling: 'هابط', flat: 'مستقر' };
+        
+        return `
+            <div class="indicator-grid">
+                ${item('نطاق بولينجر', `${format(bollinger.lower, 6)} - ${format(bollinger.upper, 6)}`)}
+                ${item('موضع السعر %B', format(bollinger.percentB),
+                    bollinger.percentB === null ? 'indicator-neutral' : bollinger.percentB <= 0.2 ? 'indicator-positive' : bollinger.percentB >= 0.8 ? 'indicator-negative' : 'indicator-neutral')}
+                ${item('ATR', `${format(indicators.atr, 6)} (${format(indicators.atrPercent)}%)`)}
+                ${item('Stochastic RSI', `K ${format(stochRsi.k)} / D ${format(stochRsi.d)}`,
+                    stochRsi.k === null ? 'indicator-neutral' : stochRsi.k > stochRsi.d ? 'indicator-positive' : 'indicator-negative')}
+                ${item('OBV', obvTrend[indicators.obv.trend], this.getIndicatorClass(indicators.obv.trend === 'rising' ? 'positive' : indicators.obv.trend === 'falling' ? 'negative' : 'neutral'))}
+                ${item('VWAP', format(indicators.vwap, 6))}
+                ${item('ADX', `${format(adx.adx)} (+DI ${format(adx.plusDI)} / -DI ${format(adx.minusDI)})`,
+                    adx.adx === null ? 'indicator-neutral' : adx.plusDI > adx.minusDI ? 'indicator-positive' : 'indicator-negative')}
+                ${item('قناة Keltner', `${format(keltner.lower, 6)} - ${format(keltner.upper, 6)}`)}
+            </div>
+        `;
+    }
+
+    generateChartSection(coin) {
+        const data = this.marketData.candles.get(coin.fullSymbol);
+        if (!data) {
+            return '<p style="opacity: 0.7;">لا تتوفر بيانات الشموع لهذه العملة</p>';
+        }
+        
+        const bars = Object.keys(data.timeframes || {}).filter(bar => data.timeframes[bar].length > 0);
+        
+        return `
+            <div class="chart-timeframes">
+                ${bars.map(bar => `
+                    <button class="chart-timeframe-btn ${bar === CONFIG.TIMEFRAMES.PRIMARY ? 'active' : ''}" data-bar="${bar}">${bar}</button>
+                `).join('')}
+            </div>
+            <canvas id="coinChart" class="coin-chart"></canvas>
+        `;
+    }
+
+    // الرسم يحتاج أن تكون النافذة ظاهرة حتى تُعرف أبعاده
+    mountCoinChart(coin) {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        
+        const canvas = document.getElementById('coinChart');
+        const data = this.marketData.candles.get(coin.fullSymbol);
+        if (!canvas || !data) return;
+        
+        const { supportResistance, entryPoint, stopLoss } = coin.analysis;
+        const levels = [
+            { price: supportResistance.resistance1, label: 'مقاومة 1', color: '#ff6b81' },
+            { price: supportResistance.resistance2, label: 'مقاومة 2', color: '#ff6b81', dashed: true },
+            { price: supportResistance.support1, label: 'دعم 1', color: '#7bed9f' },
+            { price: supportResistance.support2, label: 'دعم 2', color: '#7bed9f', dashed: true },
+            { price: parseFloat(entryPoint.price), label: 'الدخول', color: '#00d4ff', dashed: true, fit: true },
+            { price: parseFloat(stopLoss.price), label: 'وقف الخسارة', color: '#ff4757', dashed: true, fit: true }
+        ];
+        
+        // المركز الحقيقي: متوسط التكلفة والأوامر المفتوحة
+        const position = this.accountPosition(coin);
+        if (position) {
+            if (position.avgCost) {
+                levels.push({ price: position.avgCost, label: 'متوسط التكلفة', color: '#eccc68', fit: true });
+            }
+            position.openOrders
+                .filter(order => order.price !== null)
+                .forEach(order => levels.push({
+                    price: order.price,
+                    label: `أمر ${order.side === 'buy' ? 'شراء' : 'بيع'} ${order.size}`,
+                    color: order.side === 'buy' ? '#2ed573' : '#ffa502',
+                    dashed: true,
+                    fit: true
+                }));
+        }
+        
+        const watchItem = this.watchlist.get(coin.fullSymbol);
+        if (watchItem && watchItem.targetPrice) {
+            levels.push({ price: watchItem.targetPrice, label: 'السعر المستهدف', color: '#f1c40f', dashed: true, fit: true });
+        }
+        
+        this.chart = new CandlestickChart(canvas, {
+            candles: data.candles,
+            levels
+        });
+        
+        document.querySelectorAll('.chart-timeframe-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.chart-timeframe-btn').forEach(item => item.classList.remove('active'));
+                button.classList.add('active');
+                this.chart.setCandles(data.timeframes[button.dataset.bar]);
+            });
+        });
+    }
+
     generateDetailedAnalysis(coin) {
         const analysis = coin.analysis;
+        const position = this.accountPosition(coin);
         
         return `
             <div class="analysis-section">
@@ -751,6 +1060,36 @@ class CryptoPumpDetector {
                 </div>
             </div>
 
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-chart-area"></i> الرسم البياني
+                </div>
+                ${this.generateChartSection(coin)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-list-ol"></i> تفصيل النقاط
+                </div>
+                ${this.generateScoreBreakdown(coin)}
+            </div>
+
+            ${position ? `
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-wallet"></i> مركزي في الحساب
+                </div>
+                ${this.generateAccountDetails(position)}
+            </div>
+            ` : ''}
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-user-secret"></i> خطر التلاعب
+                </div>
+                ${this.generateManipulationDetails(analysis.manipulation)}
+            </div>
+
             <div class="analysis-section">
                 <div class="analysis-title">
                     <i class="fas fa-chart-bar"></i> المؤشرات الفنية
@@ -775,7 +1114,7 @@ class CryptoPumpDetector {
                         </div>
                     </div>
                     <div class="indicator-item">
-                        <div class="indicator-label">القوة الشرائية</div>
+                        <div class="indicator-label">القوة الشرائية ${analysis.buyingPower.source === 'orderbook' ? '(دفتر الأوامر)' : '(الحجم)'}</div>
                         <div class="indicator-value ${this.getIndicatorClass(analysis.buyingPower.strength)}">
                             ${analysis.buyingPower.percentage}% - ${this.getArabicStrength(analysis.buyingPower.strength)}
                         </div>
@@ -783,6 +1122,13 @@ class CryptoPumpDetector {
                 </div>
             </div>
 
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-layer-group"></i> الأطر الزمنية
+                </div>
+                ${this.generateTimeframeMatrix(coin)}
+            </div>
+
             <div class="analysis-section">
                 <div class="analysis-title">
                     <i class="fas fa-crosshairs"></i> المتوسطات المتحركة
@@ -811,6 +1157,41 @@ class CryptoPumpDetector {
                 </div>
             </div>
 
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-wave-square"></i> تفاصيل MACD
+                </div>
+                ${this.generateMACDDetails(analysis.macd)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-code-branch"></i> الانحرافات
+                </div>
+                ${this.generateDivergenceList(analysis.divergence)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-book"></i> دفتر الأوامر
+                </div>
+                ${this.generateOrderBookDetails(analysis.orderBook)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-exchange-alt"></i> تدفق الصفقات
+                </div>
+                ${this.generateTradeFlowDetails(analysis.tradeFlow)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-sliders-h"></i> مؤشرات إضافية
+                </div>
+                ${this.generateExtendedIndicators(analysis.indicators)}
+            </div>
+
             <div class="analysis-section">
                 <div class="analysis-title">
                     <i class="fas fa-balance-scale"></i> التجميع والتصريف
@@ -843,78 +1224,631 @@ class CryptoPumpDetector {
                 </div>
             </div>
 
-            <div class="analysis-section">
-                <div class="analysis-title">
-                    <i class="fas fa-bullseye"></i> الأهداف والدعوم
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-bullseye"></i> الأهداف والدعوم
+                </div>
+                <div class="targets-section">
+                    <div class="target-item">
+                        <div class="indicator-label">الهدف الأول</div>
+                        <div class="indicator-value">$${analysis.supportResistance.resistance1.toFixed(6)}</div>
+                    </div>
+                    <div class="target-item">
+                        <div class="indicator-label">الهدف الثاني</div>
+                        <div class="indicator-value">$${analysis.supportResistance.resistance2.toFixed(6)}</div>
+                    </div>
+                    <div class="target-item support-item">
+                        <div class="indicator-label">الدعم الأول</div>
+                        <div class="indicator-value">$${analysis.supportResistance.support1.toFixed(6)}</div>
+                    </div>
+                    <div class="target-item support-item">
+                        <div class="indicator-label">الدعم الثاني</div>
+                        <div class="indicator-value">$${analysis.supportResistance.support2.toFixed(6)}</div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-sign-in-alt"></i> استراتيجية التداول المتكيفة
+                </div>
+                <div class="targets-section">
+                    <div class="target-item entry-point">
+                        <div class="indicator-label">نقطة الدخول المثلى</div>
+                        <div class="indicator-value">$${analysis.entryPoint.price}</div>
+                    </div>
+                    <div class="target-item entry-point">
+                        <div class="indicator-label">مستوى الثقة</div>
+                        <div class="indicator-value">${this.getArabicConfidence(analysis.entryPoint.confidence)}</div>
+                    </div>
+                    <div class="target-item entry-point">
+                        <div class="indicator-label">الاستراتيجية</div>
+                        <div class="indicator-value">${analysis.entryPoint.strategy}</div>
+                    </div>
+                    <div class="target-item support-item">
+                        <div class="indicator-label">وقف الخسارة</div>
+                        <div class="indicator-value">$${analysis.stopLoss.price}</div>
+                    </div>
+                    <div class="target-item support-item">
+                        <div class="indicator-label">نسبة المخاطرة</div>
+                        <div class="indicator-value">${analysis.stopLoss.percentage}%</div>
+                    </div>
+                    <div class="target-item support-item">
+                        <div class="indicator-label">نوع وقف الخسارة</div>
+                        <div class="indicator-value">${analysis.stopLoss.type}</div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-calculator"></i> حاسبة حجم المركز والمخاطر
+                </div>
+                ${this.generateRiskCalculator(coin)}
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-brain"></i> تحليل السوق الذكي
+                </div>
+                <div style="background: rgba(0, 212, 255, 0.1); padding: 15px; border-radius: 10px; border-left: 4px solid #00d4ff;">
+                    ${this.generateMarketAnalysis(coin)}
+                </div>
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-lightbulb"></i> التوصية الاحترافية المتكيفة
+                </div>
+                <div style="background: rgba(0, 212, 255, 0.1); padding: 15px; border-radius: 10px; border-left: 4px solid #00d4ff;">
+                    ${this.generateAdaptiveRecommendation(coin)}
+                </div>
+                <div class="action-buttons">
+                    <button class="action-btn" onclick="detector.openPaperPosition('${coin.fullSymbol}')">
+                        <i class="fas fa-flask"></i> فتح صفقة تجريبية
+                    </button>
+                    <button class="action-btn" id="modal-watchlist-btn" onclick="detector.toggleWatchlist('${coin.fullSymbol}')">
+                        ${this.watchlist.has(coin.fullSymbol) ? '★ إزالة من قائمة المراقبة' : '☆ إضافة لقائمة المراقبة'}
+                    </button>
+                </div>
+            </div>
+
+            <div class="analysis-section">
+                <div class="analysis-title">
+                    <i class="fas fa-paper-plane"></i> أمر دخول مع وقف وأهداف
+                </div>
+                ${this.generateOrderTicket(coin)}
+            </div>
+        `;
+    }
+
+    // تذكرة الأمر مملوءة من التوصية، والإرسال على خطوتين: مراجعة الأمر بعد التقريب ثم تأكيد صريح
+    generateOrderTicket(coin) {
+        const { manipulation } = coin.analysis;
+        if (manipulation && manipulation.suppress) {
+            return '<div class="alert alert-danger">❌ خطر تلاعب مرتفع: الشراء معطل لهذه العملة</div>';
+        }
+
+        const ticket = buildBracketTicket(coin, { portfolioSize: this.getRiskSettings().portfolioSize });
+        const [target1, target2] = ticket.takeProfits;
+        const input = (id, label, value) => `
+            <div class="indicator-item">
+                <label class="indicator-label" for="${id}">${label}</label>
+                <input type="number" min="0" step="any" id="${id}" class="filter-input"
+                    value="${value !== undefined ? value : ''}" oninput="detector.invalidateOrder()">
+            </div>
+        `;
+        return `
+            <div>${this.generateTradingModeBadge()}</div>
+            <div class="indicator-grid">
+                ${input('order-entry', 'سعر الدخول (محدد)', ticket.entry)}
+                ${input('order-stop', 'وقف الخسارة', ticket.stop)}
+                ${input('order-target1', 'الهدف 1', target1 && target1.price)}
+                ${input('order-target2', 'الهدف 2', target2 && target2.price)}
+                ${input('order-risk-percent', 'نسبة المخاطرة من المحفظة %', ticket.riskPercent)}
+            </div>
+            <div class="action-buttons">
+                <button class="action-btn" onclick="detector.reviewOrder('${coin.fullSymbol}')">
+                    <i class="fas fa-search"></i> مراجعة الأمر
+                </button>
+            </div>
+            <div id="order-preview"></div>
+        `;
+    }
+
+    readOrderTicket(coin) {
+        const value = id => parseFloat(document.getElementById(id).value);
+        const targets = [value('order-target1'), value('order-target2')].filter(Number.isFinite);
+        return buildBracketTicket(coin, {
+            portfolioSize: this.getRiskSettings().portfolioSize,
+            riskPercent: value('order-risk-percent'),
+            levels: { entry: value('order-entry'), stop: value('order-stop'), targets }
+        });
+    }
+
+    invalidateOrder() {
+        this.pendingOrder = null;
+        const preview = document.getElementById('order-preview');
+        if (preview) preview.innerHTML = '';
+    }
+
+    async reviewOrder(instId) {
+        const coin = this.coins.find(item => item.fullSymbol === instId);
+        const preview = document.getElementById('order-preview');
+        if (!coin || !preview) return;
+        
+        this.pendingOrder = null;
+        const ticket = this.readOrderTicket(coin);
+        const notes = [
+            ...ticket.errors.map(error => `<div class="alert alert-danger">❌ ${error}</div>`),
+            ...ticket.warnings.map(warning => `<div class="alert alert-warning">⚠️ ${warning}</div>`)
+        ].join('');
+        const summary = `
+            <table class="data-table">
+                <tbody>
+                    <tr><td>الكمية</td><td>${ticket.size.toFixed(6)} ${coin.symbol}</td></tr>
+                    <tr><td>قيمة المركز</td><td>$${ticket.value.toFixed(2)}</td></tr>
+                    <tr><td>الخسارة عند الوقف</td><td class="indicator-negative">$${ticket.riskAmount.toFixed(2)}</td></tr>
+                    ${ticket.takeProfits.map((target, index) => `
+                        <tr><td>الهدف ${index + 1} (${target.rewardMultiple.toFixed(2)}R)</td><td>${target.size.toFixed(6)} عند $${target.price}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        if (ticket.errors.length > 0) {
+            preview.innerHTML = summary + notes;
+            return;
+        }
+        if (!this.signer || !this.exchange || this.exchange.name !== 'okx') {
+            preview.innerHTML = summary + notes + '<div class="alert alert-info">افتح مفاتيح API (منصة OKX) لإرسال الأمر</div>';
+            return;
+        }
+        
+        try {
+            const placer = new OKXOrderPlacer({ exchange: this.exchange });
+            const order = await placer.prepare(ticket);
+            this.pendingOrder = { instId, order, placer };
+            
+            const attached = order.attachAlgoOrds.map(algo => `هدف $${algo.tpTriggerPx}${algo.sz ? ` (${algo.sz})` : ''}`).join('، ');
+            preview.innerHTML = summary + notes + `
+                <div class="alert alert-info">
+                    شراء ${order.sz} ${coin.symbol} بسعر محدد $${order.px} | وقف $${order.attachAlgoOrds[0].slTriggerPx} | ${attached}
+                    <br>${placer.sandbox ? 'سيُرسل إلى التداول التجريبي' : '⚠️ سيُرسل إلى الحساب الحقيقي'}
+                </div>
+                <div class="action-buttons">
+                    <button class="action-btn" onclick="detector.submitOrder()">
+                        <i class="fas fa-check"></i> تأكيد وإرسال
+                    </button>
+                </div>
+            `;
+        } catch (error) {
+            preview.innerHTML = summary + notes + `<div class="alert alert-danger">❌ ${error.message}</div>`;
+        }
+    }
+
+    async submitOrder() {
+        const pending = this.pendingOrder;
+        if (!pending) return;
+        
+        const { order, placer } = pending;
+        if (!placer.sandbox && !confirm(`إرسال أمر حقيقي: شراء ${order.sz} ${order.instId} بسعر ${order.px}؟`)) return;
+        
+        this.pendingOrder = null;
+        const preview = document.getElementById('order-preview');
+        try {
+            const result = await placer.place(order);
+            showNotification(`تم إرسال الأمر ${result.orderId}${result.sandbox ? ' (تجريبي)' : ''}`, 'success');
+            if (preview) preview.innerHTML = `<div class="alert alert-success">✅ تم إرسال الأمر ${result.orderId}</div>`;
+            this.refreshAccount({ force: true });
+        } catch (error) {
+            showNotification(error.message, 'error');
+            if (preview) preview.innerHTML = `<div class="alert alert-danger">❌ ${error.message}</div>`;
+        }
+    }
+
+    generateManipulationBadge(manipulation) {
+        if (!manipulation || manipulation.level === 'low') return '';
+        
+        const badge = manipulation.level === 'high' ? 'badge-danger' : 'badge-warning';
+        return `<span class="badge ${badge}" title="خطر تلاعب ${manipulation.score}/100">⚠️ ${manipulation.level === 'high' ? 'خطر ضخ وتصريف' : 'حذر'}</span>`;
+    }
+
+    generateManipulationDetails(manipulation) {
+        const levels = { low: 'منخفض', medium: 'متوسط', high: 'مرتفع' };
+        const levelClass = { low: 'indicator-positive', medium: 'indicator-neutral', high: 'indicator-negative' };
+        
+        const rows = manipulation.factors.map(factor => `
+            <tr style="${factor.strength > 0 ? '' : 'opacity: 0.5;'}">
+                <td>${factor.label}</td>
+                <td>${(factor.strength * 100).toFixed(0)}%</td>
+                <td>${factor.points.toFixed(1)} / ${factor.weight}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <p>
+                مستوى الخطر: <strong class="${levelClass[manipulation.level]}">${levels[manipulation.level]} (${manipulation.score}/100)</strong>
+                ${manipulation.suppress ? '<br>تم حجب توصية الشراء وتنبيهات النقاط لهذه العملة' : ''}
+            </p>
+            <table class="data-table">
+                <thead><tr><th>العامل</th><th>القوة</th><th>النقاط</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    generateScoreBreakdown(coin) {
+        const breakdown = coin.analysis.scoreBreakdown;
+        if (!breakdown) return '<p style="opacity: 0.7;">لا يتوفر تفصيل للنقاط</p>';
+        
+        const tableNames = {
+            BULL_MARKET: 'جدول السوق الصاعد',
+            BEAR_MARKET: 'جدول السوق الهابط',
+            SIDEWAYS_MARKET: 'جدول السوق المتذبذب',
+            VOLATILE_MARKET: 'جدول السوق المتقلب'
+        };
+        
+        const rows = breakdown.rules.map(rule => `
+            <tr style="${rule.fired ? '' : 'opacity: 0.5;'}">
+                <td>${rule.label}</td>
+                <td ${rule.error ? `title="${rule.error}"` : ''}>${rule.error ? '⚠️ خطأ' : rule.fired ? '✅' : '—'}</td>
+                <td class="${rule.points > 0 ? 'indicator-positive' : rule.points < 0 ? 'indicator-negative' : ''}">
+                    ${rule.points > 0 ? '+' : ''}${rule.points.toFixed(1)} / ${rule.weight}
+                </td>
+            </tr>
+        `).join('');
+        
+        return `
+            <p style="margin-bottom: 10px;">${tableNames[breakdown.table] || breakdown.table} - المجموع: ${breakdown.rawScore.toFixed(1)} (النهائي ${breakdown.score}/100)</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>القاعدة</th><th>الحالة</th><th>النقاط</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    generateTimeframeMatrix(coin) {
+        const timeframes = coin.analysis.timeframes;
+        if (!timeframes || Object.keys(timeframes.frames).length === 0) {
+            return '<p style="opacity: 0.7;">لا تتوفر بيانات الأطر الزمنية</p>';
+        }
+        
+        const bars = Object.keys(timeframes.frames);
+        const cell = (value, state) => `<td class="${this.getIndicatorClass(state)}">${value}</td>`;
+        const row = (label, render) => `
+            <tr><td>${label}</td>${bars.map(bar => render(timeframes.frames[bar])).join('')}</tr>
+        `;
+        const { confluence } = timeframes;
+        
+        return `
+            <p style="margin-bottom: 10px;">
+                نقاط التوافق: <strong class="${this.getIndicatorClass(confluence.direction)}">${confluence.score}/100</strong>
+                - ${confluence.agreeing} من ${confluence.total} أطر ${this.getArabicSignal(confluence.direction)}
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>المؤشر</th>${bars.map(bar => `<th>${bar}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${row('RSI', frame => cell(frame.rsi.value, frame.rsi.trend))}
+                    ${row('MACD', frame => cell(this.getArabicSignal(frame.macd.signal), frame.macd.signal))}
+                    ${row('المتوسطات', frame => cell(this.getArabicSignal(frame.movingAverages.signal), frame.movingAverages.signal))}
+                    ${row('الحجم', frame => cell(`${frame.volumeRatio.toFixed(2)}x`, frame.volumeRatio > 1 ? 'increasing' : 'decreasing'))}
+                    ${row('الاتجاه', frame => cell(this.getArabicSignal(frame.direction), frame.direction))}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getRiskSettings() {
+        const saved = JSON.parse(localStorage.getItem('cryptoRiskSettings') || '{}');
+        return {
+            portfolioSize: saved.portfolioSize || 1000,
+            openPositions: saved.openPositions || 0
+        };
+    }
+
+    updateRiskSettings(instId) {
+        const settings = {
+            portfolioSize: parseFloat(document.getElementById('risk-portfolio-size').value) || 0,
+            openPositions: parseInt(document.getElementById('risk-open-positions').value) || 0
+        };
+        localStorage.setItem('cryptoRiskSettings', JSON.stringify(settings));
+        
+        const coin = this.coins.find(item => item.fullSymbol === instId);
+        const container = document.getElementById('risk-plan');
+        if (coin && container) {
+            container.innerHTML = this.generateRiskPlan(coin);
+        }
+    }
+
+    generateRiskCalculator(coin) {
+        const settings = this.getRiskSettings();
+        
+        return `
+            <div class="indicator-grid">
+                <div class="indicator-item">
+                    <label class="indicator-label" for="risk-portfolio-size">حجم المحفظة ($)</label>
+                    <input type="number" min="0" step="any" id="risk-portfolio-size" class="filter-input"
+                        value="${settings.portfolioSize}" onchange="detector.updateRiskSettings('${coin.fullSymbol}')">
                 </div>
-                <div class="targets-section">
-                    <div class="target-item">
-                        <div class="indicator-label">الهدف الأول</div>
-                        <div class="indicator-value">$${analysis.supportResistance.resistance1.toFixed(6)}</div>
-                    </div>
-                    <div class="target-item">
-                        <div class="indicator-label">الهدف الثاني</div>
-                        <div class="indicator-value">$${analysis.supportResistance.resistance2.toFixed(6)}</div>
-                    </div>
-                    <div class="target-item support-item">
-                        <div class="indicator-label">الدعم الأول</div>
-                        <div class="indicator-value">$${analysis.supportResistance.support1.toFixed(6)}</div>
-                    </div>
-                    <div class="target-item support-item">
-                        <div class="indicator-label">الدعم الثاني</div>
-                        <div class="indicator-value">$${analysis.supportResistance.support2.toFixed(6)}</div>
-                    </div>
+                <div class="indicator-item">
+                    <label class="indicator-label" for="risk-open-positions">المراكز المفتوحة حالياً</label>
+                    <input type="number" min="0" step="1" id="risk-open-positions" class="filter-input"
+                        value="${settings.openPositions}" onchange="detector.updateRiskSettings('${coin.fullSymbol}')">
                 </div>
             </div>
+            <div id="risk-plan">${this.generateRiskPlan(coin)}</div>
+        `;
+    }
 
-            <div class="analysis-section">
-                <div class="analysis-title">
-                    <i class="fas fa-sign-in-alt"></i> استراتيجية التداول المتكيفة
+    generateRiskPlan(coin) {
+        const settings = this.getRiskSettings();
+        const plan = this.risk.planPosition(coin, settings.portfolioSize, {
+            regime: this.marketRegime,
+            volatility: this.marketVolatility,
+            openPositions: settings.openPositions
+        });
+        
+        // تحذير على مستوى المحفظة إذا كانت الفرص القوية أكثر من الحد المسموح
+        const strongSignals = this.coins.filter(item => item.score >= 70).length;
+        const warnings = [...plan.warnings];
+        if (settings.openPositions + strongSignals > plan.maxConcurrent) {
+            warnings.push(`يوجد ${strongSignals} فرصة بنقاط 70+ والحد الأقصى ${plan.maxConcurrent} مراكز - اختر الأفضل فقط`);
+        }
+        
+        const ladder = plan.takeProfits.map((step, index) => `
+            <tr>
+                <td>الهدف ${index + 1} (${step.rewardMultiple.toFixed(2)}R)</td>
+                <td>$${step.price.toFixed(6)}</td>
+                <td>${step.quantity.toFixed(4)}</td>
+                <td class="indicator-positive">+$${step.profit.toFixed(2)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="targets-section">
+                <div class="target-item entry-point">
+                    <div class="indicator-label">حجم المركز</div>
+                    <div class="indicator-value">$${plan.positionValue.toFixed(2)} (${plan.positionPercent.toFixed(1)}%)</div>
                 </div>
-                <div class="targets-section">
-                    <div class="target-item entry-point">
-                        <div class="indicator-label">نقطة الدخول المثلى</div>
-                        <div class="indicator-value">$${analysis.entryPoint.price}</div>
-                    </div>
-                    <div class="target-item entry-point">
-                        <div class="indicator-label">مستوى الثقة</div>
-                        <div class="indicator-value">${this.getArabicConfidence(analysis.entryPoint.confidence)}</div>
-                    </div>
-                    <div class="target-item entry-point">
-                        <div class="indicator-label">الاستراتيجية</div>
-                        <div class="indicator-value">${analysis.entryPoint.strategy}</div>
-                    </div>
-                    <div class="target-item support-item">
-                        <div class="indicator-label">وقف الخسارة</div>
-                        <div class="indicator-value">$${analysis.stopLoss.price}</div>
-                    </div>
-                    <div class="target-item support-item">
-                        <div class="indicator-label">نسبة المخاطرة</div>
-                        <div class="indicator-value">${analysis.stopLoss.percentage}%</div>
-                    </div>
-                    <div class="target-item support-item">
-                        <div class="indicator-label">نوع وقف الخسارة</div>
-                        <div class="indicator-value">${analysis.stopLoss.type}</div>
-                    </div>
+                <div class="target-item entry-point">
+                    <div class="indicator-label">الكمية</div>
+                    <div class="indicator-value">${plan.quantity.toFixed(4)} ${coin.symbol}</div>
                 </div>
-            </div>
-
-            <div class="analysis-section">
-                <div class="analysis-title">
-                    <i class="fas fa-brain"></i> تحليل السوق الذكي
+                <div class="target-item support-item">
+                    <div class="indicator-label">وقف الخسارة</div>
+                    <div class="indicator-value">$${plan.stop.toFixed(6)}</div>
                 </div>
-                <div style="background: rgba(0, 212, 255, 0.1); padding: 15px; border-radius: 10px; border-left: 4px solid #00d4ff;">
-                    ${this.generateMarketAnalysis(coin)}
+                <div class="target-item support-item">
+                    <div class="indicator-label">المبلغ المعرض للخسارة</div>
+                    <div class="indicator-value">$${plan.riskAmount.toFixed(2)} (${plan.riskPercent.toFixed(2)}%)</div>
                 </div>
             </div>
+            <table class="data-table">
+                <thead>
+                    <tr><th>سلم جني الأرباح (1:${plan.rewardRatio})</th><th>السعر</th><th>الكمية</th><th>الربح</th></tr>
+                </thead>
+                <tbody>${ladder}</tbody>
+            </table>
+            ${warnings.map(warning => `<div class="alert alert-warning">⚠️ ${warning}</div>`).join('')}
+        `;
+    }
 
-            <div class="analysis-section">
-                <div class="analysis-title">
-                    <i class="fas fa-lightbulb"></i> التوصية الاحترافية المتكيفة
-                </div>
-                <div style="background: rgba(0, 212, 255, 0.1); padding: 15px; border-radius: 10px; border-left: 4px solid #00d4ff;">
-                    ${this.generateAdaptiveRecommendation(coin)}
-                </div>
+    async openPaperPosition(instId) {
+        const coin = this.coins.find(item => item.fullSymbol === instId);
+        if (!coin) return;
+        
+        try {
+            const position = await this.paper.openPosition(coin, {
+                regime: this.marketRegime,
+                volatility: this.marketVolatility
+            });
+            const status = position.status === 'open' ? 'ونُفذت مباشرة' : `بانتظار السعر $${position.entry.toFixed(6)}`;
+            showNotification(`تم فتح صفقة تجريبية على ${coin.symbol} ${status}`, 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }
+
+    renderPaperPanel() {
+        const panel = document.getElementById('paper-container');
+        if (!panel || panel.style.display === 'none') return;
+        
+        const summary = this.paper.getSummary();
+        const pnlClass = value => value >= 0 ? 'indicator-positive' : 'indicator-negative';
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const statusNames = { pending: 'بانتظار التنفيذ', open: 'مفتوحة' };
+        const exitNames = { stop: 'وقف الخسارة', target: 'الأهداف', manual: 'يدوي' };
+        
+        document.getElementById('paper-summary').innerHTML = `
+            <div class="stat-item"><div class="stat-value">${money(summary.equity)}</div><div class="stat-label">قيمة المحفظة</div></div>
+            <div class="stat-item"><div class="stat-value">${money(summary.available)}</div><div class="stat-label">النقد المتاح</div></div>
+            <div class="stat-item"><div class="stat-value">${money(summary.reserved)}</div><div class="stat-label">محجوز لأوامر معلقة</div></div>
+            <div class="stat-item"><div class="stat-value ${pnlClass(summary.realizedPnl)}">${money(summary.realizedPnl)}</div><div class="stat-label">الربح المحقق</div></div>
+            <div class="stat-item"><div class="stat-value ${pnlClass(summary.unrealizedPnl)}">${money(summary.unrealizedPnl)}</div><div class="stat-label">الربح غير المحقق</div></div>
+            <div class="stat-item"><div class="stat-value ${pnlClass(summary.returnPct)}">${summary.returnPct.toFixed(2)}%</div><div class="stat-label">العائد</div></div>
+            <div class="stat-item"><div class="stat-value">${summary.winRate.toFixed(1)}%</div><div class="stat-label">نسبة النجاح (${summary.closedTrades})</div></div>
+        `;
+        
+        document.getElementById('paper-equity').innerHTML = this.renderEquityCurve(this.paper.equityCurve);
+        
+        const open = this.paper.getOpenPositions();
+        document.getElementById('paper-open').innerHTML = open.length === 0
+            ? '<p style="opacity: 0.7;">لا توجد صفقات مفتوحة</p>'
+            : `<table class="data-table">
+                <thead><tr><th>العملة</th><th>الحالة</th><th>الدخول</th><th>الوقف</th><th>الأهداف</th><th>الكمية</th><th>الربح</th><th></th></tr></thead>
+                <tbody>${open.map(position => {
+                    const unrealized = position.status === 'open'
+                        ? position.realizedPnl + position.remainingQuantity * (position.lastPrice - position.entry)
+                        : 0;
+                    return `<tr>
+                        <td>${position.symbol}</td>
+                        <td>${statusNames[position.status]}</td>
+                        <td>$${position.entry.toFixed(6)}</td>
+                        <td>$${position.stop.toFixed(6)}</td>
+                        <td>${position.targets.map(target => `${target.hit ? '✅' : ''}$${target.price.toFixed(6)}`).join('<br>')}</td>
+                        <td>${position.remainingQuantity.toFixed(4)}</td>
+                        <td class="${pnlClass(unrealized)}">${money(unrealized)}</td>
+                        <td>${position.status === 'pending'
+                            ? `<button class="remove-btn" onclick="detector.paper.cancelPosition('${position.id}')">إلغاء</button>`
+                            : `<button class="remove-btn" onclick="detector.paper.closePosition('${position.id}')">إغلاق</button>`}</td>
+                    </tr>`;
+                }).join('')}</tbody>
+            </table>`;
+        
+        const closed = this.paper.getClosedPositions().slice().reverse();
+        document.getElementById('paper-closed').innerHTML = closed.length === 0
+            ? '<p style="opacity: 0.7;">لا توجد صفقات مغلقة</p>'
+            : `<table class="data-table">
+                <thead><tr><th>العملة</th><th>حالة السوق</th><th>الدخول</th><th>سبب الإغلاق</th><th>التاريخ</th><th>الربح</th></tr></thead>
+                <tbody>${closed.map(position => `<tr>
+                    <td>${position.symbol}</td>
+                    <td>${this.getRegimeIcon(position.regime)}</td>
+                    <td>$${position.entry.toFixed(6)}</td>
+                    <td>${exitNames[position.exitReason] || position.exitReason}</td>
+                    <td>${new Date(position.closedAt).toLocaleString('ar-SA')}</td>
+                    <td class="${pnlClass(position.realizedPnl)}">${money(position.realizedPnl)}</td>
+                </tr>`).join('')}</tbody>
+            </table>`;
+        
+        const byRegime = Object.entries(this.paper.getPnlByRegime());
+        document.getElementById('paper-regimes').innerHTML = byRegime.length === 0
+            ? '<p style="opacity: 0.7;">لا توجد صفقات منفذة بعد</p>'
+            : `<table class="data-table">
+                <thead><tr><th>حالة السوق عند الدخول</th><th>الصفقات</th><th>المغلقة</th><th>نسبة النجاح</th><th>الربح المحقق</th></tr></thead>
+                <tbody>${byRegime.map(([regime, stats]) => `<tr>
+                    <td>${this.getRegimeIcon(regime)} ${regime}</td>
+                    <td>${stats.trades}</td>
+                    <td>${stats.closed}</td>
+                    <td>${stats.closed ? (stats.wins / stats.closed * 100).toFixed(1) : '0.0'}%</td>
+                    <td class="${pnlClass(stats.realizedPnl)}">${money(stats.realizedPnl)}</td>
+                </tr>`).join('')}</tbody>
+            </table>`;
+    }
+
+    renderRisersPanel() {
+        const panel = document.getElementById('risers-container');
+        if (!panel || panel.style.display === 'none') return;
+        
+        const windowMinutes = parseInt(document.getElementById('risers-window').value);
+        const risers = this.history.getRisers({ windowMinutes });
+        const list = document.getElementById('risers-list');
+        
+        if (risers.length === 0) {
+            list.innerHTML = '<p style="opacity: 0.7;">لا توجد عملات ارتفعت نقاطها خلال هذه الفترة</p>';
+            return;
+        }
+        
+        list.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>العملة</th><th>النقاط</th><th>التغير</th><th>السعر</th><th>تغير السعر</th><th>منذ</th><th>المسار</th></tr></thead>
+                <tbody>${risers.map(riser => `<tr>
+                    <td>${riser.symbol}</td>
+                    <td>${riser.fromScore} ← ${riser.toScore}</td>
+                    <td class="indicator-positive">+${riser.scoreChange}</td>
+                    <td>$${riser.toPrice.toFixed(6)}</td>
+                    <td class="${riser.priceChange >= 0 ? 'indicator-positive' : 'indicator-negative'}">${riser.priceChange.toFixed(2)}%</td>
+                    <td>${new Date(riser.fromTime).toLocaleTimeString('ar-SA')}</td>
+                    <td>${this.renderSparkline(this.history.getCoinSeries(riser.instId).filter(point => point.time >= riser.fromTime).map(point => point.score), '#00d4ff')}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // العملات ذات الحجم الشاذ إحصائياً مرتبة حسب z-score للإطار الأقوى
+    renderAnomaliesPanel() {
+        const panel = document.getElementById('anomalies-container');
+        if (!panel || panel.style.display === 'none') return;
+        
+        const earlyOnly = document.getElementById('anomalies-filter').value === 'early';
+        const anomalies = this.coins
+            .map(coin => ({ coin, anomaly: coin.analysis.volumeAnomaly.strongest }))
+            .filter(({ anomaly }) => anomaly && anomaly.anomaly && (!earlyOnly || anomaly.earlyStage))
+            .sort((a, b) => b.anomaly.zScore - a.anomaly.zScore)
+            .slice(0, CONFIG.VOLUME_ANOMALY.LIST_LIMIT);
+        const list = document.getElementById('anomalies-list');
+        
+        if (anomalies.length === 0) {
+            list.innerHTML = '<p style="opacity: 0.7;">لا يوجد حجم شاذ إحصائياً في المسح الحالي</p>';
+            return;
+        }
+        
+        list.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>العملة</th><th>الإطار</th><th>z-score</th><th>الحجم / المعتاد</th><th>حركة السعر</th><th>المرحلة</th><th>النقاط</th></tr></thead>
+                <tbody>${anomalies.map(({ coin, anomaly }) => `<tr onclick="detector.showCoinDetailsById('${coin.fullSymbol}')" style="cursor: pointer;">
+                    <td>${coin.symbol}</td>
+                    <td>${anomaly.bar}${anomaly.seasonal ? ' (موسمي)' : ''}</td>
+                    <td class="indicator-positive">${anomaly.zScore.toFixed(2)}</td>
+                    <td>${anomaly.ratio.toFixed(1)}x${anomaly.projected ? ' (متوقع)' : ''}</td>
+                    <td class="${anomaly.priceChange >= 0 ? 'indicator-positive' : 'indicator-negative'}">${anomaly.priceChange.toFixed(2)}%</td>
+                    <td>${anomaly.earlyStage ? '<span class="badge badge-info">مبكر</span>' : 'بعد الحركة'}</td>
+                    <td>${coin.score}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // مقاييس التصنيف الحالي والخط الزمني من سجل المسح
+    renderRegimePanel() {
+        const panel = document.getElementById('regime-container');
+        if (!panel || panel.style.display === 'none') return;
+        
+        const names = { bull: 'صاعد', bear: 'هابط', sideways: 'عرضي', volatile: 'متقلب' };
+        const trends = { up: 'صاعد', down: 'هابط', flat: 'محايد' };
+        const volumeRegimes = { surge: 'مرتفع', dry: 'جاف', normal: 'طبيعي' };
+        const percent = value => value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+        const state = this.regimeState;
+        
+        document.getElementById('regime-summary').innerHTML = !state ? '' : `
+            <div class="stat-item"><div class="stat-value">${this.getRegimeIcon(state.regime)} ${names[state.regime]}</div><div class="stat-label">الحالة (المرشحة: ${names[state.candidate]})</div></div>
+            <div class="stat-item"><div class="stat-value">${percent(state.score)}</div><div class="stat-label">مؤشر الاتجاه المركب</div></div>
+            <div class="stat-item"><div class="stat-value">${percent(state.metrics.breadthMedium)} / ${percent(state.metrics.breadthLong)}</div><div class="stat-label">فوق متوسط ${CONFIG.MARKET_REGIME.MEDIUM_PERIOD} / ${CONFIG.MARKET_REGIME.LONG_PERIOD}</div></div>
+            <div class="stat-item"><div class="stat-value">${percent(state.metrics.advancers)}</div><div class="stat-label">العملات المرتفعة 24س</div></div>
+            <div class="stat-item"><div class="stat-value">${trends[state.metrics.btcTrend] || '-'} / ${trends[state.metrics.ethTrend] || '-'}</div><div class="stat-label">اتجاه BTC / ETH</div></div>
+            <div class="stat-item"><div class="stat-value">${percent(state.metrics.btcDominance)} (${percent(state.metrics.btcOutperformance)})</div><div class="stat-label">حصة BTC من الحجم (تفوقه على البديلة)</div></div>
+            <div class="stat-item"><div class="stat-value">${volumeRegimes[state.metrics.volumeRegime]}</div><div class="stat-label">نظام الحجم</div></div>
+            <div class="stat-item"><div class="stat-value">${percent(state.metrics.realizedVolatility)}</div><div class="stat-label">التقلب المحقق (${this.getVolatilityText()})</div></div>
+        `;
+        
+        const segments = this.history.getRegimeSegments().reverse();
+        document.getElementById('regime-timeline').innerHTML = segments.length === 0
+            ? '<p style="opacity: 0.7;">لا يوجد سجل لحالة السوق بعد</p>'
+            : `<table class="data-table">
+                <thead><tr><th>الحالة</th><th>من</th><th>إلى</th><th>عدد الدورات</th></tr></thead>
+                <tbody>${segments.map(segment => `<tr>
+                    <td>${this.getRegimeIcon(segment.regime)} ${names[segment.regime] || segment.regime}</td>
+                    <td>${new Date(segment.from).toLocaleString('ar-SA')}</td>
+                    <td>${new Date(segment.to).toLocaleString('ar-SA')}</td>
+                    <td>${segment.count}</td>
+                </tr>`).join('')}</tbody>
+            </table>`;
+    }
+
+    // منحنى رأس المال كرسم SVG بسيط
+    renderEquityCurve(points) {
+        if (points.length < 2) {
+            return '<p style="opacity: 0.7;">لا توجد بيانات كافية لرسم منحنى رأس المال</p>';
+        }
+        
+        const width = 600;
+        const height = 150;
+        const values = points.map(point => point.equity);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const path = this.buildPolylinePoints(values, width, height);
+        const color = values[values.length - 1] >= values[0] ? '#00ff88' : '#ff4757';
+        
+        return `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: ${height}px;">
+                <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"></polyline>
+            </svg>
+            <div style="display: flex; justify-content: space-between; opacity: 0.7; font-size: 0.85rem;">
+                <span>$${min.toFixed(2)}</span><span>$${max.toFixed(2)}</span>
             </div>
         `;
     }
@@ -941,6 +1875,13 @@ class CryptoPumpDetector {
                 • استغلال الدعوم والمقاومات<br>
                 • التقلبات: ${this.getVolatilityText()}<br>
                 • استراتيجية: ${coin.analysis.entryPoint.strategy}
+            `,
+            volatile: `
+                <strong style="color: #ffd700;">🌪️ السوق في حالة تقلب حاد</strong><br>
+                • حركات سريعة في الاتجاهين وذيول طويلة<br>
+                • تقليل حجم المراكز وتوسيع وقف الخسارة<br>
+                • التقلبات: ${this.getVolatilityText()}<br>
+                • استراتيجية: ${coin.analysis.entryPoint.strategy}
             `
         };
         
@@ -951,6 +1892,17 @@ class CryptoPumpDetector {
         const analysis = coin.analysis;
         let recommendation = '';
         
+        // خطر التلاعب العالي يحجب توصية الشراء مهما كانت النقاط
+        if (analysis.manipulation && analysis.manipulation.suppress) {
+            return `
+                <strong style="color: #ff4757;">تحذير - نمط ضخ وتصريف محتمل ⚠️</strong><br>
+                النقاط المرتفعة قد تكون نتيجة ضخ منسق وليس اختراقاً طبيعياً (خطر التلاعب ${analysis.manipulation.score}/100).
+                <br>• تجنب الشراء أثناء القفزة
+                <br>• انتظار استقرار السعر وعودة الحجم لمستواه الطبيعي
+                <br>• هذا التحليل ليس نصيحة مالية شخصية
+            `;
+        }
+        
         // تحديد التوصية الأساسية حسب النقاط
         if (coin.score >= 80) {
             recommendation = `<strong style="color: #00ff88;">توصية قوية بالشراء 🚀</strong><br>`;
@@ -1019,13 +1971,32 @@ class CryptoPumpDetector {
                     `;
                 }
                 break;
+                
+            case 'volatile':
+                if (coin.score >= 75) {
+                    recommendation += `
+                        العملة تظهر اختراقاً قوياً رغم التقلب الحاد في السوق.
+                        <br><strong>خطة العمل في التقلب:</strong>
+                        <br>• دخول بحجم صغير عند ${analysis.entryPoint.price}$
+                        <br>• وقف الخسارة عند ${analysis.stopLoss.price}$ (${analysis.stopLoss.percentage}%)
+                        <br>• جني أرباح جزئي سريع عند ${analysis.supportResistance.resistance1.toFixed(6)}$
+                        <br>• ${analysis.stopLoss.type}
+                    `;
+                } else {
+                    recommendation += `
+                        التقلب الحاد يرفع مخاطر الانعكاس المفاجئ لهذه العملة.
+                        <br>• انتظار هدوء السوق
+                        <br>• تجنب الدخول بعد القفزات الكبيرة
+                    `;
+                }
+                break;
         }
         
         // إضافة تحذيرات المخاطر
         recommendation += `
             <br><br><strong style="color: #ff6b6b;">⚠️ تحذيرات المخاطر:</strong>
             <br>• لا تستثمر أكثر مما يمكنك تحمل خسارته
-            <br>• استخدم إدارة رأس المال (لا تزيد عن 2-3% من المحفظة)
+            <br>• استخدم إدارة رأس المال (لا تزيد عن ${(this.risk.getSettings(this.marketRegime, this.marketVolatility).MAX_POSITION_SIZE * 100).toFixed(1)}% من المحفظة لكل مركز)
             <br>• راقب الأخبار والتطورات التقنية
             <br>• هذا التحليل ليس نصيحة مالية شخصية
         `;
@@ -1033,15 +2004,6 @@ class CryptoPumpDetector {
         return recommendation;
     }
 
-    getVolatilityText() {
-        switch (this.marketVolatility) {
-            case 'high': return 'عالية ⚡';
-            case 'medium': return 'متوسطة 📊';
-            case 'low': return 'منخفضة 🔒';
-            default: return 'غير محددة';
-        }
-    }
-
     getIndicatorClass(value) {
         if (typeof value === 'string') {
             if (['bullish', 'buy', 'positive', 'high', 'increasing', 'accumulation'].includes(value)) {
@@ -1103,6 +2065,11 @@ class CryptoPumpDetector {
     }
 
     closeModal() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        
         const modal = document.getElementById('modalOverlay');
         modal.style.opacity = '0';
         setTimeout(() => {
@@ -1122,7 +2089,10 @@ class CryptoPumpDetector {
         document.getElementById('lastUpdate').textContent = `آخر تحديث: ${dateString} - ${timeString}`;
     }
 
-    showLoading() {
+    showLoading(show = true) {
+        this.isLoading = show;
+        if (!show) return;
+        
         const grid = document.getElementById('coinsGrid');
         grid.innerHTML = `
             <div style="grid-column: 1 / -1; text-align: center; padding: 50px;">
@@ -1172,32 +2142,105 @@ class CryptoPumpDetector {
             const settings = JSON.parse(saved);
             this.currentFilter = settings.currentFilter || 'all';
             this.marketRegime = settings.marketRegime || 'sideways';
-            this.marketVolatility = settings.marketVolatility || 'medium';
+            // الإعدادات المحفوظة من الإصدارات السابقة تسمي المستوى المتوسط medium
+            this.marketVolatility = !settings.marketVolatility || settings.marketVolatility === 'medium' ? 'normal' : settings.marketVolatility;
             
             // تحديث واجهة المستخدم
             document.getElementById('filterSelect').value = this.currentFilter;
         }
     }
 
-    // دالة لإضافة العملة للمفضلة
-    addToFavorites(symbol) {
-        let favorites = JSON.parse(localStorage.getItem('cryptoFavorites') || '[]');
-        if (!favorites.includes(symbol)) {
-            favorites.push(symbol);
-            localStorage.setItem('cryptoFavorites', JSON.stringify(favorites));
+    generateWatchlistStar(instId) {
+        const watched = this.watchlist.has(instId);
+        return `
+            <button class="watchlist-star" title="${watched ? 'إزالة من قائمة المراقبة' : 'إضافة لقائمة المراقبة'}"
+                onclick="event.stopPropagation(); detector.toggleWatchlist('${instId}')">${watched ? '★' : '☆'}</button>
+        `;
+    }
+
+    // الإضافة والإزالة من البطاقة أو نافذة التحليل، مع تحديث زر الطرف الآخر
+    toggleWatchlist(instId) {
+        const added = this.watchlist.toggle(instId);
+        showNotification(added ? `تمت إضافة ${instId} لقائمة المراقبة` : `تم حذف ${instId} من قائمة المراقبة`, 'success');
+        
+        const coin = this.coins.find(item => item.fullSymbol === instId);
+        if (coin) this.patchCoinCard(coin);
+        
+        const modalButton = document.getElementById('modal-watchlist-btn');
+        if (modalButton) {
+            modalButton.textContent = added ? '★ إزالة من قائمة المراقبة' : '☆ إضافة لقائمة المراقبة';
+        }
+    }
+
+    updateWatchlistItem(instId, fields) {
+        this.watchlist.update(instId, fields);
+    }
+
+    moveWatchlistItem(instId, offset) {
+        this.watchlist.move(instId, offset);
+    }
+
+    // السعر والنقاط والتغير وبعد الهدف من آخر تحليل، وتُحدّث وحدها مع البث دون إعادة رسم الحقول
+    generateWatchlistLive(item) {
+        const { coin } = item;
+        if (!coin) {
+            return '<span class="badge badge-warning">غير موجودة في آخر مسح</span>';
         }
+        
+        const targetText = item.targetDistance === null ? ''
+            : Math.abs(item.targetDistance) < 0.01 ? '<span class="badge badge-success">🎯 عند الهدف</span>'
+            : `<span class="badge badge-info">🎯 ${item.targetDistance > 0 ? '+' : ''}${item.targetDistance.toFixed(2)}% للهدف</span>`;
+        
+        return `
+            <span class="price">$${coin.price.toFixed(6)}</span>
+            <span class="change ${coin.change24h >= 0 ? 'positive' : 'negative'}">${coin.change24h.toFixed(2)}%</span>
+            <span class="coin-symbol">${coin.score}/100 نقطة | المركز ${coin.rank}</span>
+            ${targetText}
+        `;
     }
 
-    // دالة لإزالة العملة من المفضلة
-    removeFromFavorites(symbol) {
-        let favorites = JSON.parse(localStorage.getItem('cryptoFavorites') || '[]');
-        favorites = favorites.filter(fav => fav !== symbol);
-        localStorage.setItem('cryptoFavorites', JSON.stringify(favorites));
+    renderWatchlistPanel() {
+        const panel = document.getElementById('watchlist-container');
+        const container = document.getElementById('watchlist-items');
+        if (!panel || !container || panel.style.display === 'none') return;
+        
+        const items = this.watchlist.withMarketData(this.coins);
+        if (items.length === 0) {
+            container.innerHTML = '<div class="empty-watchlist"><p>قائمة المراقبة فارغة</p></div>';
+            return;
+        }
+        
+        container.innerHTML = items.map((item, index) => `
+            <div class="watchlist-item" data-inst-id="${item.instId}">
+                <div class="coin-info">
+                    <div class="coin-details">
+                        <h4 ${item.coin ? `onclick="detector.showCoinDetailsById('${item.instId}')" style="cursor: pointer;"` : ''}>${item.symbol}</h4>
+                        <span class="coin-symbol">${item.instId} | أضيفت ${new Date(item.addedAt).toLocaleDateString('ar-SA')}</span>
+                    </div>
+                </div>
+                <div class="coin-price watchlist-live">${this.generateWatchlistLive(item)}</div>
+                <div class="filter-group">
+                    <input type="text" class="filter-input" placeholder="ملاحظة" value="${(item.note || '').replace(/"/g, '&quot;')}"
+                        onchange="detector.updateWatchlistItem('${item.instId}', { note: this.value })">
+                    <input type="number" min="0" step="any" class="filter-input" placeholder="السعر المستهدف"
+                        value="${item.targetPrice !== null ? item.targetPrice : ''}"
+                        onchange="detector.updateWatchlistItem('${item.instId}', { targetPrice: this.value })">
+                </div>
+                <div>
+                    <button class="action-btn" ${index === 0 ? 'disabled' : ''} onclick="detector.moveWatchlistItem('${item.instId}', -1)">▲</button>
+                    <button class="action-btn" ${index === items.length - 1 ? 'disabled' : ''} onclick="detector.moveWatchlistItem('${item.instId}', 1)">▼</button>
+                    <button class="remove-btn" onclick="detector.toggleWatchlist('${item.instId}')">حذف</button>
+                </div>
+            </div>
+        `).join('');
     }
 
-    // دالة للحصول على المفضلة
-    getFavorites() {
-        return JSON.parse(localStorage.getItem('cryptoFavorites') || '[]');
+    patchWatchlistItem(coin) {
+        const live = document.querySelector(`.watchlist-item[data-inst-id="${coin.fullSymbol}"] .watchlist-live`);
+        if (!live) return;
+        
+        const item = this.watchlist.withMarketData([coin]).find(entry => entry.instId === coin.fullSymbol);
+        if (item) live.innerHTML = this.generateWatchlistLive(item);
     }
 }
 
@@ -1288,106 +2331,41 @@ function requestNotificationPermission() {
     }
 }
 
-function showNotification(title, body, icon = '/favicon.ico') {
-    if ('Notification' in window && Notification.permission === 'granted') {
-        new Notification(title, {
-            body: body,
-            icon: icon,
-            tag: 'crypto-alert'
-        });
-    }
-}
-
 // تصدير الكلاس للاستخدام العام
 window.CryptoPumpDetector = CryptoPumpDetector;
 // إضافة الدوال المفقودة في بداية الملف
 
-// دالة عرض قائمة المراقبة
-const showWatchlist = () => {
+// دالة عرض لوحة فرعية (التنبيهات، المحفظة التجريبية...) بدلاً من الشاشة الرئيسية
+const showPanel = (panelId, onShow) => {
     try {
-        console.log('عرض قائمة المراقبة');
-        const watchlistContainer = document.getElementById('watchlist-container');
+        const panel = document.getElementById(panelId);
         const mainContainer = document.getElementById('main-container');
         
-        if (watchlistContainer && mainContainer) {
-            watchlistContainer.style.display = 'block';
+        if (panel && mainContainer) {
+            document.querySelectorAll('.side-panel').forEach(item => {
+                item.style.display = 'none';
+            });
+            panel.style.display = 'block';
             mainContainer.style.display = 'none';
-            updateWatchlistDisplay();
-        } else {
-            console.error('عناصر قائمة المراقبة غير موجودة');
+            if (onShow) onShow();
         }
     } catch (error) {
-        console.error('خطأ في عرض قائمة المراقبة:', error);
+        console.error(`خطأ في عرض ${panelId}:`, error);
     }
 };
 
-// دالة إخفاء قائمة المراقبة
-const hideWatchlist = () => {
+// دالة إخفاء اللوحة الفرعية والعودة للشاشة الرئيسية
+const hidePanel = (panelId) => {
     try {
-        const watchlistContainer = document.getElementById('watchlist-container');
+        const panel = document.getElementById(panelId);
         const mainContainer = document.getElementById('main-container');
         
-        if (watchlistContainer && mainContainer) {
-            watchlistContainer.style.display = 'none';
+        if (panel && mainContainer) {
+            panel.style.display = 'none';
             mainContainer.style.display = 'block';
         }
     } catch (error) {
-        console.error('خطأ في إخفاء قائمة المراقبة:', error);
-    }
-};
-
-// دالة تحديث عرض قائمة المراقبة
-const updateWatchlistDisplay = () => {
-    try {
-        const watchlist = JSON.parse(localStorage.getItem('cryptoWatchlist') || '[]');
-        const container = document.getElementById('watchlist-items');
-        
-        if (!container) {
-            console.error('حاوية قائمة المراقبة غير موجودة');
-            return;
-        }
-        
-        if (watchlist.length === 0) {
-            container.innerHTML = '<div class="empty-watchlist"><p>قائمة المراقبة فارغة</p></div>';
-            return;
-        }
-        
-        container.innerHTML = watchlist.map(coin => `
-            <div class="watchlist-item" data-coin-id="${coin.id}">
-                <div class="coin-info">
-                    <img src="${coin.image || ''}" alt="${coin.name}" class="coin-icon">
-                    <div class="coin-details">
-                        <h4>${coin.name}</h4>
-                        <span class="coin-symbol">${coin.symbol?.toUpperCase()}</span>
-                    </div>
-                </div>
-                <div class="coin-price">
-                    <span class="price">$${coin.current_price || 'N/A'}</span>
-                    <span class="change ${(coin.price_change_percentage_24h || 0) >= 0 ? 'positive' : 'negative'}">
-                        ${(coin.price_change_percentage_24h || 0).toFixed(2)}%
-                    </span>
-                </div>
-                <button class="remove-btn" onclick="removeFromWatchlist('${coin.id}')">
-                    حذف
-                </button>
-            </div>
-        `).join('');
-    } catch (error) {
-        console.error('خطأ في تحديث قائمة المراقبة:', error);
-    }
-};
-
-// دالة حذف عملة من قائمة المراقبة
-const removeFromWatchlist = (coinId) => {
-    try {
-        let watchlist = JSON.parse(localStorage.getItem('cryptoWatchlist') || '[]');
-        watchlist = watchlist.filter(coin => coin.id !== coinId);
-        localStorage.setItem('cryptoWatchlist', JSON.stringify(watchlist));
-        updateWatchlistDisplay();
-        showNotification('تم حذف العملة من قائمة المراقبة', 'success');
-    } catch (error) {
-        console.error('خطأ في حذف العملة:', error);
-        showNotification('فشل في حذف العملة', 'error');
+        console.error(`خطأ في إخفاء ${panelId}:`, error);
     }
 };
 
@@ -1447,12 +2425,137 @@ const initializeAllEventListeners = () => {
         // إضافة مستمعات الأزرار الرئيسية
         const watchlistBtn = document.getElementById('watchlist-btn');
         if (watchlistBtn) {
-            watchlistBtn.addEventListener('click', showWatchlist);
+            watchlistBtn.addEventListener('click', () => showPanel('watchlist-container', () => window.detector.renderWatchlistPanel()));
         }
         
         const backBtn = document.getElementById('back-btn');
         if (backBtn) {
-            backBtn.addEventListener('click', hideWatchlist);
+            backBtn.addEventListener('click', () => hidePanel('watchlist-container'));
+        }
+        
+        const alertsBtn = document.getElementById('alerts-btn');
+        if (alertsBtn) {
+            alertsBtn.addEventListener('click', () => showPanel('alerts-container', () => {
+                requestNotificationPermission();
+                window.detector.renderAlertsPanel();
+            }));
+        }
+        
+        const alertsBackBtn = document.getElementById('alerts-back-btn');
+        if (alertsBackBtn) {
+            alertsBackBtn.addEventListener('click', () => hidePanel('alerts-container'));
+        }
+        
+        const risersBtn = document.getElementById('risers-btn');
+        if (risersBtn) {
+            risersBtn.addEventListener('click', () => showPanel('risers-container', () => {
+                window.detector.renderRisersPanel();
+            }));
+        }
+        
+        const risersBackBtn = document.getElementById('risers-back-btn');
+        if (risersBackBtn) {
+            risersBackBtn.addEventListener('click', () => hidePanel('risers-container'));
+        }
+        
+        const risersWindow = document.getElementById('risers-window');
+        if (risersWindow) {
+            risersWindow.addEventListener('change', () => window.detector.renderRisersPanel());
+        }
+        
+        const anomaliesBtn = document.getElementById('anomalies-btn');
+        if (anomaliesBtn) {
+            anomaliesBtn.addEventListener('click', () => showPanel('anomalies-container', () => {
+                window.detector.renderAnomaliesPanel();
+            }));
+        }
+        
+        const anomaliesBackBtn = document.getElementById('anomalies-back-btn');
+        if (anomaliesBackBtn) {
+            anomaliesBackBtn.addEventListener('click', () => hidePanel('anomalies-container'));
+        }
+        
+        const anomaliesFilter = document.getElementById('anomalies-filter');
+        if (anomaliesFilter) {
+            anomaliesFilter.addEventListener('change', () => window.detector.renderAnomaliesPanel());
+        }
+        
+        const regimeBtn = document.getElementById('regime-btn');
+        if (regimeBtn) {
+            regimeBtn.addEventListener('click', () => showPanel('regime-container', () => {
+                window.detector.renderRegimePanel();
+            }));
+        }
+        
+        const regimeBackBtn = document.getElementById('regime-back-btn');
+        if (regimeBackBtn) {
+            regimeBackBtn.addEventListener('click', () => hidePanel('regime-container'));
+        }
+        
+        const paperBtn = document.getElementById('paper-btn');
+        if (paperBtn) {
+            paperBtn.addEventListener('click', () => showPanel('paper-container', () => {
+                window.detector.renderPaperPanel();
+            }));
+        }
+        
+        const paperBackBtn = document.getElementById('paper-back-btn');
+        if (paperBackBtn) {
+            paperBackBtn.addEventListener('click', () => hidePanel('paper-container'));
+        }
+        
+        const paperResetBtn = document.getElementById('paper-reset-btn');
+        if (paperResetBtn) {
+            paperResetBtn.addEventListener('click', () => {
+                if (confirm('هل تريد حذف جميع الصفقات التجريبية؟')) {
+                    window.detector.paper.reset();
+                }
+            });
+        }
+        
+        const credentialsBtn = document.getElementById('credentials-btn');
+        if (credentialsBtn) {
+            credentialsBtn.addEventListener('click', () => showPanel('credentials-container', () => {
+                window.detector.renderCredentialsPanel();
+            }));
+        }
+        
+        const credentialsBackBtn = document.getElementById('credentials-back-btn');
+        if (credentialsBackBtn) {
+            credentialsBackBtn.addEventListener('click', () => hidePanel('credentials-container'));
+        }
+        
+        const saveCredentialsBtn = document.getElementById('save-credentials-btn');
+        if (saveCredentialsBtn) {
+            saveCredentialsBtn.addEventListener('click', () => window.detector.saveCredentials());
+        }
+        
+        const unlockCredentialsBtn = document.getElementById('unlock-credentials-btn');
+        if (unlockCredentialsBtn) {
+            unlockCredentialsBtn.addEventListener('click', () => window.detector.unlockCredentials());
+        }
+        
+        const lockCredentialsBtn = document.getElementById('lock-credentials-btn');
+        if (lockCredentialsBtn) {
+            lockCredentialsBtn.addEventListener('click', () => window.detector.lockCredentials());
+        }
+        
+        const clearCredentialsBtn = document.getElementById('clear-credentials-btn');
+        if (clearCredentialsBtn) {
+            clearCredentialsBtn.addEventListener('click', () => window.detector.clearCredentials());
+        }
+        
+        const addAlertRuleBtn = document.getElementById('add-alert-rule-btn');
+        if (addAlertRuleBtn) {
+            addAlertRuleBtn.addEventListener('click', () => window.detector.addAlertRule());
+        }
+        
+        const clearAlertsBtn = document.getElementById('clear-alerts-btn');
+        if (clearAlertsBtn) {
+            clearAlertsBtn.addEventListener('click', () => {
+                window.detector.alerts.clearHistory();
+                window.detector.renderAlertsPanel();
+            });
         }
         
         const refreshBtn = document.getElementById('refresh-btn');
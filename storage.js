@@ -0,0 +1,227 @@
+// تخزين محلي عبر IndexedDB: قاعدة بيانات واحدة للتطبيق وكل وحدة تستخدم مخزنها الخاص
+// عند عدم توفر IndexedDB (Node) يُستخدم ملف JSON لكل مخزن إذا حُدد مجلد، وإلا مخزن في الذاكرة بنفس الواجهة
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    const DB_NAME = 'cryptoPumpDetector';
+
+    // عند إضافة مخزن جديد يجب رفع DB_VERSION حتى يُنشأ في المتصفحات الحالية
+    const DB_VERSION = 3;
+    const DB_STORES = {
+        paperPositions: { keyPath: 'id' },
+        paperEquity: { keyPath: 'time' },
+        scanSnapshots: { keyPath: 'time' },
+        candles: { keyPath: 'key' }
+    };
+
+    let dbPromise = null;
+
+    const openDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = root.indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(DB_STORES).forEach(([name, options]) => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, options);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    // تحويل طلب IndexedDB إلى Promise
+    const promisify = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    class IndexedDBStore {
+        constructor(storeName) {
+            if (!DB_STORES[storeName]) {
+                throw new Error(`مخزن غير معروف: ${storeName}`);
+            }
+            this.storeName = storeName;
+        }
+
+        async transaction(mode) {
+            const db = await openDatabase();
+            return db.transaction(this.storeName, mode).objectStore(this.storeName);
+        }
+
+        async get(key) {
+            return promisify((await this.transaction('readonly')).get(key));
+        }
+
+        async getAll() {
+            return promisify((await this.transaction('readonly')).getAll());
+        }
+
+        async put(value) {
+            return promisify((await this.transaction('readwrite')).put(value));
+        }
+
+        async putMany(values) {
+            const store = await this.transaction('readwrite');
+            await Promise.all(values.map(value => promisify(store.put(value))));
+        }
+
+        async delete(key) {
+            return promisify((await this.transaction('readwrite')).delete(key));
+        }
+
+        async clear() {
+            return promisify((await this.transaction('readwrite')).clear());
+        }
+    }
+
+    // بديل localStorage في الذاكرة عند عدم توفره (Node) لوحدات الإعدادات: التنبيهات، قائمة المراقبة، المفاتيح
+    class MemoryStorage {
+        constructor() {
+            this.items = {};
+        }
+
+        getItem(key) {
+            return key in this.items ? this.items[key] : null;
+        }
+
+        setItem(key, value) {
+            this.items[key] = String(value);
+        }
+
+        removeItem(key) {
+            delete this.items[key];
+        }
+    }
+
+    class MemoryStore {
+        constructor(storeName) {
+            this.storeName = storeName;
+            this.keyPath = (DB_STORES[storeName] || { keyPath: 'id' }).keyPath;
+            this.items = new Map();
+        }
+
+        async get(key) {
+            return this.items.get(key);
+        }
+
+        async getAll() {
+            return [...this.items.values()];
+        }
+
+        async put(value) {
+            this.items.set(value[this.keyPath], value);
+            return value[this.keyPath];
+        }
+
+        async putMany(values) {
+            values.forEach(value => this.items.set(value[this.keyPath], value));
+        }
+
+        async delete(key) {
+            this.items.delete(key);
+        }
+
+        async clear() {
+            this.items.clear();
+        }
+    }
+
+    // مخزن في الذاكرة يُكتب بالكامل إلى directory/storeName.json (Node فقط)
+    // الكتابة مؤجلة قليلاً حتى تُجمع تعديلات المسح الواحد في كتابة واحدة
+    const FILE_FLUSH_DELAY = 200;
+
+    class FileStore extends MemoryStore {
+        constructor(storeName, directory) {
+            super(storeName);
+            const path = require('path');
+            this.file = path.join(directory, `${storeName}.json`);
+            this.loaded = false;
+            this.flushTimer = null;
+        }
+
+        load() {
+            if (this.loaded) return;
+            const fs = require('fs');
+            if (fs.existsSync(this.file)) {
+                JSON.parse(fs.readFileSync(this.file, 'utf8')).forEach(value => this.items.set(value[this.keyPath], value));
+            }
+            this.loaded = true;
+        }
+
+        flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            const fs = require('fs');
+            const path = require('path');
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify([...this.items.values()]));
+        }
+
+        scheduleFlush() {
+            if (this.flushTimer) return;
+            this.flushTimer = setTimeout(() => {
+                try {
+                    this.flush();
+                } catch (error) {
+                    console.error(`خطأ في حفظ ${this.file}:`, error.message);
+                }
+            }, FILE_FLUSH_DELAY);
+        }
+
+        async get(key) {
+            this.load();
+            return super.get(key);
+        }
+
+        async getAll() {
+            this.load();
+            return super.getAll();
+        }
+
+        async put(value) {
+            this.load();
+            const key = await super.put(value);
+            this.scheduleFlush();
+            return key;
+        }
+
+        async putMany(values) {
+            this.load();
+            await super.putMany(values);
+            this.scheduleFlush();
+        }
+
+        async delete(key) {
+            this.load();
+            await super.delete(key);
+            this.scheduleFlush();
+        }
+
+        async clear() {
+            this.items.clear();
+            this.loaded = true;
+            this.scheduleFlush();
+        }
+    }
+
+    // المخزن المناسب للبيئة الحالية، و directory يفعّل التخزين في ملفات عند غياب IndexedDB
+    const createStore = (storeName, { directory = null } = {}) => {
+        if (root.indexedDB) return new IndexedDBStore(storeName);
+        return directory && isNode ? new FileStore(storeName, directory) : new MemoryStore(storeName);
+    };
+
+    const exported = { IndexedDBStore, MemoryStore, FileStore, MemoryStorage, createStore, DB_STORES };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
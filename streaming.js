@@ -0,0 +1,255 @@
+// البث المباشر عبر WebSocket من OKX: الأسعار والشموع والصفقات لحظياً
+// مع نبض دوري، إعادة اتصال تلقائية، وإعادة الاشتراك بعد كل اتصال جديد
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { OKXAdapter } = isNode ? require('./exchanges.js') : root;
+
+    // اتصال WebSocket واحد يحتفظ باشتراكاته ويعيدها عند إعادة الاتصال
+    class StreamConnection {
+        constructor(url, options = {}) {
+            this.url = url;
+            this.WebSocket = options.WebSocket || root.WebSocket;
+            this.heartbeatInterval = options.heartbeatInterval || CONFIG.STREAMING.HEARTBEAT_INTERVAL;
+            this.reconnectBaseDelay = options.reconnectBaseDelay || CONFIG.STREAMING.RECONNECT_BASE_DELAY;
+            this.reconnectMaxDelay = options.reconnectMaxDelay || CONFIG.STREAMING.RECONNECT_MAX_DELAY;
+            this.onMessage = options.onMessage || (() => {});
+            this.onStatus = options.onStatus || (() => {});
+
+            this.socket = null;
+            this.subscriptions = new Map();
+            this.reconnectAttempts = 0;
+            this.reconnectTimer = null;
+            this.heartbeatTimer = null;
+            this.lastMessageAt = 0;
+            this.closedByUser = false;
+        }
+
+        connect() {
+            if (!this.WebSocket) {
+                throw new Error('WebSocket غير مدعوم في هذه البيئة');
+            }
+
+            this.closedByUser = false;
+            this.onStatus('connecting');
+            const socket = new this.WebSocket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.reconnectAttempts = 0;
+                this.lastMessageAt = Date.now();
+                this.onStatus('connected');
+                this.startHeartbeat();
+                this.sendSubscriptions([...this.subscriptions.values()], 'subscribe');
+            };
+
+            socket.onmessage = (event) => {
+                this.lastMessageAt = Date.now();
+                if (event.data === 'pong') return;
+
+                try {
+                    this.onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('رسالة بث غير صالحة:', error);
+                }
+            };
+
+            socket.onerror = (error) => {
+                console.error(`خطأ في اتصال البث ${this.url}:`, error.message || error);
+            };
+
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.stopHeartbeat();
+                this.socket = null;
+                this.onStatus('disconnected');
+                if (!this.closedByUser) {
+                    this.scheduleReconnect();
+                }
+            };
+        }
+
+        // إعادة الاتصال بتأخير متزايد أسياً حتى الحد الأقصى
+        scheduleReconnect() {
+            clearTimeout(this.reconnectTimer);
+            const delay = Math.min(this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts), this.reconnectMaxDelay);
+            this.reconnectAttempts++;
+            this.onStatus('reconnecting', { delay, attempt: this.reconnectAttempts });
+
+            this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        }
+
+        // نبض "ping" دوري، وإذا انقطعت الرسائل لفترة أطول يُعاد الاتصال
+        startHeartbeat() {
+            this.stopHeartbeat();
+            this.heartbeatTimer = setInterval(() => {
+                if (!this.isOpen()) return;
+
+                if (Date.now() - this.lastMessageAt > this.heartbeatInterval * 2) {
+                    this.socket.close();
+                    return;
+                }
+                this.socket.send('ping');
+            }, this.heartbeatInterval);
+        }
+
+        stopHeartbeat() {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        isOpen() {
+            return this.socket && this.socket.readyState === 1;
+        }
+
+        subscribe(args) {
+            const added = args.filter(arg => !this.subscriptions.has(this.key(arg)));
+            added.forEach(arg => this.subscriptions.set(this.key(arg), arg));
+            if (this.isOpen()) this.sendSubscriptions(added, 'subscribe');
+        }
+
+        unsubscribe(args) {
+            const removed = args.filter(arg => this.subscriptions.delete(this.key(arg)));
+            if (this.isOpen()) this.sendSubscriptions(removed, 'unsubscribe');
+        }
+
+        sendSubscriptions(args, op) {
+            // تقسيم الاشتراكات على دفعات لتجنب الرسائل الكبيرة
+            for (let i = 0; i < args.length; i += CONFIG.STREAMING.SUBSCRIBE_BATCH) {
+                this.socket.send(JSON.stringify({ op, args: args.slice(i, i + CONFIG.STREAMING.SUBSCRIBE_BATCH) }));
+            }
+        }
+
+        key(arg) {
+            return `${arg.channel}:${arg.instId}`;
+        }
+
+        close() {
+            this.closedByUser = true;
+            clearTimeout(this.reconnectTimer);
+            this.stopHeartbeat();
+            if (this.socket) {
+                this.socket.close();
+                this.socket = null;
+            }
+        }
+    }
+
+    // بث بيانات السوق من OKX: قناتا الأسعار والصفقات على الاتصال العام وقنوات الشموع على اتصال business
+    class OKXMarketStream {
+        constructor(options = {}) {
+            this.adapter = new OKXAdapter();
+            this.handlers = { ticker: [], candle: [], trade: [], status: [] };
+
+            const connectionOptions = {
+                ...options,
+                onMessage: message => this.handleMessage(message)
+            };
+            this.publicConnection = new StreamConnection(options.publicUrl || CONFIG.STREAMING.PUBLIC_URL, {
+                ...connectionOptions,
+                onStatus: (status, details) => this.emit('status', { connection: 'public', status, ...details })
+            });
+            this.businessConnection = new StreamConnection(options.businessUrl || CONFIG.STREAMING.BUSINESS_URL, {
+                ...connectionOptions,
+                onStatus: (status, details) => this.emit('status', { connection: 'business', status, ...details })
+            });
+        }
+
+        on(event, handler) {
+            this.handlers[event].push(handler);
+            return this;
+        }
+
+        emit(event, payload) {
+            this.handlers[event].forEach(handler => handler(payload));
+        }
+
+        start() {
+            this.publicConnection.connect();
+            this.businessConnection.connect();
+        }
+
+        stop() {
+            this.publicConnection.close();
+            this.businessConnection.close();
+        }
+
+        // مزامنة الاشتراكات مع قائمة العملات الحالية
+        setInstruments(instIds, bars = Object.keys(CONFIG.TIMEFRAMES.BARS)) {
+            const tickerArgs = instIds.map(instId => ({ channel: 'tickers', instId }));
+            const tradeArgs = CONFIG.TRADE_FLOW.ENABLED ? instIds.map(instId => ({ channel: 'trades', instId })) : [];
+            const candleArgs = instIds.flatMap(instId => bars.map(bar => ({ channel: `candle${bar}`, instId })));
+
+            this.syncSubscriptions(this.publicConnection, [...tickerArgs, ...tradeArgs]);
+            this.syncSubscriptions(this.businessConnection, candleArgs);
+        }
+
+        syncSubscriptions(connection, args) {
+            const wanted = new Set(args.map(arg => connection.key(arg)));
+            const stale = [...connection.subscriptions.values()].filter(arg => !wanted.has(connection.key(arg)));
+
+            connection.unsubscribe(stale);
+            connection.subscribe(args);
+        }
+
+        handleMessage(message) {
+            if (message.event) {
+                if (message.event === 'error') {
+                    console.error('خطأ في اشتراك البث:', message.msg || message.code);
+                }
+                return;
+            }
+            if (!message.arg || !Array.isArray(message.data)) return;
+
+            const { channel, instId } = message.arg;
+
+            if (channel === 'tickers') {
+                message.data.forEach(ticker => {
+                    this.emit('ticker', this.adapter.buildTicker({
+                        instId: ticker.instId,
+                        last: ticker.last,
+                        open24h: ticker.open24h,
+                        high24h: ticker.high24h,
+                        low24h: ticker.low24h,
+                        change24h: this.adapter.percentChange(parseFloat(ticker.last), parseFloat(ticker.open24h)),
+                        vol24h: ticker.vol24h,
+                        volCcy24h: ticker.volCcy24h
+                    }));
+                });
+            } else if (channel === 'trades') {
+                message.data.forEach(t => {
+                    this.emit('trade', this.adapter.buildTrade(t.instId, t.tradeId, t.px, t.sz, t.side, t.ts));
+                });
+            } else if (channel.startsWith('candle')) {
+                const bar = channel.slice('candle'.length);
+                message.data.forEach(c => {
+                    this.emit('candle', {
+                        instId,
+                        bar,
+                        candle: this.adapter.buildCandle(c[0], c[1], c[2], c[3], c[4], c[5]),
+                        confirmed: c[8] === '1'
+                    });
+                });
+            }
+        }
+    }
+
+    // دمج شمعة محدثة في مخزن الشموع (الأحدث أولاً): استبدال الشمعة الحالية أو إضافة شمعة جديدة
+    const mergeCandle = (candles, candle, limit) => {
+        if (candles.length > 0 && candles[0].time === candle.time) {
+            candles[0] = candle;
+        } else if (candles.length === 0 || candle.time > candles[0].time) {
+            candles.unshift(candle);
+            if (limit && candles.length > limit) candles.length = limit;
+        }
+        return candles;
+    };
+
+    const exported = { StreamConnection, OKXMarketStream, mergeCandle };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,66 @@
+// الحساب للقراءة فقط ضد خادم الحساب التجريبي بالتسجيل الافتراضي (fixtures/account.json) مع التحقق من التوقيع
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { OKXAccount, averageCostFromFills } = require('../account.js');
+const { OKXAdapter } = require('../exchanges.js');
+const { OKXSigner } = require('../okx-signer.js');
+const { MockAccountServer } = require('../mock-account-server.js');
+
+const SECRET = 'mock-secret';
+
+const createAccount = (server, secretKey = SECRET) => new OKXAccount({
+    exchange: new OKXAdapter({
+        baseUrl: `http://localhost:${server.port}/api/v5`,
+        signer: new OKXSigner({ apiKey: 'key', secretKey, passphrase: 'pass' }, { sandbox: true })
+    })
+});
+
+test('الحساب عبر الخادم التجريبي', async (t) => {
+    const server = await new MockAccountServer({ port: 0, secret: SECRET }).start();
+    t.after(() => server.stop());
+
+    await t.test('الأرصدة والأوامر والصفقات بالنموذج الموحد', async () => {
+        const snapshot = await createAccount(server).refresh();
+
+        assert.strictEqual(snapshot.cash, 1200);
+        assert.deepStrictEqual(snapshot.holdings.map(holding => [holding.instId, holding.costSource]), [
+            ['BTC-USDT', 'okx'],
+            ['ETH-USDT', 'fills']
+        ]);
+        assert.strictEqual(snapshot.holdings[0].avgCost, 62000);
+        assert.ok(Math.abs(snapshot.holdings[1].avgCost - 400 / 0.12) < 1e-6);
+        assert.strictEqual(snapshot.openOrders.length, 2);
+        assert.strictEqual(snapshot.fills.length, 2);
+    });
+
+    await t.test('الطلبات موقعة وتذهب إلى التداول التجريبي', async () => {
+        const privateRequests = server.requests.filter(request => request.url.startsWith('/api/v5/account/') || request.url.startsWith('/api/v5/trade/'));
+        assert.ok(privateRequests.length >= 3);
+        privateRequests.forEach(request => assert.strictEqual(request.headers['x-simulated-trading'], '1'));
+    });
+
+    await t.test('التوقيع الخاطئ يُرفض برسالة المنصة', async () => {
+        await assert.rejects(createAccount(server, 'wrong-secret').refresh(), /Invalid Sign/);
+    });
+
+    await t.test('المركز مقيّم بالسعر الحالي', async () => {
+        const account = createAccount(server);
+        await account.refresh();
+
+        const btc = account.positionFor('BTC-USDT', 68200);
+        assert.strictEqual(btc.unrealizedPercent, 10);
+        assert.strictEqual(btc.openOrders.length, 1);
+        assert.strictEqual(account.positionFor('SOL-USDT', 150), null);
+    });
+});
+
+test('متوسط التكلفة من الصفقات: البيع يخفض الكمية دون تغيير المتوسط', () => {
+    const fills = [
+        { side: 'buy', price: 100, size: 2, time: 1 },
+        { side: 'sell', price: 150, size: 1, time: 2 },
+        { side: 'buy', price: 130, size: 1, time: 3 }
+    ];
+    assert.strictEqual(averageCostFromFills(fills), 115);
+    assert.strictEqual(averageCostFromFills([{ side: 'sell', price: 100, size: 1, time: 1 }]), null);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AlertEngine, defaultAlertRules } = require('../alerts.js');
+const { MemoryStorage } = require('../storage.js');
+
+const RULES_KEY = 'cryptoAlertRules';
+const DEFAULT_IDS = defaultAlertRules().map(rule => rule.id);
+
+const engineWith = (saved) => {
+    const storage = new MemoryStorage();
+    if (saved !== undefined) storage.setItem(RULES_KEY, JSON.stringify(saved));
+    return { storage, engine: new AlertEngine({ storage, channels: [] }) };
+};
+
+const coin = (symbol, price, score) => ({
+    symbol,
+    fullSymbol: `${symbol}-USDT`,
+    price,
+    score,
+    analysis: { volumeRatio: 1, supportResistance: { resistance1: price * 2 } }
+});
+
+test('بدون قواعد محفوظة تُستخدم القواعد الافتراضية', () => {
+    const { engine } = engineWith();
+    assert.deepStrictEqual(engine.rules.map(rule => rule.id), DEFAULT_IDS);
+});
+
+test('القاعدة الافتراضية الجديدة تُضاف للقواعد المحفوظة مرة واحدة، والمحذوفة لا تعود', () => {
+    const custom = { id: 'score-1', type: 'score', threshold: 70, channels: ['browser'], enabled: true };
+    const { storage, engine } = engineWith({
+        version: 2,
+        rules: [custom],
+        knownDefaults: DEFAULT_IDS.filter(id => id !== 'regime-change')
+    });
+
+    assert.deepStrictEqual(engine.rules.map(rule => rule.id), ['score-1', 'regime-change']);
+
+    engine.removeRule('regime-change');
+    const reloaded = new AlertEngine({ storage, channels: [] });
+    assert.deepStrictEqual(reloaded.rules.map(rule => rule.id), ['score-1']);
+});
+
+test('الصيغة الأولى (مصفوفة) تُرحّل مع الحفاظ على تعديلات المستخدم', () => {
+    const legacy = defaultAlertRules()
+        .filter(rule => ['high-score', 'regime-change'].includes(rule.id))
+        .map(rule => ({ ...rule, enabled: false }));
+    const { storage, engine } = engineWith(legacy);
+
+    const ids = engine.rules.map(rule => rule.id);
+    assert.ok(!ids.includes('volume-spike'), 'قاعدة حذفها المستخدم في الصيغة الأولى عادت');
+    assert.ok(engine.rules.filter(rule => legacy.some(item => item.id === rule.id)).every(rule => !rule.enabled));
+
+    const saved = JSON.parse(storage.getItem(RULES_KEY));
+    assert.strictEqual(saved.version, 2);
+    assert.deepStrictEqual(saved.rules.map(rule => rule.id), ids);
+});
+
+test('قاعدة النقاط تنبه عند عبور الحد فقط، مع فترة التهدئة', async () => {
+    const { engine } = engineWith({ version: 2, rules: [], knownDefaults: DEFAULT_IDS });
+    engine.addRule({ id: 'score', type: 'score', threshold: 80, channels: [] });
+
+    assert.strictEqual((await engine.evaluate([coin('AAA', 1, 85)])).length, 1);
+    assert.strictEqual((await engine.evaluate([coin('AAA', 1, 90)])).length, 0);
+    assert.strictEqual((await engine.evaluate([coin('AAA', 1, 70)])).length, 0);
+    // عبور جديد خلال فترة التهدئة لا يُرسل
+    assert.strictEqual((await engine.evaluate([coin('AAA', 1, 88)])).length, 0);
+});
+
+test('قواعد الصيغة الأولى تحصل على قاعدة السعر المستهدف لقائمة المراقبة وتعمل', async () => {
+    const legacy = defaultAlertRules().filter(rule => rule.id !== 'watchlist-target');
+    const { engine } = engineWith(legacy);
+    const target = engine.rules.find(rule => rule.id === 'watchlist-target');
+    assert.ok(target && target.enabled && target.watchlistOnly);
+
+    engine.rules = [target];
+    const watchlist = [{ instId: 'AAA-USDT', targetPrice: 110, note: 'اختراق' }];
+    assert.strictEqual((await engine.evaluate([coin('AAA', 100, 50), coin('BBB', 100, 50)], { watchlist })).length, 0);
+
+    const delivered = await engine.evaluate([coin('AAA', 111, 50), coin('BBB', 120, 50)], { watchlist });
+    assert.deepStrictEqual(delivered.map(alert => alert.symbol), ['AAA']);
+    assert.match(delivered[0].message, /اختراق/);
+});
+
+test('القاعدة المقيدة بقائمة المراقبة تتجاهل العملات خارجها', async () => {
+    const { engine } = engineWith({ version: 2, rules: [], knownDefaults: DEFAULT_IDS });
+    engine.addRule({ id: 'watched-score', type: 'score', threshold: 80, channels: [], watchlistOnly: true });
+
+    const delivered = await engine.evaluate([coin('AAA', 1, 90), coin('BBB', 1, 95)], {
+        watchlist: [{ instId: 'BBB-USDT', targetPrice: null }]
+    });
+    assert.deepStrictEqual(delivered.map(alert => alert.symbol), ['BBB']);
+});
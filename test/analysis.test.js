@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AnalysisEngine } = require('../analysis.js');
+
+// هبوط متسارع (هستوغرام سالب) ثم انعكاس حاد: الهستوغرام يرتفع في أول شمعة صاعدة ويتحول موجباً في الثانية
+// الأقدم أولاً في البناء، ثم يُعكس لأن المحرك يستقبل الأحدث أولاً. direction = -1 للحالة المعاكسة
+const reversal = (down, up, direction = 1) => {
+    const prices = [];
+    for (let i = 0; i < down; i++) prices.push(200 - direction * (i + 0.01 * i * i));
+    const pivot = prices[prices.length - 1];
+    for (let i = 1; i <= up; i++) prices.push(pivot + direction * i * 3);
+    return prices.reverse();
+};
+
+test('تقاطع MACD الصاعد وعمره بالشموع', () => {
+    const engine = new AnalysisEngine();
+    const macd = engine.calculateMACD(reversal(40, 5));
+
+    assert.deepStrictEqual(macd.crossover, { type: 'bullish', barsAgo: 3 });
+    assert.strictEqual(macd.signal, 'bullish');
+    assert.ok(macd.histogram > 0);
+    assert.strictEqual(macd.momentum, 'rising');
+
+    // الهستوغرام موجب منذ التقاطع وسالب قبله
+    const histogram = macd.series.histogram;
+    assert.ok(histogram.slice(0, 4).every(value => value > 0));
+    assert.ok(histogram[4] <= 0);
+});
+
+test('تقاطع MACD الهابط', () => {
+    const macd = new AnalysisEngine().calculateMACD(reversal(40, 3, -1));
+    assert.deepStrictEqual(macd.crossover, { type: 'bearish', barsAgo: 1 });
+    assert.strictEqual(macd.signal, 'bearish');
+    assert.strictEqual(macd.momentum, 'falling');
+});
+
+test('تحول زخم الهستوغرام في آخر شمعة فقط', () => {
+    const engine = new AnalysisEngine();
+    assert.strictEqual(engine.calculateMACD(reversal(40, 1)).momentumShift, 'bullish');
+    assert.strictEqual(engine.calculateMACD(reversal(40, 3)).momentumShift, null);
+    assert.strictEqual(engine.calculateMACD(reversal(40, 1, -1)).momentumShift, 'bearish');
+
+    assert.strictEqual(engine.findMomentumShift([1, 3, 2]), 'bearish');
+    assert.strictEqual(engine.findMomentumShift([3, 2, 2]), 'bullish');
+    assert.strictEqual(engine.findMomentumShift([1, 2, 3]), null);
+    assert.strictEqual(engine.findMomentumShift([1, 2]), null);
+});
+
+test('بيانات غير كافية تعطي MACD محايداً بدون تقاطع', () => {
+    const macd = new AnalysisEngine().calculateMACD([3, 2, 1]);
+    assert.strictEqual(macd.signal, 'neutral');
+    assert.deepStrictEqual(macd.crossover, { type: null, barsAgo: null });
+    assert.strictEqual(macd.momentumShift, null);
+});
@@ -0,0 +1,103 @@
+// الاختبار الرجعي على مجلد شموع صغير بنتائج معروفة: صفقة رابحة، صفقة بالوقف، وأمر منتهٍ
+// المحرك بديل ثابت يصدر إشارة واحدة لكل عملة في يوم محدد بمستويات دخول ووقف وهدف معروفة
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BacktestEngine, loadCandleHistory, formatBacktestReport } = require('../backtest.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+// محرك الاختبار الرجعي يحتاج 20 شمعة على الأقل، فالإشارة في اليوم العشرين بعد شموع ثابتة
+const SIGNAL_DAY = 20;
+const flat = (bar) => Array.from({ length: SIGNAL_DAY + 1 }, () => bar);
+
+// المستويات لكل عملة، والشموع: [open, high, low, close] لكل يوم، وما بعد يوم الإشارة هو ما يحدد النتيجة
+const COINS = {
+    'WIN-USDT': {
+        levels: { entry: 100, stop: 95, target: 110 },
+        volume: 1000,
+        bars: [...flat([104, 105, 103, 104]), [101, 103, 99, 102], [105, 111, 104, 108], [108, 109, 107, 108]]
+    },
+    'LOSE-USDT': {
+        levels: { entry: 50, stop: 45, target: 60 },
+        volume: 500,
+        bars: [...flat([52, 53, 51, 52]), [51, 52, 49.5, 50], [48, 49, 44, 44.5], [44, 45, 43, 44]]
+    },
+    'MISS-USDT': {
+        levels: { entry: 10, stop: 9, target: 12 },
+        volume: 100,
+        bars: [...flat([11, 11.5, 10.8, 11]), [11, 11.5, 10.8, 11], [11, 11.5, 10.8, 11], [11, 11.5, 10.8, 11]]
+    }
+};
+
+const stubEngine = {
+    detectMarketRegime: () => ({ regime: 'bull', volatility: 'normal' }),
+    performTechnicalAnalysis: (ticker, candles) => {
+        const { entry, stop, target } = COINS[ticker.instId].levels;
+        return {
+            time: candles[0].time,
+            entryPoint: { price: String(entry) },
+            stopLoss: { price: String(stop) },
+            supportResistance: { resistance1: target, resistance2: target * 1.1 }
+        };
+    },
+    calculateAdaptiveScore: analysis => analysis.time === START + SIGNAL_DAY * DAY ? 90 : 10,
+    calculateManipulationRisk: () => ({ suppress: false })
+};
+
+const writeHistory = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    Object.entries(COINS).forEach(([instId, coin], index) => {
+        const rows = coin.bars.map(([open, high, low, close], day) => [START + day * DAY, open, high, low, close, coin.volume]);
+        // صيغتا الملفات: مصفوفات OKX في JSON، و CSV بعناوين أعمدة
+        if (index % 2 === 0) {
+            fs.writeFileSync(path.join(dir, `${instId}.json`), JSON.stringify(rows.reverse()));
+        } else {
+            const csv = ['time,open,high,low,close,volume', ...rows.map(row => row.join(','))].join('\n');
+            fs.writeFileSync(path.join(dir, `${instId}.csv`), csv);
+        }
+    });
+    return dir;
+};
+
+test('الاختبار الرجعي على مجلد شموع بنتائج معروفة', (t) => {
+    const history = loadCandleHistory(writeHistory(t));
+    assert.deepStrictEqual(Object.keys(history).sort(), Object.keys(COINS).sort());
+
+    const report = new BacktestEngine({ engine: stubEngine, lookback: SIGNAL_DAY, minScore: 80, entryExpiryBars: 3, maxHoldingBars: 14, positionFraction: 0.1 })
+        .run(history);
+    const byCoin = Object.fromEntries(report.trades.map(trade => [trade.instId, trade]));
+
+    assert.strictEqual(byCoin['WIN-USDT'].status, 'closed');
+    assert.strictEqual(byCoin['WIN-USDT'].exitReason, 'target');
+    assert.strictEqual(byCoin['WIN-USDT'].openTime, START + (SIGNAL_DAY + 1) * DAY);
+    assert.strictEqual(byCoin['WIN-USDT'].returnPct, 10);
+
+    assert.strictEqual(byCoin['LOSE-USDT'].exitReason, 'stop');
+    assert.strictEqual(byCoin['LOSE-USDT'].exitPrice, 45);
+    assert.strictEqual(byCoin['LOSE-USDT'].returnPct, -10);
+
+    assert.strictEqual(byCoin['MISS-USDT'].status, 'expired');
+
+    const { summary } = report;
+    assert.strictEqual(summary.signals, 3);
+    assert.strictEqual(summary.trades, 2);
+    assert.strictEqual(summary.expired, 1);
+    assert.strictEqual(summary.hitRate, 50);
+    assert.strictEqual(summary.avgReturn, 0);
+    assert.strictEqual(summary.targetHits, 1);
+    assert.strictEqual(summary.stopHits, 1);
+    // الربح أولاً (1.01) ثم الخسارة (0.9999): تراجع 1% من القمة
+    assert.ok(Math.abs(summary.totalReturn - -0.01) < 1e-9);
+    assert.ok(Math.abs(summary.maxDrawdown - 1) < 1e-9);
+
+    assert.deepStrictEqual(Object.keys(report.byRegime), ['bull']);
+    assert.strictEqual(report.byRegime.bull.trades, 2);
+    assert.strictEqual(report.period.bars, SIGNAL_DAY + 4);
+    assert.match(formatBacktestReport(report), /نسبة النجاح: 50.00%/);
+});
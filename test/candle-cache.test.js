@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CandleCache, mergeCandles } = require('../candle-cache.js');
+const { FixtureAdapter } = require('../exchanges.js');
+const { MemoryStore } = require('../storage.js');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const LAST_BAR = Date.UTC(2026, 0, 10);
+const SETTINGS = { MAX_CANDLES: 500, HISTORY_PAGE: 100 };
+
+const candle = (time, close) => ({ time, open: close, high: close, low: close, close, volume: 1 });
+
+// محول بيانات ثابتة يسجل حجم كل طلب
+class RecordingAdapter extends FixtureAdapter {
+    constructor(fixtures) {
+        super(fixtures);
+        this.requests = [];
+    }
+
+    async fetchCandles(instId, options) {
+        this.requests.push(['candles', options.limit]);
+        return super.fetchCandles(instId, options);
+    }
+
+    async fetchHistoryCandles(instId, options) {
+        this.requests.push(['history', options.limit]);
+        return super.fetchHistoryCandles(instId, options);
+    }
+}
+
+// 250 شمعة يومية لدى المنصة، الأحدث أولاً والإغلاق 250 للأحدث
+const createCache = () => {
+    const candles = Array.from({ length: 250 }, (_, i) => candle(LAST_BAR - i * DAY, 250 - i));
+    const exchange = new RecordingAdapter({ candles: { 'BTC-USDT': { '1D': candles } } });
+    const store = new MemoryStore('candles');
+    return { exchange, store, candles, cache: new CandleCache({ exchange, store, settings: SETTINGS }) };
+};
+
+test('الجلب الأول يطلب limit كاملاً ويحفظ في المخزن', async () => {
+    const { exchange, store, cache } = createCache();
+    const result = await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + HOUR });
+
+    assert.deepStrictEqual(exchange.requests, [['candles', 30]]);
+    assert.strictEqual(result.length, 30);
+    assert.strictEqual(result[0].time, LAST_BAR);
+    assert.strictEqual(result[29].time, LAST_BAR - 29 * DAY);
+
+    const saved = await store.get('fixture:BTC-USDT:1D');
+    assert.strictEqual(saved.candles.length, 30);
+    assert.strictEqual(saved.exhausted, false);
+});
+
+test('إعادة الجلب تطلب آخر شمعة فقط، والشموع الجديدة بعدد ما مر من الوقت', async () => {
+    const { exchange, candles, cache } = createCache();
+    await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + HOUR });
+
+    // الشمعة المفتوحة تغير إغلاقها
+    candles[0] = candle(LAST_BAR, 260);
+    const refreshed = await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + 2 * HOUR });
+    assert.deepStrictEqual(exchange.requests[1], ['candles', 1]);
+    assert.strictEqual(refreshed[0].close, 260);
+    assert.strictEqual(refreshed.length, 30);
+
+    // بعد يوم: الشمعة الجديدة زائد آخر شمعة مخزنة
+    candles.unshift(candle(LAST_BAR + DAY, 270));
+    const next = await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + DAY + HOUR });
+    assert.deepStrictEqual(exchange.requests[2], ['candles', 2]);
+    assert.deepStrictEqual(next.slice(0, 2).map(item => item.close), [270, 260]);
+    assert.strictEqual(next.length, 30);
+});
+
+test('تعميق السجل على صفحات HISTORY_PAGE', async () => {
+    const { exchange, cache } = createCache();
+    await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + HOUR });
+
+    const result = await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 250, now: LAST_BAR + HOUR });
+    assert.deepStrictEqual(exchange.requests, [
+        ['candles', 30],
+        ['candles', 1],
+        ['history', 100],
+        ['history', 100],
+        ['history', 20]
+    ]);
+    assert.strictEqual(result.length, 250);
+    assert.strictEqual(result[249].time, LAST_BAR - 249 * DAY);
+    assert.strictEqual((await cache.load('BTC-USDT', '1D')).exhausted, false);
+});
+
+test('نهاية السجل لدى المنصة (exhausted) توقف الطلبات الأقدم', async () => {
+    const { exchange, store, cache } = createCache();
+    await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 30, now: LAST_BAR + HOUR });
+
+    // الصفحة الثالثة تعيد 20 شمعة فقط من 100
+    const candles = await cache.backfill('BTC-USDT', '1D', 300);
+    assert.strictEqual(candles.length, 250);
+    assert.deepStrictEqual(exchange.requests.slice(1), [['history', 100], ['history', 100], ['history', 100]]);
+    assert.strictEqual((await store.get('fixture:BTC-USDT:1D')).exhausted, true);
+
+    // لا طلبات أقدم بعد الوصول للنهاية، وآخر شمعة فقط عند الجلب
+    await cache.backfill('BTC-USDT', '1D', 100);
+    await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 300, now: LAST_BAR + HOUR });
+    assert.deepStrictEqual(exchange.requests.slice(4), [['candles', 1]]);
+});
+
+test('استجابة أقصر من الطلب الأول الكامل تعني نهاية السجل', async () => {
+    const { exchange, cache } = createCache();
+    const result = await cache.fetchCandles('BTC-USDT', { bar: '1D', limit: 300, now: LAST_BAR + HOUR });
+
+    assert.strictEqual(result.length, 250);
+    assert.deepStrictEqual(exchange.requests, [['candles', 300]]);
+    assert.strictEqual((await cache.load('BTC-USDT', '1D')).exhausted, true);
+});
+
+test('دمج الشموع: نفس الوقت يُستبدل، والفجوة تستبدل المخزن كلياً', () => {
+    const cached = [candle(3 * DAY, 3), candle(2 * DAY, 2), candle(DAY, 1)];
+
+    const updated = mergeCandles(cached, [candle(4 * DAY, 4), candle(3 * DAY, 3.5)]);
+    assert.deepStrictEqual(updated.map(item => item.close), [4, 3.5, 2, 1]);
+
+    const gap = mergeCandles(cached, [candle(6 * DAY, 6), candle(5 * DAY, 5)]);
+    assert.deepStrictEqual(gap.map(item => item.close), [6, 5]);
+
+    assert.strictEqual(mergeCandles(cached, []), cached);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const { CredentialStore, credentialsFromEnv } = require('../credentials.js');
+const { MemoryStorage } = require('../storage.js');
+
+const CREDENTIALS = { apiKey: 'abcd-1234-efgh', secretKey: 'secret', passphrase: 'pass' };
+const PASSWORD = 'correct horse';
+
+test('المفاتيح تُحفظ مشفرة وتُفك بكلمة المرور الصحيحة فقط', async () => {
+    const storage = new MemoryStorage();
+    const store = new CredentialStore({ storage });
+    await store.save(CREDENTIALS, PASSWORD);
+
+    const saved = storage.getItem(CONFIG.CREDENTIALS.STORAGE_KEY);
+    assert.ok(!saved.includes(CREDENTIALS.secretKey));
+    assert.ok(!saved.includes(CREDENTIALS.apiKey));
+
+    const reopened = new CredentialStore({ storage });
+    assert.ok(reopened.hasSaved());
+    assert.strictEqual(reopened.unlocked, false);
+    await assert.rejects(reopened.unlock('wrong password'), /كلمة المرور غير صحيحة/);
+
+    const summary = await reopened.unlock(PASSWORD);
+    assert.deepStrictEqual(reopened.credentials, CREDENTIALS);
+    assert.strictEqual(summary.apiKey, 'abcd…efgh');
+});
+
+test('الحفظ يرفض البيانات الناقصة وكلمة المرور القصيرة', async () => {
+    const store = new CredentialStore({ storage: new MemoryStorage() });
+    await assert.rejects(store.save({ ...CREDENTIALS, passphrase: '' }, PASSWORD), /passphrase/);
+    await assert.rejects(store.save(CREDENTIALS, 'short'), /كلمة المرور/);
+});
+
+test('المفاتيح من متغيرات البيئة مكتملة أو null', () => {
+    assert.deepStrictEqual(
+        credentialsFromEnv({ OKX_API_KEY: 'k', OKX_SECRET_KEY: 's', OKX_PASSPHRASE: 'p' }),
+        { apiKey: 'k', secretKey: 's', passphrase: 'p' }
+    );
+    assert.strictEqual(credentialsFromEnv({ OKX_API_KEY: 'k' }), null);
+});
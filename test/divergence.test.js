@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DivergenceDetector, findPivots, scoreDivergence } = require('../divergence.js');
+
+const SETTINGS = { PIVOT_LEFT: 2, PIVOT_RIGHT: 2, LOOKBACK: 25, MAX_AGE: 10 };
+const LENGTH = 25;
+
+// شموع ثابتة (قاع 10 وقمة 20) مع قيعان أو قمم محددة، ومؤشر ثابت 50 مع قيم محددة عند نفس الفهارس
+// الفهارس الأحدث أولاً
+const buildSeries = ({ lows = {}, highs = {}, oscillator = {} }) => {
+    const candles = Array.from({ length: LENGTH }, (_, i) => ({
+        low: lows[i] !== undefined ? lows[i] : 10,
+        high: highs[i] !== undefined ? highs[i] : 20,
+        close: 15,
+        volume: 1
+    }));
+    const values = Array.from({ length: LENGTH }, (_, i) => oscillator[i] !== undefined ? oscillator[i] : 50);
+    return { candles, values };
+};
+
+const detectWith = (series, settings = SETTINGS) => {
+    const detector = new DivergenceDetector(settings);
+    detector.buildOscillators = () => ({ rsi: series.values });
+    return detector.detect(series.candles);
+};
+
+test('القمة أو القاع المسطح يُحتسب مرة واحدة عند أحدث شمعة فيه', () => {
+    assert.deepStrictEqual(findPivots([5, 3, 3, 5, 6], 'low', 1, 1), [1]);
+    assert.deepStrictEqual(findPivots([1, 4, 4, 2, 1], 'high', 1, 1), [1]);
+    // القمة تحتاج right شمعة أحدث و left شمعة أقدم
+    assert.deepStrictEqual(findPivots([9, 1, 2, 3, 4, 5], 'high', 2, 2), []);
+    assert.deepStrictEqual(findPivots([5, 6, 9, 6, 5, 4, 3, 2], 'high', 2, 2), [2]);
+});
+
+test('انحراف صاعد عادي: قاع سعري أدنى مع قاع أعلى في المؤشر', () => {
+    const result = detectWith(buildSeries({ lows: { 3: 5, 10: 6 }, oscillator: { 3: 40, 10: 30 } }));
+    const [signal] = result.signals;
+
+    assert.strictEqual(result.bullish, true);
+    assert.strictEqual(result.bearish, false);
+    assert.strictEqual(signal.type, 'bullish');
+    assert.strictEqual(signal.kind, 'regular');
+    assert.strictEqual(signal.age, 3);
+    assert.deepStrictEqual(signal.pivots.map(pivot => [pivot.index, pivot.price, pivot.value]), [[10, 6, 30], [3, 5, 40]]);
+});
+
+test('انحراف صاعد مخفي: قاع سعري أعلى مع قاع أدنى في المؤشر', () => {
+    const result = detectWith(buildSeries({ lows: { 3: 7, 10: 6 }, oscillator: { 3: 25, 10: 30 } }));
+    assert.deepStrictEqual(result.signals.map(signal => [signal.type, signal.kind]), [['bullish', 'hidden']]);
+    // المخفي لا يُعد انحرافاً عادياً
+    assert.strictEqual(result.bullish, false);
+});
+
+test('انحراف هابط عادي: قمة سعرية أعلى مع قمة أدنى في المؤشر', () => {
+    const result = detectWith(buildSeries({ highs: { 4: 26, 12: 25 }, oscillator: { 4: 60, 12: 70 } }));
+    assert.deepStrictEqual(result.signals.map(signal => [signal.type, signal.kind, signal.age]), [['bearish', 'regular', 4]]);
+    assert.strictEqual(result.bearish, true);
+});
+
+test('انحراف هابط مخفي: قمة سعرية أدنى مع قمة أعلى في المؤشر', () => {
+    const result = detectWith(buildSeries({ highs: { 4: 24, 12: 25 }, oscillator: { 4: 75, 12: 70 } }));
+    assert.deepStrictEqual(result.signals.map(signal => [signal.type, signal.kind]), [['bearish', 'hidden']]);
+});
+
+test('السعر والمؤشر في نفس الاتجاه ليس انحرافاً', () => {
+    const result = detectWith(buildSeries({ lows: { 3: 5, 10: 6 }, oscillator: { 3: 25, 10: 30 } }));
+    assert.deepStrictEqual(result.signals, []);
+});
+
+test('الانحراف الأقدم من MAX_AGE يُتجاهل', () => {
+    const series = buildSeries({ lows: { 12: 5, 19: 6 }, oscillator: { 12: 40, 19: 30 } });
+    assert.deepStrictEqual(detectWith(series).signals, []);
+
+    const result = detectWith(series, { ...SETTINGS, MAX_AGE: 12 });
+    assert.strictEqual(result.signals[0].age, 12);
+});
+
+test('نقاط الانحراف تُخصم بالعمر', () => {
+    const signal = { type: 'bullish', kind: 'regular', strength: 1, age: 0 };
+    assert.strictEqual(scoreDivergence({ signals: [signal] }, 'bullish', ['regular'], 10), 1);
+    assert.strictEqual(scoreDivergence({ signals: [{ ...signal, age: 5 }] }, 'bullish', ['regular'], 9), 0.5);
+    assert.strictEqual(scoreDivergence({ signals: [{ ...signal, kind: 'hidden' }] }, 'bullish', ['regular'], 10), 0);
+    assert.strictEqual(scoreDivergence(null, 'bullish'), 0);
+});
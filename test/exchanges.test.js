@@ -0,0 +1,204 @@
+// المحولات الأربعة تعيد نفس النموذج الموحد ونفس نتيجة التحليل لنفس بيانات السوق
+// استجابات OKX و Binance و Bybit مبنية بصيغة كل منصة من fixtures/market.json، بدون أي اتصال
+//
+// التشغيل من جذر المستودع: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { FixtureAdapter, OKXAdapter, BinanceAdapter, BybitAdapter } = require('../exchanges.js');
+const { RequestScheduler } = require('../scheduler.js');
+const { MarketScanner } = require('../scanner.js');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'market.json');
+const fixtures = require(FIXTURE_PATH);
+
+const BAR_NAMES = {
+    binance: { '15m': '15m', '1h': '1H', '4h': '4H', '1d': '1D' },
+    bybit: { 15: '15m', 60: '1H', 240: '4H', D: '1D' }
+};
+
+const candlesFor = (instId, bar, limit, before) => {
+    const candles = (fixtures.candles[instId] || {})[bar] || [];
+    return candles.filter(candle => !before || candle.time < before).slice(0, parseInt(limit));
+};
+const candleRow = candle => [String(candle.time), String(candle.open), String(candle.high), String(candle.low), String(candle.close), String(candle.volume)];
+const toVenue = instId => instId.replace('-', '');
+const fromVenue = symbol => fixtures.tickers.find(ticker => toVenue(ticker.instId) === symbol).instId;
+const bookLevels = levels => levels.map(([price, size]) => [String(price), String(size)]);
+
+// استجابة كل مسار بصيغة المنصة الأصلية
+const VENUES = {
+    okx: (pathname, query) => {
+        const instId = query.get('instId');
+        const wrap = data => ({ code: '0', msg: '', data });
+        switch (pathname) {
+            case '/api/v5/market/tickers':
+                return wrap(fixtures.tickers.map(ticker => ({
+                    instId: ticker.instId,
+                    last: String(ticker.last),
+                    open24h: String(ticker.open24h),
+                    high24h: String(ticker.high24h),
+                    low24h: String(ticker.low24h),
+                    vol24h: String(ticker.vol24h),
+                    volCcy24h: String(ticker.volCcy24h)
+                })));
+            case '/api/v5/market/candles':
+                return wrap(candlesFor(instId, query.get('bar'), query.get('limit')).map(candleRow));
+            case '/api/v5/market/history-candles':
+                return wrap(candlesFor(instId, query.get('bar'), query.get('limit'), parseInt(query.get('after'))).map(candleRow));
+            case '/api/v5/market/books': {
+                const book = fixtures.orderBooks[instId];
+                return wrap([{ bids: bookLevels(book.bids), asks: bookLevels(book.asks), ts: String(book.time) }]);
+            }
+            case '/api/v5/market/trades':
+                return wrap(fixtures.trades[instId].map(trade => ({
+                    tradeId: trade.id, px: String(trade.price), sz: String(trade.size), side: trade.side, ts: String(trade.time)
+                })));
+            default:
+                return null;
+        }
+    },
+
+    binance: (pathname, query) => {
+        const instId = query.get('symbol') && fromVenue(query.get('symbol'));
+        switch (pathname) {
+            case '/api/v3/ticker/24hr':
+                return fixtures.tickers.map(ticker => ({
+                    symbol: toVenue(ticker.instId),
+                    lastPrice: String(ticker.last),
+                    openPrice: String(ticker.open24h),
+                    highPrice: String(ticker.high24h),
+                    lowPrice: String(ticker.low24h),
+                    priceChangePercent: String(ticker.change24h),
+                    volume: String(ticker.vol24h),
+                    quoteVolume: String(ticker.volCcy24h)
+                }));
+            case '/api/v3/klines': {
+                const endTime = query.get('endTime');
+                const before = endTime ? parseInt(endTime) + 1 : null;
+                // Binance: الأقدم أولاً
+                return candlesFor(instId, BAR_NAMES.binance[query.get('interval')], query.get('limit'), before)
+                    .map(candle => [candle.time, ...candleRow(candle).slice(1)])
+                    .reverse();
+            }
+            case '/api/v3/depth': {
+                const book = fixtures.orderBooks[instId];
+                return { lastUpdateId: 1, bids: bookLevels(book.bids), asks: bookLevels(book.asks) };
+            }
+            case '/api/v3/trades':
+                return fixtures.trades[instId].map(trade => ({
+                    id: parseInt(trade.id), price: String(trade.price), qty: String(trade.size),
+                    isBuyerMaker: trade.side === 'sell', time: trade.time
+                })).reverse();
+            default:
+                return null;
+        }
+    },
+
+    bybit: (pathname, query) => {
+        const instId = query.get('symbol') && fromVenue(query.get('symbol'));
+        const wrap = result => ({ retCode: 0, retMsg: 'OK', result });
+        switch (pathname) {
+            case '/v5/market/tickers':
+                return wrap({
+                    list: fixtures.tickers.map(ticker => ({
+                        symbol: toVenue(ticker.instId),
+                        lastPrice: String(ticker.last),
+                        prevPrice24h: String(ticker.open24h),
+                        highPrice24h: String(ticker.high24h),
+                        lowPrice24h: String(ticker.low24h),
+                        price24hPcnt: String(ticker.change24h / 100),
+                        volume24h: String(ticker.vol24h),
+                        turnover24h: String(ticker.volCcy24h)
+                    }))
+                });
+            case '/v5/market/kline': {
+                const end = query.get('end');
+                const bar = BAR_NAMES.bybit[query.get('interval')];
+                return wrap({ list: candlesFor(instId, bar, query.get('limit'), end ? parseInt(end) + 1 : null).map(candleRow) });
+            }
+            case '/v5/market/orderbook': {
+                const book = fixtures.orderBooks[instId];
+                return wrap({ b: bookLevels(book.bids), a: bookLevels(book.asks), ts: book.time });
+            }
+            case '/v5/market/recent-trade':
+                return wrap({
+                    list: fixtures.trades[instId].slice(0, parseInt(query.get('limit'))).map(trade => ({
+                        execId: trade.id, price: String(trade.price), size: String(trade.size),
+                        side: trade.side === 'buy' ? 'Buy' : 'Sell', time: String(trade.time)
+                    }))
+                });
+            default:
+                return null;
+        }
+    }
+};
+
+const ADAPTERS = { okx: OKXAdapter, binance: BinanceAdapter, bybit: BybitAdapter };
+
+const createVenue = (name) => {
+    const respond = VENUES[name];
+    const fetch = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        const body = respond(pathname, searchParams);
+        if (body === null) {
+            return { status: 404, json: async () => ({ code: '404', msg: `unknown path ${pathname}` }) };
+        }
+        return { status: 200, json: async () => body };
+    };
+    return new ADAPTERS[name]({ scheduler: new RequestScheduler({ fetch, maxRetries: 0 }) });
+};
+
+const scanWith = async (exchange) => {
+    const result = await new MarketScanner({ exchange }).scan();
+    return result.coins.map(coin => ({ instId: coin.fullSymbol, score: coin.score }));
+};
+
+test('محول البيانات المحلية يقرأ الملف الافتراضي من CONFIG', async () => {
+    const exchange = await FixtureAdapter.load();
+    const tickers = await exchange.fetchTickers();
+    assert.deepStrictEqual(tickers.map(ticker => ticker.instId), fixtures.tickers.map(ticker => ticker.instId));
+});
+
+test('المسح من البيانات المحلية يحلل جميع العملات بدون تخطي', async () => {
+    const exchange = new FixtureAdapter(fixtures);
+    const result = await new MarketScanner({ exchange }).scan();
+
+    assert.strictEqual(result.health.skipped.length, 0);
+    assert.strictEqual(result.coins.length, fixtures.tickers.length);
+    assert.strictEqual(result.coins[0].symbol, 'AAA');
+    result.coins.forEach(coin => assert.ok(coin.score >= 0 && coin.score <= 100));
+});
+
+for (const name of Object.keys(ADAPTERS)) {
+    test(`محول ${name} يعيد النموذج الموحد`, async () => {
+        const exchange = createVenue(name);
+        const tickers = await exchange.fetchTickers();
+        const expected = fixtures.tickers[0];
+        const ticker = tickers.find(item => item.instId === expected.instId);
+
+        assert.strictEqual(ticker.symbol, expected.symbol);
+        assert.strictEqual(ticker.last, expected.last);
+        assert.ok(Math.abs(ticker.change24h - expected.change24h) < 1e-3);
+        assert.strictEqual(ticker.exchange, name);
+
+        const candles = await exchange.fetchCandles(expected.instId, { bar: '4H', limit: 10 });
+        assert.deepStrictEqual(candles, fixtures.candles[expected.instId]['4H'].slice(0, 10));
+
+        const history = await exchange.fetchHistoryCandles(expected.instId, { bar: '1D', before: candles[0].time, limit: 5 });
+        assert.ok(history.every(candle => candle.time < candles[0].time));
+
+        const book = await exchange.fetchOrderBook(expected.instId, 10);
+        assert.deepStrictEqual(book.bids, fixtures.orderBooks[expected.instId].bids);
+
+        const trades = await exchange.fetchTrades(expected.instId, 20);
+        assert.deepStrictEqual(trades.map(trade => [trade.id, trade.side, trade.size]),
+            fixtures.trades[expected.instId].map(trade => [trade.id, trade.side, trade.size]));
+    });
+
+    test(`تحليل بيانات ${name} يطابق تحليل البيانات المحلية`, async () => {
+        const expected = await scanWith(new FixtureAdapter(fixtures));
+        assert.deepStrictEqual(await scanWith(createVenue(name)), expected);
+    });
+}
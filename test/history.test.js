@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ScanHistory } = require('../history.js');
+const { MemoryStore } = require('../storage.js');
+
+const MINUTE = 60000;
+const NOW = Date.UTC(2026, 0, 10);
+
+const createCoin = (symbol, score, price) => ({
+    fullSymbol: `${symbol}-USDT`,
+    symbol,
+    score,
+    price,
+    change24h: 0,
+    volume24h: 1000,
+    analysis: {
+        rsi: { value: '55.00' },
+        moneyFlowIndex: { value: '60.00' },
+        macd: { signal: 'bullish' },
+        volumeRatio: 1.2
+    }
+});
+
+test('الاحتفاظ بآخر maxSnapshots لقطة وحذف الزائد من المخزن', async () => {
+    const store = new MemoryStore('scanSnapshots');
+    const history = new ScanHistory({ store, maxSnapshots: 3, maxAgeHours: 48 });
+
+    for (let i = 0; i < 5; i++) {
+        await history.record([createCoin('AAA', 50 + i, 10)], { regime: 'bull', time: NOW + i * MINUTE });
+    }
+
+    assert.deepStrictEqual(history.snapshots.map(snapshot => snapshot.time), [NOW + 2 * MINUTE, NOW + 3 * MINUTE, NOW + 4 * MINUTE]);
+    assert.strictEqual((await store.getAll()).length, 3);
+    assert.strictEqual(history.snapshots[0].coins[0].rsi, 55);
+});
+
+test('حذف اللقطات الأقدم من MAX_AGE_HOURS عند التسجيل والتحميل', async () => {
+    const store = new MemoryStore('scanSnapshots');
+    const hour = 60 * MINUTE;
+    await store.put({ time: Date.now() - 5 * hour, regime: 'bear', coins: [] });
+    await store.put({ time: Date.now() - hour, regime: 'bull', coins: [] });
+
+    const history = await new ScanHistory({ store, maxSnapshots: 100, maxAgeHours: 2 }).load();
+    assert.deepStrictEqual(history.snapshots.map(snapshot => snapshot.regime), ['bull']);
+    assert.strictEqual((await store.getAll()).length, 1);
+
+    await history.record([], { regime: 'sideways', time: Date.now() + 2 * hour });
+    assert.deepStrictEqual(history.snapshots.map(snapshot => snapshot.regime), ['sideways']);
+});
+
+test('أكبر ارتفاع في النقاط داخل النافذة الزمنية فقط', async () => {
+    const history = new ScanHistory({ store: new MemoryStore('scanSnapshots'), maxSnapshots: 100, maxAgeHours: 48 });
+    // لقطة خارج النافذة لا تُحتسب بداية للارتفاع
+    await history.record([createCoin('AAA', 10, 1)], { time: NOW - 90 * MINUTE });
+    await history.record([createCoin('AAA', 40, 10), createCoin('BBB', 70, 5), createCoin('CCC', 50, 2)], { time: NOW - 30 * MINUTE });
+    await history.record([createCoin('AAA', 65, 11), createCoin('BBB', 60, 5), createCoin('CCC', 55, 2.2)], { time: NOW });
+
+    const risers = history.getRisers({ windowMinutes: 60, limit: 10, now: NOW });
+    assert.deepStrictEqual(risers.map(riser => [riser.symbol, riser.scoreChange]), [['AAA', 25], ['CCC', 5]]);
+    assert.strictEqual(risers[0].fromTime, NOW - 30 * MINUTE);
+    assert.ok(Math.abs(risers[0].priceChange - 10) < 1e-9);
+
+    assert.strictEqual(history.getRisers({ windowMinutes: 60, limit: 1, now: NOW }).length, 1);
+});
+
+test('سلسلة العملة وفترات حالة السوق', async () => {
+    const history = new ScanHistory({ store: new MemoryStore('scanSnapshots'), maxSnapshots: 100, maxAgeHours: 48 });
+    const regimes = ['bull', 'bull', 'sideways', 'bull'];
+    for (const [i, regime] of regimes.entries()) {
+        await history.record([createCoin('AAA', 50 + i, 10 + i)], { regime, time: NOW + i * MINUTE });
+    }
+
+    assert.deepStrictEqual(history.getCoinSeries('AAA-USDT', 2).map(point => point.score), [52, 53]);
+    assert.deepStrictEqual(history.getRegimeSegments().map(segment => [segment.regime, segment.count]), [['bull', 2], ['sideways', 1], ['bull', 1]]);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Indicators } = require('../indicators.js');
+
+// المكتبة تستقبل الأحدث أولاً، والبيانات هنا مكتوبة بالترتيب الزمني للقراءة
+const newestFirst = values => values.slice().reverse();
+const candle = (high, low, close, volume = 1) => ({ high, low, close, volume });
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+};
+
+// مثال Wilder المعروف لـ RSI(14) من جدول StockCharts، والقيم المتوقعة بدون تقريب المتوسطات الوسيطة
+// (الجدول يقرّب متوسط الربح والخسارة لمنزلتين فتختلف قيمه بأقل من 0.1، مثل 70.53 بدل 70.46)
+const RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+    46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+    43.42, 42.66, 43.13
+];
+const RSI_EXPECTED = [
+    70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90,
+    45.50, 37.32, 33.09, 37.79
+];
+
+test('RSI بتنعيم Wilder يطابق القيم المرجعية', () => {
+    const series = newestFirst(Indicators.rsi(newestFirst(RSI_CLOSES), 14));
+    const values = series.filter(value => value !== null);
+
+    assert.strictEqual(series.length, RSI_CLOSES.length);
+    assert.strictEqual(series.findIndex(value => value !== null), 14);
+    assert.strictEqual(values.length, RSI_EXPECTED.length);
+    values.forEach((value, i) => assertClose(value, RSI_EXPECTED[i], 0.005));
+});
+
+test('RSI بدون خسائر = 100، وبدون حركة = 50', () => {
+    const rising = Array.from({ length: 20 }, (_, i) => 100 - i);
+    const flat = Array(20).fill(100);
+    assert.strictEqual(Indicators.rsi(rising, 14)[0], 100);
+    assert.strictEqual(Indicators.rsi(flat, 14)[0], 50);
+});
+
+test('المدخلات القصيرة تعطي سلسلة null بنفس الطول', () => {
+    assert.deepStrictEqual(Indicators.rsi([5, 4, 3, 2, 1], 14), Array(5).fill(null));
+    assert.deepStrictEqual(Indicators.sma([3, 2, 1], 2), [2.5, 1.5, null]);
+    assert.deepStrictEqual(Indicators.ema([1, 2], 3), [null, null]);
+    assert.deepStrictEqual(Indicators.atr([candle(2, 1, 1.5)], 14), [null]);
+    assert.deepStrictEqual(Indicators.vwap([candle(2, 1, 1.5)], 2), [null]);
+    assert.strictEqual(Indicators.latest([null, null]), null);
+    assert.strictEqual(Indicators.latest([null, 3, 4]), 3);
+});
+
+test('ATR بتنعيم Wilder: أول قيمة متوسط بسيط ثم (السابق × (n-1) + المدى) ÷ n', () => {
+    // المدى الحقيقي بالترتيب: 2، 4، 3، 6، 1
+    const candles = newestFirst([
+        candle(11, 9, 10),
+        candle(12, 8, 10),
+        candle(11.5, 8.5, 10),
+        candle(13, 7, 10),
+        candle(10.5, 9.5, 10)
+    ]);
+
+    assert.deepStrictEqual(newestFirst(Indicators.trueRange(candles)), [2, 4, 3, 6, 1]);
+    assert.deepStrictEqual(newestFirst(Indicators.atr(candles, 3)), [null, null, 3, 4, 3]);
+});
+
+test('نطاقات بولينجر', () => {
+    const bands = Indicators.bollinger(newestFirst([1, 2, 3, 4, 5]), 5, 2);
+    const deviation = Math.sqrt(2);
+
+    assertClose(bands.middle[0], 3);
+    assertClose(bands.upper[0], 3 + 2 * deviation);
+    assertClose(bands.lower[0], 3 - 2 * deviation);
+    assertClose(bands.bandwidth[0], 4 * deviation / 3);
+    assertClose(bands.percentB[0], (5 - bands.lower[0]) / (4 * deviation));
+    assert.strictEqual(bands.middle[1], null);
+
+    // نطاق صفري: السعر في المنتصف
+    assert.strictEqual(Indicators.bollinger([7, 7, 7], 3).percentB[0], 0.5);
+});
+
+test('Stochastic RSI', () => {
+    // RSI(2) بالترتيب: 50، 75، 87.5، 43.75 ← Stoch(3): 100 ثم 0
+    const { k, d } = Indicators.stochRsi(newestFirst([1, 2, 1, 2, 3, 2]), 2, 3, 2, 1);
+    assert.strictEqual(k[0], 50);
+    assert.strictEqual(k[1], null);
+    assert.strictEqual(d[0], 50);
+
+    // RSI ثابت (صعود دائم) = نطاق صفري = 50
+    const rising = Array.from({ length: 30 }, (_, i) => 100 - i);
+    assert.strictEqual(Indicators.stochRsi(rising).k[0], 50);
+});
+
+test('OBV يجمع الحجم بإشارة اتجاه الإغلاق', () => {
+    const candles = newestFirst([
+        candle(10, 10, 10, 4),
+        candle(11, 11, 11, 5),
+        candle(10.5, 10.5, 10.5, 3),
+        candle(10.5, 10.5, 10.5, 7),
+        candle(12, 12, 12, 2)
+    ]);
+    assert.deepStrictEqual(newestFirst(Indicators.obv(candles)), [0, 5, 2, 2, 4]);
+});
+
+test('VWAP بالسعر النموذجي، وبدون حجم يساوي متوسط السعر النموذجي', () => {
+    const candles = newestFirst([candle(12, 8, 10, 1), candle(21, 19, 20, 3)]);
+    assert.strictEqual(Indicators.vwap(candles, 2)[0], 17.5);
+
+    const noVolume = newestFirst([candle(12, 8, 10, 0), candle(21, 19, 20, 0)]);
+    assert.strictEqual(Indicators.vwap(noVolume, 2)[0], 15);
+});
+
+test('ADX في اتجاه صاعد منتظم', () => {
+    // كل شمعة أعلى بـ 1: +DM = 1، -DM = 0، المدى الحقيقي = 2
+    const candles = newestFirst(Array.from({ length: 10 }, (_, i) => candle(i + 2, i, i + 1)));
+    const result = Indicators.adx(candles, 3);
+
+    assertClose(result.plusDI[0], 50);
+    assert.strictEqual(result.minusDI[0], 0);
+    assertClose(result.adx[0], 100);
+    // DX يبدأ عند الشمعة period، و ADX بعد period - 1 أخرى
+    assert.strictEqual(result.adx.filter(value => value !== null).length, 10 - 5);
+});
+
+test('قنوات Keltner', () => {
+    const candles = Array(6).fill(candle(11, 9, 10));
+    const channel = Indicators.keltner(candles, 3, 3, 2);
+
+    assert.strictEqual(channel.middle[0], 10);
+    assert.strictEqual(channel.upper[0], 14);
+    assert.strictEqual(channel.lower[0], 6);
+    assert.strictEqual(channel.upper[5], null);
+});
+
+test('الوسيط والانحراف المطلق الوسيط', () => {
+    assert.strictEqual(Indicators.median([5, 1, 3]), 3);
+    assert.strictEqual(Indicators.median([4, 1, 3, 2]), 2.5);
+    assert.strictEqual(Indicators.median([]), null);
+
+    // الانحرافات عن الوسيط 4: 3، 1، 1، 0، 5
+    assert.strictEqual(Indicators.mad([1, 5, 3, 4, 9]), 1);
+    assert.strictEqual(Indicators.mad([1, 2, 4], 0), 2);
+});
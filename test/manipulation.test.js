@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ManipulationRiskAnalyzer } = require('../manipulation.js');
+
+const SETTINGS = {
+    WEIGHTS: {
+        VOLUME_VS_DEPTH: 25,
+        UPPER_WICKS: 20,
+        PRICE_EXTENSION: 20,
+        THIN_LOW_CAP: 20,
+        REPEAT_SPIKES: 15
+    },
+    MEDIUM_LEVEL: 35,
+    HIGH_LEVEL: 60,
+    SUPPRESS_BUY: true,
+    VOLUME_SPIKE_RATIO: 5,
+    WICK_BARS: 3,
+    WICK_RATIO: 0.4,
+    EXTENSION_ATR_MIN: 2,
+    EXTENSION_ATR_MAX: 5,
+    LOW_CAP_VOLUME: 1000000,
+    SPIKE_LOOKBACK: 30,
+    SPIKE_PERCENT: 15,
+    REPEAT_SPIKES: 3
+};
+
+const candle = (open, high, low, close) => ({ open, high, low, close, volume: 1 });
+const quiet = count => Array.from({ length: count }, () => candle(100, 101, 99, 100.5));
+
+// آخر شمعة: ذيل علوي 70% من المدى، ثم 3 قفزات +20% أغلقت قرب الافتتاح خارج شموع فحص الذيول (الأحدث أولاً)
+const RISKY = {
+    analysis: {
+        volumeRatio: 5,
+        orderBook: { thin: true },
+        // الإغلاق 103 أعلى من المتوسط 96 بـ 3.5 ATR
+        indicators: { bollinger: { middle: 96 }, atr: 2 }
+    },
+    ticker: { volCcy24h: 500000 },
+    candles: [candle(102, 110, 100, 103), ...quiet(2), ...Array(3).fill(candle(100, 120, 99, 101)), ...quiet(8)]
+};
+
+const CLEAN = {
+    analysis: {
+        volumeRatio: 1,
+        orderBook: { thin: false },
+        indicators: { bollinger: { middle: 100.5 }, atr: 2 }
+    },
+    ticker: { volCcy24h: 5000000 },
+    candles: quiet(14)
+};
+
+const assertClose = (actual, expected) => {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+};
+
+const strengths = result => Object.fromEntries(result.factors.map(factor => [factor.key, factor.strength]));
+
+test('قوة كل عامل في شموع بذيول طويلة وسعر ممتد', () => {
+    const result = new ManipulationRiskAnalyzer(SETTINGS).assess(RISKY);
+    const strength = strengths(result);
+
+    assert.strictEqual(strength.VOLUME_VS_DEPTH, 1);
+    // (0.7 - 0.4) ÷ (1 - 0.4)
+    assertClose(strength.UPPER_WICKS, 0.5);
+    // (3.5 - 2) ÷ (5 - 2)
+    assertClose(strength.PRICE_EXTENSION, 0.5);
+    assert.strictEqual(strength.THIN_LOW_CAP, 1);
+    assert.strictEqual(strength.REPEAT_SPIKES, 1);
+});
+
+test('النقاط مجموع القوة × الوزن من مجموع الأوزان، والخطر العالي يحجب الشراء', () => {
+    const result = new ManipulationRiskAnalyzer(SETTINGS).assess(RISKY);
+
+    // 25 + 10 + 10 + 20 + 15 من 100
+    assert.strictEqual(result.score, 80);
+    assert.strictEqual(result.level, 'high');
+    assert.strictEqual(result.suppress, true);
+    assertClose(result.factors.find(factor => factor.key === 'UPPER_WICKS').points, 10);
+
+    const allowed = new ManipulationRiskAnalyzer({ ...SETTINGS, SUPPRESS_BUY: false }).assess(RISKY);
+    assert.strictEqual(allowed.level, 'high');
+    assert.strictEqual(allowed.suppress, false);
+});
+
+test('الشموع النظيفة بدون خطر', () => {
+    const result = new ManipulationRiskAnalyzer(SETTINGS).assess(CLEAN);
+
+    assert.ok(result.factors.every(factor => factor.strength === 0));
+    assert.strictEqual(result.score, 0);
+    assert.strictEqual(result.level, 'low');
+    assert.strictEqual(result.suppress, false);
+});
+
+test('الخطر المتوسط يحذر ولا يحجب', () => {
+    // قفزة حجم مع دفتر ضحل لعملة ليست صغيرة: 25 + 20 × 0.5 = 35
+    const result = new ManipulationRiskAnalyzer(SETTINGS).assess({
+        ...CLEAN,
+        analysis: { ...CLEAN.analysis, volumeRatio: 5, orderBook: { thin: true } }
+    });
+
+    assert.strictEqual(strengths(result).THIN_LOW_CAP, 0.5);
+    assert.strictEqual(result.score, 35);
+    assert.strictEqual(result.level, 'medium');
+    assert.strictEqual(result.suppress, false);
+
+    // بدون دفتر تُحسب القفزة بنصف الأثر
+    const noBook = new ManipulationRiskAnalyzer(SETTINGS).assess({
+        ...CLEAN,
+        analysis: { ...CLEAN.analysis, volumeRatio: 5, orderBook: null }
+    });
+    assert.strictEqual(strengths(noBook).VOLUME_VS_DEPTH, 0.5);
+    assert.strictEqual(noBook.score, 13);
+});
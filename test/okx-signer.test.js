@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+
+const { OKXSigner } = require('../okx-signer.js');
+
+const CREDENTIALS = { apiKey: 'test-key', secretKey: 'test-secret', passphrase: 'test-pass' };
+
+test('التوقيع = Base64(HMAC-SHA256(timestamp + method + path + body))', async () => {
+    const signer = new OKXSigner(CREDENTIALS, { sandbox: false });
+    const timestamp = '2026-01-01T00:00:00.000Z';
+    const body = JSON.stringify({ instId: 'BTC-USDT' });
+    const expected = crypto.createHmac('sha256', CREDENTIALS.secretKey)
+        .update(`${timestamp}POST/api/v5/trade/order${body}`)
+        .digest('base64');
+
+    const headers = await signer.headers('post', '/api/v5/trade/order', body, { timestamp });
+    assert.strictEqual(headers['OK-ACCESS-SIGN'], expected);
+    assert.strictEqual(headers['OK-ACCESS-KEY'], CREDENTIALS.apiKey);
+    assert.strictEqual(headers['OK-ACCESS-TIMESTAMP'], timestamp);
+    assert.strictEqual(headers['OK-ACCESS-PASSPHRASE'], CREDENTIALS.passphrase);
+});
+
+test('وضع التداول التجريبي يضيف x-simulated-trading', async () => {
+    const live = await new OKXSigner(CREDENTIALS, { sandbox: false }).headers('GET', '/api/v5/account/balance');
+    const demo = await new OKXSigner(CREDENTIALS, { sandbox: true }).headers('GET', '/api/v5/account/balance');
+    assert.strictEqual(live['x-simulated-trading'], undefined);
+    assert.strictEqual(demo['x-simulated-trading'], '1');
+});
+
+test('المفاتيح الناقصة ترفض', () => {
+    assert.throws(() => new OKXSigner({ apiKey: 'key', secretKey: '' }), /غير مكتملة/);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { OrderBookAnalyzer } = require('../orderbook.js');
+
+const SETTINGS = {
+    BANDS: [1, 2],
+    WALL_MULTIPLIER: 5,
+    WALL_MAX_DISTANCE: 2,
+    MAX_SPREAD: 0.5,
+    MIN_DEPTH: 20000,
+    MIN_DEPTH_TO_VOLUME: 0.002
+};
+
+// السعر الأوسط 100 والفارق 0.2%، والمسافات بالترتيب: 0.1، 0.5، 1، 1.5، 3
+const BOOK = {
+    bids: [[99.9, 10], [99.5, 10], [99, 10], [98.5, 100], [97, 10]],
+    asks: [[100.1, 10], [100.5, 10], [101.5, 10], [103, 200]],
+    time: 1
+};
+
+const assertClose = (actual, expected) => {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+};
+
+test('الاختلال لكل نطاق حول السعر الأوسط', () => {
+    const result = new OrderBookAnalyzer(SETTINGS).analyze(BOOK, { volCcy24h: 1000000 });
+
+    assertClose(result.mid, 100);
+    assertClose(result.spread, 0.2);
+
+    // ±1%: شراء 999 + 995 + 990، بيع 1001 + 1005
+    const [narrow, wide] = result.bands;
+    assertClose(narrow.bidDepth, 2984);
+    assertClose(narrow.askDepth, 2006);
+    assertClose(narrow.imbalance, 978 / 4990);
+
+    // ±2%: يضاف جدار الشراء 9850 وعرض البيع 1015
+    assertClose(wide.bidDepth, 12834);
+    assertClose(wide.askDepth, 3021);
+    assertClose(result.imbalance, wide.imbalance);
+    assertClose(result.depth, 15855);
+});
+
+test('الجدار: كمية تتجاوز الوسيط بالمضاعف وضمن المسافة القصوى', () => {
+    const result = new OrderBookAnalyzer(SETTINGS).analyze(BOOK);
+
+    // جدار البيع (200) أبعد من WALL_MAX_DISTANCE فيُتجاهل
+    assert.strictEqual(result.walls.length, 1);
+    const [wall] = result.walls;
+    assert.strictEqual(wall.side, 'bid');
+    assert.strictEqual(wall.price, 98.5);
+    assert.strictEqual(wall.multiple, 10);
+    assertClose(wall.distance, 1.5);
+
+    const near = new OrderBookAnalyzer({ ...SETTINGS, WALL_MAX_DISTANCE: 3 }).analyze(BOOK);
+    assert.deepStrictEqual(near.walls.map(item => [item.side, item.price]), [['ask', 103], ['bid', 98.5]]);
+});
+
+test('علامات الدفتر الضحل: العمق والفارق وحجم التداول', () => {
+    const analyzer = new OrderBookAnalyzer(SETTINGS);
+
+    const shallow = analyzer.analyze(BOOK, { volCcy24h: 1000000 });
+    assert.strictEqual(shallow.thin, true);
+    assert.deepStrictEqual(shallow.thinReasons, ['depth']);
+
+    // بدون حجم تداول لا تُحسب نسبة العمق إليه
+    const deep = new OrderBookAnalyzer({ ...SETTINGS, MIN_DEPTH: 10000 }).analyze(BOOK);
+    assert.strictEqual(deep.depthToVolume, null);
+    assert.strictEqual(deep.thin, false);
+    assert.deepStrictEqual(deep.thinReasons, []);
+
+    // العمق 15855 أقل من 0.2% من حجم 10 ملايين
+    const lowVolume = new OrderBookAnalyzer({ ...SETTINGS, MIN_DEPTH: 10000 }).analyze(BOOK, { volCcy24h: 10000000 });
+    assertClose(lowVolume.depthToVolume, 0.0015855);
+    assert.deepStrictEqual(lowVolume.thinReasons, ['volume']);
+
+    const wide = analyzer.analyze({ bids: [[99, 10]], asks: [[101, 10]] });
+    assertClose(wide.spread, 2);
+    assert.deepStrictEqual(wide.thinReasons, ['depth', 'spread']);
+});
+
+test('الدفتر الفارغ ليس دفتراً ضحلاً بل بيانات غير متوفرة', () => {
+    const analyzer = new OrderBookAnalyzer(SETTINGS);
+    assert.strictEqual(analyzer.analyze(null), null);
+    assert.strictEqual(analyzer.analyze({ bids: [], asks: [[101, 1]] }), null);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildBracketTicket, OKXOrderPlacer, roundToStep } = require('../orders.js');
+const { OKXAdapter } = require('../exchanges.js');
+const { OKXSigner } = require('../okx-signer.js');
+const { RequestScheduler } = require('../scheduler.js');
+
+const CREDENTIALS = { apiKey: 'key', secretKey: 'secret', passphrase: 'pass' };
+
+const createCoin = (manipulation = null) => ({
+    fullSymbol: 'AAA-USDT',
+    analysis: {
+        entryPoint: { price: '100' },
+        stopLoss: { price: '95' },
+        supportResistance: { resistance1: 110, resistance2: 120 },
+        manipulation
+    }
+});
+
+// محول OKX حقيقي فوق fetch وهمي يسجل الطلبات ويعيد قواعد العملة ونتيجة الأمر
+const createExchange = (instrument, { sandbox = true } = {}) => {
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        const { pathname } = new URL(url);
+        requests.push({ pathname, method: init.method || 'GET', headers: init.headers || {}, body: init.body });
+        const data = pathname.endsWith('/public/instruments')
+            ? [{ instId: 'AAA-USDT', ...instrument }]
+            : [{ ordId: '42', clOrdId: JSON.parse(init.body).clOrdId, sCode: '0', sMsg: '' }];
+        return { status: 200, json: async () => ({ code: '0', msg: '', data }) };
+    };
+    const exchange = new OKXAdapter({
+        scheduler: new RequestScheduler({ fetch, maxRetries: 0 }),
+        signer: new OKXSigner(CREDENTIALS, { sandbox })
+    });
+    return { exchange, requests };
+};
+
+test('التقريب لخطوة السعر والكمية', () => {
+    assert.strictEqual(roundToStep(100.04, '0.1'), '100.0');
+    assert.strictEqual(roundToStep(100.06, '0.1'), '100.1');
+    assert.strictEqual(roundToStep(1.23456, '0.001', Math.floor), '1.234');
+    assert.strictEqual(roundToStep(0.3, '0.1', Math.floor), '0.3');
+    assert.strictEqual(roundToStep(17.9, '1', Math.floor), '17');
+});
+
+test('الحجم من نسبة المخاطرة والكمية موزعة على الهدفين', () => {
+    const ticket = buildBracketTicket(createCoin(), { portfolioSize: 10000, riskPercent: 1 });
+
+    assert.deepStrictEqual(ticket.errors, []);
+    assert.strictEqual(ticket.size, 20);
+    assert.strictEqual(ticket.riskAmount, 100);
+    assert.deepStrictEqual(ticket.takeProfits.map(target => [target.price, target.size, target.rewardMultiple]), [[110, 10, 2], [120, 10, 4]]);
+});
+
+test('خطر التلاعب المرتفع خطأ يمنع تجهيز الأمر وليس تحذيراً', async () => {
+    const ticket = buildBracketTicket(createCoin({ level: 'high', suppress: true }), { portfolioSize: 10000 });
+    assert.strictEqual(ticket.errors.length, 1);
+    assert.match(ticket.errors[0], /تلاعب/);
+
+    const { exchange, requests } = createExchange({ tickSz: '0.1', lotSz: '0.001', minSz: '0.01' });
+    await assert.rejects(new OKXOrderPlacer({ exchange }).prepare(ticket), /تلاعب/);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('تجهيز الأمر يقرّب الأسعار والكميات ويرفق الوقف بكل هدف', async () => {
+    const { exchange } = createExchange({ tickSz: '0.1', lotSz: '0.001', minSz: '0.01' });
+    const ticket = buildBracketTicket(createCoin(), { portfolioSize: 10000, riskPercent: 0.7, levels: { entry: 100.04, stop: 95.01 } });
+    const order = await new OKXOrderPlacer({ exchange }).prepare(ticket);
+
+    assert.strictEqual(order.px, '100.0');
+    assert.strictEqual(order.sz, '13.916');
+    assert.strictEqual(order.attachAlgoOrds.length, 2);
+    order.attachAlgoOrds.forEach(algo => assert.strictEqual(algo.slTriggerPx, '95.0'));
+    const sizes = order.attachAlgoOrds.map(algo => parseFloat(algo.sz));
+    assert.strictEqual(Math.round((sizes[0] + sizes[1]) * 1000) / 1000, parseFloat(order.sz));
+});
+
+test('الأهداف الأصغر من الحد الأدنى تُدمج، والكمية الأقل من الحد الأدنى ترفض', async () => {
+    const ticket = buildBracketTicket(createCoin(), { portfolioSize: 10000, riskPercent: 1 });
+
+    const merged = await new OKXOrderPlacer({ exchange: createExchange({ tickSz: '0.1', lotSz: '1', minSz: '15' }).exchange }).prepare(ticket);
+    assert.strictEqual(merged.attachAlgoOrds.length, 1);
+    assert.strictEqual(merged.attachAlgoOrds[0].tpTriggerPx, '110.0');
+    assert.strictEqual(merged.attachAlgoOrds[0].sz, undefined);
+
+    const placer = new OKXOrderPlacer({ exchange: createExchange({ tickSz: '0.1', lotSz: '1', minSz: '50' }).exchange });
+    await assert.rejects(placer.prepare(ticket), /الحد الأدنى/);
+});
+
+test('الأمر يذهب إلى نفس حساب الموقّع المستخدم لقراءة الحساب', async () => {
+    const ticket = buildBracketTicket(createCoin(), { portfolioSize: 10000 });
+
+    for (const sandbox of [true, false]) {
+        const { exchange, requests } = createExchange({ tickSz: '0.1', lotSz: '0.001', minSz: '0.01' }, { sandbox });
+        const placer = new OKXOrderPlacer({ exchange });
+        const result = await placer.place(await placer.prepare(ticket));
+
+        const sent = requests.find(request => request.method === 'POST');
+        assert.strictEqual(sent.pathname, '/api/v5/trade/order');
+        assert.strictEqual(sent.headers['x-simulated-trading'], sandbox ? '1' : undefined);
+        assert.strictEqual(placer.sandbox, sandbox);
+        assert.strictEqual(result.sandbox, sandbox);
+        assert.strictEqual(result.orderId, '42');
+    }
+});
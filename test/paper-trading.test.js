@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PaperPortfolio } = require('../paper-trading.js');
+const { RiskManager } = require('../risk.js');
+const { MemoryStore } = require('../storage.js');
+
+// مركز بنسبة 40% من المحفظة وثلاثة أهداف حتى 1:3
+const RISK_TABLES = {
+    BULL_MARKET: { MAX_POSITION_SIZE: 0.4, STOP_LOSS_PERCENTAGE: 0.1, TAKE_PROFIT_RATIO: 3, MAX_CONCURRENT_POSITIONS: 10 }
+};
+
+const createPortfolio = () => new PaperPortfolio({
+    initialBalance: 10000,
+    positionStore: new MemoryStore('paperPositions'),
+    equityStore: new MemoryStore('paperEquity'),
+    risk: new RiskManager(RISK_TABLES)
+});
+
+const coin = (symbol, price, entry, stop) => ({
+    symbol,
+    fullSymbol: `${symbol}-USDT`,
+    price,
+    score: 90,
+    marketRegime: 'bull',
+    analysis: { entryPoint: { price: String(entry) }, stopLoss: { price: String(stop) } }
+});
+
+test('الأوامر المعلقة تحجز النقد فلا تتجاوز الصفقات المنفذة الرصيد', async () => {
+    const portfolio = createPortfolio();
+    await portfolio.openPosition(coin('AAA', 101, 100, 90));
+    await portfolio.openPosition(coin('BBB', 101, 100, 90));
+
+    assert.strictEqual(portfolio.getReservedCash(), 8000);
+    assert.strictEqual(portfolio.getAvailableCash(), 2000);
+    await assert.rejects(portfolio.openPosition(coin('CCC', 101, 100, 90)), /غير كافٍ/);
+
+    // الإلغاء يحرر الحجز
+    await portfolio.cancelPosition(portfolio.positions[1].id);
+    await portfolio.openPosition(coin('CCC', 101, 100, 90));
+    assert.strictEqual(portfolio.getOpenPositions().length, 2);
+});
+
+test('التنفيذ عند لمس الدخول ثم الإغلاق الجزئي عند الأهداف', async () => {
+    const portfolio = createPortfolio();
+    const position = await portfolio.openPosition(coin('AAA', 105, 100, 90));
+    assert.strictEqual(position.status, 'pending');
+    assert.strictEqual(position.quantity, 40);
+
+    await portfolio.updatePrices({ 'AAA-USDT': 100 }, 1000);
+    assert.strictEqual(position.status, 'open');
+    assert.strictEqual(portfolio.getCash(), 6000);
+    assert.strictEqual(portfolio.getReservedCash(), 0);
+
+    // الهدف الأول عند 110 (1R): يُغلق ثلث الكمية
+    await portfolio.updatePrices({ 'AAA-USDT': 112 }, 2000);
+    assert.deepStrictEqual(position.targets.map(target => target.hit), [true, false, false]);
+    assert.ok(Math.abs(position.remainingQuantity - 80 / 3) < 1e-9);
+    assert.ok(Math.abs(position.realizedPnl - 40 / 3 * 10) < 1e-9);
+});
+
+test('وقف الخسارة يغلق الكمية المتبقية بسعر الوقف', async () => {
+    const portfolio = createPortfolio();
+    const position = await portfolio.openPosition(coin('AAA', 100, 100, 90));
+    assert.strictEqual(position.status, 'open');
+
+    await portfolio.updatePrices({ 'AAA-USDT': 85 }, 1000);
+    assert.strictEqual(position.status, 'closed');
+    assert.strictEqual(position.exitReason, 'stop');
+    assert.strictEqual(position.realizedPnl, -400);
+    assert.strictEqual(portfolio.getEquity(), 9600);
+});
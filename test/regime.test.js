@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const { RegimeClassifier } = require('../regime.js');
+
+// مقاييس ثابتة بدل الشموع: breadth يحدد مؤشر الاتجاه و volatility التقلب المحقق
+const createClassifier = () => {
+    const classifier = new RegimeClassifier(CONFIG.MARKET_REGIME);
+    classifier.classifyWith = (breadth, volatility, options) => {
+        classifier.computeMetrics = () => ({
+            advancers: breadth,
+            breadthMedium: breadth,
+            breadthLong: breadth,
+            btcTrend: null,
+            ethTrend: null,
+            btcOutperformance: null,
+            realizedVolatility: volatility
+        });
+        return classifier.classify([], [], options);
+    };
+    return classifier;
+};
+
+const { CONFIRMATIONS } = CONFIG.MARKET_REGIME;
+
+test('التصنيف الأول يُعتمد مباشرة', () => {
+    const state = createClassifier().classifyWith(0.8, 0.01);
+    assert.strictEqual(state.regime, 'bull');
+    assert.strictEqual(state.volatility, 'low');
+    assert.strictEqual(state.pending, null);
+});
+
+test('تغير الحالة يحتاج CONFIRMATIONS دورات متتالية', () => {
+    const classifier = createClassifier();
+    classifier.classifyWith(0.8, 0.03);
+
+    for (let cycle = 1; cycle < CONFIRMATIONS; cycle++) {
+        const state = classifier.classifyWith(0.2, 0.03);
+        assert.strictEqual(state.regime, 'bull');
+        assert.deepStrictEqual(state.pending, { regime: 'bear', volatility: 'normal', count: cycle });
+    }
+    const state = classifier.classifyWith(0.2, 0.03);
+    assert.strictEqual(state.regime, 'bear');
+    assert.strictEqual(state.switched, true);
+});
+
+test('ارتفاع التقلب يمر بنفس عداد التأكيد قبل تغيير مستوى التقلب', () => {
+    const classifier = createClassifier();
+    classifier.classifyWith(0.5, 0.03);
+
+    for (let cycle = 1; cycle < CONFIRMATIONS; cycle++) {
+        const state = classifier.classifyWith(0.5, 0.08);
+        assert.strictEqual(state.regime, 'sideways');
+        assert.strictEqual(state.volatility, 'normal');
+        assert.strictEqual(state.candidateVolatility, 'high');
+        assert.strictEqual(state.pending.volatility, 'high');
+    }
+    const state = classifier.classifyWith(0.5, 0.08);
+    assert.strictEqual(state.regime, 'volatile');
+    assert.strictEqual(state.volatility, 'high');
+});
+
+test('تغير مستوى التقلب وحده يحتاج تأكيداً ولا يُعد تبديلاً للحالة', () => {
+    const classifier = createClassifier();
+    classifier.classifyWith(0.5, 0.03);
+
+    let state;
+    for (let cycle = 0; cycle < CONFIRMATIONS; cycle++) {
+        assert.strictEqual(classifier.volatility, 'normal');
+        state = classifier.classifyWith(0.5, 0.01);
+    }
+    assert.strictEqual(state.volatility, 'low');
+    assert.strictEqual(state.regime, 'sideways');
+    assert.strictEqual(state.switched, false);
+});
+
+test('ارتفاع عابر للتقلب يلغي التأكيد المعلق عند العودة', () => {
+    const classifier = createClassifier();
+    classifier.classifyWith(0.5, 0.03);
+    classifier.classifyWith(0.5, 0.08);
+
+    const state = classifier.classifyWith(0.5, 0.03);
+    assert.strictEqual(state.pending, null);
+    assert.strictEqual(state.volatility, 'normal');
+});
+
+test('commit: false لا يغير الحالة ولا العداد', () => {
+    const classifier = createClassifier();
+    classifier.classifyWith(0.5, 0.03);
+    classifier.classifyWith(0.5, 0.08);
+
+    const preview = classifier.classifyWith(0.5, 0.08, { commit: false });
+    assert.strictEqual(preview.volatility, 'normal');
+    assert.strictEqual(preview.pending.count, 1);
+    assert.strictEqual(classifier.pendingCount, 1);
+    assert.strictEqual(classifier.volatility, 'normal');
+});
+
+// شموع حقيقية بدل المقاييس الثابتة: عائد ثابت لكل شمعة (الأحدث أولاً)، والحجم في آخر SHORT_PERIOD شمعة volume
+const market = (symbols, returns, { volume = 100 } = {}) => {
+    const { SHORT_PERIOD, LONG_PERIOD } = CONFIG.MARKET_REGIME;
+    const quote = CONFIG.EXCHANGE.QUOTE_CURRENCY;
+    const closes = Array.from({ length: LONG_PERIOD + 10 }, (_, t) => 100 * Math.exp(returns(t))).reverse();
+    const candles = closes.map((close, i) => ({ close, volume: i < SHORT_PERIOD ? volume : 100 }));
+
+    const tickers = symbols.map(symbol => ({
+        instId: `${symbol}-${quote}`,
+        change24h: closes[0] > closes[1] ? 1 : -1,
+        volCcy24h: symbol === 'BTC' ? 600 : 100
+    }));
+    return { tickers, candleData: tickers.map(ticker => ({ symbol: ticker.instId, candles })) };
+};
+
+const SYMBOLS = ['BTC', 'ETH', 'SOL', 'XRP', 'ADA'];
+
+test('classify على شموع صاعدة بانتظام: سوق صاعد بتقلب منخفض وقفزة حجم', () => {
+    const { tickers, candleData } = market(SYMBOLS, t => 0.005 * t, { volume: 400 });
+    const state = new RegimeClassifier(CONFIG.MARKET_REGIME).classify(tickers, candleData);
+    const { metrics } = state;
+
+    assert.strictEqual(metrics.coins, 5);
+    assert.strictEqual(metrics.advancers, 1);
+    assert.strictEqual(metrics.breadthMedium, 1);
+    assert.strictEqual(metrics.breadthLong, 1);
+    assert.strictEqual(metrics.btcTrend, 'up');
+    assert.strictEqual(metrics.ethTrend, 'up');
+    assert.strictEqual(metrics.btcDominance, 0.6);
+    // كل العملات بنفس العائد فلا تفوق لـ BTC
+    assert.ok(Math.abs(metrics.btcOutperformance) < 1e-9);
+    // متوسط 7 شموع بحجم 400 إلى متوسط 21 شمعة (7 × 400 + 14 × 100) = الضعف
+    assert.strictEqual(metrics.volumeRatio, 2);
+    assert.strictEqual(metrics.volumeRegime, 'surge');
+    assert.ok(metrics.realizedVolatility < 1e-9);
+
+    // (1 + 2 + 1.5 + 1.5 + 1 + 0.5 × 1) ÷ 8
+    assert.ok(Math.abs(state.score - 7.5 / 8) < 1e-9);
+    assert.strictEqual(state.regime, 'bull');
+    assert.strictEqual(state.volatility, 'low');
+});
+
+test('classify على شموع هابطة وعلى تذبذب حاد', () => {
+    const falling = market(SYMBOLS, t => -0.005 * t);
+    const bear = new RegimeClassifier(CONFIG.MARKET_REGIME).classify(falling.tickers, falling.candleData);
+    assert.strictEqual(bear.metrics.btcTrend, 'down');
+    assert.strictEqual(bear.metrics.volumeRegime, 'normal');
+    assert.strictEqual(bear.regime, 'bear');
+
+    // عائد ±10% بالتناوب: تقلب محقق فوق HIGH_VOLATILITY_THRESHOLD
+    const choppy = market(SYMBOLS, t => t % 2 ? 0.1 : 0, { volume: 30 });
+    const volatile = new RegimeClassifier(CONFIG.MARKET_REGIME).classify(choppy.tickers, choppy.candleData);
+    assert.ok(volatile.metrics.realizedVolatility > CONFIG.MARKET_REGIME.HIGH_VOLATILITY_THRESHOLD);
+    assert.strictEqual(volatile.metrics.volumeRegime, 'dry');
+    assert.strictEqual(volatile.volatility, 'high');
+    assert.strictEqual(volatile.regime, 'volatile');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RiskManager } = require('../risk.js');
+const { AnalysisEngine } = require('../analysis.js');
+
+const SETTINGS = { STOP_LOSS_PERCENTAGE: 0.05 };
+
+test('الوقف تحت أدنى سعر حديث عندما تكون المخاطرة ضمن النسبة', () => {
+    const risk = new RiskManager();
+    assert.strictEqual(risk.calculateStopPrice(100, 99, SETTINGS), 99 * 0.98);
+});
+
+test('المخاطرة من سعر الدخول لا تتجاوز نسبة النظام', () => {
+    const risk = new RiskManager();
+    assert.strictEqual(risk.calculateStopPrice(100, 80, SETTINGS), 95);
+});
+
+test('أدنى سعر حديث فوق الدخول لا ينتج وقفاً عند الدخول أو فوقه', () => {
+    const risk = new RiskManager();
+    const stop = risk.calculateStopPrice(98, 100, SETTINGS);
+    assert.ok(stop < 98);
+    assert.strictEqual(stop, 98 * 0.95);
+});
+
+test('سلم الأهداف يتدرج حتى نسبة العائد إلى المخاطرة', () => {
+    const ladder = new RiskManager().buildTakeProfitLadder(100, 90, 3, 3);
+    assert.deepStrictEqual(ladder.map(step => step.price), [110, 120, 130]);
+    assert.deepStrictEqual(ladder.map(step => step.quantity), [1, 1, 1]);
+});
+
+// السعر الحالي عند أدنى مستوى حديث في سوق متقلب: الدخول 0.98 من السعر كان يساوي الوقف
+test('التحليل يعطي وقفاً تحت الدخول الموصى به في كل حالات السوق', () => {
+    const candles = Array.from({ length: 30 }, (_, index) => {
+        const close = 100 + index;
+        return { time: 1767225600000 - index * 86400000, open: close, high: close + 1, low: close - 0.5, close, volume: 1000 };
+    });
+    const ticker = { instId: 'AAA-USDT', symbol: 'AAA', last: 100, open24h: 101, high24h: 101, low24h: 99.5, change24h: -1, vol24h: 1e6, volCcy24h: 1e8 };
+
+    for (const regime of ['bull', 'bear', 'sideways', 'volatile']) {
+        for (const volatility of ['low', 'normal', 'high']) {
+            const engine = new AnalysisEngine();
+            engine.marketRegime = regime;
+            engine.marketVolatility = volatility;
+
+            const { entryPoint, stopLoss } = engine.performTechnicalAnalysis(ticker, candles);
+            const entry = parseFloat(entryPoint.price);
+            const stop = parseFloat(stopLoss.price);
+            const settings = engine.risk.getSettings(regime, volatility);
+
+            assert.ok(stop < entry, `${regime}/${volatility}: الوقف ${stop} ليس تحت الدخول ${entry}`);
+            assert.ok(parseFloat(stopLoss.percentage) <= settings.STOP_LOSS_PERCENTAGE * 100 + 0.01);
+        }
+    }
+});
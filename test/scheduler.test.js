@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RequestScheduler, TokenBucket, RequestError, rateLimitsFor } = require('../scheduler.js');
+
+// fetch وهمي يعيد الاستجابات بالترتيب ويسجل كل استدعاء، والاستجابة Error تُرمى كخطأ شبكة
+const scriptedFetch = (responses) => {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init });
+        const next = responses[Math.min(calls.length, responses.length) - 1];
+        if (next instanceof Error) throw next;
+        return { status: next.status, headers: next.headers, json: async () => next.body };
+    };
+    return { fetch, calls };
+};
+
+const createScheduler = (fetch, options = {}) => new RequestScheduler({ fetch, backoffBase: 1, backoffMax: 5, ...options });
+
+test('إعادة المحاولة عند 5xx و 429 وأخطاء الشبكة حتى النجاح', async () => {
+    const { fetch, calls } = scriptedFetch([
+        { status: 503 },
+        new Error('ECONNRESET'),
+        { status: 429 },
+        { status: 200, body: { ok: true } }
+    ]);
+    const scheduler = createScheduler(fetch, { maxRetries: 3 });
+
+    assert.deepStrictEqual(await scheduler.fetchJson('https://api.test/a'), { ok: true });
+    assert.strictEqual(calls.length, 4);
+    assert.strictEqual(scheduler.report().retried, 3);
+    assert.strictEqual(scheduler.report().succeeded, 1);
+});
+
+test('الفشل بعد استنفاد المحاولات يُسجل في الإحصاءات', async () => {
+    const { fetch, calls } = scriptedFetch([{ status: 500 }]);
+    const scheduler = createScheduler(fetch, { maxRetries: 2 });
+
+    await assert.rejects(scheduler.fetchJson('https://api.test/a', { key: '/a' }), error => error instanceof RequestError && error.status === 500);
+    assert.strictEqual(calls.length, 3);
+    const report = scheduler.report();
+    assert.strictEqual(report.failed, 1);
+    assert.deepStrictEqual(report.errors.map(error => [error.key, error.status]), [['/a', 500]]);
+});
+
+test('أخطاء 4xx الأخرى لا يُعاد إرسالها وتُترك للمحول', async () => {
+    const { fetch, calls } = scriptedFetch([{ status: 400, body: { code: '51000', msg: 'bad param' } }]);
+    const data = await createScheduler(fetch, { maxRetries: 3 }).fetchJson('https://api.test/a');
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(data.code, '51000');
+});
+
+test('Retry-After يحدد مدة الانتظار قبل إعادة المحاولة', async () => {
+    const headers = { get: name => name === 'Retry-After' ? '0.05' : null };
+    const { fetch } = scriptedFetch([{ status: 429, headers }, { status: 200, body: {} }]);
+
+    const start = Date.now();
+    await createScheduler(fetch).fetchJson('https://api.test/a');
+    assert.ok(Date.now() - start >= 45);
+});
+
+test('الطلبات المتطابقة الجارية تُدمج في طلب واحد', async () => {
+    const { fetch, calls } = scriptedFetch([{ status: 200, body: { value: 1 } }]);
+    const scheduler = createScheduler(fetch);
+
+    const results = await Promise.all([1, 2, 3].map(() => scheduler.fetchJson('https://api.test/a')));
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(scheduler.report().deduplicated, 2);
+    results.forEach(result => assert.deepStrictEqual(result, { value: 1 }));
+
+    // بعد انتهاء الطلب يُرسل الطلب المطابق من جديد
+    await scheduler.fetchJson('https://api.test/a');
+    assert.strictEqual(calls.length, 2);
+});
+
+test('طلبات غير GET لا تُدمج ولا يُعاد إرسالها', async () => {
+    const { fetch, calls } = scriptedFetch([{ status: 503 }]);
+    const scheduler = createScheduler(fetch, { maxRetries: 3 });
+    const init = { method: 'POST', body: '{}' };
+
+    const results = await Promise.allSettled([1, 2].map(() => scheduler.fetchJson('https://api.test/order', { init })));
+    assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(scheduler.report().retried, 0);
+});
+
+test('الحد الأقصى للطلبات المتزامنة', async () => {
+    let active = 0;
+    let peak = 0;
+    const fetch = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { status: 200, json: async () => ({}) };
+    };
+    const scheduler = createScheduler(fetch, { concurrency: 2 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(index => scheduler.fetchJson(`https://api.test/${index}`)));
+    assert.strictEqual(peak, 2);
+});
+
+test('دلو الرموز يسمح بالسعة فوراً ثم ينتظر الامتلاء', async () => {
+    const bucket = new TokenBucket({ requests: 2, interval: 100 });
+    const waits = [];
+    for (let i = 0; i < 3; i++) {
+        waits.push(await bucket.acquire());
+    }
+
+    assert.strictEqual(waits[0], 0);
+    assert.strictEqual(waits[1], 0);
+    assert.ok(waits[2] >= 40, `انتظار ${waits[2]}ms`);
+});
+
+test('حد المعدل لكل مسار مع الحد الافتراضي والانتظار محسوب في الإحصاءات', async () => {
+    const { fetch } = scriptedFetch([{ status: 200, body: {} }]);
+    const scheduler = createScheduler(fetch, {
+        limits: { '/slow': { requests: 1, interval: 60 }, default: { requests: 100, interval: 1000 } }
+    });
+
+    await scheduler.fetchJson('https://api.test/slow?a=1', { key: '/slow' });
+    await scheduler.fetchJson('https://api.test/slow?a=2', { key: '/slow' });
+    assert.ok(scheduler.report().throttledMs >= 40);
+    assert.notStrictEqual(scheduler.bucketFor('/slow'), scheduler.bucketFor('/other'));
+    assert.strictEqual(scheduler.bucketFor('/other'), scheduler.bucketFor('/another'));
+});
+
+test('حد OKX الافتراضي من CONFIG.OKX_API.RATE_LIMIT', () => {
+    const limits = rateLimitsFor('okx');
+    assert.strictEqual(limits.default.interval, 1000);
+    assert.ok(limits.default.requests > 0);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ScoringEngine } = require('../scoring.js');
+
+const TABLES = {
+    BULL_MARKET: { STRONG: 40, HALF: 20, NEGATIVE: -10, MISSING: 5 },
+    SIDEWAYS_MARKET: { STRONG: 10 },
+    VOLATILE_MARKET: { HALF: 50 }
+};
+
+const RULES = {
+    STRONG: { label: 'strong', test: () => true },
+    HALF: { label: 'half', test: () => 0.5 },
+    NEGATIVE: { label: 'negative', test: () => 3 }
+};
+
+test('الجدول يُختار من نظام السوق، والتقلب العالي يستخدم جدول السوق المتقلب', () => {
+    const engine = new ScoringEngine(TABLES, RULES);
+    assert.strictEqual(engine.evaluate({ regime: 'bull', volatility: 'normal' }).table, 'BULL_MARKET');
+    assert.strictEqual(engine.evaluate({ regime: 'neutral', volatility: 'low' }).table, 'SIDEWAYS_MARKET');
+    assert.strictEqual(engine.evaluate({ regime: 'bull', volatility: 'high' }).table, 'VOLATILE_MARKET');
+});
+
+test('النقاط = الوزن × القوة المحصورة بين 0 و 1، والقاعدة غير المعرفة لا تُقيّم', () => {
+    const result = new ScoringEngine(TABLES, RULES).evaluate({ regime: 'bull', volatility: 'normal' });
+    const byKey = Object.fromEntries(result.rules.map(rule => [rule.key, rule]));
+
+    assert.strictEqual(byKey.STRONG.points, 40);
+    assert.strictEqual(byKey.HALF.points, 10);
+    assert.strictEqual(byKey.NEGATIVE.points, -10);
+    assert.strictEqual(byKey.MISSING.evaluated, false);
+    assert.strictEqual(result.rawScore, 40);
+    assert.strictEqual(result.score, 40);
+});
+
+test('النتيجة النهائية محصورة بين 0 و 100', () => {
+    const engine = new ScoringEngine({ BULL_MARKET: { STRONG: 150 }, BEAR_MARKET: { NEGATIVE: -30 } }, RULES);
+    assert.strictEqual(engine.evaluate({ regime: 'bull' }).score, 100);
+    assert.strictEqual(engine.evaluate({ regime: 'bear' }).score, 0);
+});
+
+test('القاعدة التي ترمي خطأ تُسجل وتُعلَّم بدلاً من احتسابها إشارة ضعيفة', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const engine = new ScoringEngine(TABLES, RULES);
+    engine.register('HALF', { label: 'broken', test: ({ analysis }) => analysis.missing.value });
+
+    const result = engine.evaluate({ analysis: {}, regime: 'bull', volatility: 'normal' });
+    const broken = result.rules.find(rule => rule.key === 'HALF');
+
+    assert.strictEqual(logged.mock.callCount(), 1);
+    assert.strictEqual(broken.evaluated, false);
+    assert.strictEqual(broken.points, 0);
+    assert.match(broken.error, /value/);
+    assert.strictEqual(result.rawScore, 30);
+});
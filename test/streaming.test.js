@@ -0,0 +1,98 @@
+// البث المباشر ضد الخادم التجريبي: الاشتراك، محاذاة الشموع لإطارها، إعادة الاتصال وإعادة الاشتراك، وكشف النبض
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { OKXMarketStream, mergeCandle } = require('../streaming.js');
+const { MockStreamServer, NodeWebSocket } = require('../mock-stream-server.js');
+const { BAR_MS } = require('../candle-cache.js');
+
+const INST_ID = 'AAA-USDT';
+
+// انتظار أول حدث يحقق الشرط، مع مهلة حتى لا يعلق الاختبار
+const waitFor = (stream, event, predicate = () => true, timeout = 3000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`لم يصل الحدث ${event} خلال ${timeout}ms`)), timeout);
+    stream.on(event, payload => {
+        if (timer && predicate(payload)) {
+            clearTimeout(timer);
+            resolve(payload);
+        }
+    });
+});
+
+test('البث عبر الخادم التجريبي', async (t) => {
+    // قطع الاتصال المتعمد يسجل أخطاء ECONNRESET متوقعة
+    t.mock.method(console, 'error', () => {});
+    const server = await new MockStreamServer({ port: 0, interval: 20 }).start();
+    const url = `ws://localhost:${server.port}`;
+    const stream = new OKXMarketStream({
+        publicUrl: url,
+        businessUrl: url,
+        WebSocket: NodeWebSocket,
+        heartbeatInterval: 50,
+        reconnectBaseDelay: 20,
+        reconnectMaxDelay: 100
+    });
+    const statuses = [];
+    stream.on('status', status => statuses.push(status));
+
+    t.after(async () => {
+        stream.stop();
+        await server.stop();
+    });
+
+    stream.setInstruments([INST_ID], ['15m', '1H', '4H', '1D']);
+    stream.start();
+
+    await t.test('الأسعار والصفقات والشموع تصل بالنموذج الموحد', async () => {
+        const [ticker, trade] = await Promise.all([
+            waitFor(stream, 'ticker'),
+            waitFor(stream, 'trade')
+        ]);
+        assert.strictEqual(ticker.instId, INST_ID);
+        assert.ok(ticker.last > 0);
+        assert.strictEqual(trade.instId, INST_ID);
+        assert.ok(['buy', 'sell'].includes(trade.side));
+    });
+
+    await t.test('كل شمعة تبدأ عند بداية إطارها وتتراكم داخله', async () => {
+        for (const bar of ['15m', '1H', '4H', '1D']) {
+            const first = await waitFor(stream, 'candle', update => update.bar === bar);
+            const next = await waitFor(stream, 'candle', update => update.bar === bar && update.candle.volume > first.candle.volume);
+
+            assert.strictEqual(first.candle.time % BAR_MS[bar], 0, `${bar} غير محاذية`);
+            assert.strictEqual(next.candle.time, first.candle.time);
+            assert.strictEqual(next.candle.open, first.candle.open);
+
+            // الشمعة المحدثة تستبدل الحالية في المخزن ولا تضيف شمعة جديدة
+            const buffer = mergeCandle([first.candle], next.candle, 10);
+            assert.strictEqual(buffer.length, 1);
+        }
+    });
+
+    await t.test('إعادة الاتصال بعد الانقطاع مع إعادة الاشتراك', async () => {
+        const connectedBefore = statuses.filter(status => status.status === 'connected').length;
+        server.dropConnections();
+
+        await waitFor(stream, 'status', status => status.status === 'reconnecting');
+        await waitFor(stream, 'ticker');
+        await waitFor(stream, 'candle', update => update.bar === '1D');
+
+        assert.ok(statuses.filter(status => status.status === 'connected').length >= connectedBefore + 2);
+        const subscribed = [...server.clients].flatMap(client => [...client.subscriptions.keys()]);
+        assert.ok(subscribed.includes(`tickers:${INST_ID}`));
+        assert.ok(subscribed.includes(`trades:${INST_ID}`));
+        assert.ok(subscribed.includes(`candle1D:${INST_ID}`));
+    });
+
+    await t.test('النبض يكشف الاتصال المعلق ويعيد الاتصال', async () => {
+        const pingsBefore = server.pings;
+        server.pause();
+
+        await waitFor(stream, 'status', status => status.status === 'disconnected');
+        assert.ok(server.pings > pingsBefore);
+
+        server.resume();
+        await waitFor(stream, 'status', status => status.status === 'connected');
+        await waitFor(stream, 'ticker');
+    });
+});
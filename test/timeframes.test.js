@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MultiTimeframeAnalyzer } = require('../timeframes.js');
+const { AnalysisEngine } = require('../analysis.js');
+
+const BARS = {
+    '15m': { WEIGHT: 1 },
+    '1H': { WEIGHT: 1.5 },
+    '4H': { WEIGHT: 2 },
+    '1D': { WEIGHT: 2.5 }
+};
+
+const frame = bias => ({ bias, direction: bias > 0 ? 'bullish' : bias < 0 ? 'bearish' : 'neutral' });
+
+test('نقاط التوافق مرجحة بوزن كل إطار وعدد الأطر المتفقة مع الاتجاه', () => {
+    const analyzer = new MultiTimeframeAnalyzer(null, BARS);
+    const confluence = analyzer.calculateConfluence({
+        '15m': frame(1),
+        '1H': frame(-1 / 3),
+        '4H': frame(1 / 3),
+        '1D': frame(1)
+    });
+
+    // (1×1 + 1.5×0 + 2×⅓ + 2.5×1) ÷ 7 = 59.5%
+    assert.strictEqual(confluence.score, 60);
+    assert.strictEqual(confluence.direction, 'bullish');
+    assert.strictEqual(confluence.agreeing, 3);
+    assert.strictEqual(confluence.total, 4);
+});
+
+test('التوافق الهابط والمحايد وبدون أطر', () => {
+    const analyzer = new MultiTimeframeAnalyzer(null, BARS);
+
+    const bearish = analyzer.calculateConfluence({ '1H': frame(-1), '1D': frame(-1 / 3) });
+    assert.deepStrictEqual(bearish, { score: 0, direction: 'bearish', agreeing: 2, total: 2 });
+
+    const neutral = analyzer.calculateConfluence({ '15m': frame(0), '4H': frame(0) });
+    assert.strictEqual(neutral.direction, 'neutral');
+    assert.strictEqual(neutral.agreeing, 2);
+
+    assert.deepStrictEqual(analyzer.calculateConfluence({}), { score: 0, direction: 'neutral', agreeing: 0, total: 0 });
+});
+
+test('الإشارة المحايدة صوت 0 وليست صوتاً هابطاً', () => {
+    const stubEngine = signals => ({
+        calculateRSI: () => ({ trend: signals.rsi }),
+        calculateMACD: () => ({ signal: signals.macd }),
+        calculateMovingAverages: () => ({ signal: signals.ma }),
+        calculateVolumeRatio: () => 1
+    });
+    const frameWith = signals => new MultiTimeframeAnalyzer(stubEngine(signals), BARS).analyzeFrame({}, []);
+
+    const neutral = frameWith({ rsi: 'neutral', macd: 'neutral', ma: 'buy' });
+    assert.strictEqual(neutral.bias, 1 / 3);
+    assert.strictEqual(neutral.direction, 'bullish');
+
+    const mixed = frameWith({ rsi: 'bullish', macd: 'bearish', ma: 'sell' });
+    assert.strictEqual(mixed.bias, -1 / 3);
+
+    const balanced = frameWith({ rsi: 'bullish', macd: 'neutral', ma: 'sell' });
+    assert.strictEqual(balanced.bias, 0);
+    assert.strictEqual(balanced.direction, 'neutral');
+});
+
+test('الأطر ذات الشموع غير الكافية لا تدخل في التوافق', () => {
+    const candles = Array.from({ length: 40 }, (_, i) => ({ time: i, open: 100 - i, high: 101 - i, low: 99 - i, close: 100 - i, volume: 10 }));
+    const result = new MultiTimeframeAnalyzer(new AnalysisEngine(), BARS).analyze({}, { '1H': candles, '1D': candles.slice(0, 10) });
+
+    assert.deepStrictEqual(Object.keys(result.frames), ['1H']);
+    assert.strictEqual(result.frames['1H'].direction, 'bullish');
+    assert.strictEqual(result.confluence.total, 1);
+});
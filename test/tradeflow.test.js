@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TradeFlowAnalyzer, mergeTrades } = require('../tradeflow.js');
+
+const SETTINGS = { WHALE_MULTIPLIER: 5, WHALE_MIN_VALUE: 50 };
+
+const trade = (id, side, size, time = id) => ({ id, side, price: 10, size, time });
+
+// الأحدث أولاً، والقيم بعملة التسعير: 10، 20، 300، 10، 15
+const TRADES = [
+    trade(5, 'buy', 1),
+    trade(4, 'sell', 2),
+    trade(3, 'buy', 30),
+    trade(2, 'buy', 1),
+    trade(1, 'sell', 1.5)
+];
+
+test('CVD تراكمي من أقدم صفقة وبنفس ترتيب الصفقات', () => {
+    const flow = new TradeFlowAnalyzer(SETTINGS).analyze(TRADES);
+
+    // بالترتيب الزمني: -15، -5، 295، 275، 285
+    assert.deepStrictEqual(flow.cvd, [285, 275, 295, -5, -15]);
+    assert.strictEqual(flow.buyVolume, 320);
+    assert.strictEqual(flow.sellVolume, 35);
+    assert.strictEqual(flow.delta, 285);
+    assert.strictEqual(flow.buyRatio, 320 / 355);
+    assert.strictEqual(flow.from, 1);
+    assert.strictEqual(flow.to, 5);
+});
+
+test('حد الحوت هو الأكبر بين مضاعف الوسيط والحد الأدنى', () => {
+    // الوسيط 15 × 5 = 75
+    const flow = new TradeFlowAnalyzer(SETTINGS).analyze(TRADES);
+    assert.strictEqual(flow.whaleThreshold, 75);
+    assert.deepStrictEqual(flow.whales.map(whale => [whale.id, whale.value]), [[3, 300]]);
+    assert.strictEqual(flow.whaleBuyVolume, 300);
+    assert.strictEqual(flow.whaleSellVolume, 0);
+
+    const strict = new TradeFlowAnalyzer({ ...SETTINGS, WHALE_MIN_VALUE: 500 }).analyze(TRADES);
+    assert.strictEqual(strict.whaleThreshold, 500);
+    assert.deepStrictEqual(strict.whales, []);
+
+    assert.strictEqual(new TradeFlowAnalyzer(SETTINGS).analyze([]), null);
+});
+
+test('دمج الصفقات يحذف المكرر ويرتب الأحدث أولاً ويقص الزائد', () => {
+    const stored = [trade(3, 'buy', 1), trade(2, 'sell', 1)];
+    const incoming = [trade(5, 'buy', 1), trade(3, 'buy', 1), trade(4, 'sell', 1), trade(5, 'buy', 1)];
+
+    assert.deepStrictEqual(mergeTrades(stored, incoming, 10).map(item => item.id), [5, 4, 3, 2]);
+    assert.deepStrictEqual(mergeTrades(stored, incoming, 3).map(item => item.id), [5, 4, 3]);
+
+    // صفقة متأخرة الوصول تأخذ مكانها بالوقت
+    assert.deepStrictEqual(mergeTrades(stored, [trade(9, 'buy', 1, 2.5)], 10).map(item => item.id), [3, 9, 2]);
+});
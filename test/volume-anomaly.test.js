@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { VolumeAnomalyDetector } = require('../volume-anomaly.js');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2026, 0, 10, 12);
+const MAD_SCALE = 1.4826;
+
+const SETTINGS = {
+    BASELINE_BARS: 20,
+    MIN_BASELINE: 20,
+    Z_THRESHOLD: 3,
+    MIN_SEASONAL_SAMPLES: 3,
+    QUIET_MOVE_MULTIPLE: 1.5,
+    MIN_PROJECTION: 0.25
+};
+
+// شموع يومية الأحدث أولاً: خط أساس يتناوب بين 90 و 110 وحركة 1%، والشمعة الأخيرة بالحجم والإغلاق المحددين
+const daily = (volume, close = 100.5) => [
+    { time: T0, open: 100, close, volume },
+    ...Array.from({ length: 20 }, (_, i) => ({ time: T0 - (i + 1) * DAY, open: 100, close: 101, volume: i % 2 ? 110 : 90 }))
+];
+
+// الوسيط بين لوغاريتمي 90 و 110، و MAD نصف الفرق بينهما
+const CENTER = (Math.log1p(90) + Math.log1p(110)) / 2;
+const SCALE = MAD_SCALE * (Math.log1p(110) - Math.log1p(90)) / 2;
+
+const assertClose = (actual, expected) => {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+};
+
+test('z-score متين من الوسيط و MAD والشذوذ عند Z_THRESHOLD', () => {
+    const detector = new VolumeAnomalyDetector(SETTINGS);
+    const now = T0 + DAY;
+
+    // الحد: الحجم الذي يعطي z = 3 تماماً
+    const threshold = Math.expm1(CENTER + 3 * SCALE);
+    const below = detector.analyze(daily(threshold * 0.98), { now });
+    const above = detector.analyze(daily(threshold * 1.02), { now });
+
+    assert.ok(below.zScore < 3);
+    assert.strictEqual(below.anomaly, false);
+    assert.ok(above.zScore > 3);
+    assert.strictEqual(above.anomaly, true);
+
+    const spike = detector.analyze(daily(300), { now });
+    assertClose(spike.zScore, (Math.log1p(300) - CENTER) / SCALE);
+    assertClose(spike.baseline, Math.expm1(CENTER));
+    assert.strictEqual(spike.seasonal, false);
+    assert.strictEqual(spike.projected, false);
+});
+
+test('الشذوذ المبكر: حجم غير طبيعي مع حركة سعر ضمن المعتاد', () => {
+    const detector = new VolumeAnomalyDetector(SETTINGS);
+    const now = T0 + DAY;
+
+    // الحركة المعتادة 1%، والمبكر حتى 1.5%
+    const quiet = detector.analyze(daily(300, 101.5), { now });
+    assertClose(quiet.typicalMove, 1);
+    assert.strictEqual(quiet.earlyStage, true);
+
+    const moved = detector.analyze(daily(300, 105), { now });
+    assert.strictEqual(moved.anomaly, true);
+    assert.strictEqual(moved.earlyStage, false);
+
+    // حركة هادئة بدون شذوذ ليست مرحلة مبكرة
+    assert.strictEqual(detector.analyze(daily(100), { now }).earlyStage, false);
+});
+
+test('حجم الشمعة غير المكتملة يُسقط على مدتها كاملة', () => {
+    const detector = new VolumeAnomalyDetector(SETTINGS);
+
+    const half = detector.analyze(daily(100), { now: T0 + DAY / 2 });
+    assert.strictEqual(half.projected, true);
+    assert.strictEqual(half.volume, 200);
+
+    // قبل ربع المدة لا يتجاوز الإسقاط 4 أضعاف
+    assert.strictEqual(detector.analyze(daily(100), { now: T0 + DAY / 10 }).volume, 400);
+    assert.strictEqual(detector.analyze(daily(100), { now: T0 + DAY }).volume, 100);
+});
+
+// شموع ساعية لثلاثة أيام: الساعة 12 حجمها 1000 وباقي الساعات 100، مع تذبذب ±10% بين الأيام
+const hourly = volume => [
+    { time: T0, open: 100, close: 100.5, volume },
+    ...Array.from({ length: 72 }, (_, index) => {
+        const i = index + 1;
+        const time = T0 - i * HOUR;
+        const base = new Date(time).getUTCHours() === 12 ? 1000 : 100;
+        return { time, open: 100, close: 101, volume: base * (1 + 0.1 * (Math.floor(i / 24) % 3 - 1)) };
+    })
+];
+
+test('الموسمية: المقارنة بنفس الساعة من الأيام السابقة', () => {
+    const settings = { ...SETTINGS, BASELINE_BARS: 72 };
+    const now = T0 + HOUR;
+    const detector = new VolumeAnomalyDetector(settings);
+
+    // 1000 معتاد في هذه الساعة
+    const usual = detector.analyze(hourly(1000), { now });
+    assert.strictEqual(usual.seasonal, true);
+    assertClose(usual.baseline, 1000);
+    assertClose(usual.zScore, 0);
+    assert.strictEqual(usual.anomaly, false);
+
+    assert.strictEqual(detector.analyze(hourly(3000), { now }).anomaly, true);
+
+    // بدون عينات كافية لنفس الساعة يُقارن بكل الشموع فيبدو 1000 شذوذاً
+    const flat = new VolumeAnomalyDetector({ ...settings, MIN_SEASONAL_SAMPLES: 4 }).analyze(hourly(1000), { now });
+    assert.strictEqual(flat.seasonal, false);
+    assert.strictEqual(flat.anomaly, true);
+});
+
+test('الشموع غير الكافية لخط الأساس', () => {
+    const detector = new VolumeAnomalyDetector(SETTINGS);
+    assert.strictEqual(detector.analyze(daily(300).slice(0, 20), { now: T0 + DAY }), null);
+});
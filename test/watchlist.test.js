@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Watchlist } = require('../watchlist.js');
+const { MemoryStorage } = require('../storage.js');
+
+test('ترحيل المفضلة وقائمة CoinGecko القديمتين إلى قائمة واحدة', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('cryptoFavorites', JSON.stringify(['eth', 'BTC-USDT']));
+    storage.setItem('cryptoWatchlist', JSON.stringify([{ id: 'bitcoin', symbol: 'btc', current_price: 1 }, { id: 'solana', symbol: 'sol' }]));
+
+    const watchlist = new Watchlist({ storage, quote: 'USDT' });
+    assert.deepStrictEqual(watchlist.items.map(item => item.instId), ['BTC-USDT', 'SOL-USDT', 'ETH-USDT']);
+    assert.strictEqual(storage.getItem('cryptoFavorites'), null);
+    assert.deepStrictEqual(new Watchlist({ storage }).items.map(item => item.instId), ['BTC-USDT', 'SOL-USDT', 'ETH-USDT']);
+});
+
+test('الملاحظة والسعر المستهدف والترتيب تُحفظ', () => {
+    const storage = new MemoryStorage();
+    const watchlist = new Watchlist({ storage });
+    ['AAA-USDT', 'BBB-USDT', 'CCC-USDT'].forEach(instId => watchlist.add(instId));
+
+    watchlist.update('CCC-USDT', { note: ' اختراق ', targetPrice: '12.5' });
+    watchlist.move('CCC-USDT', -1);
+    watchlist.move('AAA-USDT', -1);
+    watchlist.update('BBB-USDT', { targetPrice: '' });
+
+    const reloaded = new Watchlist({ storage });
+    assert.deepStrictEqual(reloaded.items.map(item => item.instId), ['AAA-USDT', 'CCC-USDT', 'BBB-USDT']);
+    assert.strictEqual(reloaded.get('CCC-USDT').note, 'اختراق');
+    assert.strictEqual(reloaded.get('CCC-USDT').targetPrice, 12.5);
+    assert.strictEqual(reloaded.get('BBB-USDT').targetPrice, null);
+
+    assert.strictEqual(reloaded.toggle('AAA-USDT'), false);
+    assert.strictEqual(reloaded.has('AAA-USDT'), false);
+});
+
+test('البيانات الحية من آخر تحليل وبعد السعر المستهدف', () => {
+    const watchlist = new Watchlist({ storage: new MemoryStorage() });
+    watchlist.add('AAA-USDT', { targetPrice: 110 });
+    watchlist.add('ZZZ-USDT');
+
+    const [aaa, zzz] = watchlist.withMarketData([{ fullSymbol: 'AAA-USDT', price: 100, score: 70 }]);
+    assert.strictEqual(aaa.coin.score, 70);
+    assert.ok(Math.abs(aaa.targetDistance - 10) < 1e-9);
+    assert.strictEqual(zzz.coin, null);
+    assert.strictEqual(zzz.targetDistance, null);
+});
@@ -0,0 +1,91 @@
+// التحليل متعدد الأطر الزمنية: مؤشرات مستقلة لكل إطار ونقاط توافق بين الأطر
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+
+    class MultiTimeframeAnalyzer {
+        constructor(engine, bars = CONFIG.TIMEFRAMES.BARS) {
+            this.engine = engine;
+            this.bars = bars;
+        }
+
+        // candlesByBar: { '15m': [...], '1H': [...], ... } - الأحدث أولاً
+        analyze(ticker, candlesByBar) {
+            const frames = {};
+
+            Object.keys(this.bars).forEach(bar => {
+                const candles = candlesByBar[bar] || [];
+                if (candles.length < 20) return;
+                frames[bar] = this.analyzeFrame(ticker, candles);
+            });
+
+            return {
+                frames,
+                confluence: this.calculateConfluence(frames)
+            };
+        }
+
+        analyzeFrame(ticker, candles) {
+            const prices = candles.map(c => c.close);
+            const volumes = candles.map(c => c.volume);
+
+            const rsi = this.engine.calculateRSI(prices);
+            const macd = this.engine.calculateMACD(prices);
+            const movingAverages = this.engine.calculateMovingAverages(prices);
+            const volumeRatio = this.engine.calculateVolumeRatio(volumes);
+
+            // اتجاه الإطار: متوسط أصوات RSI و MACD والمتوسطات (من -1 إلى 1)
+            // الإشارة المحايدة (بيانات غير كافية) صوت 0 حتى لا تميل النتيجة للهبوط
+            const vote = (value, bullish, bearish) => value === bullish ? 1 : value === bearish ? -1 : 0;
+            const votes = [
+                vote(rsi.trend, 'bullish', 'bearish'),
+                vote(macd.signal, 'bullish', 'bearish'),
+                vote(movingAverages.signal, 'buy', 'sell')
+            ];
+            const bias = votes.reduce((a, b) => a + b, 0) / votes.length;
+
+            return {
+                rsi,
+                macd,
+                movingAverages,
+                volumeRatio,
+                bias,
+                direction: bias > 0 ? 'bullish' : bias < 0 ? 'bearish' : 'neutral'
+            };
+        }
+
+        // نقاط التوافق (0-100): مدى اتفاق الأطر على الاتجاه الصاعد مرجحة بوزن كل إطار
+        calculateConfluence(frames) {
+            const entries = Object.entries(frames);
+            if (entries.length === 0) {
+                return { score: 0, direction: 'neutral', agreeing: 0, total: 0 };
+            }
+
+            let totalWeight = 0;
+            let bullishWeight = 0;
+            let weightedBias = 0;
+
+            entries.forEach(([bar, frame]) => {
+                const weight = this.bars[bar].WEIGHT;
+                totalWeight += weight;
+                weightedBias += weight * frame.bias;
+                bullishWeight += weight * Math.max(frame.bias, 0);
+            });
+
+            const direction = weightedBias > 0 ? 'bullish' : weightedBias < 0 ? 'bearish' : 'neutral';
+
+            return {
+                score: Math.round(bullishWeight / totalWeight * 100),
+                direction,
+                agreeing: entries.filter(([, frame]) => frame.direction === direction).length,
+                total: entries.length
+            };
+        }
+    }
+
+    if (isNode) {
+        module.exports = { MultiTimeframeAnalyzer };
+    } else {
+        root.MultiTimeframeAnalyzer = MultiTimeframeAnalyzer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,87 @@
+// تحليل تدفق الصفقات: حجم الشراء والبيع من جهة المنفذ (taker)، دلتا الحجم التراكمية (CVD)، وصفقات الحيتان
+// المنفذ هو من يدفع السعر: شراء المنفذ يأكل عروض البيع وبيعه يأكل طلبات الشراء
+// الصفقات الأحدث أولاً (من REST أو البث)، والأحجام بعملة التسعير (السعر × الكمية)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+    const { median } = Indicators;
+
+    class TradeFlowAnalyzer {
+        constructor(settings = CONFIG.TRADE_FLOW) {
+            this.settings = settings;
+        }
+
+        // النتيجة null إذا لم تتوفر صفقات
+        analyze(trades) {
+            if (!trades || trades.length === 0) return null;
+
+            const { WHALE_MULTIPLIER, WHALE_MIN_VALUE } = this.settings;
+            const values = trades.map(trade => trade.price * trade.size);
+            let buyVolume = 0;
+            let sellVolume = 0;
+
+            // CVD بنفس ترتيب الصفقات: cvd[i] هي الدلتا التراكمية من أقدم صفقة حتى الصفقة i
+            const cvd = Array(trades.length).fill(0);
+            let cumulative = 0;
+            for (let i = trades.length - 1; i >= 0; i--) {
+                if (trades[i].side === 'buy') {
+                    buyVolume += values[i];
+                    cumulative += values[i];
+                } else {
+                    sellVolume += values[i];
+                    cumulative -= values[i];
+                }
+                cvd[i] = cumulative;
+            }
+
+            // الحوت: صفقة تتجاوز WHALE_MULTIPLIER ضعف الوسيط وحداً أدنى ثابتاً
+            const whaleThreshold = Math.max(median(values) * WHALE_MULTIPLIER, WHALE_MIN_VALUE);
+            const whales = trades
+                .map((trade, i) => ({ ...trade, value: values[i] }))
+                .filter(trade => trade.value >= whaleThreshold);
+            const whaleVolume = side => whales
+                .filter(trade => trade.side === side)
+                .reduce((sum, trade) => sum + trade.value, 0);
+
+            const total = buyVolume + sellVolume;
+            return {
+                tradeCount: trades.length,
+                buyVolume,
+                sellVolume,
+                buyRatio: total > 0 ? buyVolume / total : 0.5,
+                delta: buyVolume - sellVolume,
+                cvd,
+                whaleThreshold,
+                whales,
+                whaleBuyVolume: whaleVolume('buy'),
+                whaleSellVolume: whaleVolume('sell'),
+                from: trades[trades.length - 1].time,
+                to: trades[0].time
+            };
+        }
+    }
+
+    // دمج صفقات جديدة في المخزن (الأحدث أولاً) مع حذف المكرر والاحتفاظ بآخر limit صفقة
+    const mergeTrades = (trades, incoming, limit = CONFIG.TRADE_FLOW.MAX_TRADES) => {
+        const seen = new Set(trades.map(trade => trade.id));
+        // الدفعة الجديدة نفسها قد تكرر صفقة (لقطة REST تتداخل مع البث)
+        const merged = incoming
+            .filter(trade => {
+                if (seen.has(trade.id)) return false;
+                seen.add(trade.id);
+                return true;
+            })
+            .concat(trades)
+            .sort((a, b) => b.time - a.time);
+        return merged.slice(0, limit);
+    };
+
+    const exported = { TradeFlowAnalyzer, mergeTrades };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,110 @@
+// كاشف شذوذ الحجم: خط أساس متحرك لكل عملة بالوسيط و MAD على لوغاريتم الحجم (z-score متين)
+// على الأطر اللحظية يُقارن الحجم بنفس الساعة من الأيام السابقة إذا توفرت عينات كافية (موسمية اليوم)
+// الشذوذ المبكر: حجم غير طبيعي إحصائياً بينما حركة السعر في الشمعة ما زالت ضمن المعتاد
+// الشموع الأحدث أولاً، والشمعة الحالية غير المكتملة يُسقط حجمها على مدة الشمعة كاملة
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { Indicators } = isNode ? require('./indicators.js') : root;
+    const { median, mad } = Indicators;
+
+    const DAY = 86400000;
+    // تحويل MAD إلى ما يقابل الانحراف المعياري في التوزيع الطبيعي
+    const MAD_SCALE = 1.4826;
+
+    class VolumeAnomalyDetector {
+        constructor(settings = CONFIG.VOLUME_ANOMALY) {
+            this.settings = settings;
+        }
+
+        // null إذا لم تكفِ الشموع لخط الأساس
+        analyze(candles, { now = Date.now() } = {}) {
+            const { BASELINE_BARS, MIN_BASELINE, Z_THRESHOLD, MIN_SEASONAL_SAMPLES, QUIET_MOVE_MULTIPLE, MIN_PROJECTION } = this.settings;
+            if (candles.length < MIN_BASELINE + 1) return null;
+
+            const barMs = candles[0].time - candles[1].time;
+            const elapsed = (now - candles[0].time) / barMs;
+            const projection = elapsed > 0 && elapsed < 1 ? 1 / Math.max(elapsed, MIN_PROJECTION) : 1;
+            const volume = candles[0].volume * projection;
+
+            const baseline = candles.slice(1, BASELINE_BARS + 1);
+            const logs = baseline.map(candle => Math.log1p(candle.volume));
+            const current = Math.log1p(volume);
+
+            // الموسمية: تجميع شموع خط الأساس حسب موضعها في اليوم
+            let center = median(logs);
+            let spread = mad(logs, center);
+            let seasonal = false;
+            if (barMs < DAY) {
+                const bucketOf = candle => Math.floor((candle.time % DAY) / barMs);
+                const buckets = new Map();
+                baseline.forEach((candle, i) => {
+                    const bucket = bucketOf(candle);
+                    if (!buckets.has(bucket)) buckets.set(bucket, []);
+                    buckets.get(bucket).push(logs[i]);
+                });
+
+                const sameTime = buckets.get(bucketOf(candles[0])) || [];
+                if (sameTime.length >= MIN_SEASONAL_SAMPLES) {
+                    // التشتت من البواقي بعد طرح وسيط كل ساعة، للساعات ذات العينات الكافية فقط
+                    const residuals = [...buckets.values()]
+                        .filter(values => values.length >= MIN_SEASONAL_SAMPLES)
+                        .flatMap(values => {
+                            const bucketMedian = median(values);
+                            return values.map(value => value - bucketMedian);
+                        });
+                    center = median(sameTime);
+                    spread = mad(residuals, 0);
+                    seasonal = true;
+                }
+            }
+
+            const scale = MAD_SCALE * spread;
+            const zScore = scale > 0 ? (current - center) / scale : 0;
+
+            const moves = baseline.map(candle => Math.abs(candle.close - candle.open) / candle.open * 100);
+            const priceChange = (candles[0].close - candles[0].open) / candles[0].open * 100;
+            const typicalMove = median(moves);
+            const anomaly = zScore >= Z_THRESHOLD;
+
+            return {
+                volume,
+                projected: projection > 1,
+                baseline: Math.expm1(center),
+                ratio: Math.expm1(center) > 0 ? volume / Math.expm1(center) : 1,
+                zScore,
+                seasonal,
+                priceChange,
+                typicalMove,
+                anomaly,
+                earlyStage: anomaly && Math.abs(priceChange) <= typicalMove * QUIET_MOVE_MULTIPLE,
+                time: candles[0].time
+            };
+        }
+
+        // جميع الأطر الزمنية المتوفرة، والأقوى هو أعلى z-score
+        analyzeTimeframes(timeframes, options = {}) {
+            const byBar = {};
+            let strongest = null;
+
+            Object.entries(timeframes).forEach(([bar, candles]) => {
+                const result = this.analyze(candles, options);
+                if (!result) return;
+                byBar[bar] = result;
+                if (!strongest || result.zScore > strongest.zScore) {
+                    strongest = { bar, ...result };
+                }
+            });
+
+            return { byBar, strongest };
+        }
+    }
+
+    const exported = { VolumeAnomalyDetector };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
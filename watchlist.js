@@ -0,0 +1,152 @@
+// قائمة المراقبة: العملات المختارة بترتيب المستخدم مع ملاحظة وسعر مستهدف لكل عملة
+// القائمة تحفظ المعرّف فقط، والسعر والنقاط والتغير تُؤخذ من آخر تحليل للكاشف عند العرض
+//   item: { instId, symbol, note, targetPrice, addedAt }
+// تحل محل نظامين قديمين غير مترابطين: cryptoFavorites (رموز) و cryptoWatchlist (كائنات CoinGecko)
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const CONFIG = isNode ? require('./config.js') : root.CONFIG;
+    const { MemoryStorage } = isNode ? require('./storage.js') : root;
+
+    const STORAGE_KEY = 'cryptoWatchlist';
+    const LEGACY_FAVORITES_KEY = 'cryptoFavorites';
+
+    class Watchlist {
+        constructor(options = {}) {
+            this.storage = options.storage || root.localStorage || new MemoryStorage();
+            this.quote = options.quote || CONFIG.EXCHANGE.QUOTE_CURRENCY;
+            this.onChange = options.onChange || (() => {});
+            this.items = this.load();
+        }
+
+        // 'btc' أو 'BTC' أو 'BTC-USDT' إلى معرّف الزوج
+        toInstId(symbol) {
+            const upper = String(symbol).trim().toUpperCase();
+            return upper.includes('-') ? upper : `${upper}-${this.quote}`;
+        }
+
+        createItem(instId, fields = {}) {
+            return {
+                instId,
+                symbol: instId.split('-')[0],
+                note: '',
+                targetPrice: null,
+                addedAt: Date.now(),
+                ...fields
+            };
+        }
+
+        // ترحيل الصيغ القديمة مرة واحدة ثم حذف مفتاح المفضلة
+        load() {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            const favorites = JSON.parse(this.storage.getItem(LEGACY_FAVORITES_KEY) || '[]');
+
+            const items = [];
+            const append = (instId, fields) => {
+                if (!items.some(item => item.instId === instId)) {
+                    items.push(this.createItem(instId, fields));
+                }
+            };
+
+            let migrated = favorites.length > 0;
+            saved.forEach(entry => {
+                if (entry.instId) {
+                    append(entry.instId, entry);
+                } else if (entry.symbol) {
+                    append(this.toInstId(entry.symbol));
+                    migrated = true;
+                }
+            });
+            favorites.forEach(symbol => append(this.toInstId(symbol)));
+
+            if (migrated) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(items));
+                this.storage.removeItem(LEGACY_FAVORITES_KEY);
+            }
+            return items;
+        }
+
+        save() {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.items));
+            this.onChange(this.items);
+        }
+
+        has(instId) {
+            return this.items.some(item => item.instId === instId);
+        }
+
+        get(instId) {
+            return this.items.find(item => item.instId === instId) || null;
+        }
+
+        add(instId, fields = {}) {
+            const existing = this.get(instId);
+            if (existing) return existing;
+
+            const item = this.createItem(instId, fields);
+            this.items.push(item);
+            this.save();
+            return item;
+        }
+
+        remove(instId) {
+            this.items = this.items.filter(item => item.instId !== instId);
+            this.save();
+        }
+
+        // يعيد true إذا أضيفت العملة و false إذا أزيلت
+        toggle(instId) {
+            if (this.has(instId)) {
+                this.remove(instId);
+                return false;
+            }
+            this.add(instId);
+            return true;
+        }
+
+        // الملاحظة والسعر المستهدف فقط قابلان للتعديل، والسعر الفارغ أو غير الموجب يلغي الهدف
+        update(instId, { note, targetPrice } = {}) {
+            const item = this.get(instId);
+            if (!item) return null;
+
+            if (note !== undefined) item.note = String(note).trim();
+            if (targetPrice !== undefined) {
+                const price = parseFloat(targetPrice);
+                item.targetPrice = price > 0 ? price : null;
+            }
+            this.save();
+            return item;
+        }
+
+        // تحريك العملة خطوة للأعلى (-1) أو للأسفل (+1) في الترتيب
+        move(instId, offset) {
+            const index = this.items.findIndex(item => item.instId === instId);
+            const target = index + offset;
+            if (index === -1 || target < 0 || target >= this.items.length) return;
+
+            const [item] = this.items.splice(index, 1);
+            this.items.splice(target, 0, item);
+            this.save();
+        }
+
+        // ربط القائمة بآخر تحليل: coin = null للعملات غير الموجودة في آخر مسح
+        withMarketData(coins) {
+            const byInstId = new Map(coins.map(coin => [coin.fullSymbol, coin]));
+            return this.items.map(item => {
+                const coin = byInstId.get(item.instId) || null;
+                return {
+                    ...item,
+                    coin,
+                    targetDistance: coin && item.targetPrice ? (item.targetPrice - coin.price) / coin.price * 100 : null
+                };
+            });
+        }
+    }
+
+    const exported = { Watchlist };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(root, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);